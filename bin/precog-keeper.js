@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Run a `MarketKeeper` (or, with `--mode proposals`, a `ProposalKeeper`)
+ * against a cluster, logging its events as JSON lines.
+ *
+ *   precog-keeper --rpc <url> --keypair <path> [options]
+ *
+ * The RPC must serve Helius `getPriorityFeeEstimate`: the keeper sends with
+ * `sendSmartTransaction`. SIGINT / SIGTERM stop the keeper and save the
+ * checkpoint before exiting.
+ */
+
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+
+import { Connection, Keypair, PublicKey } from "@solana/web3.js";
+
+import {
+  PrecogMarketsClient,
+  MarketKeeper,
+  ProposalKeeper,
+  MemoryCheckpointStore,
+  JsonFileCheckpointStore,
+} from "../src/index.js";
+
+const USAGE = `Usage: precog-keeper --rpc <url> --keypair <path> [options]
+
+Finalizes Resolved markets as their dispute windows close, or with
+--mode proposals executes approved proposals of the given multisigs.
+
+Options:
+  --rpc <url>                 RPC endpoint (Helius, for priority fees)
+  --keypair <path>            Fee payer keypair (Solana CLI JSON)
+  --mode <markets|proposals>  What to crank (default markets)
+  --multisig <address>        Multisig to watch; repeatable (proposals mode)
+  --expiry-warning-seconds <n>  Report unapproved proposals this close to
+                              expiry (default 86400; proposals mode)
+  --checkpoint <path>         Checkpoint file (default: in memory only)
+  --program-id <address>      Program ID (default: mainnet)
+  --batch-size <n>            Instructions per transaction (default 5)
+  --scan-interval-ms <n>      Re-scan interval (default 60000)
+  --priority-levels <list>    Comma-separated escalation (default Medium,High,VeryHigh)
+  --once                      Scan, send what is due, and exit
+  -h, --help                  Show this help`;
+
+const { values: args } = parseArgs({
+  options: {
+    rpc: { type: "string" },
+    keypair: { type: "string" },
+    mode: { type: "string", default: "markets" },
+    multisig: { type: "string", multiple: true, default: [] },
+    "expiry-warning-seconds": { type: "string" },
+    checkpoint: { type: "string" },
+    "program-id": { type: "string" },
+    "batch-size": { type: "string" },
+    "scan-interval-ms": { type: "string" },
+    "priority-levels": { type: "string" },
+    once: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+  },
+});
+
+const proposals = args.mode === "proposals";
+if (
+  args.help ||
+  !args.rpc ||
+  !args.keypair ||
+  !["markets", "proposals"].includes(args.mode) ||
+  (proposals && args.multisig.length === 0)
+) {
+  console.log(USAGE);
+  process.exit(args.help ? 0 : 1);
+}
+
+const payer = Keypair.fromSecretKey(
+  Uint8Array.from(JSON.parse(await readFile(args.keypair, "utf-8")))
+);
+const client = new PrecogMarketsClient(new Connection(args.rpc, "confirmed"), {
+  programId: args["program-id"] ? new PublicKey(args["program-id"]) : undefined,
+});
+const opts = {
+  payer,
+  store: args.checkpoint ? new JsonFileCheckpointStore(args.checkpoint) : new MemoryCheckpointStore(),
+  batchSize: args["batch-size"] ? Number(args["batch-size"]) : undefined,
+  scanIntervalMs: args["scan-interval-ms"] ? Number(args["scan-interval-ms"]) : undefined,
+  priorityLevels: args["priority-levels"]?.split(","),
+};
+const keeper = proposals
+  ? new ProposalKeeper(client, {
+      ...opts,
+      multisigs: args.multisig.map((m) => new PublicKey(m)),
+      expiryWarningSeconds: args["expiry-warning-seconds"]
+        ? Number(args["expiry-warning-seconds"])
+        : undefined,
+    })
+  : new MarketKeeper(client, opts);
+
+/** JSON line with PublicKeys as base58, bigints as strings and errors as messages. */
+function log(event, payload) {
+  const json = JSON.stringify({ time: new Date().toISOString(), event, ...payload }, (_, v) => {
+    if (typeof v === "bigint") return v.toString();
+    if (v instanceof PublicKey) return v.toBase58();
+    if (v instanceof Error) return v.message;
+    return v;
+  });
+  (event === "error" ? console.error : console.log)(json);
+}
+
+const events = proposals
+  ? ["scheduled", "executed", "retry", "dropped", "blocked", "expiring"]
+  : ["scheduled", "finalized", "retry", "dropped"];
+for (const event of events) {
+  keeper.on(event, (payload) => log(event, payload));
+}
+keeper.on("error", (error) => log("error", { error }));
+
+if (args.once) {
+  await keeper.runOnce();
+  log("metrics", keeper.metrics);
+} else {
+  const shutdown = async () => {
+    await keeper.stop();
+    log("metrics", keeper.metrics);
+    process.exit(0);
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+  await keeper.start();
+  log("started", { payer: payer.publicKey, pending: keeper.metrics.pending });
+}
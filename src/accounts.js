@@ -1,15 +1,18 @@
 /**
  * @module accounts
- * Deserialization layouts for every on-chain account type.
+ * Deserialization layouts for every on-chain account type, and the
+ * matching encoders for building fixtures.
  */
 
 import { PublicKey } from "@solana/web3.js";
-import { BorshReader } from "./serialization.js";
+import { BorshReader, BorshWriter } from "./serialization.js";
 import {
   MAX_OUTCOMES,
   MAX_TITLE_LEN,
   MAX_DESCRIPTION_LEN,
   MAX_OUTCOME_LABEL_LEN,
+  MAX_MULTISIG_SIGNERS,
+  ACCOUNT_DISCRIMINATORS,
 } from "./constants.js";
 
 // ═══════════════════════════════════════════════════════════════════════
@@ -21,6 +24,19 @@ function decodeFixedString(buf, len) {
   return Buffer.from(buf).subarray(0, len).toString("utf-8");
 }
 
+/**
+ * Encode a string into a fixed-length slot, as stored alongside its length.
+ * @param {string} str
+ * @param {number} max - Slot size in bytes
+ * @param {string} field - For the error message
+ * @returns {{ bytes: Buffer, len: number }}
+ */
+function encodeFixedString(str, max, field) {
+  const bytes = Buffer.from(str, "utf-8");
+  if (bytes.length > max) throw new RangeError(`${field}: ${bytes.length} bytes exceeds ${max}`);
+  return { bytes, len: bytes.length };
+}
+
 /** Reverse-lookup enum value → name */
 function enumName(enumObj, value) {
   for (const [k, v] of Object.entries(enumObj)) {
@@ -32,6 +48,276 @@ function enumName(enumObj, value) {
 const STATUS_MAP = { 0: "Open", 1: "Resolved", 2: "Finalized", 3: "Voided" };
 const DENOM_MAP = { 0: "NativeSol", 1: "SplToken", 2: "Token2022" };
 
+// ═══════════════════════════════════════════════════════════════════════
+// Layouts
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Fixed-size field types: byte size and little-endian reader / writer. */
+const FIELD_TYPES = {
+  u8: { size: 1, read: (b, o) => b.readUInt8(o), write: (b, o, v) => b.writeUInt8(v, o) },
+  u16: { size: 2, read: (b, o) => b.readUInt16LE(o), write: (b, o, v) => b.writeUInt16LE(v, o) },
+  u64: {
+    size: 8,
+    read: (b, o) => b.readBigUInt64LE(o),
+    write: (b, o, v) => b.writeBigUInt64LE(BigInt(v), o),
+  },
+  i64: {
+    size: 8,
+    read: (b, o) => b.readBigInt64LE(o),
+    write: (b, o, v) => b.writeBigInt64LE(BigInt(v), o),
+  },
+  bool: { size: 1, read: (b, o) => b[o] !== 0, write: (b, o, v) => b.writeUInt8(v ? 1 : 0, o) },
+  pubkey: {
+    size: 32,
+    read: (b, o) => new PublicKey(b.subarray(o, o + 32)),
+    write: (b, o, v) => v.toBuffer().copy(b, o),
+  },
+  bytes: {
+    size: 1,
+    read: (b, o, n) => Buffer.from(b.subarray(o, o + n)),
+    write: (b, o, v) => Buffer.from(v).copy(b, o),
+  },
+};
+
+/**
+ * One field: `[name, type]`, `[name, type, count]` for arrays, or
+ * `[name, "bytes", length]`.
+ * @typedef {[string, keyof typeof FIELD_TYPES] | [string, keyof typeof FIELD_TYPES, number]} FieldSpec
+ */
+
+/**
+ * A versioned fixed-size account layout: fields laid out back to back
+ * after the 8-byte discriminator, with their offsets precomputed.
+ * @typedef {Object} AccountLayout
+ * @property {string} account - "Market" | "UserPosition"
+ * @property {number} version
+ * @property {Buffer} discriminator
+ * @property {number} size - Account data length in bytes
+ * @property {FieldSpec[]} fields
+ * @property {Readonly<Record<string, number>>} offsets
+ */
+
+/** Byte length of one field. */
+function fieldSize([, type, count = 1]) {
+  return FIELD_TYPES[type].size * count;
+}
+
+/**
+ * Byte offset of every field in a list laid out back to back.
+ * @param {FieldSpec[]} fields
+ * @returns {Readonly<Record<string, number>>}
+ */
+function fieldOffsets(fields) {
+  const offsets = {};
+  let offset = 0;
+  for (const field of fields) {
+    offsets[field[0]] = offset;
+    offset += fieldSize(field);
+  }
+  return Object.freeze(offsets);
+}
+
+/**
+ * @param {string} account
+ * @param {number} version
+ * @param {Buffer} discriminator
+ * @param {FieldSpec[]} fields - Without the discriminator.
+ * @returns {AccountLayout}
+ */
+function defineLayout(account, version, discriminator, fields) {
+  const all = [["discriminator", "bytes", 8], ...fields];
+  return Object.freeze({
+    account,
+    version,
+    discriminator,
+    size: all.reduce((n, f) => n + fieldSize(f), 0),
+    fields: all,
+    offsets: fieldOffsets(all),
+  });
+}
+
+/**
+ * Read a layout's fields from `data`, stopping at byte `end` (fields that
+ * end past it are left out, so a `dataSlice` prefix decodes to a prefix).
+ * @param {AccountLayout} layout
+ * @param {Buffer|Uint8Array} data
+ * @param {number} [end] - Default: the full layout.
+ * @returns {Record<string, any>}
+ */
+function readLayout(layout, data, end = layout.size) {
+  const buf = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  if (buf.length < end) {
+    throw new RangeError(
+      `${layout.account} v${layout.version}: need ${end} bytes, got ${buf.length}`
+    );
+  }
+
+  const out = {};
+  for (const field of layout.fields) {
+    const [name, type, count] = field;
+    const offset = layout.offsets[name];
+    if (offset + fieldSize(field) > end) break;
+    const { size, read } = FIELD_TYPES[type];
+    if (type === "bytes") {
+      out[name] = read(buf, offset, count);
+    } else if (count === undefined) {
+      out[name] = read(buf, offset);
+    } else {
+      out[name] = Array.from({ length: count }, (_, i) => read(buf, offset + i * size));
+    }
+  }
+  return out;
+}
+
+/**
+ * Inverse of `readLayout`: serialize `values` into a zeroed buffer of
+ * `layout.size`. The discriminator always comes from the layout; array
+ * fields shorter than their count are zero-padded.
+ * @param {AccountLayout} layout
+ * @param {Record<string, any>} values
+ * @returns {Buffer}
+ * @throws {RangeError} When an array or byte field is longer than its slot.
+ */
+function writeLayout(layout, values) {
+  const buf = Buffer.alloc(layout.size);
+  const all = { ...values, discriminator: layout.discriminator };
+  for (const field of layout.fields) {
+    const [name, type, count] = field;
+    const value = all[name];
+    const offset = layout.offsets[name];
+    const { size, write } = FIELD_TYPES[type];
+    if (count !== undefined && value.length > count) {
+      throw new RangeError(`${layout.account}.${name}: ${value.length} exceeds ${count}`);
+    }
+    if (type === "bytes" || count === undefined) {
+      write(buf, offset, value);
+    } else {
+      value.forEach((v, i) => write(buf, offset + i * size, v));
+    }
+  }
+  return buf;
+}
+
+const MARKET_FIELDS_HEAD = [
+  ["bump", "u8"],
+  ["marketId", "u64"],
+  ["authority", "pubkey"],
+  ["authorityIsMultisig", "bool"],
+  ["status", "u8"],
+  ["resolutionDeadline", "i64"],
+  ["resolvedAt", "i64"],
+  ["winningOutcome", "u8"],
+  ["feeBps", "u16"],
+  ["feesCollected", "u64"],
+  ["numOutcomes", "u8"],
+  ["outcomePools", "u64", MAX_OUTCOMES],
+  ["totalPool", "u64"],
+  ["totalPositions", "u64"],
+  ["denomination", "u8"],
+  ["tokenMint", "pubkey"],
+  ["tokenDecimals", "u8"],
+  ["hasTransferFee", "bool"],
+  ["transferFeeBps", "u16"],
+  ["maxTransferFee", "u64"],
+];
+
+const MARKET_FIELDS_TEXT = [
+  ["title", "bytes", MAX_TITLE_LEN],
+  ["titleLen", "u16"],
+  ["description", "bytes", MAX_DESCRIPTION_LEN],
+  ["descriptionLen", "u16"],
+  ["outcomeLabels", "bytes", MAX_OUTCOMES * MAX_OUTCOME_LABEL_LEN],
+  ["outcomeLabelLens", "u16", MAX_OUTCOMES],
+];
+
+/** Market before v0.2.0: no creator fields. */
+const MARKET_LAYOUT_V1 = defineLayout("Market", 1, ACCOUNT_DISCRIMINATORS.MARKET, [
+  ...MARKET_FIELDS_HEAD,
+  ...MARKET_FIELDS_TEXT,
+]);
+
+/** Market since v0.2.0: `creator` and `creatorFeeBps` before the title. */
+const MARKET_LAYOUT_V2 = defineLayout("Market", 2, ACCOUNT_DISCRIMINATORS.MARKET, [
+  ...MARKET_FIELDS_HEAD,
+  ["creator", "pubkey"],
+  ["creatorFeeBps", "u16"],
+  ...MARKET_FIELDS_TEXT,
+]);
+
+const USER_POSITION_LAYOUT_V1 = defineLayout(
+  "UserPosition",
+  1,
+  ACCOUNT_DISCRIMINATORS.USER_POSITION,
+  [
+    ["bump", "u8"],
+    ["market", "pubkey"],
+    ["owner", "pubkey"],
+    ["outcomeIndex", "u8"],
+    ["amount", "u64"],
+    ["claimed", "bool"],
+    ["lastDepositAt", "i64"],
+  ]
+);
+
+/**
+ * Every known layout of the fixed-size account types, oldest first. A new
+ * account version is one more entry here; decoders and gPA filters pick it
+ * up from the registry.
+ * @type {ReadonlyArray<AccountLayout>}
+ */
+export const ACCOUNT_LAYOUTS = Object.freeze([
+  MARKET_LAYOUT_V1,
+  MARKET_LAYOUT_V2,
+  USER_POSITION_LAYOUT_V1,
+]);
+
+/** Market layouts, oldest first. @type {ReadonlyArray<AccountLayout>} */
+export const MARKET_LAYOUTS = Object.freeze(ACCOUNT_LAYOUTS.filter((l) => l.account === "Market"));
+
+/**
+ * Find the layout of raw account data from its discriminator and length:
+ * the layout of exactly that size, else the newest one that fits (an
+ * account reallocated with trailing space).
+ * @param {Buffer|Uint8Array} data
+ * @returns {AccountLayout|null} null for unknown discriminators or data too short for any layout.
+ */
+export function findAccountLayout(data) {
+  if (data.length < 8) return null;
+  const disc = Buffer.from(data.subarray(0, 8));
+  const candidates = ACCOUNT_LAYOUTS.filter((l) => l.discriminator.equals(disc));
+  return (
+    candidates.find((l) => l.size === data.length) ??
+    candidates.filter((l) => l.size <= data.length).at(-1) ??
+    null
+  );
+}
+
+/**
+ * Byte offsets of the Market fields in the current layout, for `memcmp`
+ * filters and `dataSlice`. Per-version offsets are on `MARKET_LAYOUTS`.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const MARKET_OFFSETS = MARKET_LAYOUT_V2.offsets;
+
+/**
+ * Byte offsets of the UserPosition fields.
+ * @type {Readonly<Record<string, number>>}
+ */
+export const USER_POSITION_OFFSETS = USER_POSITION_LAYOUT_V1.offsets;
+
+/**
+ * Byte offsets of the fixed-position MultisigProposal fields (the
+ * variable-length `action` and everything after it are omitted).
+ * @type {Readonly<Record<string, number>>}
+ */
+export const MULTISIG_PROPOSAL_OFFSETS = fieldOffsets([
+  ["discriminator", "bytes", 8],
+  ["bump", "u8"],
+  ["multisig", "pubkey"],
+  ["market", "pubkey"],
+  ["proposalId", "u64"],
+]);
+
 // ═══════════════════════════════════════════════════════════════════════
 // Market
 // ═══════════════════════════════════════════════════════════════════════
@@ -67,144 +353,152 @@ const DENOM_MAP = { 0: "NativeSol", 1: "SplToken", 2: "Token2022" };
  * @property {string} title
  * @property {string} description
  * @property {string[]} outcomeLabels
+ * @property {number} layoutVersion - `MARKET_LAYOUTS` version the account was decoded with
  */
 
 /**
- * Decode a raw Market account buffer.
- * @param {Buffer|Uint8Array} data
- * @returns {MarketAccount}
+ * Market fields up to and including the title — what a list view needs,
+ * without the description and outcome labels.
+ * @typedef {Omit<MarketAccount, "description"|"outcomeLabels">} MarketSummary
  */
-export function decodeMarket(data) {
-  const r = new BorshReader(data);
 
-  const discriminator = r.readFixedBytes(8);
-  const bump = r.readU8();
-  const marketId = r.readU64();
-  const authority = r.readPubkey();
-  const authorityIsMultisig = r.readBool();
-
-  const status = r.readU8();
-  const statusName = STATUS_MAP[status] ?? `Unknown(${status})`;
-
-  const resolutionDeadline = r.readI64();
-  const resolvedAt = r.readI64();
-  const winningOutcome = r.readU8();
-  const feeBps = r.readU16();
-  const feesCollected = r.readU64();
-  const numOutcomes = r.readU8();
-
-  // outcomePools: [u64; 10]
-  const outcomePools = [];
-  for (let i = 0; i < MAX_OUTCOMES; i++) outcomePools.push(r.readU64());
-
-  const totalPool = r.readU64();
-  const totalPositions = r.readU64();
-
-  const denomination = r.readU8();
-  const denominationName = DENOM_MAP[denomination] ?? `Unknown(${denomination})`;
-
-  const tokenMint = r.readPubkey();
-  const tokenDecimals = r.readU8();
-  const hasTransferFee = r.readBool();
-  const transferFeeBps = r.readU16();
-  const maxTransferFee = r.readU64();
-
-  // ── v0.2.0 layout detection ──────────────────────────────────────
-  // New layout: creator(32) + creatorFeeBps(2) + title[128] + titleLen(2) ...
-  // Old layout: title[128] + titleLen(2) ...
-  // We try new layout first. If titleLen == 0 but the old-layout position
-  // has a non-zero titleLen, we fall back to old layout.
-  const preCreatorOffset = r.offset;
-
-  // Speculatively read creator fields
-  const creatorBytes = r.readFixedBytes(32);
-  const creatorFeeBpsVal = r.readU16();
-
-  // Read title at new-layout position
-  const titleBytesNew = r.readFixedBytes(MAX_TITLE_LEN);
-  const titleLenNew = r.readU16();
-
-  // Check if old layout would give us a valid title instead
-  // Old layout: title starts at preCreatorOffset
-  const oldTitleLenOffset = preCreatorOffset + MAX_TITLE_LEN;
-  let useNewLayout = true;
-  if (titleLenNew === 0 && oldTitleLenOffset + 2 <= data.length) {
-    const buf = Buffer.from(data);
-    const oldTitleLen = buf.readUInt16LE(oldTitleLenOffset);
-    if (oldTitleLen > 0 && oldTitleLen <= MAX_TITLE_LEN) {
-      useNewLayout = false;
+/**
+ * Bytes of a current-layout Market account covered by `MarketSummary`
+ * (from offset 0), for `dataSlice` queries. For other versions use
+ * `layout.offsets.description`.
+ * @type {number}
+ */
+export const MARKET_SUMMARY_LENGTH = MARKET_OFFSETS.description;
+
+/**
+ * Shape decoded Market fields. Text fields beyond `end` of a sliced read
+ * are absent from `f` and left out of the result.
+ * @param {Record<string, any>} f - Output of `readLayout`
+ * @param {AccountLayout} layout
+ * @returns {MarketAccount | MarketSummary}
+ */
+function toMarket(f, layout) {
+  const market = {
+    discriminator: f.discriminator,
+    bump: f.bump,
+    marketId: f.marketId,
+    authority: f.authority,
+    authorityIsMultisig: f.authorityIsMultisig,
+    status: f.status,
+    statusName: STATUS_MAP[f.status] ?? `Unknown(${f.status})`,
+    resolutionDeadline: f.resolutionDeadline,
+    resolvedAt: f.resolvedAt,
+    winningOutcome: f.winningOutcome,
+    feeBps: f.feeBps,
+    feesCollected: f.feesCollected,
+    numOutcomes: f.numOutcomes,
+    outcomePools: f.outcomePools.slice(0, f.numOutcomes),
+    totalPool: f.totalPool,
+    totalPositions: f.totalPositions,
+    denomination: f.denomination,
+    denominationName: DENOM_MAP[f.denomination] ?? `Unknown(${f.denomination})`,
+    tokenMint: f.tokenMint,
+    tokenDecimals: f.tokenDecimals,
+    hasTransferFee: f.hasTransferFee,
+    transferFeeBps: f.transferFeeBps,
+    maxTransferFee: f.maxTransferFee,
+    // Layouts before v2 have no creator fields
+    creator: f.creator ?? new PublicKey(Buffer.alloc(32)),
+    creatorFeeBps: f.creatorFeeBps ?? 0,
+    title: decodeFixedString(f.title, f.titleLen),
+  };
+
+  if (f.outcomeLabelLens) {
+    market.description = decodeFixedString(f.description, f.descriptionLen);
+    market.outcomeLabels = [];
+    for (let i = 0; i < f.numOutcomes; i++) {
+      const start = i * MAX_OUTCOME_LABEL_LEN;
+      const label = f.outcomeLabels.subarray(start, start + MAX_OUTCOME_LABEL_LEN);
+      market.outcomeLabels.push(decodeFixedString(label, f.outcomeLabelLens[i]));
     }
   }
+  market.layoutVersion = layout.version;
+  return market;
+}
 
-  let creator, creatorFeeBps, title, description, outcomeLabels;
-
-  if (useNewLayout) {
-    creator = new PublicKey(creatorBytes);
-    creatorFeeBps = creatorFeeBpsVal;
-    title = decodeFixedString(titleBytesNew, titleLenNew);
-
-    const descBytes = r.readFixedBytes(MAX_DESCRIPTION_LEN);
-    const descLen = r.readU16();
-    description = decodeFixedString(descBytes, descLen);
-
-    const rawLabels = [];
-    for (let i = 0; i < MAX_OUTCOMES; i++) rawLabels.push(r.readFixedBytes(MAX_OUTCOME_LABEL_LEN));
-    const labelLens = [];
-    for (let i = 0; i < MAX_OUTCOMES; i++) labelLens.push(r.readU16());
-    outcomeLabels = [];
-    for (let i = 0; i < numOutcomes; i++) outcomeLabels.push(decodeFixedString(rawLabels[i], labelLens[i]));
-  } else {
-    // Old layout — rewind to preCreatorOffset and read without creator fields
-    r.offset = preCreatorOffset;
-    creator = new PublicKey(Buffer.alloc(32));
-    creatorFeeBps = 0;
-
-    const titleBytes = r.readFixedBytes(MAX_TITLE_LEN);
-    const titleLen = r.readU16();
-    title = decodeFixedString(titleBytes, titleLen);
-
-    const descBytes = r.readFixedBytes(MAX_DESCRIPTION_LEN);
-    const descLen = r.readU16();
-    description = decodeFixedString(descBytes, descLen);
-
-    const rawLabels = [];
-    for (let i = 0; i < MAX_OUTCOMES; i++) rawLabels.push(r.readFixedBytes(MAX_OUTCOME_LABEL_LEN));
-    const labelLens = [];
-    for (let i = 0; i < MAX_OUTCOMES; i++) labelLens.push(r.readU16());
-    outcomeLabels = [];
-    for (let i = 0; i < numOutcomes; i++) outcomeLabels.push(decodeFixedString(rawLabels[i], labelLens[i]));
+/**
+ * Decode a raw Market account buffer. The layout version is chosen from
+ * the registry by discriminator and account size (see `findAccountLayout`).
+ * @param {Buffer|Uint8Array} data
+ * @returns {MarketAccount}
+ * @throws {Error} When the data doesn't match any Market layout.
+ */
+export function decodeMarket(data) {
+  const layout = findAccountLayout(data);
+  if (layout?.account !== "Market") {
+    throw new Error(`Not a known Market layout (${data.length} bytes)`);
   }
+  return /** @type {MarketAccount} */ (toMarket(readLayout(layout, data), layout));
+}
 
-  return {
-    discriminator,
-    bump,
-    marketId,
-    authority,
-    authorityIsMultisig,
-    status,
-    statusName,
-    resolutionDeadline,
-    resolvedAt,
-    winningOutcome,
-    feeBps,
-    feesCollected,
-    numOutcomes,
-    outcomePools: outcomePools.slice(0, numOutcomes),
-    totalPool,
-    totalPositions,
-    denomination,
-    denominationName,
-    tokenMint,
-    tokenDecimals,
-    hasTransferFee,
-    transferFeeBps,
-    maxTransferFee,
-    creator,
-    creatorFeeBps,
-    title,
-    description,
-    outcomeLabels,
-  };
+/**
+ * Decode a Market account prefix through the title, as returned by a
+ * `dataSlice` query. A slice has no size to detect the version from, so
+ * pass `layoutVersion` for anything but the current layout (a full account
+ * is detected as usual).
+ * @param {Buffer|Uint8Array} data
+ * @param {number} [layoutVersion] - Default: detected from a full account, else the current layout.
+ * @returns {MarketSummary}
+ */
+export function decodeMarketSummary(data, layoutVersion) {
+  const detected = findAccountLayout(data);
+  const layout =
+    layoutVersion !== undefined
+      ? MARKET_LAYOUTS.find((l) => l.version === layoutVersion)
+      : detected?.account === "Market"
+        ? detected
+        : MARKET_LAYOUTS.at(-1);
+  if (!layout) throw new Error(`Unknown Market layout version: ${layoutVersion}`);
+
+  const summary = toMarket(readLayout(layout, data, layout.offsets.description), layout);
+  delete summary.description;
+  delete summary.outcomeLabels;
+  return summary;
+}
+
+/**
+ * Encode a Market account byte-for-byte as the program stores it:
+ * discriminator, `[u64; 10]` pools and zero-padded fixed-size strings.
+ * `decodeMarket(encodeMarket(m))` equals `m` for any decoded market.
+ * Derived fields (`statusName`, `denominationName`) and `discriminator`
+ * are ignored; the creator fields are dropped for layout v1.
+ * @param {Omit<MarketAccount, "discriminator"|"statusName"|"denominationName"|"layoutVersion"> & {
+ *   layoutVersion?: number,
+ * }} market - `layoutVersion` defaults to the current layout.
+ * @returns {Buffer}
+ * @throws {RangeError} When a string or the outcome list doesn't fit its slot.
+ */
+export function encodeMarket(market) {
+  const version = market.layoutVersion ?? MARKET_LAYOUTS.at(-1).version;
+  const layout = MARKET_LAYOUTS.find((l) => l.version === version);
+  if (!layout) throw new Error(`Unknown Market layout version: ${version}`);
+
+  const title = encodeFixedString(market.title, MAX_TITLE_LEN, "title");
+  const description = encodeFixedString(market.description, MAX_DESCRIPTION_LEN, "description");
+  if (market.outcomeLabels.length > MAX_OUTCOMES) {
+    throw new RangeError(`outcomeLabels: ${market.outcomeLabels.length} exceeds ${MAX_OUTCOMES}`);
+  }
+  const labels = Buffer.alloc(MAX_OUTCOMES * MAX_OUTCOME_LABEL_LEN);
+  const labelLens = market.outcomeLabels.map((label, i) => {
+    const { bytes, len } = encodeFixedString(label, MAX_OUTCOME_LABEL_LEN, `outcomeLabels[${i}]`);
+    bytes.copy(labels, i * MAX_OUTCOME_LABEL_LEN);
+    return len;
+  });
+
+  return writeLayout(layout, {
+    ...market,
+    title: title.bytes,
+    titleLen: title.len,
+    description: description.bytes,
+    descriptionLen: description.len,
+    outcomeLabels: labels,
+    outcomeLabelLens: labelLens,
+  });
 }
 
 // ═══════════════════════════════════════════════════════════════════════
@@ -221,26 +515,30 @@ export function decodeMarket(data) {
  * @property {bigint} amount
  * @property {boolean} claimed
  * @property {bigint} lastDepositAt
+ * @property {number} layoutVersion
  */
 
 /**
  * Decode a raw UserPosition account buffer.
  * @param {Buffer|Uint8Array} data
  * @returns {UserPositionAccount}
+ * @throws {Error} When the data doesn't match any UserPosition layout.
  */
 export function decodeUserPosition(data) {
-  const r = new BorshReader(data);
+  const layout = findAccountLayout(data);
+  if (layout?.account !== "UserPosition") {
+    throw new Error(`Not a known UserPosition layout (${data.length} bytes)`);
+  }
+  return { ...readLayout(layout, data), layoutVersion: layout.version };
+}
 
-  return {
-    discriminator: r.readFixedBytes(8),
-    bump: r.readU8(),
-    market: r.readPubkey(),
-    owner: r.readPubkey(),
-    outcomeIndex: r.readU8(),
-    amount: r.readU64(),
-    claimed: r.readBool(),
-    lastDepositAt: r.readI64(),
-  };
+/**
+ * Encode a UserPosition account; inverse of `decodeUserPosition`.
+ * @param {Omit<UserPositionAccount, "discriminator"|"layoutVersion">} position
+ * @returns {Buffer}
+ */
+export function encodeUserPosition(position) {
+  return writeLayout(USER_POSITION_LAYOUT_V1, position);
 }
 
 // ═══════════════════════════════════════════════════════════════════════
@@ -278,6 +576,24 @@ export function decodeProtocolConfig(data) {
   };
 }
 
+/**
+ * Encode a ProtocolConfig account; inverse of `decodeProtocolConfig`.
+ * @param {Omit<ProtocolConfigAccount, "discriminator">} config
+ * @returns {Buffer}
+ */
+export function encodeProtocolConfig(config) {
+  const w = new BorshWriter(92);
+  w.writeFixedBytes(ACCOUNT_DISCRIMINATORS.PROTOCOL_CONFIG);
+  w.writeU8(config.bump);
+  w.writePubkey(config.admin);
+  w.writeU16(config.defaultFeeBps);
+  w.writePubkey(config.treasury);
+  w.writeBool(config.paused);
+  w.writeU64(config.totalMarketsCreated);
+  w.writeU64(config.totalVolume);
+  return Buffer.from(w.toBuffer());
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 // MultisigAuthority
 // ═══════════════════════════════════════════════════════════════════════
@@ -323,6 +639,31 @@ export function decodeMultisigAuthority(data) {
   };
 }
 
+/**
+ * Encode a MultisigAuthority account; inverse of `decodeMultisigAuthority`.
+ * `numSigners` is taken from `signers`, padded to the 11 on-chain slots.
+ * @param {Omit<MultisigAuthorityAccount, "discriminator"|"numSigners">} multisig
+ * @returns {Buffer}
+ * @throws {RangeError} With more than `MAX_MULTISIG_SIGNERS` signers.
+ */
+export function encodeMultisigAuthority(multisig) {
+  const { signers } = multisig;
+  if (signers.length > MAX_MULTISIG_SIGNERS) {
+    throw new RangeError(`signers: ${signers.length} exceeds ${MAX_MULTISIG_SIGNERS}`);
+  }
+  const w = new BorshWriter(379);
+  w.writeFixedBytes(ACCOUNT_DISCRIMINATORS.MULTISIG_AUTHORITY);
+  w.writeU8(multisig.bump);
+  w.writeU64(multisig.nonce);
+  w.writeU8(multisig.threshold);
+  w.writeU8(signers.length);
+  for (let i = 0; i < MAX_MULTISIG_SIGNERS; i++) {
+    w.writePubkey(signers[i] ?? new PublicKey(Buffer.alloc(32)));
+  }
+  w.writeU64(multisig.proposalCount);
+  return Buffer.from(w.toBuffer());
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 // MultisigProposal
 // ═══════════════════════════════════════════════════════════════════════
@@ -364,7 +705,7 @@ const PROPOSAL_ACTION_NAMES = [
  * @param {BorshReader} r
  * @returns {ProposalAction}
  */
-function decodeProposalAction(r) {
+export function decodeProposalAction(r) {
   const tag = r.readU8();
   const name = PROPOSAL_ACTION_NAMES[tag] ?? `Unknown(${tag})`;
 
@@ -396,6 +737,41 @@ function decodeProposalAction(r) {
   }
 }
 
+/**
+ * Write the ProposalAction enum; inverse of `decodeProposalAction`.
+ * Signer fields may be PublicKeys or raw 32-byte arrays.
+ * @param {BorshWriter} w
+ * @param {{ name: string, fields?: Object }} action - `tag` is derived from `name`.
+ */
+export function encodeProposalAction(w, action) {
+  const tag = PROPOSAL_ACTION_NAMES.indexOf(action.name);
+  if (tag < 0) throw new Error(`Unknown ProposalAction type: ${action.name}`);
+  const fields = action.fields ?? {};
+  const key = (k) => (k instanceof PublicKey ? k.toBuffer() : k);
+
+  w.writeU8(tag);
+  switch (tag) {
+    case 0:
+      w.writeU8(fields.winningOutcome);
+      break;
+    case 2:
+      w.writeI64(fields.newDeadline);
+      break;
+    case 3:
+      w.writeU16(fields.newFeeBps);
+      break;
+    case 4:
+      w.writeFixedBytes(key(fields.newSigner));
+      break;
+    case 5:
+      w.writeFixedBytes(key(fields.signer));
+      break;
+    case 6:
+      w.writeU8(fields.newThreshold);
+      break;
+  }
+}
+
 /**
  * @param {Buffer|Uint8Array} data
  * @returns {MultisigProposalAccount}
@@ -416,4 +792,29 @@ export function decodeMultisigProposal(data) {
     executed: r.readBool(),
     createdAt: r.readI64(),
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Encode a MultisigProposal account; inverse of `decodeMultisigProposal`.
+ * The result is the serialized length for its action; the account the
+ * program allocates may carry trailing zero bytes past it.
+ * @param {Omit<MultisigProposalAccount, "discriminator"|"action"> & {
+ *   action: { name: string, fields?: Object },
+ * }} proposal
+ * @returns {Buffer}
+ */
+export function encodeMultisigProposal(proposal) {
+  const w = new BorshWriter(160);
+  w.writeFixedBytes(ACCOUNT_DISCRIMINATORS.MULTISIG_PROPOSAL);
+  w.writeU8(proposal.bump);
+  w.writePubkey(proposal.multisig);
+  w.writePubkey(proposal.market);
+  w.writeU64(proposal.proposalId);
+  encodeProposalAction(w, proposal.action);
+  w.writePubkey(proposal.proposer);
+  w.writeU16(proposal.approvals);
+  w.writeU8(proposal.approvalCount);
+  w.writeBool(proposal.executed);
+  w.writeI64(proposal.createdAt);
+  return Buffer.from(w.toBuffer());
+}
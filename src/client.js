@@ -8,11 +8,20 @@ import {
   Connection,
   PublicKey,
   Transaction,
+  VersionedTransaction,
   sendAndConfirmTransaction,
   ComputeBudgetProgram,
+  AddressLookupTableProgram,
 } from "@solana/web3.js";
 
-import { PROGRAM_ID, TokenDenomination, SYSTEM_PROGRAM_ID, ACCOUNT_DISCRIMINATORS } from "./constants.js";
+import {
+  PROGRAM_ID,
+  TokenDenomination,
+  MarketStatus,
+  SYSTEM_PROGRAM_ID,
+  ACCOUNT_DISCRIMINATORS,
+  ErrorName,
+} from "./constants.js";
 
 import {
   findProtocolConfigAddress,
@@ -30,31 +39,284 @@ import {
   decodeProtocolConfig,
   decodeMultisigAuthority,
   decodeMultisigProposal,
+  decodeMarketSummary,
+  MARKET_LAYOUTS,
+  USER_POSITION_OFFSETS,
+  MULTISIG_PROPOSAL_OFFSETS,
 } from "./accounts.js";
 
 import * as ix from "./instructions.js";
+import { bs58Encode } from "./serialization.js";
+import {
+  toPublicKey,
+  buildTransaction,
+  compileTransaction,
+  resolveVersion,
+  fitsInPacket,
+} from "./transaction.js";
+import { isWalletSigner, signTransactions } from "./signer.js";
+import { parseProgramError, PrecogValidationError, ProgramErrors } from "./errors.js";
+import { validateCreateMarketArgs, checkBetEligibility, validateTokenMint } from "./validation.js";
+import { quoteClaim } from "./math.js";
+import { buildPortfolio } from "./portfolio.js";
+import { getMarketLookupTableAddresses } from "./lookup.js";
+import { decodeTransaction } from "./decoder.js";
+import { PrecogIndexer } from "./indexer.js";
+import {
+  MARKET_CODEC,
+  USER_POSITION_CODEC,
+  subscribeAccount,
+  subscribeProgramAccounts,
+} from "./subscriptions.js";
+import {
+  findAssociatedTokenAddress,
+  tokenProgramForDenomination,
+  denominationForTokenProgram,
+  createAssociatedTokenAccountIdempotent,
+  decodeMint,
+} from "./token.js";
 
 // ═══════════════════════════════════════════════════════════════════════
-// Minimal base58 encoder for memcmp filter bytes
+// Market queries
 // ═══════════════════════════════════════════════════════════════════════
-const BS58_ALPHA = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
-function bs58Encode(buf) {
-  const bytes = [...buf];
-  let zeros = 0;
-  while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
-  const digits = [0];
-  for (let i = zeros; i < bytes.length; i++) {
-    let carry = bytes[i];
-    for (let j = 0; j < digits.length; j++) { carry += digits[j] * 256; digits[j] = carry % 58; carry = (carry / 58) | 0; }
-    while (carry > 0) { digits.push(carry % 58); carry = (carry / 58) | 0; }
-  }
-  return BS58_ALPHA[0].repeat(zeros) + digits.reverse().map(d => BS58_ALPHA[d]).join('');
+
+/**
+ * Filters for `getAllMarkets`. The first group is matched by the RPC node
+ * with `memcmp` filters, as many as its filter limit allows (the rest
+ * client-side); the second group is applied client-side after decoding.
+ * @typedef {Object} MarketFilters
+ * @property {PublicKey} [authority]
+ * @property {PublicKey} [creator]
+ * @property {PublicKey} [tokenMint]
+ * @property {number} [status] - MarketStatus
+ * @property {number} [denomination] - TokenDenomination
+ * @property {boolean} [authorityIsMultisig]
+ * @property {bigint|number} [deadlineFrom] - Inclusive lower bound on `resolutionDeadline`
+ * @property {bigint|number} [deadlineTo] - Inclusive upper bound on `resolutionDeadline`
+ * @property {bigint|number} [minTotalPool]
+ * @property {string} [titleIncludes] - Case-insensitive substring of `title`
+ * @property {"resolutionDeadline"|"totalPool"|"marketId"|"title"} [sortBy]
+ * @property {"asc"|"desc"} [order] - Default "asc".
+ * @property {number} [offset] - Results to skip after sorting.
+ * @property {number} [limit] - Maximum results after `offset`.
+ */
+
+/** RPC nodes reject `getProgramAccounts` calls with more filters than this. */
+const MAX_GPA_FILTERS = 4;
+
+/**
+ * The field filters of a market query as `[field, bytes]`, most selective
+ * first: a 32-byte key narrows the scan far more than a one-byte enum.
+ * @param {MarketFilters} query
+ * @returns {Array<[string, Buffer|number[]]>}
+ */
+function marketFieldValues(query) {
+  const values = [];
+  if (query.authority) values.push(["authority", query.authority.toBuffer()]);
+  if (query.creator) values.push(["creator", query.creator.toBuffer()]);
+  if (query.tokenMint) values.push(["tokenMint", query.tokenMint.toBuffer()]);
+  if (query.status !== undefined) values.push(["status", [query.status]]);
+  if (query.denomination !== undefined) values.push(["denomination", [query.denomination]]);
+  if (query.authorityIsMultisig !== undefined) {
+    values.push(["authorityIsMultisig", [query.authorityIsMultisig ? 1 : 0]]);
+  }
+  return values;
+}
+
+/**
+ * `getProgramAccounts` queries for the server-side part of a market query:
+ * the Market discriminator plus one `memcmp` per given field, at offsets
+ * taken from the layout registry. Layouts without a filtered field (e.g.
+ * `creator` before v2) are left out. When every layout has the filtered
+ * fields (and `sameOffsets`) at the same offsets this is a single query;
+ * otherwise, or with `perLayout`, one query per layout pinned by `dataSize`.
+ *
+ * Only the most selective fields that fit under `MAX_GPA_FILTERS` are sent
+ * (three beside the discriminator, two when `dataSize` takes a slot);
+ * `matchesMarketFields` checks the rest after decoding.
+ *
+ * @param {MarketFilters} [query]
+ * @param {{ perLayout?: boolean, sameOffsets?: string[] }} [opts] - `sameOffsets`: other
+ *   fields the caller reads (e.g. via `dataSlice`) that must line up for a single query.
+ * @returns {Array<{
+ *   layout: import("./accounts.js").AccountLayout|null,
+ *   filters: import("@solana/web3.js").GetProgramAccountsFilter[],
+ * }>} `layout` is null for the combined query.
+ */
+function marketQueries(query = {}, { perLayout = false, sameOffsets = [] } = {}) {
+  const values = marketFieldValues(query);
+  const fields = [...values.map(([field]) => field), ...sameOffsets];
+  const layouts = MARKET_LAYOUTS.filter((l) => fields.every((f) => l.offsets[f] !== undefined));
+  const filtersFor = (layout, sent) =>
+    [["discriminator", ACCOUNT_DISCRIMINATORS.MARKET], ...sent].map(([field, bytes]) => ({
+      memcmp: { offset: layout.offsets[field], bytes: bs58Encode(bytes) },
+    }));
+
+  const [first] = layouts;
+  const sent = values.slice(0, MAX_GPA_FILTERS - 1);
+  const combined =
+    !perLayout &&
+    layouts.length === MARKET_LAYOUTS.length &&
+    layouts.every((l) =>
+      [...sent.map(([field]) => field), ...sameOffsets].every(
+        (f) => l.offsets[f] === first.offsets[f]
+      )
+    );
+  if (combined) return [{ layout: null, filters: filtersFor(first, sent) }];
+
+  const pinned = values.slice(0, MAX_GPA_FILTERS - 2);
+  return layouts.map((layout) => ({
+    layout,
+    filters: [{ dataSize: layout.size }, ...filtersFor(layout, pinned)],
+  }));
+}
+
+/**
+ * Whether a decoded market matches the field filters of a query — the ones
+ * `marketQueries` had no room to send, and the others again at no cost.
+ * Works on `MarketSummary` too: every field filter sits before the title.
+ * @param {Pick<import("./accounts.js").MarketAccount,
+ *   "authority"|"creator"|"tokenMint"|"status"|"denomination"|"authorityIsMultisig">} market
+ * @param {MarketFilters} query
+ * @returns {boolean}
+ */
+function matchesMarketFields(market, query) {
+  if (query.authority && !market.authority.equals(query.authority)) return false;
+  if (query.creator && !market.creator.equals(query.creator)) return false;
+  if (query.tokenMint && !market.tokenMint.equals(query.tokenMint)) return false;
+  if (query.status !== undefined && market.status !== query.status) return false;
+  if (query.denomination !== undefined && market.denomination !== query.denomination) {
+    return false;
+  }
+  if (
+    query.authorityIsMultisig !== undefined &&
+    market.authorityIsMultisig !== query.authorityIsMultisig
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/** Three-way compare for bigints, numbers and strings. */
+function compare(a, b) {
+  if (typeof a === "string") return a.localeCompare(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Apply the client-side part of a market query — field filters left over
+ * from `marketQueries`, deadline range, minimum pool, title substring —
+ * then sort and paginate. Paginating without `sortBy` orders by address so
+ * pages are stable.
+ * @template {{ pubkey: PublicKey, account: { resolutionDeadline: bigint, totalPool: bigint, marketId?: bigint, title: string } }} T
+ * @param {T[]} markets
+ * @param {MarketFilters} [query]
+ * @returns {T[]}
+ */
+function selectMarkets(markets, query = {}) {
+  const from = query.deadlineFrom === undefined ? null : BigInt(query.deadlineFrom);
+  const to = query.deadlineTo === undefined ? null : BigInt(query.deadlineTo);
+  const minPool = query.minTotalPool === undefined ? null : BigInt(query.minTotalPool);
+  const needle = query.titleIncludes?.toLowerCase();
+
+  let results = markets.filter(({ account: m }) => {
+    if (!matchesMarketFields(m, query)) return false;
+    if (from !== null && m.resolutionDeadline < from) return false;
+    if (to !== null && m.resolutionDeadline > to) return false;
+    if (minPool !== null && m.totalPool < minPool) return false;
+    if (needle && !m.title.toLowerCase().includes(needle)) return false;
+    return true;
+  });
+
+  const paginated = query.offset !== undefined || query.limit !== undefined;
+  if (query.sortBy || paginated) {
+    const dir = query.order === "desc" ? -1 : 1;
+    const byAddress = (a, b) => compare(a.pubkey.toBase58(), b.pubkey.toBase58());
+    results.sort((a, b) =>
+      query.sortBy
+        ? dir * compare(a.account[query.sortBy], b.account[query.sortBy]) || byAddress(a, b)
+        : dir * byAddress(a, b)
+    );
+  }
+  if (paginated) {
+    const start = query.offset ?? 0;
+    results = results.slice(start, query.limit === undefined ? undefined : start + query.limit);
+  }
+  return results;
 }
 
 // ═══════════════════════════════════════════════════════════════════════
 // Client
 // ═══════════════════════════════════════════════════════════════════════
 
+/**
+ * Options accepted by every high-level transactional method.
+ * With `mode: "build"` nothing is signed or sent: the method returns
+ * `{ transaction, instructions, feePayer, blockhash, lastValidBlockHeight,
+ * ...derivedAddresses }`, and signer arguments may be plain PublicKeys.
+ * Otherwise signer arguments may be `Keypair`s or wallet adapters
+ * (`WalletSigner`), mixed freely. `version` and `lookupTables` override the
+ * client-wide defaults for this call.
+ * @typedef {import("@solana/web3.js").ConfirmOptions & {
+ *   mode?: "send" | "build",
+ *   feePayer?: PublicKey,
+ *   version?: "legacy" | 0,
+ *   lookupTables?: import("@solana/web3.js").AddressLookupTableAccount[],
+ * }} TxOptions
+ */
+
+/**
+ * One position's outcome in a `claimAll` run.
+ * @typedef {Object} ClaimReportEntry
+ * @property {PublicKey} position
+ * @property {PublicKey} market
+ * @property {number} outcomeIndex
+ * @property {bigint} amount
+ * @property {"claimWinnings"|"claimRefund"|null} action - null when skipped before planning
+ * @property {"claimed"|"built"|"skipped"|"failed"} status - "built" in build mode
+ * @property {string|null} reason - Why it was skipped or failed, e.g. "LosingPosition", or
+ *   "TransactionTooLarge" for a claim that doesn't fit a transaction even on its own
+ * @property {number|null} transactionIndex - Index into `transactions`
+ * @property {string|null} signature
+ * @property {unknown} [error] - The (typed, when possible) error of a failed transaction
+ */
+
+/**
+ * A planned claim: its report entry, the claim instruction, and the
+ * instructions creating any token accounts it needs.
+ * @typedef {Object} ClaimPlanItem
+ * @property {ClaimReportEntry} entry
+ * @property {import("@solana/web3.js").TransactionInstruction} instruction
+ * @property {Array<{ address: PublicKey, instruction: import("@solana/web3.js").TransactionInstruction }>} setup
+ */
+
+/**
+ * One Precog instruction from a market's transaction history.
+ * @typedef {import("./decoder.js").DecodedTransactionInstruction & {
+ *   signature: string,
+ *   slot: number,
+ *   blockTime: number|null,
+ *   err: import("@solana/web3.js").TransactionError|null,
+ * }} MarketHistoryEvent
+ */
+
+/** Blockhash placeholder for sizing transactions before a real one is fetched. */
+const SIZING_BLOCKHASH = PublicKey.default.toBase58();
+
+/**
+ * Signers for createMarket: the payer, plus the authority when it was
+ * passed as a signer rather than a bare PublicKey (e.g. a multisig PDA).
+ */
+function marketSigners(params) {
+  const { payer, authority } = params;
+  return authority && !(authority instanceof PublicKey) ? [payer, authority] : [payer];
+}
+
+/** Merge `mode: "build"` into a method's options. */
+function asBuild(opts) {
+  return { ...opts, mode: "build" };
+}
+
 export class PrecogMarketsClient {
   /**
    * @param {Connection} connection
@@ -62,7 +324,12 @@ export class PrecogMarketsClient {
    *   programId?: PublicKey,
    *   computeUnitMargin?: number,
    *   priorityLevel?: string,
-   * }} [optsOrProgramId] - Options object, or a PublicKey for backward compat
+   *   version?: "legacy" | 0,
+   *   lookupTables?: import("@solana/web3.js").AddressLookupTableAccount[],
+   *   fetch?: typeof fetch,
+   * }} [optsOrProgramId] - Options object, or a PublicKey for backward compat.
+   *   `version` defaults to `0` when `lookupTables` are given, `"legacy"` otherwise.
+   *   `fetch` makes the Helius priority-fee requests (default: the global `fetch`).
    */
   constructor(connection, optsOrProgramId) {
     /** @type {Connection} */ this.connection = connection;
@@ -72,26 +339,170 @@ export class PrecogMarketsClient {
       /** @type {PublicKey} */ this.programId = optsOrProgramId;
       /** @type {number} */ this.computeUnitMargin = 1.1;
       /** @type {string} */ this.priorityLevel = "Medium";
+      /** @type {"legacy"|0|undefined} */ this.version = undefined;
+      /** @type {import("@solana/web3.js").AddressLookupTableAccount[]} */ this.lookupTables = [];
+      /** @type {typeof fetch} */ this.fetch = (...args) => fetch(...args);
     } else {
       const opts = optsOrProgramId ?? {};
       this.programId = opts.programId ?? PROGRAM_ID;
       this.computeUnitMargin = opts.computeUnitMargin ?? 1.1;
       this.priorityLevel = opts.priorityLevel ?? "Medium";
+      this.version = opts.version;
+      this.lookupTables = opts.lookupTables ?? [];
+      this.fetch = opts.fetch ?? ((...args) => fetch(...args));
     }
   }
 
   // ── helpers ────────────────────────────────────────────────────────
 
+  /**
+   * Transaction version and lookup tables for a call: per-call options
+   * win over the client-wide defaults.
+   * @param {{ version?: "legacy"|0, lookupTables?: import("@solana/web3.js").AddressLookupTableAccount[] }} [opts]
+   * @returns {{ version: "legacy"|0, lookupTables: import("@solana/web3.js").AddressLookupTableAccount[] }}
+   */
+  _messageOptions(opts) {
+    const lookupTables = opts?.lookupTables ?? this.lookupTables;
+    const version = resolveVersion({ version: opts?.version ?? this.version, lookupTables });
+    return { version, lookupTables: version === 0 ? lookupTables : [] };
+  }
+
   /**
    * Send a transaction containing one or more instructions.
+   * Signers may be `Keypair`s, wallet adapters, or a mix of both; the
+   * first signer pays the fee. Sent as a v0 transaction when the client or
+   * `opts` select version 0 or supply lookup tables.
    * @param {import("@solana/web3.js").TransactionInstruction[]} instructions
-   * @param {import("@solana/web3.js").Signer[]} signers
-   * @param {import("@solana/web3.js").ConfirmOptions} [opts]
+   * @param {import("./signer.js").AnySigner[]} signers
+   * @param {TxOptions} [opts]
    * @returns {Promise<string>} tx signature
+   * @throws {import("./errors.js").PrecogProgramError} when the program rejects the transaction
    */
   async sendTransaction(instructions, signers, opts) {
-    const tx = new Transaction().add(...instructions);
-    return sendAndConfirmTransaction(this.connection, tx, signers, opts);
+    try {
+      const legacy = this._messageOptions(opts).version === "legacy";
+      if (legacy && !signers.some(isWalletSigner)) {
+        const tx = new Transaction().add(...instructions);
+        return await sendAndConfirmTransaction(this.connection, tx, signers, opts);
+      }
+      return await this._signSendAndConfirm(instructions, signers, opts);
+    } catch (err) {
+      throw this._toProgramError(err, instructions);
+    }
+  }
+
+  /**
+   * Wallet- and v0-aware counterpart of web3.js `sendAndConfirmTransaction`.
+   * @param {import("@solana/web3.js").TransactionInstruction[]} instructions
+   * @param {import("./signer.js").AnySigner[]} signers
+   * @param {TxOptions} [opts]
+   * @returns {Promise<string>}
+   */
+  async _signSendAndConfirm(instructions, signers, opts) {
+    const { transaction, blockhash, lastValidBlockHeight } = await buildTransaction(
+      this.connection,
+      instructions,
+      {
+        feePayer: toPublicKey(signers[0]),
+        commitment: opts?.preflightCommitment ?? opts?.commitment,
+        ...this._messageOptions(opts),
+      }
+    );
+    const [signed] = await signTransactions([transaction], signers);
+
+    const signature = await this.connection.sendRawTransaction(signed.serialize(), {
+      skipPreflight: opts?.skipPreflight,
+      preflightCommitment: opts?.preflightCommitment ?? opts?.commitment,
+      maxRetries: opts?.maxRetries,
+      minContextSlot: opts?.minContextSlot,
+    });
+
+    const status = (
+      await this.connection.confirmTransaction(
+        { signature, blockhash, lastValidBlockHeight },
+        opts?.commitment
+      )
+    ).value;
+    if (status.err) {
+      throw new Error(`Transaction ${signature} failed (${JSON.stringify(status)})`);
+    }
+    return signature;
+  }
+
+  /**
+   * Map a failure onto a typed `PrecogProgramError` when it carries one of
+   * this program's custom error codes; otherwise return it unchanged.
+   * @param {unknown} err
+   * @param {import("@solana/web3.js").TransactionInstruction[]} instructions
+   */
+  _toProgramError(err, instructions) {
+    return parseProgramError(err, { instructions, programId: this.programId }) ?? err;
+  }
+
+  /**
+   * Run `validateCreateMarketArgs` against the live protocol config and
+   * throw if anything would be rejected on-chain.
+   * @param {Object} params - createSolMarket / createTokenMarket params
+   * @param {import("./validation.js").ValidationViolation[]} [extra] - Reported alongside, e.g. mint checks.
+   * @throws {PrecogValidationError}
+   */
+  async _assertValidCreateMarket(params, extra = []) {
+    // Only the fee override needs the on-chain config; skip the fetch otherwise.
+    const protocolConfig =
+      params.feeBpsOverride === null || params.feeBpsOverride === undefined
+        ? null
+        : await this.fetchProtocolConfig();
+    const violations = [...validateCreateMarketArgs(params, { protocolConfig }), ...extra];
+    if (violations.length > 0) throw new PrecogValidationError(violations);
+  }
+
+  /**
+   * Fetch and check a market mint (see `validateTokenMint`), and work out
+   * its token program and denomination from the account owner.
+   * @param {{ tokenMint: PublicKey, tokenProgram?: PublicKey, denomination?: number }} params
+   * @returns {Promise<{
+   *   tokenProgram: PublicKey|null,
+   *   denomination: number|null,
+   *   violations: import("./validation.js").ValidationViolation[],
+   * }>}
+   */
+  async _inspectTokenMint(params) {
+    const info = await this.connection.getAccountInfo(params.tokenMint);
+    let mint = null;
+    try {
+      mint = info ? decodeMint(info.data) : null;
+    } catch {
+      // Not a mint; reported as InvalidMint below
+    }
+    const owner = info?.owner ?? null;
+    const ownerDenomination = owner ? denominationForTokenProgram(owner) : null;
+    return {
+      tokenProgram: params.tokenProgram ?? (ownerDenomination === null ? null : owner),
+      denomination: params.denomination ?? ownerDenomination,
+      violations: validateTokenMint({
+        mint,
+        owner,
+        tokenProgram: params.tokenProgram,
+        denomination: params.denomination,
+      }),
+    };
+  }
+
+  /**
+   * Run `checkBetEligibility` and throw if the bet would be rejected.
+   * @param {Object} params - placeSolBet / placeTokenBet params
+   * @throws {PrecogValidationError}
+   */
+  async _assertBetEligible(params) {
+    const result = await this.checkBetEligibility({
+      market: params.market,
+      outcomeIndex: params.outcomeIndex,
+      amount: params.amount,
+    });
+    if (!result.eligible) {
+      const { reason: name, code, field, message } = result;
+      throw new PrecogValidationError([{ name, code, field, message }]);
+    }
   }
 
   /**
@@ -100,6 +511,52 @@ export class PrecogMarketsClient {
    */
   buildInstructions = ix;
 
+  /**
+   * Build-only variants of every transactional method, for wallet adapters
+   * that hold the keys. Same arguments as the method of the same name, but
+   * signers are plain `PublicKey`s and the result is an unsigned transaction
+   * (blockhash and fee payer set) plus its instructions and derived addresses.
+   *
+   * @example
+   * const { transaction, market } = await client.build.createSolMarket({ payer: wallet.publicKey, ... });
+   * await wallet.sendTransaction(transaction, connection);
+   */
+  build = {
+    initializeProtocol: (admin, treasury, defaultFeeBps, opts) =>
+      this.initializeProtocol(admin, treasury, defaultFeeBps, asBuild(opts)),
+    createSolMarket: (params) => this.createSolMarket({ ...params, opts: asBuild(params.opts) }),
+    createTokenMarket: (params) =>
+      this.createTokenMarket({ ...params, opts: asBuild(params.opts) }),
+    placeSolBet: (params) => this.placeSolBet({ ...params, opts: asBuild(params.opts) }),
+    placeTokenBet: (params) => this.placeTokenBet({ ...params, opts: asBuild(params.opts) }),
+    resolveMarket: (authority, market, winningOutcome, opts) =>
+      this.resolveMarket(authority, market, winningOutcome, asBuild(opts)),
+    disputeResolve: (authority, market, winningOutcome, opts) =>
+      this.disputeResolve(authority, market, winningOutcome, asBuild(opts)),
+    finalizeMarket: (payer, market, opts) => this.finalizeMarket(payer, market, asBuild(opts)),
+    claimSolWinnings: (params) => this.claimSolWinnings({ ...params, opts: asBuild(params.opts) }),
+    claimTokenWinnings: (params) =>
+      this.claimTokenWinnings({ ...params, opts: asBuild(params.opts) }),
+    voidMarket: (authority, market, opts) => this.voidMarket(authority, market, asBuild(opts)),
+    claimSolRefund: (params) => this.claimSolRefund({ ...params, opts: asBuild(params.opts) }),
+    claimTokenRefund: (params) =>
+      this.claimTokenRefund({ ...params, opts: asBuild(params.opts) }),
+    updateProtocolConfig: (admin, args, opts) =>
+      this.updateProtocolConfig(admin, args, asBuild(opts)),
+    createMultisig: (creator, nonce, threshold, signers, opts) =>
+      this.createMultisig(creator, nonce, threshold, signers, asBuild(opts)),
+    createProposal: (params) => this.createProposal({ ...params, opts: asBuild(params.opts) }),
+    approveProposal: (signer, proposal, multisig, opts) =>
+      this.approveProposal(signer, proposal, multisig, asBuild(opts)),
+    executeProposal: (payer, proposal, multisig, market, opts) =>
+      this.executeProposal(payer, proposal, multisig, market, asBuild(opts)),
+    harvestWithheldTokens: (params) =>
+      this.harvestWithheldTokens({ ...params, opts: asBuild(params.opts) }),
+    createMarketLookupTable: (params) =>
+      this.createMarketLookupTable({ ...params, opts: asBuild(params.opts) }),
+    claimAll: (owner, opts) => this.claimAll(owner, asBuild(opts)),
+  };
+
   // ── PDA convenience ────────────────────────────────────────────────
 
   findProtocolConfig() {
@@ -194,32 +651,23 @@ export class PrecogMarketsClient {
   // ── gPA-based queries ─────────────────────────────────────────────
 
   /**
-   * Fetch all Market accounts owned by this program.
-   * Optionally filter by authority.
-   * @param {{ authority?: PublicKey }} [filters]
+   * Fetch all Market accounts owned by this program, optionally filtered,
+   * sorted and paginated (see `MarketFilters`). Field filters run on the RPC
+   * node, up to its four-filter limit, and are re-checked after decoding;
+   * deadline, pool and title filters, sorting and pagination run
+   * client-side on the decoded accounts.
+   * @param {MarketFilters} [filters]
    * @returns {Promise<Array<{ pubkey: PublicKey, account: import("./accounts.js").MarketAccount }>>}
    */
   async getAllMarkets(filters = {}) {
-    const gpaFilters = [
-      { memcmp: { offset: 0, bytes: bs58Encode(ACCOUNT_DISCRIMINATORS.MARKET) } },
-    ];
-
-    if (filters.authority) {
-      // authority is at offset: 8 (disc) + 1 (bump) + 8 (marketId) = 17
-      gpaFilters.push({
-        memcmp: {
-          offset: 17,
-          bytes: filters.authority.toBase58(),
-        },
-      });
-    }
-
-    const accounts = await this.connection.getProgramAccounts(this.programId, {
-      filters: gpaFilters,
-    });
+    const responses = await Promise.all(
+      marketQueries(filters).map((q) =>
+        this.connection.getProgramAccounts(this.programId, { filters: q.filters })
+      )
+    );
 
     const results = [];
-    for (const { pubkey, account } of accounts) {
+    for (const { pubkey, account } of responses.flat()) {
       try {
         const decoded = decodeMarket(account.data);
         results.push({ pubkey, account: decoded });
@@ -227,7 +675,77 @@ export class PrecogMarketsClient {
         // Skip accounts that don't decode as Market (different account type)
       }
     }
-    return results;
+    return selectMarkets(results, filters);
+  }
+
+  /**
+   * Like `getAllMarkets`, but each account is fetched only up to the end of
+   * its title (`dataSlice`), skipping the description and outcome labels —
+   * about a quarter of the bytes. Takes the same filters; use `fetchMarket`
+   * to load one market in full. Runs one query per Market layout version,
+   * since the slice length and field offsets differ between them; the
+   * `dataSize` pin leaves room for two field filters on the RPC node, and
+   * the rest are matched on the decoded summaries.
+   * @param {MarketFilters} [filters]
+   * @returns {Promise<Array<{ pubkey: PublicKey, account: import("./accounts.js").MarketSummary }>>}
+   */
+  async getMarketSummaries(filters = {}) {
+    const queries = marketQueries(filters, { perLayout: true });
+    const responses = await Promise.all(
+      queries.map(({ layout, filters: gpaFilters }) =>
+        this.connection.getProgramAccounts(this.programId, {
+          filters: gpaFilters,
+          dataSlice: { offset: 0, length: layout.offsets.description },
+        })
+      )
+    );
+
+    const results = [];
+    responses.forEach((accounts, i) => {
+      for (const { pubkey, account } of accounts) {
+        try {
+          const summary = decodeMarketSummary(account.data, queries[i].layout.version);
+          results.push({ pubkey, account: summary });
+        } catch {
+          // skip
+        }
+      }
+    });
+    return selectMarkets(results, filters);
+  }
+
+  /**
+   * Pick the next free `marketId` for an authority: one past the highest id
+   * among its existing markets (found with the same authority memcmp as
+   * `getAllMarkets`, reading only the id via `dataSlice`), then probed with
+   * `findMarketAddress` in case a market landed since the RPC's snapshot.
+   *
+   * @param {PublicKey} authority
+   * @param {{ after?: bigint|number }} [opts] - Only consider ids greater than `after`.
+   * @returns {Promise<bigint>}
+   */
+  async nextMarketId(authority, opts = {}) {
+    const responses = await Promise.all(
+      marketQueries({ authority }, { sameOffsets: ["marketId"] }).map(({ layout, filters }) =>
+        this.connection.getProgramAccounts(this.programId, {
+          filters,
+          dataSlice: { offset: (layout ?? MARKET_LAYOUTS[0]).offsets.marketId, length: 8 },
+        })
+      )
+    );
+
+    let id = opts.after === undefined ? 0n : BigInt(opts.after) + 1n;
+    for (const { account } of responses.flat()) {
+      if (account.data.length < 8) continue;
+      const existing = account.data.readBigUInt64LE(0);
+      if (existing >= id) id = existing + 1n;
+    }
+
+    for (;;) {
+      const [market] = await this.findMarket(authority, id);
+      if (!(await this.connection.getAccountInfo(market))) return id;
+      id++;
+    }
   }
 
   /**
@@ -236,11 +754,10 @@ export class PrecogMarketsClient {
    * @returns {Promise<Array<{ pubkey: PublicKey, account: import("./accounts.js").UserPositionAccount }>>}
    */
   async getPositionsByOwner(owner) {
-    // owner is at offset: 8 (disc) + 1 (bump) + 32 (market) = 41
     const accounts = await this.connection.getProgramAccounts(this.programId, {
       filters: [
         { memcmp: { offset: 0, bytes: bs58Encode(ACCOUNT_DISCRIMINATORS.USER_POSITION) } },
-        { memcmp: { offset: 41, bytes: owner.toBase58() } },
+        { memcmp: { offset: USER_POSITION_OFFSETS.owner, bytes: owner.toBase58() } },
       ],
     });
 
@@ -256,17 +773,34 @@ export class PrecogMarketsClient {
     return results;
   }
 
+  /**
+   * Fetch a wallet's positions with their markets and value them. See
+   * `buildPortfolio` in portfolio.js.
+   * @param {PublicKey} owner
+   * @param {{ now?: bigint|number }} [opts] - Unix timestamp for states and countdowns
+   *   (default: local clock)
+   * @returns {Promise<import("./portfolio.js").Portfolio>}
+   */
+  async getPortfolio(owner, opts = {}) {
+    const positions = await this.getPositionsByOwner(owner);
+    const marketKeys = [
+      ...new Map(positions.map((p) => [p.account.market.toBase58(), p.account.market])).values(),
+    ];
+    const markets = await this.fetchMarkets(marketKeys);
+    const marketsByKey = new Map(marketKeys.map((k, i) => [k.toBase58(), markets[i]]));
+    return buildPortfolio(positions, marketsByKey, { now: opts.now });
+  }
+
   /**
    * Fetch all UserPosition accounts for a given market.
    * @param {PublicKey} market
    * @returns {Promise<Array<{ pubkey: PublicKey, account: import("./accounts.js").UserPositionAccount }>>}
    */
   async getPositionsByMarket(market) {
-    // market is at offset: 8 (disc) + 1 (bump) = 9
     const accounts = await this.connection.getProgramAccounts(this.programId, {
       filters: [
         { memcmp: { offset: 0, bytes: bs58Encode(ACCOUNT_DISCRIMINATORS.USER_POSITION) } },
-        { memcmp: { offset: 9, bytes: market.toBase58() } },
+        { memcmp: { offset: USER_POSITION_OFFSETS.market, bytes: market.toBase58() } },
       ],
     });
 
@@ -288,11 +822,10 @@ export class PrecogMarketsClient {
    * @returns {Promise<Array<{ pubkey: PublicKey, account: import("./accounts.js").MultisigProposalAccount }>>}
    */
   async getProposalsByMultisig(multisig) {
-    // multisig is at offset: 8 (disc) + 1 (bump) = 9
     const accounts = await this.connection.getProgramAccounts(this.programId, {
       filters: [
         { memcmp: { offset: 0, bytes: bs58Encode(ACCOUNT_DISCRIMINATORS.MULTISIG_PROPOSAL) } },
-        { memcmp: { offset: 9, bytes: multisig.toBase58() } },
+        { memcmp: { offset: MULTISIG_PROPOSAL_OFFSETS.multisig, bytes: multisig.toBase58() } },
       ],
     });
 
@@ -308,54 +841,460 @@ export class PrecogMarketsClient {
     return results;
   }
 
+  // ── history ───────────────────────────────────────────────────────
+
+  /**
+   * Walk a market's transaction history and yield every Precog instruction
+   * that touched it — creation, bets, resolution, disputes, finalization,
+   * claims, proposals — oldest first (slot order).
+   *
+   * All signatures in range are listed first (`getSignaturesForAddress`,
+   * newest to oldest, 1000 per page); transactions are then fetched in
+   * batches of `batchSize` and yielded as they arrive.
+   *
+   * @param {PublicKey} market
+   * @param {{
+   *   before?: string,
+   *   until?: string,
+   *   limit?: number,
+   *   batchSize?: number,
+   *   includeFailed?: boolean,
+   *   commitment?: import("@solana/web3.js").Finality,
+   * }} [opts] - `before` / `until` bound the range by signature (exclusive), `limit` caps the
+   *   number of signatures scanned (newest first), `batchSize` defaults to 25. Failed
+   *   transactions are skipped unless `includeFailed` is set.
+   * @returns {AsyncGenerator<MarketHistoryEvent>}
+   */
+  async *getMarketHistory(market, opts = {}) {
+    const commitment = opts.commitment ?? "confirmed";
+    const limit = opts.limit ?? Infinity;
+
+    const signatures = [];
+    let before = opts.before;
+    while (signatures.length < limit) {
+      const pageSize = Math.min(1000, limit - signatures.length);
+      const page = await this.connection.getSignaturesForAddress(
+        market,
+        { before, until: opts.until, limit: pageSize },
+        commitment
+      );
+      signatures.push(...page);
+      if (page.length < pageSize) break;
+      before = page[page.length - 1].signature;
+    }
+
+    const wanted = signatures
+      .filter((s) => opts.includeFailed || !s.err)
+      .reverse()
+      // Newest-first pages are already ordered; the stable sort only guards against RPC quirks.
+      .sort((a, b) => a.slot - b.slot);
+
+    const batchSize = opts.batchSize ?? 25;
+    for (let i = 0; i < wanted.length; i += batchSize) {
+      const batch = wanted.slice(i, i + batchSize);
+      const txs = await this.connection.getTransactions(
+        batch.map((s) => s.signature),
+        { commitment, maxSupportedTransactionVersion: 0 }
+      );
+
+      for (let j = 0; j < batch.length; j++) {
+        const tx = txs[j];
+        if (!tx) continue;
+        for (const decoded of decodeTransaction(tx, this.programId)) {
+          if (!Object.values(decoded.accounts).some((k) => k.equals(market))) continue;
+          yield {
+            ...decoded,
+            signature: batch[j].signature,
+            slot: tx.slot,
+            blockTime: tx.blockTime ?? null,
+            err: tx.meta?.err ?? null,
+          };
+        }
+      }
+    }
+  }
+
+  // ── subscriptions ─────────────────────────────────────────────────
+
+  /**
+   * A local index of this program's markets and positions on this client's
+   * connection. Call `start()` on it before querying.
+   * @param {Omit<ConstructorParameters<typeof PrecogIndexer>[1], "programId">} [opts]
+   * @returns {PrecogIndexer}
+   */
+  createIndexer(opts = {}) {
+    return new PrecogIndexer(this.connection, { ...opts, programId: this.programId });
+  }
+
+  /**
+   * Stream decoded updates for one market, with the pool / status /
+   * winning-outcome changes since the previous update. The current state is
+   * emitted once on subscribe; the account is refetched every
+   * `resyncIntervalMs` (default 30s) to catch updates missed while the
+   * websocket was reconnecting.
+   *
+   * @param {PublicKey} address
+   * @param {(update: import("./subscriptions.js").AccountUpdate<
+   *   import("./accounts.js").MarketAccount,
+   *   import("./subscriptions.js").MarketChange
+   * >) => void} callback
+   * @param {import("./subscriptions.js").SubscriptionOptions} [opts]
+   * @returns {Promise<import("./subscriptions.js").Subscription>}
+   */
+  async subscribeMarket(address, callback, opts) {
+    return subscribeAccount(this.connection, address, MARKET_CODEC, callback, opts);
+  }
+
+  /**
+   * Stream decoded updates for every market matching a filter, including the
+   * update that takes a market out of it (e.g. Open → Resolved with a `status`
+   * filter) and `account: null` once a market is closed. The current markets
+   * are loaded up front and resynced every `resyncIntervalMs` (default 30s).
+   *
+   * @param {Pick<MarketFilters, "authority"|"creator"|"tokenMint"|"status"|"denomination"|"authorityIsMultisig"> & {
+   *   match?: (market: import("./accounts.js").MarketAccount) => boolean,
+   * }} filter - Field filters run on the RPC node (as in `getAllMarkets`), except `status`,
+   *   which changes over a market's life and so is matched client-side with `match`.
+   * @param {(update: import("./subscriptions.js").AccountUpdate<
+   *   import("./accounts.js").MarketAccount,
+   *   import("./subscriptions.js").MarketChange
+   * >) => void} callback
+   * @param {import("./subscriptions.js").SubscriptionOptions & { seed?: boolean }} [opts]
+   * @returns {Promise<import("./subscriptions.js").Subscription>}
+   */
+  async subscribeMarkets(filter = {}, callback, opts = {}) {
+    // Field filters past the RPC's limit are matched client-side, and so is
+    // `status`: the RPC would stop notifying once a market leaves it.
+    const match = (market) => matchesMarketFields(market, filter) && (filter.match?.(market) ?? true);
+    const subs = await Promise.all(
+      marketQueries({ ...filter, status: undefined }).map(({ filters }) =>
+        subscribeProgramAccounts(this.connection, this.programId, filters, MARKET_CODEC, callback, {
+          ...opts,
+          match,
+        })
+      )
+    );
+    if (subs.length === 1) return subs[0];
+    // Filters that differ by layout version need one socket per version.
+    return {
+      async unsubscribe() {
+        await Promise.all(subs.map((sub) => sub.unsubscribe()));
+      },
+      async resync() {
+        await Promise.all(subs.map((sub) => sub.resync()));
+      },
+    };
+  }
+
+  /**
+   * Stream decoded updates for one user position (amount and claimed changes).
+   * Same options and resync behaviour as `subscribeMarket`.
+   *
+   * @param {PublicKey} address
+   * @param {(update: import("./subscriptions.js").AccountUpdate<
+   *   import("./accounts.js").UserPositionAccount,
+   *   import("./subscriptions.js").PositionChange
+   * >) => void} callback
+   * @param {import("./subscriptions.js").SubscriptionOptions} [opts]
+   * @returns {Promise<import("./subscriptions.js").Subscription>}
+   */
+  async subscribePosition(address, callback, opts) {
+    return subscribeAccount(this.connection, address, USER_POSITION_CODEC, callback, opts);
+  }
+
+  /**
+   * Stream decoded updates for the positions of an owner, a market, or both.
+   *
+   * @param {{ owner?: PublicKey, market?: PublicKey }} filter
+   * @param {(update: import("./subscriptions.js").AccountUpdate<
+   *   import("./accounts.js").UserPositionAccount,
+   *   import("./subscriptions.js").PositionChange
+   * >) => void} callback
+   * @param {import("./subscriptions.js").SubscriptionOptions & { seed?: boolean }} [opts]
+   * @returns {Promise<import("./subscriptions.js").Subscription>}
+   */
+  async subscribePositions(filter, callback, opts) {
+    const filters = [
+      { memcmp: { offset: 0, bytes: bs58Encode(ACCOUNT_DISCRIMINATORS.USER_POSITION) } },
+    ];
+    if (filter?.market) {
+      const bytes = filter.market.toBase58();
+      filters.push({ memcmp: { offset: USER_POSITION_OFFSETS.market, bytes } });
+    }
+    if (filter?.owner) {
+      const bytes = filter.owner.toBase58();
+      filters.push({ memcmp: { offset: USER_POSITION_OFFSETS.owner, bytes } });
+    }
+    return subscribeProgramAccounts(
+      this.connection,
+      this.programId,
+      filters,
+      USER_POSITION_CODEC,
+      callback,
+      opts
+    );
+  }
+
+  // ── pre-flight checks ─────────────────────────────────────────────
+
+  /**
+   * Fetch the market and protocol config in one RPC call and check whether
+   * a bet would be accepted. See `checkBetEligibility` in validation.js.
+   * @param {{ market: PublicKey, outcomeIndex: number, amount: bigint|number }} params
+   * @returns {Promise<import("./validation.js").BetEligibility>}
+   */
+  async checkBetEligibility(params) {
+    const [protocolConfigAddress] = await this.findProtocolConfig();
+    const [marketInfo, configInfo] = await this.connection.getMultipleAccountsInfo([
+      params.market,
+      protocolConfigAddress,
+    ]);
+
+    if (!marketInfo?.data) {
+      return {
+        eligible: false,
+        reason: "AccountNotInitialized",
+        code: ErrorName.AccountNotInitialized,
+        field: "market",
+        message: "Market account not found",
+        minimum: 0n,
+        netAmount: 0n,
+      };
+    }
+
+    return checkBetEligibility({
+      market: decodeMarket(marketInfo.data),
+      protocolConfig: configInfo?.data ? decodeProtocolConfig(configInfo.data) : null,
+      outcomeIndex: params.outcomeIndex,
+      amount: params.amount,
+    });
+  }
+
+  /**
+   * Fetch a position with its market in one RPC call and quote its claim.
+   * See `quoteClaim` in math.js.
+   * @param {{ market: PublicKey, position: PublicKey }} params
+   * @returns {Promise<import("./math.js").ClaimQuote>}
+   */
+  async quoteClaim(params) {
+    const [marketInfo, positionInfo] = await this.connection.getMultipleAccountsInfo([
+      params.market,
+      params.position,
+    ]);
+    if (!marketInfo?.data) throw new Error("Market account not found");
+    if (!positionInfo?.data) throw new Error("Position account not found");
+
+    return quoteClaim(decodeMarket(marketInfo.data), decodeUserPosition(positionInfo.data));
+  }
+
+  // ── token accounts ────────────────────────────────────────────────
+
+  /**
+   * Fetch a market or throw if the account doesn't exist.
+   * @param {PublicKey} market
+   * @returns {Promise<import("./accounts.js").MarketAccount>}
+   */
+  async _fetchMarketOrThrow(market) {
+    const account = await this.fetchMarket(market);
+    if (!account) throw new Error(`Market ${market.toBase58()} not found`);
+    return account;
+  }
+
+  /**
+   * Fetch the protocol config or throw if the protocol isn't initialized.
+   * @returns {Promise<import("./accounts.js").ProtocolConfigAccount>}
+   */
+  async _fetchProtocolConfigOrThrow() {
+    const account = await this.fetchProtocolConfig();
+    if (!account) throw new Error("Protocol config not found; is the protocol initialized?");
+    return account;
+  }
+
+  /**
+   * Mint, token program, vault authority and token vault for a token-market
+   * flow. Explicit `params` win; anything missing is derived from the market
+   * account (fetched only when needed and `account` isn't given). The token
+   * vault defaults to the vault authority's associated token account.
+   *
+   * @param {PublicKey} market
+   * @param {{ tokenMint?: PublicKey, tokenProgram?: PublicKey, tokenVault?: PublicKey }} params
+   * @param {import("./accounts.js").MarketAccount|null} [account]
+   * @returns {Promise<{
+   *   account: import("./accounts.js").MarketAccount|null,
+   *   vaultAuthority: PublicKey,
+   *   tokenMint: PublicKey,
+   *   tokenProgram: PublicKey,
+   *   tokenVault: PublicKey,
+   * }>}
+   */
+  async _resolveMarketToken(market, params, account = null) {
+    if (!account && (!params.tokenMint || !params.tokenProgram || !params.tokenVault)) {
+      account = await this._fetchMarketOrThrow(market);
+    }
+    const [vaultAuthority] = await this.findVaultAuthority(market);
+    const tokenMint = params.tokenMint ?? account.tokenMint;
+    const tokenProgram = params.tokenProgram ?? tokenProgramForDenomination(account.denomination);
+    if (!tokenProgram) {
+      throw new Error(`Market ${market.toBase58()} is ${account.denominationName}, not a token market`);
+    }
+    const tokenVault =
+      params.tokenVault ??
+      (await findAssociatedTokenAddress(vaultAuthority, tokenMint, tokenProgram))[0];
+    return { account, vaultAuthority, tokenMint, tokenProgram, tokenVault };
+  }
+
+  /**
+   * Resolve token accounts for a list of owners: an explicit `address` is
+   * used as-is, otherwise the owner's associated token account is derived.
+   * Derived accounts are returned with a `setup` instruction that creates
+   * them idempotently; pass `create` to keep only those that don't exist yet.
+   *
+   * @param {PublicKey} payer - Pays rent for any created account.
+   * @param {Array<{ owner: PublicKey, address?: PublicKey }>} entries
+   * @param {{ tokenMint: PublicKey, tokenProgram: PublicKey }} token
+   * @param {boolean} [create=true] - false: derive only, never create.
+   * @returns {Promise<{
+   *   addresses: PublicKey[],
+   *   setup: Array<{ address: PublicKey, instruction: import("@solana/web3.js").TransactionInstruction }>,
+   * }>} `addresses[i]` belongs to `entries[i]`.
+   */
+  async _resolveTokenAccounts(payer, entries, token, create = true) {
+    const { tokenMint, tokenProgram } = token;
+    const addresses = [];
+    const derived = new Map();
+    for (const { owner, address } of entries) {
+      if (address) {
+        addresses.push(address);
+        continue;
+      }
+      const [ata] = await findAssociatedTokenAddress(owner, tokenMint, tokenProgram);
+      addresses.push(ata);
+      derived.set(ata.toBase58(), { address: ata, owner });
+    }
+
+    if (!create || derived.size === 0) return { addresses, setup: [] };
+
+    const candidates = [...derived.values()];
+    const missing = await this._missingAccounts(candidates.map((c) => c.address));
+    const setup = candidates
+      .filter((c) => missing.has(c.address.toBase58()))
+      .map(({ address, owner }) => ({
+        address,
+        instruction: createAssociatedTokenAccountIdempotent({
+          payer,
+          associatedToken: address,
+          owner,
+          mint: tokenMint,
+          tokenProgram,
+        }),
+      }));
+    return { addresses, setup };
+  }
+
+  /**
+   * Which of `addresses` have no account on chain.
+   * @param {PublicKey[]} addresses
+   * @returns {Promise<Set<string>>} Base58 keys of the missing accounts.
+   */
+  async _missingAccounts(addresses) {
+    const missing = new Set();
+    // getMultipleAccounts takes at most 100 keys per call
+    for (let i = 0; i < addresses.length; i += 100) {
+      const chunk = addresses.slice(i, i + 100);
+      const infos = await this.connection.getMultipleAccountsInfo(chunk);
+      infos.forEach((info, j) => {
+        if (!info) missing.add(chunk[j].toBase58());
+      });
+    }
+    return missing;
+  }
+
   // ═════════════════════════════════════════════════════════════════════
   // HIGH-LEVEL TRANSACTIONAL METHODS
+  //
+  // Every method accepts `opts.mode = "build"` (or is reachable through
+  // `client.build.*`), in which case signer arguments may be plain
+  // PublicKeys and an unsigned transaction is returned instead of sent.
   // ═════════════════════════════════════════════════════════════════════
 
+  /**
+   * Send the instructions, or in build mode return them as an unsigned
+   * transaction. `result` carries the derived addresses for either mode.
+   * @template {Object} R
+   * @param {import("@solana/web3.js").TransactionInstruction[]} instructions
+   * @param {Array<import("./signer.js").AnySigner|PublicKey>} signers - First entry is the fee payer.
+   * @param {TxOptions} [opts]
+   * @param {R} [result]
+   */
+  async _execute(instructions, signers, opts, result) {
+    if (opts?.mode === "build") {
+      const feePayer = opts.feePayer ?? toPublicKey(signers[0]);
+      const built = await buildTransaction(this.connection, instructions, {
+        feePayer,
+        commitment: opts.commitment,
+        ...this._messageOptions(opts),
+      });
+      return { ...result, instructions, feePayer, ...built };
+    }
+
+    const signature = await this.sendTransaction(instructions, signers, opts);
+    return { signature, ...result };
+  }
+
   /**
    * Initialize the protocol. Must be called once.
-   * @param {import("@solana/web3.js").Signer} admin
+   * @param {import("./signer.js").AnySigner} admin
    * @param {PublicKey} treasury
    * @param {number} defaultFeeBps
-   * @param {import("@solana/web3.js").ConfirmOptions} [opts]
+   * @param {TxOptions} [opts]
    * @returns {Promise<{ signature: string, protocolConfig: PublicKey }>}
    */
   async initializeProtocol(admin, treasury, defaultFeeBps, opts) {
     const [protocolConfig] = await this.findProtocolConfig();
 
     const instruction = ix.initializeProtocol(
-      { protocolConfig, admin: admin.publicKey, treasury },
+      { protocolConfig, admin: toPublicKey(admin), treasury },
       { defaultFeeBps },
       this.programId
     );
 
-    const signature = await this.sendTransaction([instruction], [admin], opts);
-    return { signature, protocolConfig };
+    return this._execute([instruction], [admin], opts, { protocolConfig });
   }
 
   /**
    * Create a SOL-denominated prediction market.
    * @param {Object} params
-   * @param {import("@solana/web3.js").Signer} params.payer - Pays rent (also authority for single-sig).
-   * @param {PublicKey} [params.authority] - Market authority. Defaults to payer.publicKey.
-   * @param {bigint|number} params.marketId
+   * @param {import("./signer.js").AnySigner} params.payer - Pays rent (also authority for single-sig).
+   * @param {import("./signer.js").AnySigner|PublicKey} [params.authority] - Market authority. Defaults to
+   *   the payer. Pass a signer (keypair or wallet) when it differs from the payer; a bare PublicKey is
+   *   for multisig PDAs.
+   * @param {bigint|number} [params.marketId] - Default: `nextMarketId(authority)`, retried on collision.
+   * @param {number} [params.marketIdRetries=3] - Collision retries when `marketId` is allocated.
    * @param {string} params.title
    * @param {string} params.description
    * @param {string[]} params.outcomeLabels
    * @param {bigint|number} params.resolutionDeadline - Unix timestamp
    * @param {number|null} [params.feeBpsOverride]
    * @param {boolean} [params.authorityIsMultisig=false]
-   * @param {import("@solana/web3.js").ConfirmOptions} [params.opts]
-   * @returns {Promise<{ signature: string, market: PublicKey, vault: PublicKey }>}
+   * @param {boolean} [params.skipValidation=false] - Skip client-side `validateCreateMarketArgs`.
+   * @param {TxOptions} [params.opts]
+   * @returns {Promise<{ signature: string, market: PublicKey, vault: PublicKey, marketId: bigint }>}
+   * @throws {PrecogValidationError} if the args break an on-chain limit
    */
   async createSolMarket(params) {
-    const authority = params.authority ?? params.payer.publicKey;
+    if (params.marketId === undefined || params.marketId === null) {
+      return this._withAllocatedMarketId(params, (p) => this.createSolMarket(p));
+    }
+    if (!params.skipValidation) await this._assertValidCreateMarket(params);
+
+    const payer = toPublicKey(params.payer);
+    const authority = params.authority ? toPublicKey(params.authority) : payer;
     const [market] = await this.findMarket(authority, params.marketId);
     const [vault] = await this.findVault(market);
     const [protocolConfig] = await this.findProtocolConfig();
 
     const instruction = ix.createMarket(
-      { market, vault, authority, payer: params.payer.publicKey, protocolConfig },
+      { market, vault, authority, payer, protocolConfig },
       {
         marketId: params.marketId,
         title: params.title,
@@ -369,50 +1308,116 @@ export class PrecogMarketsClient {
       this.programId
     );
 
-    const signature = await this.sendTransaction(
-      [instruction],
-      [params.payer],
-      params.opts
-    );
-    return { signature, market, vault };
+    return this._execute([instruction], marketSigners(params), params.opts, {
+      market,
+      vault,
+      marketId: BigInt(params.marketId),
+    });
+  }
+
+  /**
+   * Run a createMarket variant with `nextMarketId`, retrying with the next
+   * free id when a concurrent creator takes it first (AccountAlreadyInitialized).
+   * Build mode can't observe collisions, so it allocates once.
+   * @template R
+   * @param {Object} params - createSolMarket / createTokenMarket params without `marketId`
+   * @param {(params: Object) => Promise<R>} create
+   * @returns {Promise<R>}
+   */
+  async _withAllocatedMarketId(params, create) {
+    const authority = toPublicKey(params.authority ?? params.payer);
+    const retries = params.marketIdRetries ?? 3;
+    let marketId = await this.nextMarketId(authority);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Arguments were validated on the first attempt; only the id changes.
+        const skipValidation = params.skipValidation || attempt > 0;
+        return await create({ ...params, marketId, skipValidation });
+      } catch (err) {
+        if (!(err instanceof ProgramErrors.AccountAlreadyInitialized) || attempt >= retries) throw err;
+        marketId = await this.nextMarketId(authority, { after: marketId });
+      }
+    }
   }
 
   /**
    * Create an SPL Token or Token-2022 denominated market.
+   *
+   * The mint is fetched to pick `tokenProgram` and `denomination` (when
+   * omitted) and to reject mints the program is known to refuse (see
+   * `REFUSED_MINT_EXTENSIONS`). Unless `tokenVault` is passed, the vault
+   * authority's associated token account is created in the same
+   * transaction, so no separate setup step is needed.
+   *
    * @param {Object} params
-   * @param {import("@solana/web3.js").Signer} params.payer
-   * @param {PublicKey} [params.authority]
-   * @param {bigint|number} params.marketId
+   * @param {import("./signer.js").AnySigner} params.payer
+   * @param {import("./signer.js").AnySigner|PublicKey} [params.authority] - See `createSolMarket`.
+   * @param {bigint|number} [params.marketId] - See `createSolMarket`.
+   * @param {number} [params.marketIdRetries=3]
    * @param {string} params.title
    * @param {string} params.description
    * @param {string[]} params.outcomeLabels
    * @param {bigint|number} params.resolutionDeadline
    * @param {number|null} [params.feeBpsOverride]
    * @param {PublicKey} params.tokenMint
-   * @param {PublicKey} params.tokenVault - Pre-created ATA owned by vaultAuthority PDA.
-   * @param {PublicKey} params.tokenProgram - TOKEN_PROGRAM_ID or TOKEN_2022_PROGRAM_ID.
-   * @param {number} params.denomination - 1=SplToken, 2=Token2022.
+   * @param {PublicKey} [params.tokenVault] - Pre-created token account owned by the vaultAuthority PDA.
+   *   Default: its associated token account, created in the same transaction.
+   * @param {PublicKey} [params.tokenProgram] - Default: the mint's owner program.
+   * @param {number} [params.denomination] - 1=SplToken, 2=Token2022. Default: from the mint's owner program.
    * @param {boolean} [params.authorityIsMultisig=false]
-   * @param {import("@solana/web3.js").ConfirmOptions} [params.opts]
+   * @param {boolean} [params.skipValidation=false] - Skip client-side `validateCreateMarketArgs`
+   *   and the mint checks. The mint is still fetched if `tokenProgram` or `denomination` is omitted.
+   * @param {TxOptions} [params.opts]
+   * @throws {PrecogValidationError} if the args break an on-chain limit or the mint is refused
    */
   async createTokenMarket(params) {
-    const authority = params.authority ?? params.payer.publicKey;
+    if (params.marketId === undefined || params.marketId === null) {
+      return this._withAllocatedMarketId(params, (p) => this.createTokenMarket(p));
+    }
+    let { tokenProgram, denomination } = params;
+    if (!params.skipValidation || !tokenProgram || denomination === undefined) {
+      const inspected = await this._inspectTokenMint(params);
+      if (!params.skipValidation) await this._assertValidCreateMarket(params, inspected.violations);
+      if (!inspected.tokenProgram || inspected.denomination === null) {
+        throw new PrecogValidationError(inspected.violations);
+      }
+      ({ tokenProgram, denomination } = inspected);
+    }
+
+    const payer = toPublicKey(params.payer);
+    const authority = params.authority ? toPublicKey(params.authority) : payer;
     const [market] = await this.findMarket(authority, params.marketId);
     const [vault] = await this.findVault(market);
     const [vaultAuthority] = await this.findVaultAuthority(market);
     const [protocolConfig] = await this.findProtocolConfig();
+    const tokenVault =
+      params.tokenVault ??
+      (await findAssociatedTokenAddress(vaultAuthority, params.tokenMint, tokenProgram))[0];
+
+    const instructions = [];
+    if (!params.tokenVault) {
+      instructions.push(
+        createAssociatedTokenAccountIdempotent({
+          payer,
+          associatedToken: tokenVault,
+          owner: vaultAuthority,
+          mint: params.tokenMint,
+          tokenProgram,
+        })
+      );
+    }
 
     const instruction = ix.createMarket(
       {
         market,
         vault,
         authority,
-        payer: params.payer.publicKey,
+        payer,
         protocolConfig,
         tokenMint: params.tokenMint,
         vaultAuthority,
-        tokenVault: params.tokenVault,
-        tokenProgram: params.tokenProgram,
+        tokenVault,
+        tokenProgram,
       },
       {
         marketId: params.marketId,
@@ -421,135 +1426,153 @@ export class PrecogMarketsClient {
         outcomeLabels: params.outcomeLabels,
         resolutionDeadline: params.resolutionDeadline,
         feeBpsOverride: params.feeBpsOverride ?? null,
-        denomination: params.denomination,
+        denomination,
         authorityIsMultisig: params.authorityIsMultisig ?? false,
       },
       this.programId
     );
-
-    const signature = await this.sendTransaction(
-      [instruction],
-      [params.payer],
-      params.opts
-    );
-    return { signature, market, vault, vaultAuthority };
+    instructions.push(instruction);
+
+    return this._execute(instructions, marketSigners(params), params.opts, {
+      market,
+      vault,
+      vaultAuthority,
+      tokenVault,
+      marketId: BigInt(params.marketId),
+    });
   }
 
   /**
    * Place a bet on a SOL market.
    * @param {Object} params
-   * @param {import("@solana/web3.js").Signer} params.bettor
+   * @param {import("./signer.js").AnySigner} params.bettor
    * @param {PublicKey} params.market
    * @param {number} params.outcomeIndex
    * @param {bigint|number} params.amount - In lamports.
-   * @param {import("@solana/web3.js").ConfirmOptions} [params.opts]
+   * @param {boolean} [params.skipValidation=false] - Skip the `checkBetEligibility` pre-flight.
+   * @param {TxOptions} [params.opts]
+   * @throws {PrecogValidationError} if the bet would be rejected on-chain
    */
   async placeSolBet(params) {
+    if (!params.skipValidation) await this._assertBetEligible(params);
+
+    const bettor = toPublicKey(params.bettor);
     const [vault] = await this.findVault(params.market);
-    const [position] = await this.findPosition(
-      params.market,
-      params.bettor.publicKey,
-      params.outcomeIndex
-    );
-    const [protocolConfig] = this.findProtocolConfig();
+    const [position] = await this.findPosition(params.market, bettor, params.outcomeIndex);
+    const [protocolConfig] = await this.findProtocolConfig();
 
     const instruction = ix.placeBet(
-      { market: params.market, vault, position, bettor: params.bettor.publicKey, protocolConfig },
+      { market: params.market, vault, position, bettor, protocolConfig },
       { outcomeIndex: params.outcomeIndex, amount: params.amount },
       this.programId
     );
 
-    const signature = await this.sendTransaction(
-      [instruction],
-      [params.bettor],
-      params.opts
-    );
-    return { signature, position };
+    return this._execute([instruction], [params.bettor], params.opts, { position });
   }
 
   /**
    * Place a bet on an SPL / Token-2022 market.
    * @param {Object} params
-   * @param {import("@solana/web3.js").Signer} params.bettor
+   * @param {import("./signer.js").AnySigner} params.bettor
    * @param {PublicKey} params.market
    * @param {number} params.outcomeIndex
    * @param {bigint|number} params.amount
-   * @param {PublicKey} params.bettorTokenAccount
-   * @param {PublicKey} params.tokenVault
-   * @param {PublicKey} params.tokenMint
-   * @param {PublicKey} params.tokenProgram
-   * @param {import("@solana/web3.js").ConfirmOptions} [params.opts]
+   * @param {PublicKey} [params.bettorTokenAccount] - Default: the bettor's associated token account.
+   * @param {PublicKey} [params.tokenVault] - Default: derived from the market.
+   * @param {PublicKey} [params.tokenMint] - Default: the market's mint.
+   * @param {PublicKey} [params.tokenProgram] - Default: from the market's denomination.
+   * @param {boolean} [params.skipValidation=false] - Skip the `checkBetEligibility` pre-flight.
+   * @param {TxOptions} [params.opts]
+   * @throws {PrecogValidationError} if the bet would be rejected on-chain
    */
   async placeTokenBet(params) {
+    if (!params.skipValidation) await this._assertBetEligible(params);
+
+    const bettor = toPublicKey(params.bettor);
     const [vault] = await this.findVault(params.market);
-    const [position] = await this.findPosition(
-      params.market,
-      params.bettor.publicKey,
-      params.outcomeIndex
+    const [position] = await this.findPosition(params.market, bettor, params.outcomeIndex);
+    const [protocolConfig] = await this.findProtocolConfig();
+    const token = await this._resolveMarketToken(params.market, params);
+    const {
+      addresses: [bettorTokenAccount],
+    } = await this._resolveTokenAccounts(
+      bettor,
+      [{ owner: bettor, address: params.bettorTokenAccount }],
+      token,
+      false
     );
-    const [protocolConfig] = this.findProtocolConfig();
 
     const instruction = ix.placeBet(
       {
         market: params.market,
         vault,
         position,
-        bettor: params.bettor.publicKey,
+        bettor,
         protocolConfig,
-        bettorTokenAccount: params.bettorTokenAccount,
-        tokenVault: params.tokenVault,
-        tokenMint: params.tokenMint,
-        tokenProgram: params.tokenProgram,
+        bettorTokenAccount,
+        tokenVault: token.tokenVault,
+        tokenMint: token.tokenMint,
+        tokenProgram: token.tokenProgram,
       },
       { outcomeIndex: params.outcomeIndex, amount: params.amount },
       this.programId
     );
 
-    const signature = await this.sendTransaction(
-      [instruction],
-      [params.bettor],
-      params.opts
-    );
-    return { signature, position };
+    return this._execute([instruction], [params.bettor], params.opts, { position });
   }
 
   /**
    * Resolve a market (single-sig authority only).
-   * @param {import("@solana/web3.js").Signer} authority
+   * @param {import("./signer.js").AnySigner} authority
    * @param {PublicKey} market
    * @param {number} winningOutcome
-   * @param {import("@solana/web3.js").ConfirmOptions} [opts]
+   * @param {TxOptions} [opts]
    */
   async resolveMarket(authority, market, winningOutcome, opts) {
     const instruction = ix.resolveMarket(
-      { market, authority: authority.publicKey },
+      { market, authority: toPublicKey(authority) },
       { winningOutcome },
       this.programId
     );
-    const signature = await this.sendTransaction([instruction], [authority], opts);
-    return { signature };
+    return this._execute([instruction], [authority], opts);
+  }
+
+  /**
+   * Re-resolve a market during its dispute window (single-sig authority only).
+   * The new outcome must differ from the current one; restarts the window.
+   * @param {import("./signer.js").AnySigner} authority
+   * @param {PublicKey} market
+   * @param {number} winningOutcome
+   * @param {TxOptions} [opts]
+   */
+  async disputeResolve(authority, market, winningOutcome, opts) {
+    const instruction = ix.disputeResolve(
+      { market, authority: toPublicKey(authority) },
+      { winningOutcome },
+      this.programId
+    );
+    return this._execute([instruction], [authority], opts);
   }
 
   /**
    * Finalize a market (permissionless crank).
-   * @param {import("@solana/web3.js").Signer} payer - Any signer to pay tx fees.
+   * @param {import("./signer.js").AnySigner} payer - Any signer to pay tx fees.
    * @param {PublicKey} market
-   * @param {import("@solana/web3.js").ConfirmOptions} [opts]
+   * @param {TxOptions} [opts]
    */
   async finalizeMarket(payer, market, opts) {
     const instruction = ix.finalizeMarket({ market }, this.programId);
-    const signature = await this.sendTransaction([instruction], [payer], opts);
-    return { signature };
+    return this._execute([instruction], [payer], opts);
   }
 
   /**
    * Claim winnings from a finalized SOL market.
    * @param {Object} params
-   * @param {import("@solana/web3.js").Signer} params.claimant
+   * @param {import("./signer.js").AnySigner} params.claimant
    * @param {PublicKey} params.market
    * @param {PublicKey} params.position
    * @param {PublicKey} params.treasury
-   * @param {import("@solana/web3.js").ConfirmOptions} [params.opts]
+   * @param {TxOptions} [params.opts]
    */
   async claimSolWinnings(params) {
     const [vault] = await this.findVault(params.market);
@@ -560,7 +1583,7 @@ export class PrecogMarketsClient {
         market: params.market,
         vault,
         position: params.position,
-        claimant: params.claimant.publicKey,
+        claimant: toPublicKey(params.claimant),
         protocolConfig,
         treasury: params.treasury,
         creator: params.creator,
@@ -568,85 +1591,102 @@ export class PrecogMarketsClient {
       this.programId
     );
 
-    const signature = await this.sendTransaction(
-      [instruction],
-      [params.claimant],
-      params.opts
-    );
-    return { signature };
+    return this._execute([instruction], [params.claimant], params.opts);
   }
 
   /**
    * Claim winnings from a finalized SPL/Token-2022 market.
+   *
+   * Omitted token accounts default to the associated token accounts of the
+   * claimant, treasury and creator; any of those that don't exist yet are
+   * created (idempotently, claimant pays) in the same transaction.
+   *
    * @param {Object} params
-   * @param {import("@solana/web3.js").Signer} params.claimant
+   * @param {import("./signer.js").AnySigner} params.claimant
    * @param {PublicKey} params.market
    * @param {PublicKey} params.position
-   * @param {PublicKey} params.treasury
-   * @param {PublicKey} params.creator - Market creator wallet
-   * @param {PublicKey} params.claimantTokenAccount
-   * @param {PublicKey} params.treasuryTokenAccount
-   * @param {PublicKey} params.creatorTokenAccount - Creator's token account
-   * @param {PublicKey} params.tokenVault
-   * @param {PublicKey} params.tokenMint
-   * @param {PublicKey} params.tokenProgram
-   * @param {import("@solana/web3.js").ConfirmOptions} [params.opts]
+   * @param {PublicKey} [params.treasury] - Default: the protocol config's treasury.
+   * @param {PublicKey} [params.creator] - Market creator wallet (default: from the market).
+   * @param {PublicKey} [params.claimantTokenAccount]
+   * @param {PublicKey} [params.treasuryTokenAccount]
+   * @param {PublicKey} [params.creatorTokenAccount] - Creator's token account
+   * @param {PublicKey} [params.tokenVault]
+   * @param {PublicKey} [params.tokenMint]
+   * @param {PublicKey} [params.tokenProgram]
+   * @param {boolean} [params.createTokenAccounts=true] - Prepend create-ATA instructions for missing derived accounts.
+   * @param {TxOptions} [params.opts]
    */
   async claimTokenWinnings(params) {
+    const claimant = toPublicKey(params.claimant);
     const [vault] = await this.findVault(params.market);
-    const [vaultAuthority] = await this.findVaultAuthority(params.market);
     const [protocolConfig] = await this.findProtocolConfig();
+    const account = params.creator ? null : await this._fetchMarketOrThrow(params.market);
+    const token = await this._resolveMarketToken(params.market, params, account);
+    const treasury = params.treasury ?? (await this._fetchProtocolConfigOrThrow()).treasury;
+    const creator = params.creator ?? token.account.creator;
+
+    const {
+      addresses: [claimantTokenAccount, treasuryTokenAccount, creatorTokenAccount],
+      setup,
+    } = await this._resolveTokenAccounts(
+      claimant,
+      [
+        { owner: claimant, address: params.claimantTokenAccount },
+        { owner: treasury, address: params.treasuryTokenAccount },
+        { owner: creator, address: params.creatorTokenAccount },
+      ],
+      token,
+      params.createTokenAccounts ?? true
+    );
 
     const instruction = ix.claimWinnings(
       {
         market: params.market,
         vault,
         position: params.position,
-        claimant: params.claimant.publicKey,
+        claimant,
         protocolConfig,
-        treasury: params.treasury,
-        creator: params.creator,
-        claimantTokenAccount: params.claimantTokenAccount,
-        treasuryTokenAccount: params.treasuryTokenAccount,
-        creatorTokenAccount: params.creatorTokenAccount,
-        tokenVault: params.tokenVault,
-        vaultAuthority,
-        tokenMint: params.tokenMint,
-        tokenProgram: params.tokenProgram,
+        treasury,
+        creator,
+        claimantTokenAccount,
+        treasuryTokenAccount,
+        creatorTokenAccount,
+        tokenVault: token.tokenVault,
+        vaultAuthority: token.vaultAuthority,
+        tokenMint: token.tokenMint,
+        tokenProgram: token.tokenProgram,
       },
       this.programId
     );
 
-    const signature = await this.sendTransaction(
-      [instruction],
+    return this._execute(
+      [...setup.map((s) => s.instruction), instruction],
       [params.claimant],
       params.opts
     );
-    return { signature };
   }
 
   /**
    * Void a market (single-sig authority only).
-   * @param {import("@solana/web3.js").Signer} authority
+   * @param {import("./signer.js").AnySigner} authority
    * @param {PublicKey} market
-   * @param {import("@solana/web3.js").ConfirmOptions} [opts]
+   * @param {TxOptions} [opts]
    */
   async voidMarket(authority, market, opts) {
     const instruction = ix.voidMarket(
-      { market, authority: authority.publicKey },
+      { market, authority: toPublicKey(authority) },
       this.programId
     );
-    const signature = await this.sendTransaction([instruction], [authority], opts);
-    return { signature };
+    return this._execute([instruction], [authority], opts);
   }
 
   /**
    * Claim a refund from a voided SOL market.
    * @param {Object} params
-   * @param {import("@solana/web3.js").Signer} params.claimant
+   * @param {import("./signer.js").AnySigner} params.claimant
    * @param {PublicKey} params.market
    * @param {PublicKey} params.position
-   * @param {import("@solana/web3.js").ConfirmOptions} [params.opts]
+   * @param {TxOptions} [params.opts]
    */
   async claimSolRefund(params) {
     const [vault] = await this.findVault(params.market);
@@ -656,106 +1696,111 @@ export class PrecogMarketsClient {
         market: params.market,
         vault,
         position: params.position,
-        claimant: params.claimant.publicKey,
+        claimant: toPublicKey(params.claimant),
       },
       this.programId
     );
 
-    const signature = await this.sendTransaction(
-      [instruction],
-      [params.claimant],
-      params.opts
-    );
-    return { signature };
+    return this._execute([instruction], [params.claimant], params.opts);
   }
 
   /**
    * Claim a refund from a voided SPL/Token-2022 market.
+   * Omitted token accounts are derived as in `claimTokenWinnings`.
    * @param {Object} params
-   * @param {import("@solana/web3.js").Signer} params.claimant
+   * @param {import("./signer.js").AnySigner} params.claimant
    * @param {PublicKey} params.market
    * @param {PublicKey} params.position
-   * @param {PublicKey} params.claimantTokenAccount
-   * @param {PublicKey} params.tokenVault
-   * @param {PublicKey} params.tokenMint
-   * @param {PublicKey} params.tokenProgram
-   * @param {import("@solana/web3.js").ConfirmOptions} [params.opts]
+   * @param {PublicKey} [params.claimantTokenAccount]
+   * @param {PublicKey} [params.tokenVault]
+   * @param {PublicKey} [params.tokenMint]
+   * @param {PublicKey} [params.tokenProgram]
+   * @param {boolean} [params.createTokenAccounts=true] - Create the claimant's ATA if missing.
+   * @param {TxOptions} [params.opts]
    */
   async claimTokenRefund(params) {
+    const claimant = toPublicKey(params.claimant);
     const [vault] = await this.findVault(params.market);
-    const [vaultAuthority] = await this.findVaultAuthority(params.market);
+    const token = await this._resolveMarketToken(params.market, params);
+    const {
+      addresses: [claimantTokenAccount],
+      setup,
+    } = await this._resolveTokenAccounts(
+      claimant,
+      [{ owner: claimant, address: params.claimantTokenAccount }],
+      token,
+      params.createTokenAccounts ?? true
+    );
 
     const instruction = ix.claimRefund(
       {
         market: params.market,
         vault,
         position: params.position,
-        claimant: params.claimant.publicKey,
-        claimantTokenAccount: params.claimantTokenAccount,
-        tokenVault: params.tokenVault,
-        vaultAuthority,
-        tokenMint: params.tokenMint,
-        tokenProgram: params.tokenProgram,
+        claimant,
+        claimantTokenAccount,
+        tokenVault: token.tokenVault,
+        vaultAuthority: token.vaultAuthority,
+        tokenMint: token.tokenMint,
+        tokenProgram: token.tokenProgram,
       },
       this.programId
     );
 
-    const signature = await this.sendTransaction(
-      [instruction],
+    return this._execute(
+      [...setup.map((s) => s.instruction), instruction],
       [params.claimant],
       params.opts
     );
-    return { signature };
   }
 
   /**
    * Update protocol config (admin only).
-   * @param {import("@solana/web3.js").Signer} admin
+   * @param {import("./signer.js").AnySigner} admin
    * @param {import("./instructions.js").UpdateProtocolConfigArgs} args
-   * @param {import("@solana/web3.js").ConfirmOptions} [opts]
+   * @param {TxOptions} [opts]
    */
   async updateProtocolConfig(admin, args, opts) {
     const [protocolConfig] = await this.findProtocolConfig();
 
     const instruction = ix.updateProtocolConfig(
-      { protocolConfig, admin: admin.publicKey },
+      { protocolConfig, admin: toPublicKey(admin) },
       args,
       this.programId
     );
 
-    const signature = await this.sendTransaction([instruction], [admin], opts);
-    return { signature };
+    return this._execute([instruction], [admin], opts);
   }
 
   /**
    * Create a multisig authority.
-   * @param {import("@solana/web3.js").Signer} creator
+   * @param {import("./signer.js").AnySigner} creator
    * @param {bigint|number} nonce
    * @param {number} threshold
    * @param {PublicKey[]} signers
-   * @param {import("@solana/web3.js").ConfirmOptions} [opts]
+   * @param {TxOptions} [opts]
    */
   async createMultisig(creator, nonce, threshold, signers, opts) {
-    const [multisig] = await this.findMultisig(creator.publicKey, nonce);
+    const creatorKey = toPublicKey(creator);
+    const [multisig] = await this.findMultisig(creatorKey, nonce);
 
     const instruction = ix.createMultisig(
-      { multisig, creator: creator.publicKey },
+      { multisig, creator: creatorKey },
       { nonce, threshold, signers },
       this.programId
     );
 
-    const signature = await this.sendTransaction([instruction], [creator], opts);
-    return { signature, multisig };
+    return this._execute([instruction], [creator], opts, { multisig });
   }
 
   /**
    * Create a multisig proposal.
    * @param {Object} params
-   * @param {import("@solana/web3.js").Signer} params.proposer
+   * @param {import("./signer.js").AnySigner} params.proposer
    * @param {PublicKey} params.multisig
    * @param {PublicKey} params.market - Target market (or system program for governance actions).
    * @param {import("./instructions.js").CreateProposalAction} params.action
-   * @param {import("@solana/web3.js").ConfirmOptions} [params.opts]
+   * @param {TxOptions} [params.opts]
    */
   async createProposal(params) {
     const msAccount = await this.fetchMultisigAuthority(params.multisig);
@@ -769,85 +1814,366 @@ export class PrecogMarketsClient {
         proposal,
         multisig: params.multisig,
         market: params.market,
-        proposer: params.proposer.publicKey,
+        proposer: toPublicKey(params.proposer),
       },
       { action: params.action },
       this.programId
     );
 
-    const signature = await this.sendTransaction(
-      [instruction],
-      [params.proposer],
-      params.opts
-    );
-    return { signature, proposal, proposalId };
+    return this._execute([instruction], [params.proposer], params.opts, {
+      proposal,
+      proposalId,
+    });
   }
 
   /**
    * Approve a multisig proposal.
-   * @param {import("@solana/web3.js").Signer} signer
+   * @param {import("./signer.js").AnySigner} signer
    * @param {PublicKey} proposal
    * @param {PublicKey} multisig
-   * @param {import("@solana/web3.js").ConfirmOptions} [opts]
+   * @param {TxOptions} [opts]
    */
   async approveProposal(signer, proposal, multisig, opts) {
     const instruction = ix.approveProposal(
-      { proposal, multisig, signer: signer.publicKey },
+      { proposal, multisig, signer: toPublicKey(signer) },
       this.programId
     );
-    const signature = await this.sendTransaction([instruction], [signer], opts);
-    return { signature };
+    return this._execute([instruction], [signer], opts);
   }
 
   /**
-   * Execute a fully-approved multisig proposal (permissionless).
-   * @param {import("@solana/web3.js").Signer} payer
+   * Execute a fully-approved multisig proposal (permissionless). An
+   * `UpdateFeeBps` proposal also gets the protocol config.
+   * @param {import("./signer.js").AnySigner} payer
    * @param {PublicKey} proposal
    * @param {PublicKey} multisig
    * @param {PublicKey} market
-   * @param {import("@solana/web3.js").ConfirmOptions} [opts]
+   * @param {TxOptions} [opts]
    */
   async executeProposal(payer, proposal, multisig, market, opts) {
+    const account = await this.fetchMultisigProposal(proposal);
     const [protocolConfig] = await this.findProtocolConfig();
 
     const instruction = ix.executeProposal(
-      { proposal, multisig, market, protocolConfig },
+      { proposal, multisig, market, action: account?.action.name, protocolConfig },
       this.programId
     );
-    const signature = await this.sendTransaction([instruction], [payer], opts);
-    return { signature };
+    return this._execute([instruction], [payer], opts);
   }
 
   /**
    * Harvest withheld Token-2022 transfer fees.
    * @param {Object} params
-   * @param {import("@solana/web3.js").Signer} params.withdrawAuthority
+   * @param {import("./signer.js").AnySigner} params.withdrawAuthority
    * @param {PublicKey} params.market
-   * @param {PublicKey} params.tokenMint
-   * @param {PublicKey} params.tokenVault
+   * @param {PublicKey} [params.tokenMint] - Default: the market's mint.
+   * @param {PublicKey} [params.tokenVault] - Default: derived from the market.
    * @param {PublicKey} params.destination
-   * @param {PublicKey} params.tokenProgram
-   * @param {import("@solana/web3.js").ConfirmOptions} [params.opts]
+   * @param {PublicKey} [params.tokenProgram] - Default: from the market's denomination.
+   * @param {TxOptions} [params.opts]
    */
   async harvestWithheldTokens(params) {
+    const token = await this._resolveMarketToken(params.market, params);
     const instruction = ix.harvestWithheldTokens(
       {
         market: params.market,
-        tokenMint: params.tokenMint,
-        tokenVault: params.tokenVault,
+        tokenMint: token.tokenMint,
+        tokenVault: token.tokenVault,
         destination: params.destination,
-        withdrawAuthority: params.withdrawAuthority.publicKey,
-        tokenProgram: params.tokenProgram,
+        withdrawAuthority: toPublicKey(params.withdrawAuthority),
+        tokenProgram: token.tokenProgram,
       },
       this.programId
     );
 
-    const signature = await this.sendTransaction(
-      [instruction],
-      [params.withdrawAuthority],
-      params.opts
+    return this._execute([instruction], [params.withdrawAuthority], params.opts);
+  }
+
+  // ── address lookup tables ─────────────────────────────────────────
+
+  /**
+   * Create an address lookup table holding the program ID, token programs,
+   * protocol config, and the market's vault / vault authority / token vault
+   * (see `getMarketLookupTableAddresses`). The market is fetched to pick up
+   * its mint and token program.
+   *
+   * The table is usable one slot after this confirms; load it with
+   * `fetchLookupTable` and pass it as `lookupTables`.
+   *
+   * @param {Object} params
+   * @param {import("./signer.js").AnySigner|PublicKey} params.authority - Table authority (may extend / close it).
+   * @param {import("./signer.js").AnySigner} params.payer
+   * @param {PublicKey} params.market
+   * @param {PublicKey[]} [params.extraAddresses] - Appended after the market addresses.
+   * @param {number} [params.recentSlot] - Default: the latest finalized slot.
+   * @param {TxOptions} [params.opts]
+   * @returns {Promise<{ signature: string, lookupTable: PublicKey, addresses: PublicKey[] }>}
+   */
+  async createMarketLookupTable(params) {
+    const payer = toPublicKey(params.payer);
+    const authority = toPublicKey(params.authority);
+
+    const market = await this._fetchMarketOrThrow(params.market);
+    const tokenProgram = tokenProgramForDenomination(market.denomination);
+    const addresses = await getMarketLookupTableAddresses(params.market, {
+      tokenMint: tokenProgram ? market.tokenMint : undefined,
+      tokenProgram: tokenProgram ?? undefined,
+      extraAddresses: params.extraAddresses,
+      programId: this.programId,
+    });
+
+    const recentSlot = params.recentSlot ?? (await this.connection.getSlot("finalized"));
+    const [createIx, lookupTable] = AddressLookupTableProgram.createLookupTable({
+      authority,
+      payer,
+      recentSlot,
+    });
+    const extendIx = AddressLookupTableProgram.extendLookupTable({
+      lookupTable,
+      authority,
+      payer,
+      addresses,
+    });
+
+    const signers =
+      params.authority instanceof PublicKey ? [params.payer] : [params.payer, params.authority];
+    return this._execute([createIx, extendIx], signers, params.opts, { lookupTable, addresses });
+  }
+
+  /**
+   * Fetch an address lookup table for use in `lookupTables`.
+   * @param {PublicKey} address
+   * @returns {Promise<import("@solana/web3.js").AddressLookupTableAccount|null>}
+   */
+  async fetchLookupTable(address) {
+    return (await this.connection.getAddressLookupTable(address)).value;
+  }
+
+  // ── batch claims ──────────────────────────────────────────────────
+
+  /**
+   * Claim everything a wallet can claim: winnings on Finalized markets where
+   * the position holds the winning outcome, and refunds on Voided markets.
+   *
+   * Claim instructions are packed greedily into as few transactions as fit
+   * the packet size limit (with the client's or `opts`' version and lookup
+   * tables), then sent one transaction at a time. A failed transaction marks
+   * only its own positions failed; the rest still go out. Token accounts are
+   * the associated token accounts of the owner, treasury, creator and vault
+   * authority for each market's mint; missing owner, treasury and creator
+   * accounts are created (owner pays) ahead of the claim.
+   *
+   * @param {import("./signer.js").AnySigner|PublicKey} owner - A bare PublicKey only in build mode.
+   * @param {TxOptions & { maxInstructionsPerTransaction?: number }} [opts]
+   * @returns {Promise<{
+   *   report: ClaimReportEntry[],
+   *   transactions: Array<{ positions: PublicKey[], signature?: string, error?: unknown }>,
+   * }>} `transactions` entries carry the built transaction fields in build mode.
+   */
+  async claimAll(owner, opts) {
+    const ownerKey = toPublicKey(owner);
+    const { report, claims } = await this._planClaims(ownerKey);
+    // Pack against the fee payer `_execute` uses: `feePayer` only applies in
+    // build mode; sent transactions are paid by their first signer, the owner.
+    const feePayer = opts?.mode === "build" ? opts.feePayer ?? ownerKey : ownerKey;
+    const batches = this._packClaims(claims, feePayer, opts);
+
+    const transactions = [];
+    for (const batch of batches) {
+      const transactionIndex = transactions.length;
+      const positions = batch.claims.map((c) => c.entry.position);
+      try {
+        const result = await this._execute(batch.instructions, [owner], { ...opts, feePayer });
+        transactions.push({ positions, ...result });
+        for (const { entry } of batch.claims) {
+          entry.status = opts?.mode === "build" ? "built" : "claimed";
+          entry.transactionIndex = transactionIndex;
+          entry.signature = result.signature ?? null;
+        }
+      } catch (err) {
+        transactions.push({ positions, error: err });
+        for (const { entry } of batch.claims) {
+          entry.status = "failed";
+          entry.reason = err instanceof Error ? err.name : "TransactionFailed";
+          entry.transactionIndex = transactionIndex;
+          entry.error = err;
+        }
+      }
+    }
+
+    return { report, transactions };
+  }
+
+  /**
+   * Decide what to do with each of `owner`'s positions and build the claim
+   * instructions, plus create-ATA setup for derived token accounts that
+   * don't exist yet. Report entries without a claim are already final.
+   * @param {PublicKey} owner
+   * @returns {Promise<{ report: ClaimReportEntry[], claims: ClaimPlanItem[] }>}
+   */
+  async _planClaims(owner) {
+    const positions = await this.getPositionsByOwner(owner);
+    const marketKeys = [
+      ...new Map(positions.map((p) => [p.account.market.toBase58(), p.account.market])).values(),
+    ];
+    const [markets, protocolConfigAccount] = await Promise.all([
+      this.fetchMarkets(marketKeys),
+      this.fetchProtocolConfig(),
+    ]);
+    const marketsByKey = new Map(marketKeys.map((k, i) => [k.toBase58(), markets[i]]));
+    const [protocolConfig] = await this.findProtocolConfig();
+
+    // Group by market so consecutive claims share accounts.
+    positions.sort((a, b) =>
+      a.account.market.toBase58().localeCompare(b.account.market.toBase58()) ||
+      a.account.outcomeIndex - b.account.outcomeIndex
     );
-    return { signature };
+
+    const report = [];
+    const claims = [];
+    for (const { pubkey, account: position } of positions) {
+      const market = marketsByKey.get(position.market.toBase58());
+      /** @type {ClaimReportEntry} */
+      const entry = {
+        position: pubkey,
+        market: position.market,
+        outcomeIndex: position.outcomeIndex,
+        amount: position.amount,
+        action: null,
+        status: "skipped",
+        reason: null,
+        transactionIndex: null,
+        signature: null,
+      };
+      report.push(entry);
+
+      if (position.claimed) entry.reason = "AlreadyClaimed";
+      else if (!market) entry.reason = "MarketNotFound";
+      else if (market.status === MarketStatus.Voided) entry.action = "claimRefund";
+      else if (market.status !== MarketStatus.Finalized) entry.reason = "MarketNotSettled";
+      else if (position.outcomeIndex !== market.winningOutcome) entry.reason = "LosingPosition";
+      else if (!protocolConfigAccount) entry.reason = "ProtocolNotInitialized";
+      else entry.action = "claimWinnings";
+      if (!entry.action) continue;
+
+      const [vault] = await this.findVault(position.market);
+      const accounts = {
+        market: position.market,
+        vault,
+        position: pubkey,
+        claimant: owner,
+      };
+
+      /** @type {Array<{ owner: PublicKey, address: PublicKey, token: { tokenMint: PublicKey, tokenProgram: PublicKey } }>} */
+      const tokenAccounts = [];
+      if (tokenProgramForDenomination(market.denomination)) {
+        const token = await this._resolveMarketToken(position.market, {}, market);
+        const owners =
+          entry.action === "claimWinnings"
+            ? [owner, protocolConfigAccount.treasury, market.creator]
+            : [owner];
+        const { addresses } = await this._resolveTokenAccounts(
+          owner,
+          owners.map((o) => ({ owner: o })),
+          token,
+          false
+        );
+        addresses.forEach((address, i) => tokenAccounts.push({ owner: owners[i], address, token }));
+        const [claimantTokenAccount, treasuryTokenAccount, creatorTokenAccount] = addresses;
+        Object.assign(accounts, {
+          claimantTokenAccount,
+          treasuryTokenAccount,
+          creatorTokenAccount,
+          tokenVault: token.tokenVault,
+          vaultAuthority: token.vaultAuthority,
+          tokenMint: token.tokenMint,
+          tokenProgram: token.tokenProgram,
+        });
+      }
+
+      const instruction =
+        entry.action === "claimWinnings"
+          ? ix.claimWinnings(
+              {
+                ...accounts,
+                protocolConfig,
+                treasury: protocolConfigAccount.treasury,
+                creator: market.creator,
+              },
+              this.programId
+            )
+          : ix.claimRefund(accounts, this.programId);
+      claims.push({ entry, instruction, tokenAccounts });
+    }
+
+    // One existence check for every derived token account in the plan.
+    const missing = await this._missingAccounts(
+      claims.flatMap((c) => c.tokenAccounts.map((t) => t.address))
+    );
+    return {
+      report,
+      claims: claims.map(({ entry, instruction, tokenAccounts }) => ({
+        entry,
+        instruction,
+        setup: tokenAccounts
+          .filter((t) => missing.has(t.address.toBase58()))
+          .map(({ owner: accountOwner, address, token }) => ({
+            address,
+            instruction: createAssociatedTokenAccountIdempotent({
+              payer: owner,
+              associatedToken: address,
+              owner: accountOwner,
+              mint: token.tokenMint,
+              tokenProgram: token.tokenProgram,
+            }),
+          })),
+      })),
+    };
+  }
+
+  /**
+   * Greedily pack claims into transactions that fit one packet. Each claim
+   * brings its create-ATA setup, minus accounts an earlier claim in the
+   * same transaction already creates. A claim too large to send even on its
+   * own is marked failed with reason "TransactionTooLarge".
+   * @template {ClaimPlanItem} C
+   * @param {C[]} claims
+   * @param {PublicKey} feePayer
+   * @param {TxOptions & { maxInstructionsPerTransaction?: number }} [opts]
+   * @returns {Array<{ claims: C[], instructions: import("@solana/web3.js").TransactionInstruction[] }>}
+   */
+  _packClaims(claims, feePayer, opts) {
+    const maxPerTx = opts?.maxInstructionsPerTransaction ?? Infinity;
+    const messageOpts = { feePayer, blockhash: SIZING_BLOCKHASH, ...this._messageOptions(opts) };
+    const fits = (instructions) => fitsInPacket(compileTransaction(instructions, messageOpts));
+    const empty = () => ({ claims: [], instructions: [], created: new Set() });
+    const withClaim = (batch, claim) => {
+      const setup = claim.setup.filter((s) => !batch.created.has(s.address.toBase58()));
+      return {
+        claims: [...batch.claims, claim],
+        instructions: [...batch.instructions, ...setup.map((s) => s.instruction), claim.instruction],
+        created: new Set([...batch.created, ...setup.map((s) => s.address.toBase58())]),
+      };
+    };
+
+    const batches = [];
+    let current = empty();
+    for (const claim of claims) {
+      const candidate = withClaim(current, claim);
+      if (candidate.claims.length <= maxPerTx && fits(candidate.instructions)) {
+        current = candidate;
+        continue;
+      }
+      if (current.claims.length > 0) batches.push(current);
+      current = withClaim(empty(), claim);
+      if (!fits(current.instructions)) {
+        claim.entry.status = "failed";
+        claim.entry.reason = "TransactionTooLarge";
+        current = empty();
+      }
+    }
+    if (current.claims.length > 0) batches.push(current);
+    return batches.map(({ claims, instructions }) => ({ claims, instructions }));
   }
 
   // ── utility helpers ───────────────────────────────────────────────
@@ -855,6 +2181,9 @@ export class PrecogMarketsClient {
   /**
    * Calculate the estimated payout for a position if it wins.
    * payout = (position / winningPool) * totalPool * (1 - feeBps/10000)
+   *
+   * Approximate: a single fee on gross, no Token-2022 transfer fee. Use
+   * `quoteClaim` for the exact amount the program pays.
    * @param {bigint} positionAmount
    * @param {bigint} winningPool
    * @param {bigint} totalPool
@@ -888,19 +2217,30 @@ export class PrecogMarketsClient {
    *
    * @param {import("@solana/web3.js").TransactionInstruction[]} instructions - The instructions to simulate
    * @param {PublicKey} feePayer - The fee payer for the transaction
-   * @param {import("@solana/web3.js").ConfirmOptions} [opts]
+   * @param {TxOptions & { computeUnitMargin?: number }} [opts]
    * @returns {Promise<{ estimatedUnits: number, instruction: import("@solana/web3.js").TransactionInstruction }>}
    *   estimatedUnits — the CU limit (simulated × 1.1, rounded up)
    *   instruction — a `ComputeBudgetProgram.setComputeUnitLimit` instruction ready to prepend
    */
   async estimateComputeUnits(instructions, feePayer, opts) {
-    const tx = new Transaction().add(...instructions);
-    tx.recentBlockhash = (await this.connection.getLatestBlockhash(opts?.commitment)).blockhash;
-    tx.feePayer = feePayer;
+    const { blockhash } = await this.connection.getLatestBlockhash(opts?.commitment);
+    const tx = compileTransaction(instructions, {
+      feePayer,
+      blockhash,
+      ...this._messageOptions(opts),
+    });
 
-    const sim = await this.connection.simulateTransaction(tx);
+    const sim =
+      tx instanceof VersionedTransaction
+        ? await this.connection.simulateTransaction(tx, { sigVerify: false })
+        : await this.connection.simulateTransaction(tx);
 
     if (sim.value.err) {
+      const programError = parseProgramError(
+        { err: sim.value.err, logs: sim.value.logs ?? [] },
+        { instructions, programId: this.programId }
+      );
+      if (programError) throw programError;
       throw new Error(
         `Simulation failed: ${JSON.stringify(sim.value.err)}${sim.value.logs ? '\n' + sim.value.logs.join('\n') : ''}`
       );
@@ -926,7 +2266,7 @@ export class PrecogMarketsClient {
    *
    * @param {import("@solana/web3.js").TransactionInstruction[]} instructions - The instructions to estimate fees for
    * @param {PublicKey} feePayer - The fee payer for the transaction
-   * @param {{ priorityLevel?: string, commitment?: string }} [opts]
+   * @param {TxOptions & { priorityLevel?: string }} [opts]
    *   priorityLevel — one of "Min", "Low", "Medium", "High", "VeryHigh" (default: "Medium")
    * @returns {Promise<{ priorityFee: number, instruction: import("@solana/web3.js").TransactionInstruction }>}
    *   priorityFee — the estimated fee in microLamports per compute unit
@@ -936,12 +2276,17 @@ export class PrecogMarketsClient {
     const priorityLevel = opts?.priorityLevel ?? this.priorityLevel;
 
     // Build and serialize the transaction for the Helius API
-    const tx = new Transaction().add(...instructions);
-    tx.recentBlockhash = (await this.connection.getLatestBlockhash(opts?.commitment)).blockhash;
-    tx.feePayer = feePayer;
-    const serialized = bs58Encode(tx.serialize({ verifySignatures: false }));
+    const { blockhash } = await this.connection.getLatestBlockhash(opts?.commitment);
+    const tx = compileTransaction(instructions, {
+      feePayer,
+      blockhash,
+      ...this._messageOptions(opts),
+    });
+    const serialized = bs58Encode(
+      tx instanceof VersionedTransaction ? tx.serialize() : tx.serialize({ verifySignatures: false })
+    );
 
-    const response = await fetch(this.connection.rpcEndpoint, {
+    const response = await this.fetch(this.connection.rpcEndpoint, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
@@ -977,7 +2322,7 @@ export class PrecogMarketsClient {
    *
    * @param {import("@solana/web3.js").TransactionInstruction[]} instructions
    * @param {PublicKey} feePayer
-   * @param {{ priorityLevel?: string, commitment?: string }} [opts]
+   * @param {TxOptions & { priorityLevel?: string, computeUnitMargin?: number }} [opts]
    * @returns {Promise<{
    *   estimatedUnits: number,
    *   priorityFee: number,
@@ -1007,7 +2352,7 @@ export class PrecogMarketsClient {
    * Uses skipPreflight: true (simulation already done) and maxRetries: 0
    * (caller handles retries) for best results with Helius staked connections.
    *
-   * @param {import("@solana/web3.js").Transaction} transaction - A fully signed transaction
+   * @param {import("@solana/web3.js").Transaction | VersionedTransaction} transaction - A fully signed transaction
    * @param {{ maxRetries?: number, skipPreflight?: boolean, preflightCommitment?: string }} [opts]
    * @returns {Promise<string>} transaction signature
    */
@@ -1025,25 +2370,33 @@ export class PrecogMarketsClient {
    * with SWQoS-optimized settings.
    *
    * @param {import("@solana/web3.js").TransactionInstruction[]} instructions
-   * @param {import("@solana/web3.js").Signer[]} signers - First signer is the fee payer
-   * @param {{ priorityLevel?: string, commitment?: string }} [opts]
+   * @param {import("./signer.js").AnySigner[]} signers - First signer is the fee payer; keypairs and wallets may be mixed
+   * @param {TxOptions & { priorityLevel?: string, computeUnitMargin?: number }} [opts]
    * @returns {Promise<{ signature: string, estimatedUnits: number, priorityFee: number }>}
    */
   async sendSmartTransaction(instructions, signers, opts) {
-    const feePayer = signers[0].publicKey;
+    const feePayer = toPublicKey(signers[0]);
 
     // Estimate CU and priority fee in parallel
     const { estimatedUnits, priorityFee, instructions: fullIxs } =
       await this.estimateTransactionFees(instructions, feePayer, opts);
 
     // Build and sign
-    const tx = new Transaction().add(...fullIxs);
-    tx.recentBlockhash = (await this.connection.getLatestBlockhash(opts?.commitment ?? "confirmed")).blockhash;
-    tx.feePayer = feePayer;
-    tx.sign(...signers);
+    const { blockhash } = await this.connection.getLatestBlockhash(opts?.commitment ?? "confirmed");
+    const tx = compileTransaction(fullIxs, {
+      feePayer,
+      blockhash,
+      ...this._messageOptions(opts),
+    });
+    const [signed] = await signTransactions([tx], signers);
 
     // Send with SWQoS settings
-    const signature = await this.sendRawTransaction(tx, opts);
+    let signature;
+    try {
+      signature = await this.sendRawTransaction(signed, opts);
+    } catch (err) {
+      throw this._toProgramError(err, fullIxs);
+    }
 
     return { signature, estimatedUnits, priorityFee };
   }
@@ -0,0 +1,286 @@
+/**
+ * @module decoder
+ * Inverse of instructions.js: turn raw Precog instructions (from a built
+ * transaction or one fetched from RPC) back into the builder name, args and
+ * role-labelled accounts.
+ */
+
+import { PublicKey } from "@solana/web3.js";
+
+import { PROGRAM_ID, DISCRIMINATORS } from "./constants.js";
+import { BorshReader, bs58Decode } from "./serialization.js";
+import { decodeProposalAction } from "./accounts.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Instruction layouts
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Account roles in builder order, named as in the builder's `accounts`
+ * argument. `tokenAccounts` are appended by the builder for SPL /
+ * Token-2022 markets only; `optionalAccounts` when the caller passes them.
+ * @typedef {Object} InstructionLayout
+ * @property {string} name - Builder name, e.g. "placeBet"
+ * @property {string[]} accounts
+ * @property {string[]} [tokenAccounts]
+ * @property {string[]} [optionalAccounts]
+ * @property {(r: BorshReader) => Object} [args]
+ */
+
+/** @type {Record<number, InstructionLayout>} */
+const LAYOUTS = {
+  [DISCRIMINATORS.INITIALIZE_PROTOCOL[0]]: {
+    name: "initializeProtocol",
+    accounts: ["protocolConfig", "admin", "treasury", "systemProgram"],
+    args: (r) => ({ defaultFeeBps: r.readU16() }),
+  },
+  [DISCRIMINATORS.CREATE_MARKET[0]]: {
+    name: "createMarket",
+    accounts: ["market", "vault", "authority", "payer", "protocolConfig", "systemProgram"],
+    tokenAccounts: ["tokenMint", "vaultAuthority", "tokenVault", "tokenProgram", "rent"],
+    args: (r) => ({
+      marketId: r.readU64(),
+      title: r.readString(),
+      description: r.readString(),
+      outcomeLabels: r.readVec((rr) => rr.readString()),
+      resolutionDeadline: r.readI64(),
+      feeBpsOverride: r.readOption((rr) => rr.readU16()),
+      denomination: r.readU8(),
+      authorityIsMultisig: r.readBool(),
+    }),
+  },
+  [DISCRIMINATORS.PLACE_BET[0]]: {
+    name: "placeBet",
+    accounts: ["market", "vault", "position", "bettor", "protocolConfig", "systemProgram"],
+    tokenAccounts: ["bettorTokenAccount", "tokenVault", "tokenMint", "tokenProgram"],
+    args: (r) => ({ outcomeIndex: r.readU8(), amount: r.readU64() }),
+  },
+  [DISCRIMINATORS.RESOLVE_MARKET[0]]: {
+    name: "resolveMarket",
+    accounts: ["market", "authority"],
+    args: (r) => ({ winningOutcome: r.readU8() }),
+  },
+  [DISCRIMINATORS.FINALIZE_MARKET[0]]: {
+    name: "finalizeMarket",
+    accounts: ["market"],
+  },
+  [DISCRIMINATORS.CLAIM_WINNINGS[0]]: {
+    name: "claimWinnings",
+    accounts: [
+      "market",
+      "vault",
+      "position",
+      "claimant",
+      "protocolConfig",
+      "treasury",
+      "creator",
+      "systemProgram",
+    ],
+    tokenAccounts: [
+      "claimantTokenAccount",
+      "treasuryTokenAccount",
+      "creatorTokenAccount",
+      "tokenVault",
+      "vaultAuthority",
+      "tokenMint",
+      "tokenProgram",
+    ],
+  },
+  [DISCRIMINATORS.VOID_MARKET[0]]: {
+    name: "voidMarket",
+    accounts: ["market", "authority"],
+  },
+  [DISCRIMINATORS.CLAIM_REFUND[0]]: {
+    name: "claimRefund",
+    accounts: ["market", "vault", "position", "claimant", "systemProgram"],
+    tokenAccounts: [
+      "claimantTokenAccount",
+      "tokenVault",
+      "vaultAuthority",
+      "tokenMint",
+      "tokenProgram",
+    ],
+  },
+  [DISCRIMINATORS.UPDATE_PROTOCOL_CONFIG[0]]: {
+    name: "updateProtocolConfig",
+    accounts: ["protocolConfig", "admin"],
+    args: (r) => ({
+      newDefaultFeeBps: r.readOption((rr) => rr.readU16()),
+      newTreasury: r.readOption((rr) => rr.readPubkey()),
+      paused: r.readOption((rr) => rr.readBool()),
+    }),
+  },
+  [DISCRIMINATORS.CREATE_MULTISIG[0]]: {
+    name: "createMultisig",
+    accounts: ["multisig", "creator", "systemProgram"],
+    args: (r) => ({
+      nonce: r.readU64(),
+      threshold: r.readU8(),
+      signers: r.readVec((rr) => rr.readPubkey()),
+    }),
+  },
+  [DISCRIMINATORS.CREATE_PROPOSAL[0]]: {
+    name: "createProposal",
+    accounts: ["proposal", "multisig", "market", "proposer", "systemProgram"],
+    args: (r) => {
+      // Same shape the builder takes: { type, fields }
+      const { name, fields } = decodeProposalAction(r);
+      return { action: { type: name, fields } };
+    },
+  },
+  [DISCRIMINATORS.APPROVE_PROPOSAL[0]]: {
+    name: "approveProposal",
+    accounts: ["proposal", "multisig", "signer"],
+  },
+  [DISCRIMINATORS.EXECUTE_PROPOSAL[0]]: {
+    name: "executeProposal",
+    accounts: ["proposal", "multisig", "market"],
+    optionalAccounts: ["protocolConfig"],
+  },
+  [DISCRIMINATORS.HARVEST_WITHHELD_TOKENS[0]]: {
+    name: "harvestWithheldTokens",
+    accounts: [
+      "market",
+      "tokenMint",
+      "tokenVault",
+      "destination",
+      "withdrawAuthority",
+      "tokenProgram",
+    ],
+  },
+  [DISCRIMINATORS.DISPUTE_RESOLVE[0]]: {
+    name: "disputeResolve",
+    accounts: ["market", "authority"],
+    args: (r) => ({ winningOutcome: r.readU8() }),
+  },
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// Instructions
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * A decoded Precog instruction. `args` and `accounts` use the same names
+ * as the builder's parameters, so `ix[name](accounts, args)` rebuilds it.
+ * @typedef {Object} DecodedInstruction
+ * @property {string} name - Builder name, e.g. "placeBet"
+ * @property {number} discriminator - Instruction byte
+ * @property {Object} args - Empty for instructions without arguments
+ * @property {Record<string, PublicKey>} accounts - Account by role, e.g. `accounts.bettor`
+ * @property {PublicKey[]} remainingAccounts - Accounts past the known roles
+ */
+
+/**
+ * Decode instruction data alone (no accounts).
+ * @param {Buffer|Uint8Array} data
+ * @returns {{ name: string, discriminator: number, args: Object }}
+ * @throws {Error} On an unknown discriminator or truncated data.
+ */
+export function decodeInstructionData(data) {
+  const r = new BorshReader(data);
+  const discriminator = r.readU8();
+  const layout = LAYOUTS[discriminator];
+  if (!layout) throw new Error(`Unknown Precog instruction discriminator: ${discriminator}`);
+  return { name: layout.name, discriminator, args: layout.args ? layout.args(r) : {} };
+}
+
+/**
+ * Decode a Precog instruction, labelling each account by its role.
+ *
+ * @param {{
+ *   programId: PublicKey,
+ *   keys: Array<{ pubkey: PublicKey }> | PublicKey[],
+ *   data: Buffer|Uint8Array,
+ * }} instruction - A `TransactionInstruction`, or the same shape with bare keys.
+ * @param {PublicKey} [programId]
+ * @returns {DecodedInstruction|null} null when the instruction targets another program.
+ * @throws {Error} On unknown or malformed Precog instructions.
+ */
+export function decodeInstruction(instruction, programId = PROGRAM_ID) {
+  if (!instruction.programId.equals(programId)) return null;
+
+  const { name, discriminator, args } = decodeInstructionData(instruction.data);
+  const layout = LAYOUTS[discriminator];
+  const keys = instruction.keys.map((k) => (k instanceof PublicKey ? k : k.pubkey));
+  if (keys.length < layout.accounts.length) {
+    throw new Error(
+      `${name}: expected at least ${layout.accounts.length} accounts, got ${keys.length}`
+    );
+  }
+
+  // The builders append trailing accounts all-or-nothing.
+  const trailing = layout.tokenAccounts ?? layout.optionalAccounts;
+  const roles =
+    trailing && keys.length >= layout.accounts.length + trailing.length
+      ? [...layout.accounts, ...trailing]
+      : layout.accounts;
+
+  /** @type {Record<string, PublicKey>} */
+  const accounts = {};
+  roles.forEach((role, i) => {
+    accounts[role] = keys[i];
+  });
+
+  return { name, discriminator, args, accounts, remainingAccounts: keys.slice(roles.length) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Transactions
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * A Precog instruction found in a fetched transaction.
+ * @typedef {DecodedInstruction & {
+ *   instructionIndex: number,
+ *   innerIndex: number|null,
+ * }} DecodedTransactionInstruction
+ * `instructionIndex` is the top-level instruction; `innerIndex` is the
+ * position among its CPIs, or null for the top-level instruction itself.
+ */
+
+/**
+ * Decode every Precog instruction in a transaction fetched with
+ * `getTransaction(s)` (`maxSupportedTransactionVersion: 0`), including CPIs
+ * from other programs. Accounts loaded from lookup tables are resolved
+ * through `meta.loadedAddresses`. Instructions whose data doesn't decode
+ * (only possible in failed transactions) are skipped.
+ *
+ * @param {import("@solana/web3.js").VersionedTransactionResponse} response
+ * @param {PublicKey} [programId]
+ * @returns {DecodedTransactionInstruction[]} In execution order.
+ */
+export function decodeTransaction(response, programId = PROGRAM_ID) {
+  const { message } = response.transaction;
+  const keys = message.getAccountKeys({
+    accountKeysFromLookups: response.meta?.loadedAddresses,
+  });
+
+  const inner = new Map();
+  for (const set of response.meta?.innerInstructions ?? []) inner.set(set.index, set.instructions);
+
+  const decodeAt = (programIdIndex, accountIndexes, data) => {
+    const pid = keys.get(programIdIndex);
+    if (!pid || !pid.equals(programId)) return null;
+    try {
+      return decodeInstruction(
+        { programId: pid, keys: accountIndexes.map((i) => keys.get(i)), data },
+        programId
+      );
+    } catch {
+      // Malformed data the program itself would have rejected
+      return null;
+    }
+  };
+
+  const results = [];
+  message.compiledInstructions.forEach((ci, instructionIndex) => {
+    const top = decodeAt(ci.programIdIndex, ci.accountKeyIndexes, Buffer.from(ci.data));
+    if (top) results.push({ ...top, instructionIndex, innerIndex: null });
+
+    (inner.get(instructionIndex) ?? []).forEach((cpi, innerIndex) => {
+      const decoded = decodeAt(cpi.programIdIndex, cpi.accounts, bs58Decode(cpi.data));
+      if (decoded) results.push({ ...decoded, instructionIndex, innerIndex });
+    });
+  });
+  return results;
+}
@@ -0,0 +1,231 @@
+/**
+ * @module errors
+ * Typed errors for failed Precog transactions, and a parser that maps raw
+ * RPC / web3.js failures onto them.
+ */
+
+import { PROGRAM_ID, DISCRIMINATORS, ErrorCode } from "./constants.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════
+
+/** SCREAMING_SNAKE → camelCase (PLACE_BET → placeBet) */
+function camelCase(s) {
+  return s.toLowerCase().replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+/** Instruction discriminator byte → builder name (e.g. 2 → "placeBet") */
+const INSTRUCTION_NAMES = Object.fromEntries(
+  Object.entries(DISCRIMINATORS).map(([k, v]) => [v[0], camelCase(k)])
+);
+
+// ═══════════════════════════════════════════════════════════════════════
+// Error classes
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Base class for every error thrown by the SDK itself. */
+export class PrecogError extends Error {
+  /** @param {string} message @param {{ cause?: unknown }} [options] */
+  constructor(message, options) {
+    super(message, options);
+    this.name = "PrecogError";
+  }
+}
+
+/**
+ * A transaction failed with one of the program's custom error codes.
+ * `name` is the `ErrorCode` name (e.g. "BetBelowMinimum"), so callers can
+ * switch on `err.name` or test `err instanceof ProgramErrors.BetBelowMinimum`.
+ */
+export class PrecogProgramError extends PrecogError {
+  /**
+   * @param {Object} details
+   * @param {number} details.code - Custom program error code (0–63).
+   * @param {number|null} [details.instructionIndex] - Index of the failing instruction in the transaction.
+   * @param {string|null} [details.instructionName] - Decoded builder name, e.g. "placeBet".
+   * @param {string[]} [details.logs] - Program logs, when available.
+   * @param {unknown} [details.cause] - The original error.
+   */
+  constructor({ code, instructionIndex = null, instructionName = null, logs = [], cause }) {
+    const errorName = ErrorCode[code] ?? `Unknown(${code})`;
+    const where =
+      instructionIndex === null
+        ? ""
+        : ` in instruction ${instructionIndex}${instructionName ? ` (${instructionName})` : ""}`;
+    super(`${errorName} (code ${code})${where}`, cause === undefined ? undefined : { cause });
+    this.name = errorName;
+    /** @type {number} */ this.code = code;
+    /** @type {number|null} */ this.instructionIndex = instructionIndex;
+    /** @type {string|null} */ this.instructionName = instructionName;
+    /** @type {string[]} */ this.logs = logs;
+  }
+}
+
+/**
+ * Arguments were rejected client-side, before anything was sent.
+ * `violations` lists every problem found, each keyed by the `ErrorCode`
+ * name the program would have failed with.
+ */
+export class PrecogValidationError extends PrecogError {
+  /** @param {import("./validation.js").ValidationViolation[]} violations */
+  constructor(violations) {
+    super(
+      `Validation failed: ${violations.map((v) => `${v.name} (${v.field})`).join(", ")}`
+    );
+    this.name = "PrecogValidationError";
+    /** @type {import("./validation.js").ValidationViolation[]} */
+    this.violations = violations;
+  }
+}
+
+/**
+ * One `PrecogProgramError` subclass per program error code, keyed by name.
+ * @type {Record<string, typeof PrecogProgramError>}
+ */
+export const ProgramErrors = Object.fromEntries(
+  Object.entries(ErrorCode).map(([code, name]) => {
+    const cls = class extends PrecogProgramError {
+      /** @param {Omit<ConstructorParameters<typeof PrecogProgramError>[0], "code">} [details] */
+      constructor(details = {}) {
+        super({ ...details, code: Number(code) });
+      }
+    };
+    Object.defineProperty(cls, "name", { value: name });
+    cls.code = Number(code);
+    return [name, cls];
+  })
+);
+
+/**
+ * Instantiate the typed error for a program error code.
+ * @param {number} code
+ * @param {Omit<ConstructorParameters<typeof PrecogProgramError>[0], "code">} [details]
+ * @returns {PrecogProgramError}
+ */
+export function programErrorFromCode(code, details = {}) {
+  const cls = ProgramErrors[ErrorCode[code]];
+  return cls ? new cls(details) : new PrecogProgramError({ ...details, code });
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Parser
+// ═══════════════════════════════════════════════════════════════════════
+
+const CUSTOM_JSON_RE = /"InstructionError":\[(\d+),\{"Custom":(\d+)\}\]/;
+const CUSTOM_MESSAGE_RE = /Error processing Instruction (\d+): custom program error: 0x([0-9a-fA-F]+)/;
+const LOG_FAILED_RE = /^Program (\w+) failed: custom program error: 0x([0-9a-fA-F]+)/;
+const LOG_INVOKE_RE = /^Program (\w+) invoke \[(\d+)\]/;
+
+/**
+ * Pull the log lines out of whatever the caller handed us.
+ * @returns {string[]}
+ */
+function extractLogs(input) {
+  if (Array.isArray(input)) return input.filter((l) => typeof l === "string");
+  if (!input || typeof input !== "object") return [];
+  if (Array.isArray(input.logs)) return input.logs;
+  if (Array.isArray(input.transactionLogs)) return input.transactionLogs;
+  if (Array.isArray(input.value?.logs)) return input.value.logs;
+  return [];
+}
+
+/**
+ * Find `{ InstructionError: [index, { Custom: code }] }` in a raw
+ * TransactionError, a simulation result, or an error message.
+ * @returns {{ instructionIndex: number, code: number } | null}
+ */
+function extractInstructionError(input) {
+  const candidates = [input, input?.err, input?.value?.err];
+  for (const c of candidates) {
+    const ie = c?.InstructionError;
+    if (Array.isArray(ie) && typeof ie[1]?.Custom === "number") {
+      return { instructionIndex: ie[0], code: ie[1].Custom };
+    }
+  }
+
+  const text =
+    typeof input === "string"
+      ? input
+      : [input?.message, input?.transactionMessage].filter(Boolean).join("\n");
+  if (!text) return null;
+
+  let m = CUSTOM_JSON_RE.exec(text);
+  if (m) return { instructionIndex: Number(m[1]), code: Number(m[2]) };
+  m = CUSTOM_MESSAGE_RE.exec(text);
+  if (m) return { instructionIndex: Number(m[1]), code: parseInt(m[2], 16) };
+  return null;
+}
+
+/**
+ * Scan program logs for the first `custom program error` and the index of the
+ * top-level instruction it occurred in.
+ * @param {string[]} logs
+ * @returns {{ programId: string, code: number, instructionIndex: number|null } | null}
+ */
+function extractFromLogs(logs) {
+  let topLevel = -1;
+  for (const line of logs) {
+    const inv = LOG_INVOKE_RE.exec(line);
+    if (inv && inv[2] === "1") topLevel++;
+    const failed = LOG_FAILED_RE.exec(line);
+    if (failed) {
+      return {
+        programId: failed[1],
+        code: parseInt(failed[2], 16),
+        instructionIndex: topLevel >= 0 ? topLevel : null,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map a failed transaction to a typed `PrecogProgramError`.
+ *
+ * Accepts a web3.js `SendTransactionError`, an `Error` whose message embeds
+ * the transaction status, a raw `TransactionError` (`{ InstructionError: … }`),
+ * a simulation result (`{ err, logs }`), or a bare array of log lines.
+ *
+ * Returns `null` when the failure is not a custom error raised by the
+ * Precog program (e.g. a System or Token program error, or a network error).
+ *
+ * @param {unknown} errOrLogs
+ * @param {Object} [opts]
+ * @param {import("@solana/web3.js").TransactionInstruction[]} [opts.instructions]
+ *   Instructions of the failed transaction, used to decode the instruction name.
+ * @param {import("@solana/web3.js").PublicKey} [opts.programId]
+ * @returns {PrecogProgramError|null}
+ */
+export function parseProgramError(errOrLogs, opts = {}) {
+  const programId = (opts.programId ?? PROGRAM_ID).toBase58();
+  const logs = extractLogs(errOrLogs);
+  const fromLogs = extractFromLogs(logs);
+
+  // A custom error raised by another program (e.g. Token CPI) is not ours.
+  if (fromLogs && fromLogs.programId !== programId) return null;
+
+  const fromStatus = extractInstructionError(errOrLogs);
+  const found = fromStatus ?? fromLogs;
+  if (!found) return null;
+
+  const instructionIndex = found.instructionIndex ?? null;
+  const instruction =
+    instructionIndex === null ? undefined : opts.instructions?.[instructionIndex];
+
+  // Without logs, the instruction itself tells us whether the code is ours.
+  if (!fromLogs && instruction && instruction.programId.toBase58() !== programId) {
+    return null;
+  }
+
+  const instructionName = instruction
+    ? INSTRUCTION_NAMES[instruction.data[0]] ?? null
+    : null;
+
+  return programErrorFromCode(found.code, {
+    instructionIndex,
+    instructionName,
+    logs,
+    cause: errOrLogs instanceof Error ? errOrLogs : undefined,
+  });
+}
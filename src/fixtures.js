@@ -0,0 +1,184 @@
+/**
+ * @module fixtures
+ * Factories for fake on-chain accounts, for testing apps without a
+ * validator. Each factory fills sensible defaults, applies overrides and
+ * returns the account exactly as its decoder would (it is normalized
+ * through encode → decode), so `encodeX(fixture)` gives the account data.
+ */
+
+import { PublicKey } from "@solana/web3.js";
+
+import { PROGRAM_ID, MarketStatus, TokenDenomination } from "./constants.js";
+import {
+  encodeMarket,
+  encodeUserPosition,
+  encodeProtocolConfig,
+  encodeMultisigAuthority,
+  encodeMultisigProposal,
+  decodeMarket,
+  decodeUserPosition,
+  decodeProtocolConfig,
+  decodeMultisigAuthority,
+  decodeMultisigProposal,
+} from "./accounts.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════
+
+const DEFAULT_KEY = PublicKey.default;
+
+/** Current unix time in seconds, as the program's i64 timestamps. */
+function now() {
+  return BigInt(Math.floor(Date.now() / 1000));
+}
+
+/**
+ * Wrap account data as `getAccountInfo` would return it: owned by the
+ * program and funded with the rent-exempt minimum for its size.
+ * @param {Buffer} data
+ * @param {{ owner?: PublicKey, lamports?: number }} [opts]
+ * @returns {import("@solana/web3.js").AccountInfo<Buffer>}
+ */
+export function accountInfoFixture(data, opts = {}) {
+  return {
+    data,
+    executable: false,
+    // Rent-exempt minimum: (128 + len) bytes × 3480 lamports/byte-year × 2 years
+    lamports: opts.lamports ?? (128 + data.length) * 6960,
+    owner: opts.owner ?? PROGRAM_ID,
+    rentEpoch: 0,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Accounts
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * An open two-outcome ("Yes" / "No") SOL market with empty pools and a
+ * deadline a week out. `numOutcomes` follows `outcomeLabels`, pools are
+ * zero-filled to match and `totalPool` is their sum unless overridden.
+ * @param {Partial<import("./accounts.js").MarketAccount>} [overrides]
+ * @returns {import("./accounts.js").MarketAccount}
+ */
+export function marketFixture(overrides = {}) {
+  const outcomeLabels = overrides.outcomeLabels ?? ["Yes", "No"];
+  const numOutcomes = overrides.numOutcomes ?? outcomeLabels.length;
+  const outcomePools =
+    overrides.outcomePools ?? Array.from({ length: numOutcomes }, () => 0n);
+
+  return decodeMarket(
+    encodeMarket({
+      bump: 255,
+      marketId: 0n,
+      authority: DEFAULT_KEY,
+      authorityIsMultisig: false,
+      status: MarketStatus.Open,
+      resolutionDeadline: now() + 7n * 86_400n,
+      resolvedAt: 0n,
+      winningOutcome: 0,
+      feeBps: 100,
+      feesCollected: 0n,
+      totalPool: outcomePools.reduce((sum, p) => sum + BigInt(p), 0n),
+      totalPositions: 0n,
+      denomination: TokenDenomination.NativeSol,
+      tokenMint: DEFAULT_KEY,
+      tokenDecimals: 9,
+      hasTransferFee: false,
+      transferFeeBps: 0,
+      maxTransferFee: 0n,
+      creator: overrides.authority ?? DEFAULT_KEY,
+      creatorFeeBps: 0,
+      title: "Test market",
+      description: "",
+      ...overrides,
+      outcomeLabels,
+      numOutcomes,
+      outcomePools,
+    })
+  );
+}
+
+/**
+ * An unclaimed position with no stake on outcome 0.
+ * @param {Partial<import("./accounts.js").UserPositionAccount>} [overrides]
+ * @returns {import("./accounts.js").UserPositionAccount}
+ */
+export function userPositionFixture(overrides = {}) {
+  return decodeUserPosition(
+    encodeUserPosition({
+      bump: 255,
+      market: DEFAULT_KEY,
+      owner: DEFAULT_KEY,
+      outcomeIndex: 0,
+      amount: 0n,
+      claimed: false,
+      lastDepositAt: now(),
+      ...overrides,
+    })
+  );
+}
+
+/**
+ * An unpaused protocol with a 1% default fee.
+ * @param {Partial<import("./accounts.js").ProtocolConfigAccount>} [overrides]
+ * @returns {import("./accounts.js").ProtocolConfigAccount}
+ */
+export function protocolConfigFixture(overrides = {}) {
+  return decodeProtocolConfig(
+    encodeProtocolConfig({
+      bump: 255,
+      admin: DEFAULT_KEY,
+      defaultFeeBps: 100,
+      treasury: DEFAULT_KEY,
+      paused: false,
+      totalMarketsCreated: 0n,
+      totalVolume: 0n,
+      ...overrides,
+    })
+  );
+}
+
+/**
+ * A 1-of-1 multisig with no proposals.
+ * @param {Partial<import("./accounts.js").MultisigAuthorityAccount>} [overrides]
+ * @returns {import("./accounts.js").MultisigAuthorityAccount}
+ */
+export function multisigAuthorityFixture(overrides = {}) {
+  return decodeMultisigAuthority(
+    encodeMultisigAuthority({
+      bump: 255,
+      nonce: 0n,
+      threshold: 1,
+      signers: [DEFAULT_KEY],
+      proposalCount: 0n,
+      ...overrides,
+    })
+  );
+}
+
+/**
+ * A fresh, unapproved proposal to resolve the market to outcome 0.
+ * @param {Partial<Omit<import("./accounts.js").MultisigProposalAccount, "action">> & {
+ *   action?: { name: string, fields?: Object },
+ * }} [overrides]
+ * @returns {import("./accounts.js").MultisigProposalAccount}
+ */
+export function multisigProposalFixture(overrides = {}) {
+  return decodeMultisigProposal(
+    encodeMultisigProposal({
+      bump: 255,
+      multisig: DEFAULT_KEY,
+      market: DEFAULT_KEY,
+      proposalId: 0n,
+      action: { name: "ResolveMarket", fields: { winningOutcome: 0 } },
+      proposer: DEFAULT_KEY,
+      approvals: 0,
+      approvalCount: 0,
+      executed: false,
+      createdAt: now(),
+      ...overrides,
+    })
+  );
+}
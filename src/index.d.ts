@@ -5,9 +5,19 @@
 import {
   PublicKey,
   Connection,
+  Transaction,
+  VersionedTransaction,
   TransactionInstruction,
   ConfirmOptions,
   Signer,
+  AddressLookupTableAccount,
+  Commitment,
+  Finality,
+  GetProgramAccountsFilter,
+  AccountInfo,
+  TransactionError,
+  VersionedTransactionResponse,
+  SendOptions,
 } from "@solana/web3.js";
 
 // ═══════════════════════════════════════════════════════════════════════
@@ -17,6 +27,7 @@ import {
 export declare const PROGRAM_ID: PublicKey;
 export declare const TOKEN_PROGRAM_ID: PublicKey;
 export declare const TOKEN_2022_PROGRAM_ID: PublicKey;
+export declare const ASSOCIATED_TOKEN_PROGRAM_ID: PublicKey;
 export declare const SYSTEM_PROGRAM_ID: PublicKey;
 export declare const RENT_SYSVAR_ID: PublicKey;
 
@@ -182,6 +193,9 @@ export declare class BorshReader {
   skip(n: number): void;
 }
 
+export declare function bs58Encode(buf: Buffer | Uint8Array): string;
+export declare function bs58Decode(str: string): Buffer;
+
 // ═══════════════════════════════════════════════════════════════════════
 // Account types
 // ═══════════════════════════════════════════════════════════════════════
@@ -217,6 +231,8 @@ export interface MarketAccount {
   title: string;
   description: string;
   outcomeLabels: string[];
+  /** MARKET_LAYOUTS version the account was decoded with */
+  layoutVersion: number;
 }
 
 export interface UserPositionAccount {
@@ -228,6 +244,7 @@ export interface UserPositionAccount {
   amount: bigint;
   claimed: boolean;
   lastDepositAt: bigint;
+  layoutVersion: number;
 }
 
 export interface ProtocolConfigAccount {
@@ -277,6 +294,278 @@ export declare function decodeProtocolConfig(data: Buffer | Uint8Array): Protoco
 export declare function decodeMultisigAuthority(data: Buffer | Uint8Array): MultisigAuthorityAccount;
 export declare function decodeMultisigProposal(data: Buffer | Uint8Array): MultisigProposalAccount;
 
+/** Market fields through the title — no description or outcome labels */
+export type MarketSummary = Omit<MarketAccount, "description" | "outcomeLabels">;
+
+/** Bytes from offset 0 covered by MarketSummary, for dataSlice queries */
+export declare const MARKET_SUMMARY_LENGTH: number;
+
+/**
+ * Decode a Market prefix through the title (a dataSlice up to
+ * `layout.offsets.description`, or a full account). Pass `layoutVersion`
+ * for slices of anything but the current layout.
+ */
+export declare function decodeMarketSummary(
+  data: Buffer | Uint8Array,
+  layoutVersion?: number
+): MarketSummary;
+
+/** One field of an AccountLayout: [name, type] or [name, type, count] */
+export type FieldSpec =
+  | [string, "u8" | "u16" | "u64" | "i64" | "bool" | "pubkey" | "bytes"]
+  | [string, "u8" | "u16" | "u64" | "i64" | "bool" | "pubkey" | "bytes", number];
+
+/** A versioned fixed-size account layout with precomputed field offsets */
+export interface AccountLayout {
+  account: "Market" | "UserPosition";
+  version: number;
+  discriminator: Buffer;
+  /** Account data length in bytes */
+  size: number;
+  fields: FieldSpec[];
+  offsets: Readonly<Record<string, number>>;
+}
+
+/** Every known Market / UserPosition layout, oldest first */
+export declare const ACCOUNT_LAYOUTS: ReadonlyArray<AccountLayout>;
+
+/** Market layouts, oldest first (v1: pre-creator, v2: current) */
+export declare const MARKET_LAYOUTS: ReadonlyArray<AccountLayout>;
+
+/** Layout of raw account data by discriminator and size; null if unknown */
+export declare function findAccountLayout(data: Buffer | Uint8Array): AccountLayout | null;
+
+/**
+ * Byte offsets of the Market fields in the current layout for memcmp /
+ * dataSlice. Per-version offsets are on MARKET_LAYOUTS.
+ */
+export declare const MARKET_OFFSETS: Readonly<{
+  discriminator: number;
+  bump: number;
+  marketId: number;
+  authority: number;
+  authorityIsMultisig: number;
+  status: number;
+  resolutionDeadline: number;
+  resolvedAt: number;
+  winningOutcome: number;
+  feeBps: number;
+  feesCollected: number;
+  numOutcomes: number;
+  outcomePools: number;
+  totalPool: number;
+  totalPositions: number;
+  denomination: number;
+  tokenMint: number;
+  tokenDecimals: number;
+  hasTransferFee: number;
+  transferFeeBps: number;
+  maxTransferFee: number;
+  creator: number;
+  creatorFeeBps: number;
+  title: number;
+  titleLen: number;
+  description: number;
+  descriptionLen: number;
+  outcomeLabels: number;
+  outcomeLabelLens: number;
+}>;
+
+export declare const USER_POSITION_OFFSETS: Readonly<{
+  discriminator: number;
+  bump: number;
+  market: number;
+  owner: number;
+  outcomeIndex: number;
+  amount: number;
+  claimed: number;
+  lastDepositAt: number;
+}>;
+
+/** Fixed-position MultisigProposal fields (up to the variable-length action) */
+export declare const MULTISIG_PROPOSAL_OFFSETS: Readonly<{
+  discriminator: number;
+  bump: number;
+  multisig: number;
+  market: number;
+  proposalId: number;
+}>;
+
+// ── Encoders ─────────────────────────────────────────────────────────
+
+/** Market fields an encoder needs: derived names and the discriminator are ignored */
+export type EncodableMarket = Omit<
+  MarketAccount,
+  "discriminator" | "statusName" | "denominationName" | "layoutVersion"
+> & {
+  /** Default: the current layout */
+  layoutVersion?: number;
+};
+
+/** Byte-exact Market account data; inverse of decodeMarket */
+export declare function encodeMarket(market: EncodableMarket): Buffer;
+export declare function encodeUserPosition(
+  position: Omit<UserPositionAccount, "discriminator" | "layoutVersion">
+): Buffer;
+export declare function encodeProtocolConfig(
+  config: Omit<ProtocolConfigAccount, "discriminator">
+): Buffer;
+/** `numSigners` is taken from `signers` */
+export declare function encodeMultisigAuthority(
+  multisig: Omit<MultisigAuthorityAccount, "discriminator" | "numSigners">
+): Buffer;
+/** Serialized length for the action; the allocated account may be longer */
+export declare function encodeMultisigProposal(
+  proposal: Omit<MultisigProposalAccount, "discriminator" | "action"> & {
+    action: { name: string; fields?: Record<string, unknown> };
+  }
+): Buffer;
+
+// ═══════════════════════════════════════════════════════════════════════
+// Fixtures
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Account data as getAccountInfo returns it: program-owned and rent-exempt */
+export declare function accountInfoFixture(
+  data: Buffer,
+  opts?: { owner?: PublicKey; lamports?: number }
+): AccountInfo<Buffer>;
+
+/** Open Yes/No SOL market, empty pools, deadline a week out */
+export declare function marketFixture(overrides?: Partial<MarketAccount>): MarketAccount;
+/** Unclaimed position with no stake on outcome 0 */
+export declare function userPositionFixture(
+  overrides?: Partial<UserPositionAccount>
+): UserPositionAccount;
+/** Unpaused protocol with a 1% default fee */
+export declare function protocolConfigFixture(
+  overrides?: Partial<ProtocolConfigAccount>
+): ProtocolConfigAccount;
+/** 1-of-1 multisig with no proposals */
+export declare function multisigAuthorityFixture(
+  overrides?: Partial<MultisigAuthorityAccount>
+): MultisigAuthorityAccount;
+/** Unapproved proposal to resolve the market to outcome 0 */
+export declare function multisigProposalFixture(
+  overrides?: Partial<Omit<MultisigProposalAccount, "action">> & {
+    action?: { name: string; fields?: Record<string, unknown> };
+  }
+): MultisigProposalAccount;
+
+// ═══════════════════════════════════════════════════════════════════════
+// Mock connection
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Whether account data passes a getProgramAccounts filter, as the RPC evaluates it */
+export declare function matchesFilter(data: Buffer, filter: GetProgramAccountsFilter): boolean;
+
+export interface SentTransaction {
+  signature: string;
+  /** Deserialized (legacy messages included) */
+  transaction: VersionedTransaction;
+  raw: Buffer;
+  options: SendOptions;
+}
+
+/** Scripted simulateTransaction result; omitted fields default to a success */
+export interface MockSimulation {
+  err?: TransactionError | null;
+  logs?: string[];
+  unitsConsumed?: number;
+}
+
+/** Fee estimate in microLamports per CU, or a JSON-RPC error */
+export type MockPriorityFee = number | { error: { code: number; message: string } };
+
+/**
+ * In-memory Connection stand-in: accounts from setAccount, sends recorded,
+ * simulations and Helius priority fees scripted. Pass `fetch: mock.fetch` to
+ * the client to serve priority-fee requests.
+ */
+export declare class MockConnection {
+  constructor(opts?: {
+    rpcEndpoint?: string;
+    slot?: number;
+    /** Backing store keyed by base58 address; shared, not copied */
+    accounts?: Map<string, AccountInfo<Buffer>>;
+    /** Result when no simulation is queued */
+    simulation?: MockSimulation;
+    /** Response when no fee is queued (default 0) */
+    priorityFee?: MockPriorityFee;
+  });
+  readonly rpcEndpoint: string;
+  slot: number;
+  readonly accounts: Map<string, AccountInfo<Buffer>>;
+  readonly sent: SentTransaction[];
+  readonly simulated: Array<Transaction | VersionedTransaction>;
+  readonly priorityFeeRequests: Array<{ transaction: string; priorityLevel: string }>;
+  readonly fetch: typeof fetch;
+
+  setAccount(address: PublicKey, info: AccountInfo<Buffer>): void;
+  deleteAccount(address: PublicKey): void;
+  queueSimulation(
+    result: MockSimulation | ((tx: Transaction | VersionedTransaction) => MockSimulation)
+  ): void;
+  queuePriorityFee(response: MockPriorityFee): void;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Simulator
+// ═══════════════════════════════════════════════════════════════════════
+
+export interface SimulatedTransaction {
+  signature: string;
+  slot: number;
+  /** Simulator clock when it ran */
+  blockTime: bigint;
+  instructions: TransactionInstruction[];
+  err: TransactionError | null;
+  logs: string[];
+}
+
+/** In-memory Precog program for offline tests (native SOL markets only) */
+export declare class PrecogSimulator {
+  constructor(opts?: {
+    programId?: PublicKey;
+    /** Initial unix time (default: local clock) */
+    now?: bigint | number;
+    /** Default 5000 */
+    lamportsPerSignature?: number;
+  });
+  readonly programId: PublicKey;
+  now: bigint;
+  slot: number;
+  lamportsPerSignature: number;
+  /** Every executed transaction, failed ones included */
+  readonly transactions: SimulatedTransaction[];
+  /**
+   * A SimulatedConnection, typed as Connection so it can be handed to
+   * PrecogMarketsClient. Only the methods the client calls are implemented.
+   */
+  readonly connection: Connection & SimulatedConnection;
+
+  warp(seconds: bigint | number): void;
+  setTime(unixTime: bigint | number): void;
+  getAccount(address: PublicKey): AccountInfo<Buffer> | null;
+  setAccount(address: PublicKey, info: AccountInfo<Buffer>): void;
+  getBalance(address: PublicKey): number;
+  airdrop(address: PublicKey, lamports: number): void;
+  /** Atomic; throws PrecogProgramError (or PrecogError) on failure */
+  processInstructions(
+    instructions: TransactionInstruction[],
+    opts?: { signers?: Array<PublicKey | Signer> }
+  ): Promise<SimulatedTransaction>;
+  processTransaction(
+    transaction: Transaction | VersionedTransaction
+  ): Promise<SimulatedTransaction>;
+}
+
+/** MockConnection whose sends and simulations run on a PrecogSimulator */
+export declare class SimulatedConnection extends MockConnection {
+  constructor(simulator: PrecogSimulator);
+  readonly simulator: PrecogSimulator;
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 // Instruction builders
 // ═══════════════════════════════════════════════════════════════════════
@@ -455,8 +744,18 @@ export declare function approveProposal(
   programId?: PublicKey
 ): TransactionInstruction;
 
+/**
+ * `action` is the proposal's action name; protocolConfig is only sent for UpdateFeeBps,
+ * which is then checked against the protocol fee
+ */
 export declare function executeProposal(
-  accounts: { proposal: PublicKey; multisig: PublicKey; market: PublicKey },
+  accounts: {
+    proposal: PublicKey;
+    multisig: PublicKey;
+    market: PublicKey;
+    action?: string;
+    protocolConfig?: PublicKey;
+  },
   programId?: PublicKey
 ): TransactionInstruction;
 
@@ -486,16 +785,1149 @@ export declare function disputeResolve(
   programId?: PublicKey
 ): TransactionInstruction;
 
+// ═══════════════════════════════════════════════════════════════════════
+// Instruction decoder
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * A decoded Precog instruction. `args` and `accounts` use the builder's
+ * parameter names, so `ix[name](accounts, args)` rebuilds it.
+ */
+export interface DecodedInstruction {
+  /** Builder name, e.g. "placeBet" */
+  name: string;
+  /** Instruction byte */
+  discriminator: number;
+  /** Empty for instructions without arguments; createProposal gives `{ action: { type, fields } }` */
+  args: Record<string, any>;
+  /** Account by role, e.g. `accounts.bettor` */
+  accounts: Record<string, PublicKey>;
+  /** Accounts past the known roles */
+  remainingAccounts: PublicKey[];
+}
+
+export interface DecodedTransactionInstruction extends DecodedInstruction {
+  /** Top-level instruction index */
+  instructionIndex: number;
+  /** Position among the top-level instruction's CPIs; null for the instruction itself */
+  innerIndex: number | null;
+}
+
+/** Decode instruction data alone; throws on unknown discriminators or truncated data */
+export declare function decodeInstructionData(
+  data: Buffer | Uint8Array
+): { name: string; discriminator: number; args: Record<string, any> };
+
+/** Decode a Precog instruction; null when it targets another program */
+export declare function decodeInstruction(
+  instruction: {
+    programId: PublicKey;
+    keys: Array<{ pubkey: PublicKey }> | PublicKey[];
+    data: Buffer | Uint8Array;
+  },
+  programId?: PublicKey
+): DecodedInstruction | null;
+
+/** Every Precog instruction (including CPIs) in a fetched transaction, in execution order */
+export declare function decodeTransaction(
+  response: VersionedTransactionResponse,
+  programId?: PublicKey
+): DecodedTransactionInstruction[];
+
+// ═══════════════════════════════════════════════════════════════════════
+// Errors
+// ═══════════════════════════════════════════════════════════════════════
+
+export declare class PrecogError extends Error {
+  constructor(message: string, options?: { cause?: unknown });
+}
+
+export interface PrecogProgramErrorDetails {
+  /** Custom program error code (0–63) */
+  code: number;
+  /** Index of the failing instruction in the transaction */
+  instructionIndex?: number | null;
+  /** Decoded builder name of the failing instruction, e.g. "placeBet" */
+  instructionName?: string | null;
+  logs?: string[];
+  cause?: unknown;
+}
+
+export declare class PrecogProgramError extends PrecogError {
+  constructor(details: PrecogProgramErrorDetails);
+  /** The `ErrorCode` name, e.g. "BetBelowMinimum" */
+  name: string;
+  readonly code: number;
+  readonly instructionIndex: number | null;
+  readonly instructionName: string | null;
+  readonly logs: string[];
+}
+
+export interface ValidationViolation {
+  /** `ErrorCode` name the program would fail with */
+  name: string;
+  /** null when the program has no dedicated code */
+  code: number | null;
+  /** Offending argument, e.g. "title" or "outcomeLabels[2]" */
+  field: string;
+  message: string;
+}
+
+/** Arguments rejected client-side before anything was sent */
+export declare class PrecogValidationError extends PrecogError {
+  constructor(violations: ValidationViolation[]);
+  readonly violations: ValidationViolation[];
+}
+
+export type ProgramErrorClass = {
+  new (details?: Omit<PrecogProgramErrorDetails, "code">): PrecogProgramError;
+  readonly code: number;
+};
+
+/** One `PrecogProgramError` subclass per program error, keyed by `ErrorCode` name */
+export declare const ProgramErrors: Record<string, ProgramErrorClass>;
+
+export declare function programErrorFromCode(
+  code: number,
+  details?: Omit<PrecogProgramErrorDetails, "code">
+): PrecogProgramError;
+
+/**
+ * Map a failed transaction (SendTransactionError, raw TransactionError,
+ * simulation result or log lines) to a typed `PrecogProgramError`.
+ * Returns `null` if the failure is not a Precog custom program error.
+ */
+export declare function parseProgramError(
+  errOrLogs: unknown,
+  opts?: { instructions?: TransactionInstruction[]; programId?: PublicKey }
+): PrecogProgramError | null;
+
+// ═══════════════════════════════════════════════════════════════════════
+// Pre-flight validation
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Check createMarket args against on-chain limits (UTF-8 byte lengths,
+ * outcome count, deadline, fee bounds). Returns every violation at once.
+ */
+export declare function validateCreateMarketArgs(
+  args: {
+    title: string;
+    description: string;
+    outcomeLabels: string[];
+    resolutionDeadline: bigint | number;
+    feeBpsOverride?: number | null;
+  },
+  opts?: { protocolConfig?: ProtocolConfigAccount | null; now?: bigint | number }
+): ValidationViolation[];
+
+export interface BetEligibility {
+  eligible: boolean;
+  /** `ErrorCode` name (or "ProtocolPaused"); null when eligible */
+  reason: string | null;
+  code: number | null;
+  field: string | null;
+  message: string | null;
+  /** Minimum bet for the market's denomination */
+  minimum: bigint;
+  /** Amount credited to the pool after any Token-2022 transfer fee */
+  netAmount: bigint;
+}
+
+/**
+ * Check whether a bet would be accepted (paused protocol, market status,
+ * deadline, outcome index, minimum bet, post-transfer-fee amount) without RPC.
+ */
+export declare function checkBetEligibility(params: {
+  market: MarketAccount;
+  protocolConfig?: ProtocolConfigAccount | null;
+  outcomeIndex: number;
+  amount: bigint | number;
+  now?: bigint | number;
+}): BetEligibility;
+
+/** Mint extensions the program is known to refuse, mapped to the ErrorCode name it fails with */
+export declare const REFUSED_MINT_EXTENSIONS: Readonly<Record<number, string>>;
+
+/**
+ * Check a market mint: exists, owned by a token program matching
+ * tokenProgram/denomination, and no refused extensions.
+ */
+export declare function validateTokenMint(params: {
+  mint: MintAccount | null;
+  owner: PublicKey | null;
+  tokenProgram?: PublicKey;
+  denomination?: number;
+}): ValidationViolation[];
+
+// ═══════════════════════════════════════════════════════════════════════
+// Math
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Token-2022 transfer fee: ceil(amount * feeBps / 10000), capped at maxFee */
+export declare function calculateTransferFee(
+  amount: bigint | number,
+  feeBps: number,
+  maxFee: bigint | number
+): bigint;
+
+/** Breakdown of a claimWinnings payout, in the market's base units */
+export interface ClaimQuote {
+  /** amount * totalPool / winningPool, rounded down */
+  gross: bigint;
+  /** gross * defaultFeeBps / 10000, rounded down; to the treasury */
+  protocolFee: bigint;
+  /** gross * creatorFeeBps / 10000, rounded down; to the creator */
+  creatorFee: bigint;
+  /** gross - protocolFee - creatorFee; leaves the vault for the claimant */
+  payout: bigint;
+  /** Token-2022 fee withheld from payout */
+  transferFee: bigint;
+  /** payout - transferFee */
+  netReceived: bigint;
+}
+
+/** Exact claimWinnings arithmetic with the market's fee split; all zeros for a losing position */
+export declare function quoteClaim(market: MarketAccount, position: UserPositionAccount): ClaimQuote;
+
+/** Fixed-point scale of probabilities, odds and multiples (1e9 = 1.0) */
+export declare const ODDS_PRECISION: bigint;
+
+/** pool * ODDS_PRECISION / totalPool per outcome, rounded down */
+export declare function impliedProbabilities(market: MarketAccount): bigint[];
+/** Decimal odds after the market fee, scaled by ODDS_PRECISION; null for an empty pool */
+export declare function decimalOdds(market: MarketAccount): Array<bigint | null>;
+
+export interface BetSimulation {
+  outcomeIndex: number;
+  /** Paid by the bettor */
+  amount: bigint;
+  /** Credited to the pool, after any Token-2022 transfer fee */
+  netAmount: bigint;
+  /** Market after the bet; pass to the next simulateBet to chain */
+  market: MarketAccount;
+  probabilitiesBefore: bigint[];
+  probabilitiesAfter: bigint[];
+  oddsBefore: Array<bigint | null>;
+  oddsAfter: Array<bigint | null>;
+  /** Claim on this bet alone if its outcome wins and no further bets are placed */
+  payout: ClaimQuote;
+  /** payout.netReceived * ODDS_PRECISION / amount */
+  multiple: bigint;
+}
+
+export declare function simulateBet(
+  market: MarketAccount,
+  outcomeIndex: number,
+  amount: bigint | number
+): BetSimulation;
+
+/** Bets in order by one bettor; payouts[i] quotes the combined stake on outcome i */
+export declare function simulateBets(
+  market: MarketAccount,
+  bets: Array<{ outcomeIndex: number; amount: bigint | number }>
+): { market: MarketAccount; steps: BetSimulation[]; stakes: bigint[]; payouts: ClaimQuote[] };
+
+export interface PayoutCurvePoint {
+  amount: bigint;
+  netReceived: bigint;
+  /** netReceived * ODDS_PRECISION / amount */
+  multiple: bigint;
+  /** Extra payout per extra unit since the previous point, scaled by ODDS_PRECISION */
+  marginal: bigint;
+}
+
+/** Payout by bet size on one outcome; amounts must be ascending */
+export declare function marginalPayoutCurve(
+  market: MarketAccount,
+  outcomeIndex: number,
+  amounts: Array<bigint | number>
+): PayoutCurvePoint[];
+
+// ═══════════════════════════════════════════════════════════════════════
+// Transaction helpers
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Return the key of a PublicKey, Keypair, Signer or wallet adapter */
+export declare function toPublicKey(signerOrKey: PublicKey | { publicKey: PublicKey }): PublicKey;
+
+export interface BuildTransactionOptions {
+  feePayer: PublicKey;
+  /** Default: 0 when lookupTables are given, "legacy" otherwise */
+  version?: "legacy" | 0;
+  /** Tables used to compress a v0 message's account keys */
+  lookupTables?: AddressLookupTableAccount[];
+  commitment?: ConfirmOptions["commitment"];
+}
+
+/** Effective version for a set of options */
+export declare function resolveVersion(opts?: {
+  version?: "legacy" | 0;
+  lookupTables?: unknown[];
+}): "legacy" | 0;
+
+/** Compile instructions into an unsigned transaction for a known blockhash */
+export declare function compileTransaction(
+  instructions: TransactionInstruction[],
+  opts: BuildTransactionOptions & { blockhash: string; lastValidBlockHeight?: number }
+): Transaction | VersionedTransaction;
+
+/** Serialized size once fully signed; Infinity if the message overflows */
+export declare function getTransactionSize(transaction: Transaction | VersionedTransaction): number;
+
+/** Whether a transaction fits in PACKET_DATA_SIZE (1232 bytes) */
+export declare function fitsInPacket(transaction: Transaction | VersionedTransaction): boolean;
+
+/** Compile instructions into an unsigned transaction with a fresh blockhash */
+export declare function buildTransaction(
+  connection: Connection,
+  instructions: TransactionInstruction[],
+  opts: BuildTransactionOptions
+): Promise<{
+  transaction: Transaction | VersionedTransaction;
+  blockhash: string;
+  lastValidBlockHeight: number;
+}>;
+
+// ═══════════════════════════════════════════════════════════════════════
+// Signers
+// ═══════════════════════════════════════════════════════════════════════
+
+/** The signing surface Solana wallet adapters expose */
+export interface WalletSigner {
+  publicKey: PublicKey;
+  signTransaction<T extends Transaction | VersionedTransaction>(tx: T): Promise<T>;
+  signAllTransactions?<T extends Transaction | VersionedTransaction>(txs: T[]): Promise<T[]>;
+}
+
+/** Anything the client accepts where a signature is needed */
+export type AnySigner = Signer | WalletSigner;
+
+export declare function isWalletSigner(signer: unknown): signer is WalletSigner;
+
+/** Drop duplicate signers (same public key), keeping the first */
+export declare function uniqueSigners(signers: AnySigner[]): AnySigner[];
+
+/**
+ * Sign transactions with a mix of keypairs and wallets. Wallets sign first
+ * (once per batch via signAllTransactions when available), then keypairs.
+ */
+export declare function signTransactions<T extends Transaction | VersionedTransaction>(
+  transactions: T[],
+  signers: AnySigner[]
+): Promise<T[]>;
+
+// ═══════════════════════════════════════════════════════════════════════
+// Token accounts & lookup tables
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Token program owning a market's mint; null for NativeSol */
+export declare function tokenProgramForDenomination(denomination: number): PublicKey | null;
+
+/** TokenDenomination for a token program; null for other programs */
+export declare function denominationForTokenProgram(tokenProgram: PublicKey): number | null;
+
+export declare const MINT_SIZE: 82;
+
+export declare const MintExtensionType: {
+  readonly Uninitialized: 0;
+  readonly TransferFeeConfig: 1;
+  readonly TransferFeeAmount: 2;
+  readonly MintCloseAuthority: 3;
+  readonly ConfidentialTransferMint: 4;
+  readonly ConfidentialTransferAccount: 5;
+  readonly DefaultAccountState: 6;
+  readonly ImmutableOwner: 7;
+  readonly MemoTransfer: 8;
+  readonly NonTransferable: 9;
+  readonly InterestBearingConfig: 10;
+  readonly CpiGuard: 11;
+  readonly PermanentDelegate: 12;
+  readonly NonTransferableAccount: 13;
+  readonly TransferHook: 14;
+  readonly TransferHookAccount: 15;
+  readonly ConfidentialTransferFeeConfig: 16;
+  readonly ConfidentialTransferFeeAmount: 17;
+  readonly MetadataPointer: 18;
+  readonly TokenMetadata: 19;
+  readonly GroupPointer: 20;
+  readonly TokenGroup: 21;
+  readonly GroupMemberPointer: 22;
+  readonly TokenGroupMember: 23;
+  readonly ConfidentialMintBurn: 24;
+  readonly ScaledUiAmountConfig: 25;
+  readonly Pausable: 26;
+  readonly PausableAccount: 27;
+};
+
+export interface MintExtension {
+  type: number;
+  name: string;
+  data: Buffer;
+}
+
+export interface MintAccount {
+  mintAuthority: PublicKey | null;
+  supply: bigint;
+  decimals: number;
+  isInitialized: boolean;
+  freezeAuthority: PublicKey | null;
+  /** Token-2022 TLV extensions; empty for SPL Token mints */
+  extensions: MintExtension[];
+}
+
+/** Decode an SPL Token / Token-2022 mint, including extensions */
+export declare function decodeMint(data: Buffer | Uint8Array): MintAccount;
+
+/** Derive an associated token account (tokenProgram default: TOKEN_PROGRAM_ID) */
+export declare function findAssociatedTokenAddress(
+  owner: PublicKey,
+  mint: PublicKey,
+  tokenProgram?: PublicKey
+): Promise<[PublicKey, number]>;
+
+/** Associated Token program CreateIdempotent: create the ATA unless it exists */
+export declare function createAssociatedTokenAccountIdempotent(accounts: {
+  payer: PublicKey;
+  associatedToken: PublicKey;
+  owner: PublicKey;
+  mint: PublicKey;
+  tokenProgram?: PublicKey;
+}): TransactionInstruction;
+
+/**
+ * Program IDs, protocol config, and the market's vault / vault authority /
+ * token vault, deduplicated — the contents of a per-market lookup table.
+ */
+export declare function getMarketLookupTableAddresses(
+  market: PublicKey,
+  opts?: {
+    tokenMint?: PublicKey;
+    tokenProgram?: PublicKey;
+    extraAddresses?: PublicKey[];
+    programId?: PublicKey;
+  }
+): Promise<PublicKey[]>;
+
+// ═══════════════════════════════════════════════════════════════════════
+// Subscriptions
+// ═══════════════════════════════════════════════════════════════════════
+
+export type MarketChange =
+  | { type: "pool"; outcomeIndex: number; previous: bigint; current: bigint; delta: bigint }
+  | { type: "totalPool"; previous: bigint; current: bigint; delta: bigint }
+  | {
+      type: "status";
+      previous: number;
+      current: number;
+      previousName: string;
+      currentName: string;
+    }
+  | { type: "winningOutcome"; previous: number; current: number }
+  | { type: "resolutionDeadline"; previous: bigint; current: bigint }
+  | { type: "feeBps"; previous: number; current: number };
+
+export type PositionChange =
+  | { type: "amount"; previous: bigint; current: bigint; delta: bigint }
+  | { type: "claimed"; previous: boolean; current: boolean };
+
+export interface AccountUpdate<A, C> {
+  address: PublicKey;
+  /** Context slot of the update */
+  slot: number;
+  /** null once the account is closed (or, for program subscriptions, no longer matches) */
+  account: A | null;
+  /** null for the first snapshot */
+  previous: A | null;
+  /** Empty for the first snapshot and for closures */
+  changes: C[];
+}
+
+export interface AccountCodec<A, C> {
+  decode(data: Buffer): A;
+  diff(prev: A | null, next: A): C[];
+}
+
+export interface SubscriptionOptions {
+  commitment?: Commitment;
+  /** Refetch on this interval and emit anything missed; 0 disables */
+  resyncIntervalMs?: number;
+  /** Emit the snapshot fetched at subscribe time */
+  emitInitial?: boolean;
+  /** Fetch / decode failures */
+  onError?: (err: unknown) => void;
+}
+
+export interface ProgramSubscriptionOptions extends SubscriptionOptions {
+  /** Load matching accounts up front even with resync disabled, so first updates carry diffs */
+  seed?: boolean;
+}
+
+export interface Subscription {
+  unsubscribe(): Promise<void>;
+  /** Refetch now and emit anything missed */
+  resync(): Promise<void>;
+}
+
+export declare function diffMarket(prev: MarketAccount | null, next: MarketAccount): MarketChange[];
+export declare function diffUserPosition(
+  prev: UserPositionAccount | null,
+  next: UserPositionAccount
+): PositionChange[];
+export declare const MARKET_CODEC: AccountCodec<MarketAccount, MarketChange>;
+export declare const USER_POSITION_CODEC: AccountCodec<UserPositionAccount, PositionChange>;
+
+/** Subscribe to one account (resync default: 30s, emitInitial default: true) */
+export declare function subscribeAccount<A, C>(
+  connection: Connection,
+  address: PublicKey,
+  codec: AccountCodec<A, C>,
+  callback: (update: AccountUpdate<A, C>) => void,
+  opts?: SubscriptionOptions
+): Promise<Subscription>;
+
+/**
+ * Subscribe to program accounts matching `filters` (resync default: 30s).
+ * `match` runs after the diff, so the update leaving it is still emitted.
+ */
+export declare function subscribeProgramAccounts<A, C>(
+  connection: Connection,
+  programId: PublicKey,
+  filters: GetProgramAccountsFilter[],
+  codec: AccountCodec<A, C>,
+  callback: (update: AccountUpdate<A, C>) => void,
+  opts?: ProgramSubscriptionOptions & { match?: (account: A) => boolean }
+): Promise<Subscription>;
+
+// ═══════════════════════════════════════════════════════════════════════
+// Indexer
+// ═══════════════════════════════════════════════════════════════════════
+
+export interface IndexerRecord {
+  kind: "market" | "position";
+  /** Base58 */
+  address: string;
+  /** Slot the data was observed at */
+  slot: number;
+  /** Raw account data */
+  data: Buffer;
+}
+
+/** Storage adapter for PrecogIndexer */
+export interface IndexerStore {
+  load(): Promise<IndexerRecord[]>;
+  put(record: IndexerRecord): Promise<void>;
+  remove(kind: "market" | "position", address: string): Promise<void>;
+  /** Persist pending writes */
+  flush(): Promise<void>;
+}
+
+/** In-memory store; nothing survives a restart */
+export declare class MemoryStore implements IndexerStore {
+  readonly records: Map<string, IndexerRecord>;
+  load(): Promise<IndexerRecord[]>;
+  put(record: IndexerRecord): Promise<void>;
+  remove(kind: "market" | "position", address: string): Promise<void>;
+  flush(): Promise<void>;
+}
+
+/** JSON-file store with debounced atomic writes (Node.js only) */
+export declare class JsonFileStore extends MemoryStore {
+  /** debounceMs default: 1000; onError receives failed scheduled flushes, which are retried */
+  constructor(path: string, opts?: { debounceMs?: number; onError?: (err: unknown) => void });
+  readonly path: string;
+  readonly debounceMs: number;
+}
+
+export interface MarketQuery {
+  status?: MarketStatusValue;
+  authority?: PublicKey;
+  creator?: PublicKey;
+  tokenMint?: PublicKey;
+  denomination?: TokenDenominationValue;
+  /** Inclusive bounds on resolutionDeadline */
+  deadlineFrom?: bigint | number;
+  deadlineTo?: bigint | number;
+}
+
+export interface PositionQuery {
+  owner?: PublicKey;
+  market?: PublicKey;
+  claimed?: boolean;
+}
+
+export interface PrecogIndexerOptions {
+  programId?: PublicKey;
+  /** Default: a new MemoryStore */
+  store?: IndexerStore;
+  commitment?: Commitment;
+  /** Re-run the gPA on this interval (default 60000; 0 disables); the only way closures are seen */
+  resyncIntervalMs?: number;
+  /** Decode, store and resync failures */
+  onError?: (err: unknown) => void;
+}
+
+/** Local index of markets and positions: one gPA, then a program subscription */
+export declare class PrecogIndexer {
+  constructor(connection: Connection, opts?: PrecogIndexerOptions);
+  readonly connection: Connection;
+  readonly programId: PublicKey;
+  readonly store: IndexerStore;
+  readonly commitment: Commitment | undefined;
+  /** Highest slot applied so far */
+  readonly slot: number;
+
+  /** Restore from the store, subscribe, then reconcile with one gPA */
+  start(): Promise<void>;
+  /** Unsubscribe and flush the store */
+  stop(): Promise<void>;
+  /** Reconcile with a fresh gPA snapshot */
+  resync(): Promise<void>;
+
+  getMarket(address: PublicKey): MarketAccount | null;
+  getMarkets(query?: MarketQuery): Array<{ pubkey: PublicKey; account: MarketAccount }>;
+  getPosition(address: PublicKey): UserPositionAccount | null;
+  getPositions(query?: PositionQuery): Array<{ pubkey: PublicKey; account: UserPositionAccount }>;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Market lifecycle
+// ═══════════════════════════════════════════════════════════════════════
+
+export declare const MarketPhase: {
+  readonly Open: "Open";
+  readonly AwaitingResolution: "AwaitingResolution";
+  readonly InDispute: "InDispute";
+  readonly Finalizable: "Finalizable";
+  readonly Finalized: "Finalized";
+  readonly Voided: "Voided";
+};
+export type MarketPhaseValue = (typeof MarketPhase)[keyof typeof MarketPhase];
+
+/** An instruction the program accepts in the current phase */
+export interface PhaseAction {
+  /** Builder name; "createProposal" for multisig-governed markets */
+  instruction: string;
+  by: "authority" | "multisig" | "anyone" | "positionOwners";
+  /** Proposal action for multisig-governed markets, else null */
+  proposalAction: keyof typeof ProposalActionTag | null;
+}
+
+export interface MarketPhaseInfo {
+  phase: MarketPhaseValue;
+  governance: "authority" | "multisig";
+  /** Phase reached by time alone; null when an instruction is needed */
+  nextPhase: MarketPhaseValue | null;
+  transitionAt: bigint | null;
+  secondsUntilTransition: bigint | null;
+  /** Authority actions first */
+  actions: PhaseAction[];
+}
+
+/** now defaults to the local clock */
+export declare function getMarketPhase(market: MarketAccount, now?: bigint | number): MarketPhaseInfo;
+
+/** Match a builder name or, for multisig markets, a proposal action name */
+export declare function isActionAvailable(phaseInfo: MarketPhaseInfo, instruction: string): boolean;
+
+// ═══════════════════════════════════════════════════════════════════════
+// Portfolio
+// ═══════════════════════════════════════════════════════════════════════
+
+export type PositionState =
+  | "open"
+  | "awaitingFinalization"
+  | "claimable"
+  | "refundable"
+  | "claimed"
+  | "lost"
+  | "unknown";
+
+/** A position, valued. Amounts are in the market's base units */
+export interface PortfolioPosition {
+  position: PublicKey;
+  market: PublicKey;
+  title: string | null;
+  outcomeIndex: number;
+  outcomeLabel: string | null;
+  state: PositionState;
+  /** position.amount; the cost basis */
+  stake: bigint;
+  /** Expected claim while open, claim if the outcome stands while awaiting
+   *  finalization, amount receivable once claimable/refundable, else 0 */
+  currentValue: bigint;
+  /** Claim if this outcome wins on the current pools; null when voided or missing */
+  payoutIfWins: ClaimQuote | null;
+  realizedPnl: bigint;
+  unrealizedPnl: bigint;
+  /** End of the dispute window while awaiting finalization */
+  finalizesAt: bigint | null;
+  secondsUntilFinalization: bigint | null;
+  denomination: TokenDenominationValue;
+  /** null for SOL */
+  tokenMint: PublicKey | null;
+  decimals: number;
+  ui: { stake: string; currentValue: string; realizedPnl: string; unrealizedPnl: string };
+}
+
+export interface PortfolioTotals {
+  /** Stake not yet claimed or lost */
+  staked: bigint;
+  currentValue: bigint;
+  claimable: bigint;
+  refundable: bigint;
+  realizedPnl: bigint;
+  unrealizedPnl: bigint;
+}
+
+/** Positions sharing a denomination and mint */
+export interface PortfolioGroup {
+  denomination: TokenDenominationValue;
+  tokenMint: PublicKey | null;
+  decimals: number;
+  positions: PortfolioPosition[];
+  totals: PortfolioTotals;
+  /** totals normalised by decimals */
+  ui: Record<keyof PortfolioTotals, string>;
+}
+
+export interface Portfolio {
+  now: bigint;
+  positions: PortfolioPosition[];
+  /** SOL first, then by denomination and mint */
+  groups: PortfolioGroup[];
+}
+
+/** Exact decimal string of a base-unit amount, e.g. toUiAmount(1_500_000_000n, 9) === "1.5" */
+export declare function toUiAmount(amount: bigint, decimals: number): string;
+
+/** Classify and value positions; markets are keyed by base58 address */
+export declare function buildPortfolio(
+  positions: Array<{ pubkey: PublicKey; account: UserPositionAccount }>,
+  markets: Map<string, MarketAccount | null>,
+  opts?: { now?: bigint | number }
+): Portfolio;
+
+// ═══════════════════════════════════════════════════════════════════════
+// Keepers
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Storage adapter for a keeper checkpoint (one JSON-safe object) */
+export interface KeeperCheckpointStore {
+  /** null when nothing was saved yet */
+  load(): Promise<object | null>;
+  save(checkpoint: object): Promise<void>;
+}
+
+/** In-memory checkpoint; a restart starts from scratch */
+export declare class MemoryCheckpointStore implements KeeperCheckpointStore {
+  checkpoint: object | null;
+  load(): Promise<object | null>;
+  save(checkpoint: object): Promise<void>;
+}
+
+/** JSON-file checkpoint, replaced atomically (Node.js only) */
+export declare class JsonFileCheckpointStore implements KeeperCheckpointStore {
+  constructor(path: string);
+  readonly path: string;
+  load(): Promise<object | null>;
+  save(checkpoint: object): Promise<void>;
+}
+
+export interface KeeperOptions {
+  /** Signs and pays for every transaction */
+  payer: AnySigner;
+  /** Default: a new MemoryCheckpointStore */
+  store?: KeeperCheckpointStore;
+  /** Instructions per transaction (default 5) */
+  batchSize?: number;
+  /** Default 60 000 */
+  scanIntervalMs?: number;
+  /** Default 5; doubles with each attempt, up to an hour, while the program rejects it */
+  retryDelaySeconds?: number;
+  /** Default 60 000 */
+  confirmTimeoutMs?: number;
+  /** Default 2 000 */
+  pollIntervalMs?: number;
+  /** Helius levels to escalate through (default Medium, High, VeryHigh) */
+  priorityLevels?: string[];
+  /** Unix seconds (default: local clock) */
+  now?: () => bigint | number;
+  /** Passed to sendSmartTransaction */
+  txOptions?: TxOptions;
+}
+
+export interface KeeperMetrics {
+  scans: number;
+  transactions: number;
+  failedTransactions: number;
+  /** Unix seconds */
+  lastScanAt: number | null;
+  lastError: string | null;
+  /** Tasks scheduled or awaiting retry */
+  pending: number;
+}
+
+export interface KeeperRetryEvent {
+  addresses: PublicKey[];
+  attempts: number;
+  priorityLevel: string;
+  retryAt: bigint;
+  error: unknown;
+}
+
+export interface MarketKeeperEvents {
+  scheduled: { market: PublicKey; finalizesAt: bigint };
+  /** priorityLevel / priorityFee are null when an earlier send confirmed late */
+  finalized: {
+    markets: PublicKey[];
+    signature: string;
+    priorityLevel: string | null;
+    priorityFee: number | null;
+  };
+  retry: KeeperRetryEvent;
+  /** reason: the market's statusName, or "Closed" */
+  dropped: { market: PublicKey; reason: string };
+  error: unknown;
+}
+
+export interface MarketKeeperMetrics extends KeeperMetrics {
+  finalized: number;
+  dropped: number;
+  lastFinalizedAt: number | null;
+}
+
+/** Cranks finalizeMarket as dispute windows close, in batches, with fee escalation */
+export declare class MarketKeeper {
+  constructor(client: PrecogMarketsClient, opts: KeeperOptions);
+  readonly client: PrecogMarketsClient;
+  readonly payer: AnySigner;
+  readonly store: KeeperCheckpointStore;
+  readonly batchSize: number;
+  readonly scanIntervalMs: number;
+  readonly retryDelaySeconds: number;
+  readonly confirmTimeoutMs: number;
+  readonly pollIntervalMs: number;
+  readonly priorityLevels: string[];
+  readonly metrics: MarketKeeperMetrics;
+
+  now(): bigint;
+  on<E extends keyof MarketKeeperEvents>(
+    event: E,
+    listener: (payload: MarketKeeperEvents[E]) => void
+  ): () => void;
+  /** Restore the checkpoint, scan, then run on timers until stop() */
+  start(): Promise<void>;
+  /** Stop the timers, wait for work in progress and save the checkpoint */
+  stop(): Promise<void>;
+  /** Restore, scan, finalize what is due and save; no timers */
+  runOnce(): Promise<void>;
+  /** Refresh the schedule from getAllMarkets({ status: Resolved }) */
+  scan(): Promise<void>;
+  /** Finalize every market whose dispute window has closed */
+  tick(): Promise<void>;
+}
+
+export interface ProposalKeeperOptions extends KeeperOptions {
+  /** Multisigs whose proposals to execute (at least one) */
+  multisigs: PublicKey[];
+  /** Report proposals below threshold this close to expiry (default 86 400) */
+  expiryWarningSeconds?: number;
+}
+
+export interface ProposalKeeperEvents {
+  /** executeAt: createdAt, or the market's deadline for an early ResolveMarket */
+  scheduled: {
+    proposal: PublicKey;
+    multisig: PublicKey;
+    action: keyof typeof ProposalActionTag;
+    executeAt: bigint;
+    expiresAt: bigint;
+  };
+  /** priorityLevel / priorityFee are null when an earlier send confirmed late */
+  executed: {
+    proposals: PublicKey[];
+    signature: string;
+    priorityLevel: string | null;
+    priorityFee: number | null;
+  };
+  retry: KeeperRetryEvent;
+  /** Below threshold within expiryWarningSeconds of expiry; once per proposal */
+  expiring: {
+    proposal: PublicKey;
+    multisig: PublicKey;
+    action: keyof typeof ProposalActionTag;
+    approvalCount: number;
+    threshold: number;
+    expiresAt: bigint;
+    secondsLeft: bigint;
+  };
+  /**
+   * Approved but the program would reject it: "SignerSetChanged", "MarketNotFound",
+   * "UnauthorizedAuthority", "ExpiresBeforeDeadline" or "<action> not valid while <phase>".
+   * Once per proposal and reason.
+   */
+  blocked: {
+    proposal: PublicKey;
+    multisig: PublicKey;
+    action: keyof typeof ProposalActionTag;
+    reason: string;
+  };
+  /** reason: "Executed", "Closed", "expired", "pending" or a blocked reason */
+  dropped: { proposal: PublicKey; reason: string };
+  error: unknown;
+}
+
+export interface ProposalKeeperMetrics extends KeeperMetrics {
+  executed: number;
+  dropped: number;
+  blocked: number;
+  expiring: number;
+  lastExecutedAt: number | null;
+}
+
+/**
+ * Executes approved proposals of the given multisigs once the program would
+ * accept them, batching market actions and sending signer-set changes last
+ */
+export declare class ProposalKeeper {
+  constructor(client: PrecogMarketsClient, opts: ProposalKeeperOptions);
+  readonly client: PrecogMarketsClient;
+  readonly payer: AnySigner;
+  readonly store: KeeperCheckpointStore;
+  readonly multisigs: PublicKey[];
+  readonly expiryWarningSeconds: number;
+  readonly batchSize: number;
+  readonly scanIntervalMs: number;
+  readonly retryDelaySeconds: number;
+  readonly confirmTimeoutMs: number;
+  readonly pollIntervalMs: number;
+  readonly priorityLevels: string[];
+  readonly metrics: ProposalKeeperMetrics;
+
+  now(): bigint;
+  on<E extends keyof ProposalKeeperEvents>(
+    event: E,
+    listener: (payload: ProposalKeeperEvents[E]) => void
+  ): () => void;
+  /** Restore the checkpoint, scan, then run on timers until stop() */
+  start(): Promise<void>;
+  /** Stop the timers, wait for work in progress and save the checkpoint */
+  stop(): Promise<void>;
+  /** Restore, scan, execute what is due and save; no timers */
+  runOnce(): Promise<void>;
+  /** Refresh the schedule from getProposalsByMultisig */
+  scan(): Promise<void>;
+  /** Re-check and execute every proposal that is due */
+  tick(): Promise<void>;
+}
+
 // ═══════════════════════════════════════════════════════════════════════
 // High-level Client
 // ═══════════════════════════════════════════════════════════════════════
 
+export interface MarketHistoryEvent extends DecodedTransactionInstruction {
+  signature: string;
+  slot: number;
+  blockTime: number | null;
+  err: TransactionError | null;
+}
+
+/**
+ * memcmp filters on the Market layout. The most selective ones that fit the
+ * RPC's four-filter limit run on the node (keys before enums); the rest are
+ * matched after decoding.
+ */
+export interface MarketFieldFilters {
+  authority?: PublicKey;
+  creator?: PublicKey;
+  tokenMint?: PublicKey;
+  status?: MarketStatusValue;
+  denomination?: TokenDenominationValue;
+  authorityIsMultisig?: boolean;
+}
+
+export interface MarketFilters extends MarketFieldFilters {
+  // Client-side, after decoding
+  /** Inclusive bounds on resolutionDeadline */
+  deadlineFrom?: bigint | number;
+  deadlineTo?: bigint | number;
+  minTotalPool?: bigint | number;
+  /** Case-insensitive substring of title */
+  titleIncludes?: string;
+  sortBy?: "resolutionDeadline" | "totalPool" | "marketId" | "title";
+  /** Default: "asc" */
+  order?: "asc" | "desc";
+  /** Pagination without sortBy orders by address */
+  offset?: number;
+  limit?: number;
+}
+
 export interface PrecogMarketsClientOptions {
   programId?: PublicKey;
   /** Multiplier for simulated CU (default: 1.1) */
   computeUnitMargin?: number;
   /** Helius priority level (default: "Medium") */
   priorityLevel?: "Min" | "Low" | "Medium" | "High" | "VeryHigh";
+  /** Default transaction version (default: 0 when lookupTables are given, "legacy" otherwise) */
+  version?: "legacy" | 0;
+  /** Default lookup tables for v0 transactions */
+  lookupTables?: AddressLookupTableAccount[];
+  /** Used for Helius priority-fee requests (default: the global fetch) */
+  fetch?: typeof fetch;
+}
+
+/**
+ * Options accepted by every high-level transactional method.
+ * `mode: "build"` returns an unsigned transaction instead of sending.
+ */
+export interface TxOptions extends ConfirmOptions {
+  mode?: "send" | "build";
+  /** Build mode: fee payer (default: the first signer argument) */
+  feePayer?: PublicKey;
+  /** "legacy" or 0 for a VersionedTransaction (default: the client's setting) */
+  version?: "legacy" | 0;
+  /** Lookup tables for a v0 transaction (default: the client's setting) */
+  lookupTables?: AddressLookupTableAccount[];
+}
+
+/** Unsigned transaction returned in build mode */
+export interface BuiltTransaction {
+  transaction: Transaction | VersionedTransaction;
+  instructions: TransactionInstruction[];
+  feePayer: PublicKey;
+  blockhash: string;
+  lastValidBlockHeight: number;
+}
+
+/** One position's outcome in a claimAll run */
+export interface ClaimReportEntry {
+  position: PublicKey;
+  market: PublicKey;
+  outcomeIndex: number;
+  amount: bigint;
+  /** null when skipped before planning */
+  action: "claimWinnings" | "claimRefund" | null;
+  /** "built" in build mode */
+  status: "claimed" | "built" | "skipped" | "failed";
+  /** e.g. "AlreadyClaimed", "LosingPosition", "MarketNotSettled", "TransactionTooLarge", or the error name */
+  reason: string | null;
+  /** Index into `transactions` */
+  transactionIndex: number | null;
+  signature: string | null;
+  error?: unknown;
+}
+
+export interface ClaimAllOptions extends TxOptions {
+  /** Cap on claims per transaction (default: as many as fit) */
+  maxInstructionsPerTransaction?: number;
+}
+
+/** Replace the signer fields K of P with plain PublicKeys (build mode) */
+type AsBuildParams<P, K extends keyof P> = Omit<P, K> & { [F in K]: PublicKey };
+type ParamsOf<M extends keyof PrecogMarketsClient> = PrecogMarketsClient[M] extends (
+  params: infer P,
+  ...rest: any[]
+) => any
+  ? P
+  : never;
+type BuildOptions = Omit<TxOptions, "mode">;
+
+/** `client.build.*` — build-only variants of every transactional method */
+export interface PrecogMarketsBuildNamespace {
+  initializeProtocol(
+    admin: PublicKey,
+    treasury: PublicKey,
+    defaultFeeBps: number,
+    opts?: BuildOptions
+  ): Promise<BuiltTransaction & { protocolConfig: PublicKey }>;
+  createSolMarket(
+    params: AsBuildParams<ParamsOf<"createSolMarket">, "payer">
+  ): Promise<BuiltTransaction & { market: PublicKey; vault: PublicKey; marketId: bigint }>;
+  createTokenMarket(
+    params: AsBuildParams<ParamsOf<"createTokenMarket">, "payer">
+  ): Promise<
+    BuiltTransaction & {
+      market: PublicKey;
+      vault: PublicKey;
+      vaultAuthority: PublicKey;
+      tokenVault: PublicKey;
+      marketId: bigint;
+    }
+  >;
+  placeSolBet(
+    params: AsBuildParams<ParamsOf<"placeSolBet">, "bettor">
+  ): Promise<BuiltTransaction & { position: PublicKey }>;
+  placeTokenBet(
+    params: AsBuildParams<ParamsOf<"placeTokenBet">, "bettor">
+  ): Promise<BuiltTransaction & { position: PublicKey }>;
+  resolveMarket(
+    authority: PublicKey,
+    market: PublicKey,
+    winningOutcome: number,
+    opts?: BuildOptions
+  ): Promise<BuiltTransaction>;
+  disputeResolve(
+    authority: PublicKey,
+    market: PublicKey,
+    winningOutcome: number,
+    opts?: BuildOptions
+  ): Promise<BuiltTransaction>;
+  finalizeMarket(payer: PublicKey, market: PublicKey, opts?: BuildOptions): Promise<BuiltTransaction>;
+  claimSolWinnings(
+    params: AsBuildParams<ParamsOf<"claimSolWinnings">, "claimant">
+  ): Promise<BuiltTransaction>;
+  claimTokenWinnings(
+    params: AsBuildParams<ParamsOf<"claimTokenWinnings">, "claimant">
+  ): Promise<BuiltTransaction>;
+  voidMarket(authority: PublicKey, market: PublicKey, opts?: BuildOptions): Promise<BuiltTransaction>;
+  claimSolRefund(
+    params: AsBuildParams<ParamsOf<"claimSolRefund">, "claimant">
+  ): Promise<BuiltTransaction>;
+  claimTokenRefund(
+    params: AsBuildParams<ParamsOf<"claimTokenRefund">, "claimant">
+  ): Promise<BuiltTransaction>;
+  updateProtocolConfig(
+    admin: PublicKey,
+    args: UpdateProtocolConfigArgs,
+    opts?: BuildOptions
+  ): Promise<BuiltTransaction>;
+  createMultisig(
+    creator: PublicKey,
+    nonce: bigint | number,
+    threshold: number,
+    signers: PublicKey[],
+    opts?: BuildOptions
+  ): Promise<BuiltTransaction & { multisig: PublicKey }>;
+  createProposal(
+    params: AsBuildParams<ParamsOf<"createProposal">, "proposer">
+  ): Promise<BuiltTransaction & { proposal: PublicKey; proposalId: bigint }>;
+  approveProposal(
+    signer: PublicKey,
+    proposal: PublicKey,
+    multisig: PublicKey,
+    opts?: BuildOptions
+  ): Promise<BuiltTransaction>;
+  executeProposal(
+    payer: PublicKey,
+    proposal: PublicKey,
+    multisig: PublicKey,
+    market: PublicKey,
+    opts?: BuildOptions
+  ): Promise<BuiltTransaction>;
+  harvestWithheldTokens(
+    params: AsBuildParams<ParamsOf<"harvestWithheldTokens">, "withdrawAuthority">
+  ): Promise<BuiltTransaction>;
+  createMarketLookupTable(
+    params: AsBuildParams<ParamsOf<"createMarketLookupTable">, "payer" | "authority">
+  ): Promise<BuiltTransaction & { lookupTable: PublicKey; addresses: PublicKey[] }>;
+  claimAll(
+    owner: PublicKey,
+    opts?: Omit<ClaimAllOptions, "mode">
+  ): Promise<{
+    report: ClaimReportEntry[];
+    transactions: Array<BuiltTransaction & { positions: PublicKey[] }>;
+  }>;
 }
 
 export declare class PrecogMarketsClient {
@@ -503,6 +1935,9 @@ export declare class PrecogMarketsClient {
   readonly programId: PublicKey;
   readonly computeUnitMargin: number;
   readonly priorityLevel: string;
+  readonly version: "legacy" | 0 | undefined;
+  readonly lookupTables: AddressLookupTableAccount[];
+  readonly fetch: typeof fetch;
 
   constructor(connection: Connection, opts?: PrecogMarketsClientOptions);
   /** @deprecated Use options object instead */
@@ -511,13 +1946,16 @@ export declare class PrecogMarketsClient {
   // Transaction sending
   sendTransaction(
     instructions: TransactionInstruction[],
-    signers: Signer[],
-    opts?: ConfirmOptions
+    signers: AnySigner[],
+    opts?: TxOptions
   ): Promise<string>;
 
   // Low-level instruction builders
   buildInstructions: typeof import("./instructions.js");
 
+  /** Build-only (unsigned, unsent) variants of every transactional method */
+  readonly build: PrecogMarketsBuildNamespace;
+
   // PDA derivation
   findProtocolConfig(): Promise<[PublicKey, number]>;
   findMarket(authority: PublicKey, marketId: bigint | number): Promise<[PublicKey, number]>;
@@ -539,14 +1977,27 @@ export declare class PrecogMarketsClient {
   fetchUserPositions(addresses: PublicKey[]): Promise<(UserPositionAccount | null)[]>;
 
   // gPA queries
-  getAllMarkets(filters?: {
-    authority?: PublicKey;
-  }): Promise<Array<{ pubkey: PublicKey; account: MarketAccount }>>;
+  /** Field filters run on the RPC node; ranges, title, sorting and pagination client-side */
+  getAllMarkets(filters?: MarketFilters): Promise<Array<{ pubkey: PublicKey; account: MarketAccount }>>;
+
+  /** getAllMarkets over a dataSlice ending at the title; hydrate with fetchMarket */
+  getMarketSummaries(
+    filters?: MarketFilters
+  ): Promise<Array<{ pubkey: PublicKey; account: MarketSummary }>>;
+
+  /**
+   * Next free marketId for an authority: one past its highest existing id,
+   * probed against findMarketAddress. `after` skips ids up to and including it.
+   */
+  nextMarketId(authority: PublicKey, opts?: { after?: bigint | number }): Promise<bigint>;
 
   getPositionsByOwner(
     owner: PublicKey
   ): Promise<Array<{ pubkey: PublicKey; account: UserPositionAccount }>>;
 
+  /** Positions with their markets and the protocol config, valued and grouped */
+  getPortfolio(owner: PublicKey, opts?: { now?: bigint | number }): Promise<Portfolio>;
+
   getPositionsByMarket(
     market: PublicKey
   ): Promise<Array<{ pubkey: PublicKey; account: UserPositionAccount }>>;
@@ -555,183 +2006,306 @@ export declare class PrecogMarketsClient {
     multisig: PublicKey
   ): Promise<Array<{ pubkey: PublicKey; account: MultisigProposalAccount }>>;
 
+  // History
+  /**
+   * Every Precog instruction that touched the market, oldest first.
+   * `before` / `until` are exclusive signature bounds; `limit` caps signatures scanned.
+   */
+  getMarketHistory(
+    market: PublicKey,
+    opts?: {
+      before?: string;
+      until?: string;
+      limit?: number;
+      /** Transactions fetched per getTransactions call (default: 25) */
+      batchSize?: number;
+      includeFailed?: boolean;
+      commitment?: Finality;
+    }
+  ): AsyncGenerator<MarketHistoryEvent>;
+
+  /** PrecogIndexer on this client's connection and program; call start() before querying */
+  createIndexer(opts?: Omit<PrecogIndexerOptions, "programId">): PrecogIndexer;
+
+  // Subscriptions
+  /** Decoded market updates with typed diffs; resyncs every 30s by default */
+  subscribeMarket(
+    address: PublicKey,
+    callback: (update: AccountUpdate<MarketAccount, MarketChange>) => void,
+    opts?: SubscriptionOptions
+  ): Promise<Subscription>;
+
+  /** Like subscribeMarket for every matching market; `status` is matched client-side */
+  subscribeMarkets(
+    filter: MarketFieldFilters & { match?: (market: MarketAccount) => boolean },
+    callback: (update: AccountUpdate<MarketAccount, MarketChange>) => void,
+    opts?: ProgramSubscriptionOptions
+  ): Promise<Subscription>;
+
+  subscribePosition(
+    address: PublicKey,
+    callback: (update: AccountUpdate<UserPositionAccount, PositionChange>) => void,
+    opts?: SubscriptionOptions
+  ): Promise<Subscription>;
+
+  subscribePositions(
+    filter: { owner?: PublicKey; market?: PublicKey },
+    callback: (update: AccountUpdate<UserPositionAccount, PositionChange>) => void,
+    opts?: ProgramSubscriptionOptions
+  ): Promise<Subscription>;
+
+  // Pre-flight checks
+  checkBetEligibility(params: {
+    market: PublicKey;
+    outcomeIndex: number;
+    amount: bigint | number;
+  }): Promise<BetEligibility>;
+  /** Fetches market, position and protocol config in one call */
+  quoteClaim(params: { market: PublicKey; position: PublicKey }): Promise<ClaimQuote>;
+
   // High-level transactional methods
   initializeProtocol(
-    admin: Signer,
+    admin: AnySigner,
     treasury: PublicKey,
     defaultFeeBps: number,
-    opts?: ConfirmOptions
+    opts?: TxOptions
   ): Promise<{ signature: string; protocolConfig: PublicKey }>;
 
   createSolMarket(params: {
-    payer: Signer;
-    authority?: PublicKey;
-    marketId: bigint | number;
+    payer: AnySigner;
+    /** Defaults to payer. Pass a signer when it differs; a bare PublicKey is for multisig PDAs */
+    authority?: AnySigner | PublicKey;
+    /** Default: nextMarketId(authority), retried on collision */
+    marketId?: bigint | number;
+    /** Collision retries when marketId is allocated (default: 3) */
+    marketIdRetries?: number;
     title: string;
     description: string;
     outcomeLabels: string[];
     resolutionDeadline: bigint | number;
     feeBpsOverride?: number | null;
     authorityIsMultisig?: boolean;
-    opts?: ConfirmOptions;
-  }): Promise<{ signature: string; market: PublicKey; vault: PublicKey }>;
+    /** Skip client-side validateCreateMarketArgs (default: false) */
+    skipValidation?: boolean;
+    opts?: TxOptions;
+  }): Promise<{ signature: string; market: PublicKey; vault: PublicKey; marketId: bigint }>;
 
   createTokenMarket(params: {
-    payer: Signer;
-    authority?: PublicKey;
-    marketId: bigint | number;
+    payer: AnySigner;
+    /** Defaults to payer. Pass a signer when it differs; a bare PublicKey is for multisig PDAs */
+    authority?: AnySigner | PublicKey;
+    /** Default: nextMarketId(authority), retried on collision */
+    marketId?: bigint | number;
+    /** Collision retries when marketId is allocated (default: 3) */
+    marketIdRetries?: number;
     title: string;
     description: string;
     outcomeLabels: string[];
     resolutionDeadline: bigint | number;
     feeBpsOverride?: number | null;
     tokenMint: PublicKey;
-    tokenVault: PublicKey;
-    tokenProgram: PublicKey;
-    denomination: number;
+    /** Default: the vault authority's ATA, created in the same transaction */
+    tokenVault?: PublicKey;
+    /** Default: the mint's owner program */
+    tokenProgram?: PublicKey;
+    /** Default: from the mint's owner program */
+    denomination?: number;
     authorityIsMultisig?: boolean;
-    opts?: ConfirmOptions;
-  }): Promise<{ signature: string; market: PublicKey; vault: PublicKey; vaultAuthority: PublicKey }>;
+    /** Skip validateCreateMarketArgs and the mint checks (default: false) */
+    skipValidation?: boolean;
+    opts?: TxOptions;
+  }): Promise<{
+    signature: string;
+    market: PublicKey;
+    vault: PublicKey;
+    vaultAuthority: PublicKey;
+    tokenVault: PublicKey;
+    marketId: bigint;
+  }>;
 
   placeSolBet(params: {
-    bettor: Signer;
+    bettor: AnySigner;
     market: PublicKey;
     outcomeIndex: number;
     amount: bigint | number;
-    opts?: ConfirmOptions;
+    /** Skip the checkBetEligibility pre-flight (default: false) */
+    skipValidation?: boolean;
+    opts?: TxOptions;
   }): Promise<{ signature: string; position: PublicKey }>;
 
   placeTokenBet(params: {
-    bettor: Signer;
+    bettor: AnySigner;
     market: PublicKey;
     outcomeIndex: number;
     amount: bigint | number;
-    bettorTokenAccount: PublicKey;
-    tokenVault: PublicKey;
-    tokenMint: PublicKey;
-    tokenProgram: PublicKey;
-    opts?: ConfirmOptions;
+    /** Default: the bettor's associated token account */
+    bettorTokenAccount?: PublicKey;
+    /** Token fields default to values derived from the market */
+    tokenVault?: PublicKey;
+    tokenMint?: PublicKey;
+    tokenProgram?: PublicKey;
+    /** Skip the checkBetEligibility pre-flight (default: false) */
+    skipValidation?: boolean;
+    opts?: TxOptions;
   }): Promise<{ signature: string; position: PublicKey }>;
 
   resolveMarket(
-    authority: Signer,
+    authority: AnySigner,
     market: PublicKey,
     winningOutcome: number,
-    opts?: ConfirmOptions
+    opts?: TxOptions
   ): Promise<{ signature: string }>;
 
   finalizeMarket(
-    payer: Signer,
+    payer: AnySigner,
     market: PublicKey,
-    opts?: ConfirmOptions
+    opts?: TxOptions
   ): Promise<{ signature: string }>;
 
   claimSolWinnings(params: {
-    claimant: Signer;
+    claimant: AnySigner;
     market: PublicKey;
     position: PublicKey;
     treasury: PublicKey;
     /** Market creator wallet */
     creator: PublicKey;
-    opts?: ConfirmOptions;
+    opts?: TxOptions;
   }): Promise<{ signature: string }>;
 
+  /**
+   * Omitted token accounts default to associated token accounts; missing
+   * ones are created in the same transaction unless createTokenAccounts is false.
+   */
   claimTokenWinnings(params: {
-    claimant: Signer;
+    claimant: AnySigner;
     market: PublicKey;
     position: PublicKey;
-    treasury: PublicKey;
-    /** Market creator wallet */
-    creator: PublicKey;
-    claimantTokenAccount: PublicKey;
-    treasuryTokenAccount: PublicKey;
+    /** Default: the protocol treasury */
+    treasury?: PublicKey;
+    /** Market creator wallet (default: from the market) */
+    creator?: PublicKey;
+    claimantTokenAccount?: PublicKey;
+    treasuryTokenAccount?: PublicKey;
     /** Creator's token account */
-    creatorTokenAccount: PublicKey;
-    tokenVault: PublicKey;
-    tokenMint: PublicKey;
-    tokenProgram: PublicKey;
-    opts?: ConfirmOptions;
+    creatorTokenAccount?: PublicKey;
+    tokenVault?: PublicKey;
+    tokenMint?: PublicKey;
+    tokenProgram?: PublicKey;
+    /** Default: true */
+    createTokenAccounts?: boolean;
+    opts?: TxOptions;
   }): Promise<{ signature: string }>;
 
   voidMarket(
-    authority: Signer,
+    authority: AnySigner,
     market: PublicKey,
-    opts?: ConfirmOptions
+    opts?: TxOptions
   ): Promise<{ signature: string }>;
 
   claimSolRefund(params: {
-    claimant: Signer;
+    claimant: AnySigner;
     market: PublicKey;
     position: PublicKey;
-    opts?: ConfirmOptions;
+    opts?: TxOptions;
   }): Promise<{ signature: string }>;
 
   claimTokenRefund(params: {
-    claimant: Signer;
+    claimant: AnySigner;
     market: PublicKey;
     position: PublicKey;
-    claimantTokenAccount: PublicKey;
-    tokenVault: PublicKey;
-    tokenMint: PublicKey;
-    tokenProgram: PublicKey;
-    opts?: ConfirmOptions;
+    claimantTokenAccount?: PublicKey;
+    tokenVault?: PublicKey;
+    tokenMint?: PublicKey;
+    tokenProgram?: PublicKey;
+    /** Default: true */
+    createTokenAccounts?: boolean;
+    opts?: TxOptions;
   }): Promise<{ signature: string }>;
 
   updateProtocolConfig(
-    admin: Signer,
+    admin: AnySigner,
     args: UpdateProtocolConfigArgs,
-    opts?: ConfirmOptions
+    opts?: TxOptions
   ): Promise<{ signature: string }>;
 
   createMultisig(
-    creator: Signer,
+    creator: AnySigner,
     nonce: bigint | number,
     threshold: number,
     signers: PublicKey[],
-    opts?: ConfirmOptions
+    opts?: TxOptions
   ): Promise<{ signature: string; multisig: PublicKey }>;
 
   createProposal(params: {
-    proposer: Signer;
+    proposer: AnySigner;
     multisig: PublicKey;
     market: PublicKey;
     action: CreateProposalAction;
-    opts?: ConfirmOptions;
+    opts?: TxOptions;
   }): Promise<{ signature: string; proposal: PublicKey; proposalId: bigint }>;
 
   approveProposal(
-    signer: Signer,
+    signer: AnySigner,
     proposal: PublicKey,
     multisig: PublicKey,
-    opts?: ConfirmOptions
+    opts?: TxOptions
   ): Promise<{ signature: string }>;
 
   executeProposal(
-    payer: Signer,
+    payer: AnySigner,
     proposal: PublicKey,
     multisig: PublicKey,
     market: PublicKey,
-    opts?: ConfirmOptions
+    opts?: TxOptions
   ): Promise<{ signature: string }>;
 
   harvestWithheldTokens(params: {
-    withdrawAuthority: Signer;
+    withdrawAuthority: AnySigner;
     market: PublicKey;
-    tokenMint: PublicKey;
-    tokenVault: PublicKey;
+    /** Token fields default to values derived from the market */
+    tokenMint?: PublicKey;
+    tokenVault?: PublicKey;
     destination: PublicKey;
-    tokenProgram: PublicKey;
-    opts?: ConfirmOptions;
+    tokenProgram?: PublicKey;
+    opts?: TxOptions;
   }): Promise<{ signature: string }>;
 
   disputeResolve(
-    authority: Signer,
+    authority: AnySigner,
     market: PublicKey,
     winningOutcome: number,
-    opts?: ConfirmOptions
+    opts?: TxOptions
   ): Promise<{ signature: string }>;
 
+  // Batch claims
+  /**
+   * Claim all winnings (Finalized, winning outcome) and refunds (Voided) for
+   * a wallet, packed into as few size-checked transactions as possible.
+   */
+  claimAll(
+    owner: AnySigner,
+    opts?: ClaimAllOptions
+  ): Promise<{
+    report: ClaimReportEntry[];
+    transactions: Array<{ positions: PublicKey[]; signature?: string; error?: unknown }>;
+  }>;
+
+  // Address lookup tables
+  /** Create a lookup table with getMarketLookupTableAddresses(market) */
+  createMarketLookupTable(params: {
+    authority: AnySigner | PublicKey;
+    payer: AnySigner;
+    market: PublicKey;
+    extraAddresses?: PublicKey[];
+    /** Default: latest finalized slot */
+    recentSlot?: number;
+    opts?: TxOptions;
+  }): Promise<{ signature: string; lookupTable: PublicKey; addresses: PublicKey[] }>;
+
+  fetchLookupTable(address: PublicKey): Promise<AddressLookupTableAccount | null>;
+
   // Utility
+  /** Approximate (single fee, no transfer fee); see quoteClaim for exact amounts */
   static calculatePayout(
     positionAmount: bigint,
     winningPool: bigint,
@@ -751,7 +2325,7 @@ export declare class PrecogMarketsClient {
   estimateComputeUnits(
     instructions: TransactionInstruction[],
     feePayer: PublicKey,
-    opts?: ConfirmOptions & { computeUnitMargin?: number }
+    opts?: TxOptions & { computeUnitMargin?: number }
   ): Promise<{
     estimatedUnits: number;
     instruction: TransactionInstruction;
@@ -764,7 +2338,7 @@ export declare class PrecogMarketsClient {
   estimatePriorityFee(
     instructions: TransactionInstruction[],
     feePayer: PublicKey,
-    opts?: { priorityLevel?: "Min" | "Low" | "Medium" | "High" | "VeryHigh"; commitment?: string }
+    opts?: TxOptions & { priorityLevel?: "Min" | "Low" | "Medium" | "High" | "VeryHigh"; computeUnitMargin?: number }
   ): Promise<{
     priorityFee: number;
     instruction: TransactionInstruction;
@@ -778,7 +2352,7 @@ export declare class PrecogMarketsClient {
   estimateTransactionFees(
     instructions: TransactionInstruction[],
     feePayer: PublicKey,
-    opts?: { priorityLevel?: "Min" | "Low" | "Medium" | "High" | "VeryHigh"; commitment?: string }
+    opts?: TxOptions & { priorityLevel?: "Min" | "Low" | "Medium" | "High" | "VeryHigh"; computeUnitMargin?: number }
   ): Promise<{
     estimatedUnits: number;
     priorityFee: number;
@@ -792,7 +2366,7 @@ export declare class PrecogMarketsClient {
    * skipPreflight: true, maxRetries: 0 by default.
    */
   sendRawTransaction(
-    transaction: Transaction,
+    transaction: Transaction | VersionedTransaction,
     opts?: { maxRetries?: number; skipPreflight?: boolean; preflightCommitment?: string }
   ): Promise<string>;
 
@@ -802,8 +2376,8 @@ export declare class PrecogMarketsClient {
    */
   sendSmartTransaction(
     instructions: TransactionInstruction[],
-    signers: Signer[],
-    opts?: { priorityLevel?: "Min" | "Low" | "Medium" | "High" | "VeryHigh"; commitment?: string }
+    signers: AnySigner[],
+    opts?: TxOptions & { priorityLevel?: "Min" | "Low" | "Medium" | "High" | "VeryHigh"; computeUnitMargin?: number }
   ): Promise<{
     signature: string;
     estimatedUnits: number;
@@ -21,6 +21,7 @@ export {
   PROGRAM_ID,
   TOKEN_PROGRAM_ID,
   TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
   SYSTEM_PROGRAM_ID,
   RENT_SYSVAR_ID,
   MAX_OUTCOMES,
@@ -57,17 +58,46 @@ export {
 } from "./pda.js";
 
 // ── Serialization ────────────────────────────────────────────────────
-export { BorshWriter, BorshReader } from "./serialization.js";
+export { BorshWriter, BorshReader, bs58Encode, bs58Decode } from "./serialization.js";
 
-// ── Account decoders ─────────────────────────────────────────────────
+// ── Account decoders & encoders ──────────────────────────────────────
 export {
   decodeMarket,
   decodeUserPosition,
   decodeProtocolConfig,
   decodeMultisigAuthority,
   decodeMultisigProposal,
+  decodeMarketSummary,
+  MARKET_SUMMARY_LENGTH,
+  MARKET_OFFSETS,
+  USER_POSITION_OFFSETS,
+  MULTISIG_PROPOSAL_OFFSETS,
+  ACCOUNT_LAYOUTS,
+  MARKET_LAYOUTS,
+  findAccountLayout,
+  encodeMarket,
+  encodeUserPosition,
+  encodeProtocolConfig,
+  encodeMultisigAuthority,
+  encodeMultisigProposal,
 } from "./accounts.js";
 
+// ── Fixtures ─────────────────────────────────────────────────────────
+export {
+  accountInfoFixture,
+  marketFixture,
+  userPositionFixture,
+  protocolConfigFixture,
+  multisigAuthorityFixture,
+  multisigProposalFixture,
+} from "./fixtures.js";
+
+// ── Mock connection ──────────────────────────────────────────────────
+export { MockConnection, matchesFilter } from "./mock.js";
+
+// ── Simulator ────────────────────────────────────────────────────────
+export { PrecogSimulator, SimulatedConnection } from "./simulator.js";
+
 // ── Instruction builders ─────────────────────────────────────────────
 export {
   initializeProtocol,
@@ -87,5 +117,88 @@ export {
   disputeResolve,
 } from "./instructions.js";
 
+// ── Instruction decoder ──────────────────────────────────────────────
+export { decodeInstructionData, decodeInstruction, decodeTransaction } from "./decoder.js";
+
+// ── Errors ───────────────────────────────────────────────────────────
+export {
+  PrecogError,
+  PrecogProgramError,
+  PrecogValidationError,
+  ProgramErrors,
+  programErrorFromCode,
+  parseProgramError,
+} from "./errors.js";
+
+// ── Pre-flight validation ────────────────────────────────────────────
+export {
+  validateCreateMarketArgs,
+  checkBetEligibility,
+  validateTokenMint,
+  REFUSED_MINT_EXTENSIONS,
+} from "./validation.js";
+
+// ── Math ─────────────────────────────────────────────────────────────
+export {
+  calculateTransferFee,
+  quoteClaim,
+  ODDS_PRECISION,
+  impliedProbabilities,
+  decimalOdds,
+  simulateBet,
+  simulateBets,
+  marginalPayoutCurve,
+} from "./math.js";
+
+// ── Transaction helpers ──────────────────────────────────────────────
+export {
+  toPublicKey,
+  resolveVersion,
+  compileTransaction,
+  buildTransaction,
+  getTransactionSize,
+  fitsInPacket,
+} from "./transaction.js";
+export { isWalletSigner, uniqueSigners, signTransactions } from "./signer.js";
+
+// ── Token accounts & lookup tables ───────────────────────────────────
+export {
+  findAssociatedTokenAddress,
+  tokenProgramForDenomination,
+  denominationForTokenProgram,
+  createAssociatedTokenAccountIdempotent,
+  MINT_SIZE,
+  MintExtensionType,
+  decodeMint,
+} from "./token.js";
+export { getMarketLookupTableAddresses } from "./lookup.js";
+
+// ── Subscriptions ────────────────────────────────────────────────────
+export {
+  diffMarket,
+  diffUserPosition,
+  MARKET_CODEC,
+  USER_POSITION_CODEC,
+  subscribeAccount,
+  subscribeProgramAccounts,
+} from "./subscriptions.js";
+
+// ── Indexer ──────────────────────────────────────────────────────────
+export { PrecogIndexer, MemoryStore, JsonFileStore } from "./indexer.js";
+
+// ── Market lifecycle ─────────────────────────────────────────────────
+export { MarketPhase, getMarketPhase, isActionAvailable } from "./lifecycle.js";
+
+// ── Portfolio ────────────────────────────────────────────────────────
+export { buildPortfolio, toUiAmount } from "./portfolio.js";
+
+// ── Keepers ──────────────────────────────────────────────────────────
+export {
+  MarketKeeper,
+  ProposalKeeper,
+  MemoryCheckpointStore,
+  JsonFileCheckpointStore,
+} from "./keeper.js";
+
 // ── High-level client ────────────────────────────────────────────────
 export { PrecogMarketsClient } from "./client.js";
\ No newline at end of file
@@ -0,0 +1,385 @@
+/**
+ * @module indexer
+ * A local index of Market and UserPosition accounts, seeded from one
+ * `getProgramAccounts` call and kept current over a program subscription,
+ * so queries never touch RPC. Raw account data is persisted through a
+ * pluggable store (in-memory and JSON-file stores are included).
+ */
+
+import { PublicKey } from "@solana/web3.js";
+
+import { PROGRAM_ID, ACCOUNT_DISCRIMINATORS } from "./constants.js";
+import { decodeMarket, decodeUserPosition } from "./accounts.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Stores
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * One indexed account as persisted by a store.
+ * @typedef {Object} IndexerRecord
+ * @property {"market"|"position"} kind
+ * @property {string} address - Base58
+ * @property {number} slot - Slot the data was observed at
+ * @property {Buffer} data - Raw account data
+ */
+
+/**
+ * Storage adapter. The indexer keeps decoded accounts in memory and writes
+ * every change through to the store; `load` restores them on `start`.
+ * @typedef {Object} IndexerStore
+ * @property {() => Promise<IndexerRecord[]>} load
+ * @property {(record: IndexerRecord) => Promise<void>} put
+ * @property {(kind: "market"|"position", address: string) => Promise<void>} remove
+ * @property {() => Promise<void>} flush - Persist pending writes.
+ */
+
+/** Keeps records in memory only; everything is lost on restart. */
+export class MemoryStore {
+  constructor() {
+    /** @type {Map<string, IndexerRecord>} */ this.records = new Map();
+  }
+
+  /** @returns {Promise<IndexerRecord[]>} */
+  async load() {
+    return [...this.records.values()];
+  }
+
+  /** @param {IndexerRecord} record */
+  async put(record) {
+    this.records.set(`${record.kind}:${record.address}`, record);
+  }
+
+  /** @param {"market"|"position"} kind @param {string} address */
+  async remove(kind, address) {
+    this.records.delete(`${kind}:${address}`);
+  }
+
+  async flush() {}
+}
+
+/**
+ * Persists records to a JSON file. Writes are batched: a change schedules a
+ * flush after `debounceMs`, and the file is replaced atomically (write to a
+ * temp file, then rename). A failed scheduled flush goes to `onError` and is
+ * retried on the next change or `flush()`. Node.js only.
+ */
+export class JsonFileStore extends MemoryStore {
+  /**
+   * @param {string} path
+   * @param {Object} [opts]
+   * @param {number} [opts.debounceMs] - Default 1000.
+   * @param {(err: unknown) => void} [opts.onError] - Failed scheduled flushes.
+   */
+  constructor(path, opts = {}) {
+    super();
+    /** @type {string} */ this.path = path;
+    /** @type {number} */ this.debounceMs = opts.debounceMs ?? 1000;
+    /** @private */ this._onError = opts.onError ?? (() => {});
+    /** @private */ this._timer = null;
+    /** @private */ this._dirty = false;
+  }
+
+  /** @returns {Promise<IndexerRecord[]>} */
+  async load() {
+    const fs = await import("node:fs/promises");
+    let json;
+    try {
+      json = JSON.parse(await fs.readFile(this.path, "utf-8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    this.records.clear();
+    for (const r of json.records ?? []) {
+      this.records.set(`${r.kind}:${r.address}`, {
+        kind: r.kind,
+        address: r.address,
+        slot: r.slot,
+        data: Buffer.from(r.data, "base64"),
+      });
+    }
+    return super.load();
+  }
+
+  /** @param {IndexerRecord} record */
+  async put(record) {
+    await super.put(record);
+    this._schedule();
+  }
+
+  /** @param {"market"|"position"} kind @param {string} address */
+  async remove(kind, address) {
+    await super.remove(kind, address);
+    this._schedule();
+  }
+
+  async flush() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    if (!this._dirty) return;
+    this._dirty = false;
+
+    const fs = await import("node:fs/promises");
+    const records = [...this.records.values()].map((r) => ({
+      kind: r.kind,
+      address: r.address,
+      slot: r.slot,
+      data: r.data.toString("base64"),
+    }));
+    const tmp = `${this.path}.tmp`;
+    try {
+      await fs.writeFile(tmp, JSON.stringify({ version: 1, records }));
+      await fs.rename(tmp, this.path);
+    } catch (err) {
+      // Nothing was saved; keep the changes pending for the next flush.
+      this._dirty = true;
+      throw err;
+    }
+  }
+
+  /** @private */
+  _schedule() {
+    this._dirty = true;
+    if (this._timer) return;
+    this._timer = setTimeout(() => void this.flush().catch(this._onError), this.debounceMs);
+    this._timer.unref?.();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Indexer
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Account kind from the 8-byte discriminator; null for other account types. */
+function accountKind(data) {
+  if (data.length < 8) return null;
+  const disc = data.subarray(0, 8);
+  if (disc.equals(ACCOUNT_DISCRIMINATORS.MARKET)) return "market";
+  if (disc.equals(ACCOUNT_DISCRIMINATORS.USER_POSITION)) return "position";
+  return null;
+}
+
+const DECODERS = { market: decodeMarket, position: decodeUserPosition };
+
+/**
+ * @typedef {Object} MarketQuery
+ * @property {number} [status] - MarketStatus
+ * @property {PublicKey} [authority]
+ * @property {PublicKey} [creator]
+ * @property {PublicKey} [tokenMint]
+ * @property {number} [denomination] - TokenDenomination
+ * @property {bigint|number} [deadlineFrom] - Inclusive lower bound on `resolutionDeadline`
+ * @property {bigint|number} [deadlineTo] - Inclusive upper bound on `resolutionDeadline`
+ */
+
+/**
+ * @typedef {Object} PositionQuery
+ * @property {PublicKey} [owner]
+ * @property {PublicKey} [market]
+ * @property {boolean} [claimed]
+ */
+
+export class PrecogIndexer {
+  /**
+   * @param {import("@solana/web3.js").Connection} connection
+   * @param {Object} [opts]
+   * @param {PublicKey} [opts.programId]
+   * @param {IndexerStore} [opts.store] - Default: a new `MemoryStore`.
+   * @param {import("@solana/web3.js").Commitment} [opts.commitment]
+   * @param {number} [opts.resyncIntervalMs] - Re-run the gPA on this interval (default 60s; 0
+   *   disables). Closed accounts usually stop producing notifications, so only a resync drops
+   *   them from the index.
+   * @param {(err: unknown) => void} [opts.onError] - Decode, store and resync failures.
+   */
+  constructor(connection, opts = {}) {
+    /** @type {import("@solana/web3.js").Connection} */ this.connection = connection;
+    /** @type {PublicKey} */ this.programId = opts.programId ?? PROGRAM_ID;
+    /** @type {IndexerStore} */ this.store = opts.store ?? new MemoryStore();
+    /** @type {import("@solana/web3.js").Commitment|undefined} */ this.commitment = opts.commitment;
+    /** Highest slot applied so far. */
+    /** @type {number} */ this.slot = 0;
+
+    /** @private */ this._opts = opts;
+    /** @private @type {Map<string, { slot: number, account: import("./accounts.js").MarketAccount }>} */
+    this._markets = new Map();
+    /** @private @type {Map<string, { slot: number, account: import("./accounts.js").UserPositionAccount }>} */
+    this._positions = new Map();
+    /** @private @type {number|null} */ this._subscriptionId = null;
+    /** @private @type {ReturnType<typeof setInterval>|null} */ this._resyncTimer = null;
+  }
+
+  /**
+   * Restore from the store, subscribe to the program, then reconcile with
+   * one `getProgramAccounts` snapshot (accounts that disappeared while the
+   * indexer was offline are dropped).
+   */
+  async start() {
+    if (this._subscriptionId !== null) return;
+
+    for (const record of await this.store.load()) {
+      this._apply(record.kind, new PublicKey(record.address), record.data, record.slot, false);
+    }
+
+    // Subscribe before the snapshot so nothing between the two is missed;
+    // per-record slots keep the older of the two from winning.
+    this._subscriptionId = this.connection.onProgramAccountChange(
+      this.programId,
+      ({ accountId, accountInfo }, context) =>
+        this._onData(accountId, accountInfo.data, context.slot),
+      this.commitment
+    );
+
+    await this.resync();
+
+    const resyncIntervalMs = this._opts.resyncIntervalMs ?? 60_000;
+    if (resyncIntervalMs > 0) {
+      this._resyncTimer = setInterval(
+        () => void this.resync().catch((err) => this._opts.onError?.(err)),
+        resyncIntervalMs
+      );
+      this._resyncTimer.unref?.();
+    }
+  }
+
+  /** Unsubscribe and flush the store. */
+  async stop() {
+    if (this._resyncTimer) clearInterval(this._resyncTimer);
+    this._resyncTimer = null;
+    if (this._subscriptionId !== null) {
+      await this.connection.removeProgramAccountChangeListener(this._subscriptionId);
+      this._subscriptionId = null;
+    }
+    await this.store.flush();
+  }
+
+  /** Reconcile with a fresh `getProgramAccounts` snapshot. */
+  async resync() {
+    const { context, value } = await this.connection.getProgramAccounts(this.programId, {
+      commitment: this.commitment,
+      withContext: true,
+    });
+
+    const seen = new Set();
+    for (const { pubkey, account } of value) {
+      seen.add(pubkey.toBase58());
+      this._onData(pubkey, account.data, context.slot);
+    }
+
+    // Gone from the snapshot and not updated since: closed.
+    for (const [kind, map] of [["market", this._markets], ["position", this._positions]]) {
+      for (const [address, entry] of map) {
+        if (!seen.has(address) && entry.slot <= context.slot) {
+          map.delete(address);
+          await this.store.remove(kind, address);
+        }
+      }
+    }
+  }
+
+  // ── queries ───────────────────────────────────────────────────────
+
+  /**
+   * @param {PublicKey} address
+   * @returns {import("./accounts.js").MarketAccount|null}
+   */
+  getMarket(address) {
+    return this._markets.get(address.toBase58())?.account ?? null;
+  }
+
+  /**
+   * Markets matching every given criterion, in the same shape as
+   * `client.getAllMarkets`.
+   * @param {MarketQuery} [query]
+   * @returns {Array<{ pubkey: PublicKey, account: import("./accounts.js").MarketAccount }>}
+   */
+  getMarkets(query = {}) {
+    const from = query.deadlineFrom === undefined ? null : BigInt(query.deadlineFrom);
+    const to = query.deadlineTo === undefined ? null : BigInt(query.deadlineTo);
+
+    const results = [];
+    for (const [address, { account: m }] of this._markets) {
+      if (query.status !== undefined && m.status !== query.status) continue;
+      if (query.denomination !== undefined && m.denomination !== query.denomination) continue;
+      if (query.authority && !m.authority.equals(query.authority)) continue;
+      if (query.creator && !m.creator.equals(query.creator)) continue;
+      if (query.tokenMint && !m.tokenMint.equals(query.tokenMint)) continue;
+      if (from !== null && m.resolutionDeadline < from) continue;
+      if (to !== null && m.resolutionDeadline > to) continue;
+      results.push({ pubkey: new PublicKey(address), account: m });
+    }
+    return results;
+  }
+
+  /**
+   * @param {PublicKey} address
+   * @returns {import("./accounts.js").UserPositionAccount|null}
+   */
+  getPosition(address) {
+    return this._positions.get(address.toBase58())?.account ?? null;
+  }
+
+  /**
+   * Positions matching every given criterion, in the same shape as
+   * `client.getPositionsByOwner`.
+   * @param {PositionQuery} [query]
+   * @returns {Array<{ pubkey: PublicKey, account: import("./accounts.js").UserPositionAccount }>}
+   */
+  getPositions(query = {}) {
+    const results = [];
+    for (const [address, { account: p }] of this._positions) {
+      if (query.owner && !p.owner.equals(query.owner)) continue;
+      if (query.market && !p.market.equals(query.market)) continue;
+      if (query.claimed !== undefined && p.claimed !== query.claimed) continue;
+      results.push({ pubkey: new PublicKey(address), account: p });
+    }
+    return results;
+  }
+
+  // ── internals ─────────────────────────────────────────────────────
+
+  /**
+   * Route raw account data by discriminator. Data that no longer carries a
+   * Market / UserPosition discriminator (e.g. a closed account) removes the
+   * entry.
+   * @private
+   */
+  _onData(address, data, slot) {
+    const kind = accountKind(data);
+    if (kind) {
+      this._apply(kind, address, data, slot, true);
+      return;
+    }
+    const key = address.toBase58();
+    for (const [k, map] of [["market", this._markets], ["position", this._positions]]) {
+      const entry = map.get(key);
+      if (entry && entry.slot <= slot) {
+        map.delete(key);
+        void this.store.remove(k, key).catch((err) => this._opts.onError?.(err));
+      }
+    }
+  }
+
+  /** @private */
+  _apply(kind, address, data, slot, persist) {
+    const map = kind === "market" ? this._markets : this._positions;
+    const key = address.toBase58();
+    const existing = map.get(key);
+    if (existing && existing.slot > slot) return;
+
+    let account;
+    try {
+      account = DECODERS[kind](data);
+    } catch (err) {
+      this._opts.onError?.(err);
+      return;
+    }
+    map.set(key, { slot, account });
+    if (slot > this.slot) this.slot = slot;
+    if (persist) {
+      void this.store
+        .put({ kind, address: key, slot, data: Buffer.from(data) })
+        .catch((err) => this._opts.onError?.(err));
+    }
+  }
+}
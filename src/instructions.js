@@ -19,6 +19,7 @@ import {
   SYSTEM_PROGRAM_ID,
 } from "./constants.js";
 import { BorshWriter } from "./serialization.js";
+import { encodeProposalAction } from "./accounts.js";
 
 // ═══════════════════════════════════════════════════════════════════════
 // Helpers
@@ -54,45 +55,7 @@ function ro(pubkey) {
  * @param {Object} [action.fields]
  */
 function writeProposalAction(wr, action) {
-  switch (action.type) {
-    case "ResolveMarket":
-      wr.writeU8(0);
-      wr.writeU8(action.fields.winningOutcome);
-      break;
-    case "VoidMarket":
-      wr.writeU8(1);
-      break;
-    case "UpdateDeadline":
-      wr.writeU8(2);
-      wr.writeI64(action.fields.newDeadline);
-      break;
-    case "UpdateFeeBps":
-      wr.writeU8(3);
-      wr.writeU16(action.fields.newFeeBps);
-      break;
-    case "AddSigner":
-      wr.writeU8(4);
-      wr.writeFixedBytes(
-        action.fields.newSigner instanceof PublicKey
-          ? action.fields.newSigner.toBuffer()
-          : action.fields.newSigner
-      );
-      break;
-    case "RemoveSigner":
-      wr.writeU8(5);
-      wr.writeFixedBytes(
-        action.fields.signer instanceof PublicKey
-          ? action.fields.signer.toBuffer()
-          : action.fields.signer
-      );
-      break;
-    case "ChangeThreshold":
-      wr.writeU8(6);
-      wr.writeU8(action.fields.newThreshold);
-      break;
-    default:
-      throw new Error(`Unknown ProposalAction type: ${action.type}`);
-  }
+  encodeProposalAction(wr, { name: action.type, fields: action.fields });
 }
 
 // ═══════════════════════════════════════════════════════════════════════
@@ -535,18 +498,25 @@ export function approveProposal(accounts, programId = PROGRAM_ID) {
 // ═══════════════════════════════════════════════════════════════════════
 
 /**
- * Permissionless once threshold is met.
- * @param {{ proposal: PublicKey, multisig: PublicKey, market: PublicKey }} accounts
+ * Permissionless once threshold is met. `market` is the proposal's market
+ * (`MultisigProposalAccount.market`) and `action` its action name
+ * (`MultisigProposalAccount.action.name`).
+ * `protocolConfig` is optional and only sent for an `UpdateFeeBps` proposal,
+ * which is then checked against the protocol's current default fee; other
+ * actions keep the three-account form.
+ * @param {{ proposal: PublicKey, multisig: PublicKey, market: PublicKey, action?: string, protocolConfig?: PublicKey }} accounts
  * @param {PublicKey} [programId]
  * @returns {TransactionInstruction}
  */
 export function executeProposal(accounts, programId = PROGRAM_ID) {
+  const checksFee = accounts.action === "UpdateFeeBps" && accounts.protocolConfig;
   return new TransactionInstruction({
     programId,
     keys: [
       w(accounts.proposal),
       w(accounts.multisig),
       w(accounts.market),
+      ...(checksFee ? [ro(accounts.protocolConfig)] : []),
     ],
     data: Buffer.from(DISCRIMINATORS.EXECUTE_PROPOSAL),
   });
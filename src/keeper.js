@@ -0,0 +1,958 @@
+/**
+ * @module keeper
+ * Long-running services for the program's permissionless instructions.
+ * `MarketKeeper` cranks `finalizeMarket` as soon as each dispute window
+ * closes, and `ProposalKeeper` runs `executeProposal` once a multisig
+ * proposal has its approvals. Both batch several instructions per
+ * transaction and escalate the priority fee when a transaction doesn't
+ * land. Progress is checkpointed through a pluggable store so a restarted
+ * keeper picks up where it stopped.
+ */
+
+import { ComputeBudgetProgram, PublicKey } from "@solana/web3.js";
+
+import {
+  DISPUTE_WINDOW_SECONDS,
+  MULTISIG_PROPOSAL_EXPIRY_SECONDS,
+  MarketStatus,
+} from "./constants.js";
+import * as ix from "./instructions.js";
+import { PrecogProgramError, parseProgramError } from "./errors.js";
+import { getMarketPhase, isActionAvailable, MarketPhase } from "./lifecycle.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Checkpoint stores
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Storage adapter for a keeper's checkpoint: one JSON-safe object,
+ * replaced as a whole after every scan and batch.
+ * @typedef {Object} KeeperCheckpointStore
+ * @property {() => Promise<Object|null>} load - null when nothing was saved yet.
+ * @property {(checkpoint: Object) => Promise<void>} save
+ */
+
+/** Keeps the checkpoint in memory only; a restart starts from scratch. */
+export class MemoryCheckpointStore {
+  constructor() {
+    /** @type {Object|null} */ this.checkpoint = null;
+  }
+
+  /** @returns {Promise<Object|null>} */
+  async load() {
+    return this.checkpoint;
+  }
+
+  /** @param {Object} checkpoint */
+  async save(checkpoint) {
+    this.checkpoint = checkpoint;
+  }
+}
+
+/**
+ * Persists the checkpoint to a JSON file, replaced atomically (write to a
+ * temp file, then rename). Node.js only.
+ */
+export class JsonFileCheckpointStore {
+  /** @param {string} path */
+  constructor(path) {
+    /** @type {string} */ this.path = path;
+  }
+
+  /** @returns {Promise<Object|null>} */
+  async load() {
+    const fs = await import("node:fs/promises");
+    try {
+      return JSON.parse(await fs.readFile(this.path, "utf-8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  /** @param {Object} checkpoint */
+  async save(checkpoint) {
+    const fs = await import("node:fs/promises");
+    const tmp = `${this.path}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(checkpoint));
+    await fs.rename(tmp, this.path);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Keeper base
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Priority levels tried in turn when a transaction doesn't land. */
+const DEFAULT_PRIORITY_LEVELS = ["Medium", "High", "VeryHigh"];
+
+/** Longest delay `setTimeout` accepts. */
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/** Cap on the backoff after the program rejects a transaction. */
+const MAX_PROGRAM_ERROR_BACKOFF_SECONDS = 3_600;
+
+/**
+ * Stand-ins for the compute-unit limit and price instructions that
+ * `sendSmartTransaction` puts first, so instruction indexes in a failed
+ * transaction's status line up with the keeper's instructions.
+ */
+const COMPUTE_BUDGET_PREFIX = [
+  ComputeBudgetProgram.setComputeUnitLimit({ units: 0 }),
+  ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 0 }),
+];
+
+/**
+ * A crank due at `dueAt` (unix seconds). `level` indexes the priority
+ * levels and only rises when a transaction fails to land, not when the
+ * program rejects it. `signature` is the last one sent.
+ * @typedef {Object} KeeperTask
+ * @property {PublicKey} address
+ * @property {bigint} dueAt
+ * @property {number} attempts
+ * @property {number} level
+ * @property {bigint|null} retryAt
+ * @property {string|null} signature
+ */
+
+/**
+ * Scheduling, retries, events and checkpoints shared by the keepers.
+ * Subclasses implement `scan` (refresh `_tasks` from chain) and `tick`
+ * (send whatever is due).
+ */
+class Keeper {
+  /**
+   * @param {import("./client.js").PrecogMarketsClient} client
+   * @param {KeeperOptions} opts
+   * @param {Object} metrics - Subclass counters, merged over the common ones.
+   */
+  constructor(client, opts, metrics) {
+    if (!opts?.payer) throw new TypeError("Keeper requires a payer");
+    /** @type {import("./client.js").PrecogMarketsClient} */ this.client = client;
+    /** @type {import("./signer.js").AnySigner} */ this.payer = opts.payer;
+    /** @type {KeeperCheckpointStore} */ this.store = opts.store ?? new MemoryCheckpointStore();
+    /** @type {number} */ this.batchSize = opts.batchSize ?? 5;
+    /** @type {number} */ this.scanIntervalMs = opts.scanIntervalMs ?? 60_000;
+    /** @type {number} */ this.retryDelaySeconds = opts.retryDelaySeconds ?? 5;
+    /** @type {number} */ this.confirmTimeoutMs = opts.confirmTimeoutMs ?? 60_000;
+    /** @type {number} */ this.pollIntervalMs = opts.pollIntervalMs ?? 2_000;
+    /** @type {string[]} */ this.priorityLevels = opts.priorityLevels ?? DEFAULT_PRIORITY_LEVELS;
+
+    /** @private */ this._opts = opts;
+    /** @private @type {Map<string, KeeperTask>} */ this._tasks = new Map();
+    /** @private */ this._metrics = {
+      scans: 0,
+      transactions: 0,
+      failedTransactions: 0,
+      lastScanAt: null,
+      lastError: null,
+      ...metrics,
+    };
+    /** @private @type {Map<string, Set<Function>>} */ this._listeners = new Map();
+    /** @private */ this._queue = Promise.resolve();
+    /** @private */ this._running = false;
+    /** @private @type {ReturnType<typeof setTimeout>|null} */ this._timer = null;
+    /** @private @type {ReturnType<typeof setInterval>|null} */ this._scanTimer = null;
+  }
+
+  /** Current unix time in seconds, from `opts.now` or the local clock. */
+  now() {
+    return BigInt(this._opts.now?.() ?? Math.floor(Date.now() / 1000));
+  }
+
+  /** Counters plus the number of pending tasks. */
+  get metrics() {
+    return { ...this._metrics, pending: this._tasks.size };
+  }
+
+  /**
+   * Listen for an event. Returns a function that removes the listener.
+   * @param {string} event
+   * @param {(payload: any) => void} listener
+   * @returns {() => void}
+   */
+  on(event, listener) {
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+    this._listeners.get(event).add(listener);
+    return () => this._listeners.get(event)?.delete(listener);
+  }
+
+  /** @private */
+  _emit(event, payload) {
+    for (const listener of this._listeners.get(event) ?? []) {
+      try {
+        listener(payload);
+      } catch {
+        // a listener's failure is its own
+      }
+    }
+  }
+
+  /**
+   * Restore the checkpoint, scan, then keep scanning every
+   * `scanIntervalMs` and wake up whenever a task falls due.
+   */
+  async start() {
+    if (this._running) return;
+    this._running = true;
+    const checkpoint = await this.store.load();
+    if (checkpoint) this._restore(checkpoint);
+    await this._enqueue(() => this.scan());
+    this._scanTimer = setInterval(() => void this._enqueue(() => this.scan()), this.scanIntervalMs);
+  }
+
+  /**
+   * One pass without timers, for cron-style runs: restore the checkpoint,
+   * scan, send whatever is due and save.
+   */
+  async runOnce() {
+    const checkpoint = await this.store.load();
+    if (checkpoint) this._restore(checkpoint);
+    await this.scan();
+    await this.tick();
+    await this._save();
+  }
+
+  /** Stop the timers, wait for work in progress and save the checkpoint. */
+  async stop() {
+    this._running = false;
+    if (this._timer) clearTimeout(this._timer);
+    if (this._scanTimer) clearInterval(this._scanTimer);
+    this._timer = null;
+    this._scanTimer = null;
+    await this._queue;
+    await this._save();
+  }
+
+  /**
+   * Run `fn` after anything already queued, then reschedule. Failures go to
+   * the "error" event rather than rejecting.
+   * @private
+   */
+  _enqueue(fn) {
+    this._queue = this._queue
+      .then(fn)
+      .catch((err) => this._fail(err))
+      .then(() => this._schedule());
+    return this._queue;
+  }
+
+  /** @private */
+  _fail(err) {
+    this._metrics.lastError = err instanceof Error ? err.message : String(err);
+    this._emit("error", err);
+  }
+
+  /** Arm the timer for the earliest due task. @private */
+  _schedule() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    if (!this._running || this._tasks.size === 0) return;
+
+    let next = null;
+    for (const task of this._tasks.values()) {
+      const at = task.retryAt !== null && task.retryAt > task.dueAt ? task.retryAt : task.dueAt;
+      if (next === null || at < next) next = at;
+    }
+    const delayMs = Math.min(Math.max(Number(next - this.now()) * 1000, 0), MAX_TIMER_MS);
+    this._timer = setTimeout(() => void this._enqueue(() => this.tick()), delayMs);
+  }
+
+  /** Tasks whose time has come, earliest first. @private */
+  _dueTasks() {
+    const now = this.now();
+    return [...this._tasks.values()]
+      .filter((t) => t.dueAt <= now && (t.retryAt === null || t.retryAt <= now))
+      .sort((a, b) => (a.dueAt < b.dueAt ? -1 : a.dueAt > b.dueAt ? 1 : 0));
+  }
+
+  /**
+   * @private
+   * @param {PublicKey} address
+   * @param {bigint} dueAt
+   * @returns {KeeperTask}
+   */
+  _task(address, dueAt) {
+    return { address, dueAt, attempts: 0, level: 0, retryAt: null, signature: null };
+  }
+
+  /**
+   * Send `instructions` for `tasks` with `sendSmartTransaction` at the
+   * tasks' priority level, then wait for confirmation. On failure the
+   * tasks are rescheduled (see `_retryDelay`) unless `reschedule(err)` says
+   * otherwise; the level rises unless the program itself rejected the
+   * transaction, since a higher fee won't change its answer.
+   * @private
+   * @param {KeeperTask[]} tasks
+   * @param {import("@solana/web3.js").TransactionInstruction[]} instructions
+   * @param {{ reschedule?: (err: unknown) => boolean }} [opts]
+   * @returns {Promise<{ signature: string, priorityFee: number, priorityLevel: string }
+   *   | { error: unknown }>}
+   */
+  async _send(tasks, instructions, { reschedule = () => true } = {}) {
+    const level = Math.min(
+      Math.max(...tasks.map((t) => t.level)),
+      this.priorityLevels.length - 1
+    );
+    const priorityLevel = this.priorityLevels[level];
+    for (const task of tasks) task.attempts++;
+
+    try {
+      const { signature, priorityFee } = await this.client.sendSmartTransaction(
+        instructions,
+        [this.payer],
+        { ...this._opts.txOptions, priorityLevel }
+      );
+      this._metrics.transactions++;
+      for (const task of tasks) task.signature = signature;
+      await this._confirm(signature, instructions);
+      return { signature, priorityFee, priorityLevel };
+    } catch (err) {
+      this._metrics.failedTransactions++;
+      this._metrics.lastError = err instanceof Error ? err.message : String(err);
+      if (!reschedule(err)) return { error: err };
+      const retryAt = this.now() + this._retryDelay(tasks, err);
+      for (const task of tasks) {
+        task.retryAt = retryAt;
+        if (!(err instanceof PrecogProgramError)) task.level = level + 1;
+      }
+      this._emit("retry", {
+        addresses: tasks.map((t) => t.address),
+        attempts: Math.max(...tasks.map((t) => t.attempts)),
+        priorityLevel,
+        retryAt,
+        error: err,
+      });
+      return { error: err };
+    }
+  }
+
+  /**
+   * Poll the signature status until it is confirmed or `confirmTimeoutMs`
+   * passes. Sends skip preflight, so this is where an on-chain rejection
+   * shows up; it is thrown as a typed `PrecogProgramError` when it is one.
+   * @private
+   * @param {string} signature
+   * @param {import("@solana/web3.js").TransactionInstruction[]} instructions - As passed
+   *   to `sendSmartTransaction`, to name the failing instruction.
+   * @throws {PrecogProgramError} When the program rejected the transaction.
+   * @throws {Error} When it failed otherwise or wasn't seen in time.
+   */
+  async _confirm(signature, instructions) {
+    const deadline = Date.now() + this.confirmTimeoutMs;
+    for (;;) {
+      const {
+        value: [status],
+      } = await this.client.connection.getSignatureStatuses([signature]);
+      if (status?.err) {
+        throw (
+          parseProgramError(status.err, {
+            instructions: [...COMPUTE_BUDGET_PREFIX, ...instructions],
+            programId: this.client.programId,
+          }) ?? new Error(`Transaction ${signature} failed (${JSON.stringify(status.err)})`)
+        );
+      }
+      if (status?.confirmationStatus === "confirmed" || status?.confirmationStatus === "finalized") {
+        return;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Transaction ${signature} not confirmed within ${this.confirmTimeoutMs}ms`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Seconds to wait before retrying `tasks` after `err`: `retryDelaySeconds`
+   * when the transaction didn't land, doubling with each attempt (up to an
+   * hour) when the program rejected it, since it may well reject it again.
+   * @private
+   * @param {KeeperTask[]} tasks
+   * @param {unknown} err
+   * @returns {bigint}
+   */
+  _retryDelay(tasks, err) {
+    if (!(err instanceof PrecogProgramError)) return BigInt(this.retryDelaySeconds);
+    const attempts = Math.max(...tasks.map((t) => t.attempts));
+    return BigInt(
+      Math.min(this.retryDelaySeconds * 2 ** (attempts - 1), MAX_PROGRAM_ERROR_BACKOFF_SECONDS)
+    );
+  }
+
+  /**
+   * Tasks whose last signature confirmed without error: a send reported as
+   * failed that landed after all.
+   * @private
+   * @param {KeeperTask[]} tasks
+   * @returns {Promise<Set<KeeperTask>>}
+   */
+  async _landed(tasks) {
+    const sent = tasks.filter((t) => t.signature);
+    if (sent.length === 0) return new Set();
+    const { value: statuses } = await this.client.connection.getSignatureStatuses(
+      sent.map((t) => t.signature)
+    );
+    return new Set(sent.filter((_, i) => statuses[i] && !statuses[i].err));
+  }
+
+  /** @private */
+  async _save() {
+    const tasks = [...this._tasks.values()].map((t) => ({
+      address: t.address.toBase58(),
+      dueAt: t.dueAt.toString(),
+      attempts: t.attempts,
+      level: t.level,
+      retryAt: t.retryAt === null ? null : t.retryAt.toString(),
+      signature: t.signature,
+    }));
+    await this.store.save({ version: 1, tasks, metrics: this._metrics });
+  }
+
+  /** @private */
+  _restore(checkpoint) {
+    this._tasks.clear();
+    for (const t of checkpoint.tasks ?? []) {
+      this._tasks.set(t.address, {
+        address: new PublicKey(t.address),
+        dueAt: BigInt(t.dueAt),
+        attempts: t.attempts,
+        level: t.level,
+        retryAt: t.retryAt === null ? null : BigInt(t.retryAt),
+        signature: t.signature,
+      });
+    }
+    Object.assign(this._metrics, checkpoint.metrics);
+  }
+}
+
+/**
+ * Options shared by the keepers.
+ * @typedef {Object} KeeperOptions
+ * @property {import("./signer.js").AnySigner} payer - Signs and pays for every transaction.
+ * @property {KeeperCheckpointStore} [store] - Default: a new `MemoryCheckpointStore`.
+ * @property {number} [batchSize] - Instructions per transaction (default 5).
+ * @property {number} [scanIntervalMs] - Re-scan the chain on this interval (default 60 000).
+ * @property {number} [retryDelaySeconds] - Wait before retrying a failed batch (default 5);
+ *   doubles with each attempt, up to an hour, while the program rejects it.
+ * @property {number} [confirmTimeoutMs] - Give up on a signature after this long (default 60 000).
+ * @property {number} [pollIntervalMs] - Signature status polling interval (default 2 000).
+ * @property {string[]} [priorityLevels] - Helius levels to escalate through
+ *   (default Medium, High, VeryHigh; the last one is kept for further retries).
+ * @property {() => bigint|number} [now] - Unix time in seconds (default: local clock).
+ * @property {import("./client.js").TxOptions} [txOptions] - Passed to `sendSmartTransaction`.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════
+// MarketKeeper
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Finalizes Resolved markets as their dispute windows close.
+ *
+ * `scan` lists Resolved markets with `getAllMarkets` and schedules each at
+ * `resolvedAt + DISPUTE_WINDOW_SECONDS`; a `disputeResolve` that restarts
+ * the window moves the schedule. When markets fall due, `tick` re-fetches
+ * them, drops any that were finalized or voided meanwhile, and sends
+ * `finalizeMarket` in batches of `batchSize`. When the program rejects a
+ * batch, each of its markets is retried in a transaction of its own, so one
+ * market that can't be finalized doesn't hold back the others.
+ *
+ * Events:
+ * - `scheduled` `{ market, finalizesAt }` — a market was found or its window moved
+ * - `finalized` `{ markets, signature, priorityLevel, priorityFee }`
+ * - `retry` `{ addresses, attempts, priorityLevel, retryAt, error }` — a batch failed
+ * - `dropped` `{ market, reason }` — no longer Resolved, not by this keeper
+ * - `error` `unknown` — a scan or tick failed as a whole
+ *
+ * @example
+ * const keeper = new MarketKeeper(client, { payer, store: new JsonFileCheckpointStore("keeper.json") });
+ * keeper.on("finalized", ({ markets, signature }) => console.log(signature, markets.length));
+ * await keeper.start();
+ */
+export class MarketKeeper extends Keeper {
+  /**
+   * @param {import("./client.js").PrecogMarketsClient} client
+   * @param {KeeperOptions} opts
+   */
+  constructor(client, opts) {
+    super(client, opts, { finalized: 0, dropped: 0, lastFinalizedAt: null });
+  }
+
+  /** Refresh the schedule from the chain's Resolved markets. */
+  async scan() {
+    const markets = await this.client.getAllMarkets({ status: MarketStatus.Resolved });
+    const seen = new Set();
+    for (const { pubkey, account } of markets) {
+      const key = pubkey.toBase58();
+      seen.add(key);
+      this._track(pubkey, account);
+    }
+    // Tracked but no longer Resolved: finalized or voided since.
+    const gone = [...this._tasks.values()].filter((t) => !seen.has(t.address.toBase58()));
+    if (gone.length > 0) await this._settle(gone);
+
+    this._metrics.scans++;
+    this._metrics.lastScanAt = Number(this.now());
+    await this._save();
+  }
+
+  /** Finalize every market whose dispute window has closed. */
+  async tick() {
+    const due = this._dueTasks();
+    if (due.length === 0) return;
+
+    const ready = await this._settle(due);
+    for (let i = 0; i < ready.length; i += this.batchSize) {
+      await this._finalize(ready.slice(i, i + this.batchSize));
+    }
+    await this._save();
+  }
+
+  /**
+   * Send `finalizeMarket` for a batch. The program rejects the whole
+   * transaction for one bad market, so a rejected batch is split into
+   * single-market transactions rather than retried as a whole.
+   * @private
+   * @param {KeeperTask[]} batch
+   */
+  async _finalize(batch) {
+    const instructions = batch.map((t) =>
+      ix.finalizeMarket({ market: t.address }, this.client.programId)
+    );
+    const isolate = (err) => batch.length > 1 && err instanceof PrecogProgramError;
+    const sent = await this._send(batch, instructions, { reschedule: (err) => !isolate(err) });
+    if ("error" in sent) {
+      if (isolate(sent.error)) for (const task of batch) await this._finalize([task]);
+      return;
+    }
+
+    for (const task of batch) this._tasks.delete(task.address.toBase58());
+    this._metrics.finalized += batch.length;
+    this._metrics.lastFinalizedAt = Number(this.now());
+    this._emit("finalized", { markets: batch.map((t) => t.address), ...sent });
+  }
+
+  /**
+   * Start tracking a Resolved market, or move its schedule after a dispute.
+   * @private
+   */
+  _track(address, market) {
+    const key = address.toBase58();
+    const finalizesAt = market.resolvedAt + BigInt(DISPUTE_WINDOW_SECONDS);
+    const task = this._tasks.get(key);
+    if (task?.dueAt === finalizesAt) return;
+    this._tasks.set(key, this._task(address, finalizesAt));
+    this._emit("scheduled", { market: address, finalizesAt });
+  }
+
+  /**
+   * Re-fetch `tasks`' markets and keep the ones that can be finalized now.
+   * A moved window is rescheduled. Markets no longer Resolved are dropped,
+   * except that one Finalized by an earlier send of ours that confirmed
+   * late counts as finalized.
+   * @private
+   * @param {KeeperTask[]} tasks
+   * @returns {Promise<KeeperTask[]>}
+   */
+  async _settle(tasks) {
+    const markets = await this.client.fetchMarkets(tasks.map((t) => t.address));
+    const now = this.now();
+    const ready = [];
+    const settled = [];
+    tasks.forEach((task, i) => {
+      const market = markets[i];
+      if (market?.status !== MarketStatus.Resolved) {
+        this._tasks.delete(task.address.toBase58());
+        settled.push({ task, market });
+        return;
+      }
+      this._track(task.address, market);
+      if (getMarketPhase(market, now).phase === MarketPhase.Finalizable) {
+        ready.push(this._tasks.get(task.address.toBase58()));
+      }
+    });
+    if (settled.length === 0) return ready;
+
+    const landed = await this._landed(
+      settled.filter(({ market }) => market?.status === MarketStatus.Finalized).map((s) => s.task)
+    );
+
+    for (const { task, market } of settled) {
+      if (landed.has(task)) {
+        this._metrics.finalized++;
+        this._metrics.lastFinalizedAt = Number(now);
+        this._emit("finalized", {
+          markets: [task.address],
+          signature: task.signature,
+          priorityLevel: null,
+          priorityFee: null,
+        });
+      } else {
+        this._metrics.dropped++;
+        this._emit("dropped", { market: task.address, reason: market?.statusName ?? "Closed" });
+      }
+    }
+    return ready;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// ProposalKeeper
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Proposal actions that change the multisig itself rather than a market. */
+const SIGNER_SET_ACTIONS = new Set(["AddSigner", "RemoveSigner", "ChangeThreshold"]);
+
+/**
+ * Where a proposal stands:
+ * - `ready` — approved and executable now
+ * - `waiting` — approved, executable at `executeAt` (a ResolveMarket before
+ *   the market's deadline)
+ * - `pending` — below the threshold
+ * - `blocked` — approved, but the program would reject it (`reason`)
+ * - `executed`, `expired`
+ * @typedef {Object} ProposalStatus
+ * @property {"ready"|"waiting"|"pending"|"blocked"|"executed"|"expired"} state
+ * @property {bigint} expiresAt - `createdAt + MULTISIG_PROPOSAL_EXPIRY_SECONDS`
+ * @property {bigint|null} executeAt
+ * @property {string|null} reason
+ */
+
+/**
+ * Classify a proposal the way `executeProposal` would judge it at `now`.
+ * @param {import("./accounts.js").MultisigProposalAccount} proposal
+ * @param {import("./accounts.js").MultisigAuthorityAccount} multisig
+ * @param {import("./accounts.js").MarketAccount|null} market - null for signer-set
+ *   actions, or when the market account is missing
+ * @param {bigint} now
+ * @returns {ProposalStatus}
+ */
+function proposalStatus(proposal, multisig, market, now) {
+  const expiresAt = proposal.createdAt + BigInt(MULTISIG_PROPOSAL_EXPIRY_SECONDS);
+  const status = (state, executeAt = null, reason = null) => ({
+    state,
+    expiresAt,
+    executeAt,
+    reason,
+  });
+
+  if (proposal.executed) return status("executed");
+  if (now > expiresAt) return status("expired");
+  // Approvals are bits by signer index; a bit past the signer list means
+  // the set changed under the proposal, which the program refuses.
+  if (proposal.approvals >> multisig.signers.length !== 0) {
+    return status("blocked", null, "SignerSetChanged");
+  }
+  if (proposal.approvalCount < multisig.threshold) return status("pending");
+
+  const action = proposal.action.name;
+  if (SIGNER_SET_ACTIONS.has(action)) return status("ready", proposal.createdAt);
+  if (!market) return status("blocked", null, "MarketNotFound");
+  if (!market.authorityIsMultisig || !market.authority.equals(proposal.multisig)) {
+    return status("blocked", null, "UnauthorizedAuthority");
+  }
+
+  const phase = getMarketPhase(market, now);
+  if (isActionAvailable(phase, action)) return status("ready", proposal.createdAt);
+  if (action === "ResolveMarket" && phase.phase === MarketPhase.Open) {
+    return market.resolutionDeadline <= expiresAt
+      ? status("waiting", market.resolutionDeadline)
+      : status("blocked", null, "ExpiresBeforeDeadline");
+  }
+  return status("blocked", null, `${action} not valid while ${phase.phase}`);
+}
+
+/**
+ * Executes approved proposals of the configured multisigs.
+ *
+ * `scan` lists each multisig's proposals with `getProposalsByMultisig`.
+ * A proposal is scheduled once `approvalCount` reaches the threshold,
+ * provided it hasn't expired (`createdAt + MULTISIG_PROPOSAL_EXPIRY_SECONDS`),
+ * its approvals predate no signer-set change, and the market action is
+ * valid in the market's current phase; an approved ResolveMarket waits for
+ * the market's deadline. `tick` re-checks due proposals and sends
+ * `executeProposal` with the proposal's own market, plus the protocol
+ * config for `UpdateFeeBps`.
+ * Market actions are batched (at most one per market per transaction);
+ * signer-set actions go out alone, after them, since they can invalidate
+ * other approvals.
+ *
+ * Events:
+ * - `scheduled` `{ proposal, multisig, action, executeAt, expiresAt }`
+ * - `executed` `{ proposals, signature, priorityLevel, priorityFee }`
+ * - `retry` `{ addresses, attempts, priorityLevel, retryAt, error }` — a batch failed
+ * - `expiring` `{ proposal, multisig, action, approvalCount, threshold, expiresAt,
+ *   secondsLeft }` — below threshold within `expiryWarningSeconds` of expiry
+ * - `blocked` `{ proposal, multisig, action, reason }` — approved but not executable
+ * - `dropped` `{ proposal, reason }` — a scheduled proposal was executed elsewhere,
+ *   expired or became blocked
+ * - `error` `unknown` — a scan or tick failed as a whole
+ *
+ * `expiring` fires once per proposal per run, `blocked` once per proposal and
+ * reason.
+ */
+export class ProposalKeeper extends Keeper {
+  /**
+   * @param {import("./client.js").PrecogMarketsClient} client
+   * @param {KeeperOptions & {
+   *   multisigs: PublicKey[],
+   *   expiryWarningSeconds?: number,
+   * }} opts - `expiryWarningSeconds` defaults to one day.
+   */
+  constructor(client, opts) {
+    super(client, opts, {
+      executed: 0,
+      dropped: 0,
+      blocked: 0,
+      expiring: 0,
+      lastExecutedAt: null,
+    });
+    if (!opts.multisigs?.length) {
+      throw new TypeError("ProposalKeeper requires at least one multisig");
+    }
+    /** @type {PublicKey[]} */ this.multisigs = opts.multisigs;
+    /** @type {number} */ this.expiryWarningSeconds = opts.expiryWarningSeconds ?? 86_400;
+    /** @private @type {Set<string>} `${event}:${proposal}` already reported */
+    this._reported = new Set();
+  }
+
+  /** Refresh the schedule from the multisigs' proposals. */
+  async scan() {
+    const now = this.now();
+    const seen = new Map();
+    for (const address of this.multisigs) {
+      const [multisig, proposals] = await Promise.all([
+        this.client.fetchMultisigAuthority(address),
+        this.client.getProposalsByMultisig(address),
+      ]);
+      if (!multisig) {
+        this._fail(new Error(`Multisig ${address.toBase58()} not found`));
+        continue;
+      }
+      const markets = await this._markets(proposals.map((p) => p.account));
+      for (const { pubkey, account } of proposals) {
+        seen.set(pubkey.toBase58(), account);
+        if (account.executed) continue;
+        const market = markets.get(account.market.toBase58()) ?? null;
+        this._review(pubkey, account, multisig, market, now);
+      }
+    }
+
+    const gone = [...this._tasks.values()].filter(
+      (t) => !seen.has(t.address.toBase58()) || seen.get(t.address.toBase58()).executed
+    );
+    await this._settle(gone.map((task) => ({ task, proposal: seen.get(task.address.toBase58()) })));
+
+    this._metrics.scans++;
+    this._metrics.lastScanAt = Number(now);
+    await this._save();
+  }
+
+  /** Execute every scheduled proposal that is due and still valid. */
+  async tick() {
+    const due = this._dueTasks();
+    if (due.length === 0) return;
+
+    const now = this.now();
+    const proposals = await Promise.all(
+      due.map((t) => this.client.fetchMultisigProposal(t.address))
+    );
+    const multisigKeys = [
+      ...new Map(
+        proposals.filter(Boolean).map((p) => [p.multisig.toBase58(), p.multisig])
+      ).values(),
+    ];
+    const multisigs = new Map(
+      await Promise.all(
+        multisigKeys.map(async (k) => [k.toBase58(), await this.client.fetchMultisigAuthority(k)])
+      )
+    );
+    const markets = await this._markets(proposals.filter(Boolean));
+
+    const ready = [];
+    const gone = [];
+    due.forEach((task, i) => {
+      const proposal = proposals[i];
+      const multisig = proposal && multisigs.get(proposal.multisig.toBase58());
+      if (!proposal || proposal.executed || !multisig) {
+        gone.push({ task, proposal });
+        return;
+      }
+      const market = markets.get(proposal.market.toBase58()) ?? null;
+      const { state } = this._review(task.address, proposal, multisig, market, now);
+      if (state === "ready") {
+        ready.push({ task: this._tasks.get(task.address.toBase58()), proposal });
+      }
+    });
+    await this._settle(gone);
+
+    const [protocolConfig] = await this.client.findProtocolConfig();
+    for (const batch of this._batches(ready)) {
+      const instructions = batch.map(({ task, proposal }) =>
+        ix.executeProposal(
+          {
+            proposal: task.address,
+            multisig: proposal.multisig,
+            market: proposal.market,
+            action: proposal.action.name,
+            protocolConfig,
+          },
+          this.client.programId
+        )
+      );
+      const tasks = batch.map(({ task }) => task);
+      const sent = await this._send(tasks, instructions);
+      if ("error" in sent) continue;
+
+      for (const task of tasks) this._tasks.delete(task.address.toBase58());
+      this._metrics.executed += tasks.length;
+      this._metrics.lastExecutedAt = Number(this.now());
+      this._emit("executed", { proposals: tasks.map((t) => t.address), ...sent });
+    }
+    await this._save();
+  }
+
+  /**
+   * Classify a proposal and update the schedule and reports to match.
+   * @private
+   * @returns {ProposalStatus}
+   */
+  _review(address, proposal, multisig, market, now) {
+    const key = address.toBase58();
+    const status = proposalStatus(proposal, multisig, market, now);
+    const action = proposal.action.name;
+
+    if (status.state === "ready" || status.state === "waiting") {
+      const task = this._tasks.get(key);
+      if (task?.dueAt !== status.executeAt) {
+        this._tasks.set(key, this._task(address, status.executeAt));
+        this._emit("scheduled", {
+          proposal: address,
+          multisig: proposal.multisig,
+          action,
+          executeAt: status.executeAt,
+          expiresAt: status.expiresAt,
+        });
+      }
+      return status;
+    }
+
+    if (this._tasks.delete(key)) {
+      this._metrics.dropped++;
+      this._emit("dropped", { proposal: address, reason: status.reason ?? status.state });
+    }
+    if (status.state === "blocked" && this._once(`blocked:${status.reason}`, key)) {
+      this._metrics.blocked++;
+      this._emit("blocked", {
+        proposal: address,
+        multisig: proposal.multisig,
+        action,
+        reason: status.reason,
+      });
+    }
+    if (
+      status.state === "pending" &&
+      status.expiresAt - now <= BigInt(this.expiryWarningSeconds) &&
+      this._once("expiring", key)
+    ) {
+      this._metrics.expiring++;
+      this._emit("expiring", {
+        proposal: address,
+        multisig: proposal.multisig,
+        action,
+        approvalCount: proposal.approvalCount,
+        threshold: multisig.threshold,
+        expiresAt: status.expiresAt,
+        secondsLeft: status.expiresAt - now,
+      });
+    }
+    return status;
+  }
+
+  /**
+   * Drop tasks whose proposals were executed or closed. One executed by an
+   * earlier send of ours that confirmed late counts as executed.
+   * @private
+   * @param {Array<{
+   *   task: KeeperTask,
+   *   proposal: import("./accounts.js").MultisigProposalAccount|null|undefined,
+   * }>} gone
+   */
+  async _settle(gone) {
+    if (gone.length === 0) return;
+    for (const { task } of gone) this._tasks.delete(task.address.toBase58());
+    const landed = await this._landed(
+      gone.filter(({ proposal }) => proposal?.executed).map(({ task }) => task)
+    );
+    for (const { task, proposal } of gone) {
+      if (landed.has(task)) {
+        this._metrics.executed++;
+        this._metrics.lastExecutedAt = Number(this.now());
+        this._emit("executed", {
+          proposals: [task.address],
+          signature: task.signature,
+          priorityLevel: null,
+          priorityFee: null,
+        });
+      } else {
+        this._metrics.dropped++;
+        this._emit("dropped", { proposal: task.address, reason: proposal ? "Executed" : "Closed" });
+      }
+    }
+  }
+
+  /**
+   * Markets of the market-action proposals, keyed by base58 address.
+   * @private
+   * @param {import("./accounts.js").MultisigProposalAccount[]} proposals
+   * @returns {Promise<Map<string, import("./accounts.js").MarketAccount|null>>}
+   */
+  async _markets(proposals) {
+    const keys = [
+      ...new Map(
+        proposals
+          .filter((p) => !p.executed && !SIGNER_SET_ACTIONS.has(p.action.name))
+          .map((p) => [p.market.toBase58(), p.market])
+      ).values(),
+    ];
+    if (keys.length === 0) return new Map();
+    const markets = await this.client.fetchMarkets(keys);
+    return new Map(keys.map((k, i) => [k.toBase58(), markets[i]]));
+  }
+
+  /**
+   * Market actions in batches of up to `batchSize` with one proposal per
+   * market, then each signer-set action on its own.
+   * @private
+   */
+  _batches(ready) {
+    const batches = [];
+    const signerSet = [];
+    let current = [];
+    let markets = new Set();
+    for (const item of ready) {
+      if (SIGNER_SET_ACTIONS.has(item.proposal.action.name)) {
+        signerSet.push([item]);
+        continue;
+      }
+      const market = item.proposal.market.toBase58();
+      if (current.length === this.batchSize || markets.has(market)) {
+        batches.push(current);
+        current = [];
+        markets = new Set();
+      }
+      current.push(item);
+      markets.add(market);
+    }
+    if (current.length > 0) batches.push(current);
+    return [...batches, ...signerSet];
+  }
+
+  /** @private */
+  _once(event, key) {
+    const id = `${event}:${key}`;
+    if (this._reported.has(id)) return false;
+    this._reported.add(id);
+    return true;
+  }
+}
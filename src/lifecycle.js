@@ -0,0 +1,169 @@
+/**
+ * @module lifecycle
+ * Where a market is in its lifecycle, beyond its on-chain status: whether
+ * an Open market is past its deadline, whether a Resolved one is still in
+ * its dispute window, when the next transition is due and which
+ * instructions the program will accept right now.
+ */
+
+import { DISPUTE_WINDOW_SECONDS, MarketStatus } from "./constants.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Phases
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Lifecycle phase of a market; finer-grained than `MarketStatus`. */
+export const MarketPhase = /** @type {const} */ ({
+  /** Open and before `resolutionDeadline`; accepting bets */
+  Open: "Open",
+  /** Open but past `resolutionDeadline`; waiting for the authority */
+  AwaitingResolution: "AwaitingResolution",
+  /** Resolved, inside the dispute window */
+  InDispute: "InDispute",
+  /** Resolved, dispute window over; waiting for the `finalizeMarket` crank */
+  Finalizable: "Finalizable",
+  Finalized: "Finalized",
+  Voided: "Voided",
+});
+
+/**
+ * @typedef {(typeof MarketPhase)[keyof typeof MarketPhase]} MarketPhaseValue
+ */
+
+/**
+ * An instruction the program accepts in the current phase.
+ *
+ * On multisig-governed markets, authority actions go through a proposal:
+ * `instruction` is "createProposal" and `proposalAction` names the
+ * `ProposalActionTag`. The action is checked again when the proposal is
+ * executed, so it has to reach threshold before the phase moves on.
+ *
+ * @typedef {Object} PhaseAction
+ * @property {string} instruction - Builder name, e.g. "resolveMarket"
+ * @property {"authority"|"multisig"|"anyone"|"positionOwners"} by - Who can send it:
+ *   the market authority (signing), the multisig's signers by proposal, anyone
+ *   (permissionless crank), or owners of qualifying positions
+ * @property {keyof typeof import("./constants.js").ProposalActionTag|null} proposalAction
+ */
+
+/**
+ * @typedef {Object} MarketPhaseInfo
+ * @property {MarketPhaseValue} phase
+ * @property {"authority"|"multisig"} governance - From `authorityIsMultisig`
+ * @property {MarketPhaseValue|null} nextPhase - Phase reached by time alone; null when
+ *   the next transition needs an instruction (resolution, finalization) or there is none
+ * @property {bigint|null} transitionAt - Unix time of that transition
+ * @property {bigint|null} secondsUntilTransition - Countdown to `transitionAt`
+ * @property {PhaseAction[]} actions - Instructions currently valid, authority actions first
+ */
+
+/** @returns {PhaseAction} */
+function action(instruction, by, proposalAction = null) {
+  return { instruction, by, proposalAction };
+}
+
+/**
+ * Authority actions, as direct instructions or multisig proposals.
+ * `disputeResolve` has no proposal form: multisig markets can only void
+ * during the dispute window.
+ */
+function authorityActions(market, names) {
+  if (!market.authorityIsMultisig) {
+    return names.filter(([direct]) => direct).map(([direct]) => action(direct, "authority"));
+  }
+  return names
+    .filter(([, proposal]) => proposal)
+    .map(([, proposal]) => action("createProposal", "multisig", proposal));
+}
+
+/**
+ * Whether `resolveMarket` can succeed on the current pools: the program
+ * needs at least two positions and a non-empty pool to pick as winner.
+ */
+function isResolvable(market) {
+  return market.totalPositions >= 2n && market.outcomePools.some((pool) => pool > 0n);
+}
+
+/**
+ * Phase, next timed transition and valid instructions of a market.
+ *
+ * Mirrors the program's checks: bets close at `resolutionDeadline`,
+ * resolution opens at it, and a resolution can be disputed or voided
+ * until `resolvedAt + DISPUTE_WINDOW_SECONDS`, when `finalizeMarket`
+ * becomes valid. `resolveMarket` is only listed once the market has the
+ * positions to resolve; otherwise voiding is the only way out.
+ *
+ * @param {import("./accounts.js").MarketAccount} market
+ * @param {bigint|number} [now] - Unix timestamp (default: local clock). Pass the
+ *   cluster clock to match what the program will see.
+ * @returns {MarketPhaseInfo}
+ */
+export function getMarketPhase(market, now = Math.floor(Date.now() / 1000)) {
+  const t = BigInt(now);
+  const governance = market.authorityIsMultisig ? "multisig" : "authority";
+  const info = (phase, actions, nextPhase = null, transitionAt = null) => ({
+    phase,
+    governance,
+    nextPhase,
+    transitionAt,
+    secondsUntilTransition: transitionAt === null ? null : transitionAt - t,
+    actions,
+  });
+
+  switch (market.status) {
+    case MarketStatus.Open: {
+      const open = authorityActions(market, [
+        ["voidMarket", "VoidMarket"],
+        [null, "UpdateDeadline"],
+        [null, "UpdateFeeBps"],
+      ]);
+      if (t < market.resolutionDeadline) {
+        return info(
+          MarketPhase.Open,
+          [...open, action("placeBet", "anyone")],
+          MarketPhase.AwaitingResolution,
+          market.resolutionDeadline
+        );
+      }
+      const resolve = isResolvable(market)
+        ? authorityActions(market, [["resolveMarket", "ResolveMarket"]])
+        : [];
+      return info(MarketPhase.AwaitingResolution, [...resolve, ...open]);
+    }
+    case MarketStatus.Resolved: {
+      const finalizesAt = market.resolvedAt + BigInt(DISPUTE_WINDOW_SECONDS);
+      if (t < finalizesAt) {
+        return info(
+          MarketPhase.InDispute,
+          authorityActions(market, [
+            ["disputeResolve", null],
+            ["voidMarket", "VoidMarket"],
+          ]),
+          MarketPhase.Finalizable,
+          finalizesAt
+        );
+      }
+      return info(MarketPhase.Finalizable, [action("finalizeMarket", "anyone")]);
+    }
+    case MarketStatus.Finalized:
+      return info(MarketPhase.Finalized, [action("claimWinnings", "positionOwners")]);
+    case MarketStatus.Voided:
+      return info(MarketPhase.Voided, [action("claimRefund", "positionOwners")]);
+    default:
+      throw new RangeError(`Unknown market status ${market.status}`);
+  }
+}
+
+/**
+ * Whether `instruction` is currently valid on a market, per `getMarketPhase`.
+ * For multisig markets pass the proposal action, e.g. "ResolveMarket".
+ *
+ * @param {MarketPhaseInfo} phaseInfo
+ * @param {string} instruction - Builder name or `ProposalActionTag` name
+ * @returns {boolean}
+ */
+export function isActionAvailable(phaseInfo, instruction) {
+  return phaseInfo.actions.some(
+    (a) => a.instruction === instruction || a.proposalAction === instruction
+  );
+}
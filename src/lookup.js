@@ -0,0 +1,68 @@
+/**
+ * @module lookup
+ * Address lookup table helpers for packing Precog instructions into v0
+ * transactions.
+ */
+
+import { PublicKey } from "@solana/web3.js";
+import {
+  PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  SYSTEM_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+} from "./constants.js";
+import {
+  findProtocolConfigAddress,
+  findVaultAddress,
+  findVaultAuthorityAddress,
+} from "./pda.js";
+import { findAssociatedTokenAddress } from "./token.js";
+
+/**
+ * Addresses worth putting in a market's lookup table: the program IDs every
+ * Precog instruction references, the protocol config, and the market's own
+ * vault / vault authority / token vault.
+ *
+ * @param {PublicKey} market
+ * @param {Object} [opts]
+ * @param {PublicKey} [opts.tokenMint] - For SPL/Token-2022 markets; adds the token vault ATA.
+ * @param {PublicKey} [opts.tokenProgram] - Program owning `tokenMint` (default: TOKEN_PROGRAM_ID).
+ * @param {PublicKey[]} [opts.extraAddresses] - Appended as-is (e.g. treasury, creator).
+ * @param {PublicKey} [opts.programId]
+ * @returns {Promise<PublicKey[]>} Deduplicated, in a stable order.
+ */
+export async function getMarketLookupTableAddresses(market, opts = {}) {
+  const programId = opts.programId ?? PROGRAM_ID;
+  const [protocolConfig] = await findProtocolConfigAddress(programId);
+  const [vault] = await findVaultAddress(market, programId);
+  const [vaultAuthority] = await findVaultAuthorityAddress(market, programId);
+
+  const addresses = [
+    programId,
+    SYSTEM_PROGRAM_ID,
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    ASSOCIATED_TOKEN_PROGRAM_ID,
+    protocolConfig,
+    market,
+    vault,
+    vaultAuthority,
+  ];
+
+  if (opts.tokenMint) {
+    const tokenProgram = opts.tokenProgram ?? TOKEN_PROGRAM_ID;
+    const [tokenVault] = await findAssociatedTokenAddress(vaultAuthority, opts.tokenMint, tokenProgram);
+    addresses.push(opts.tokenMint, tokenVault);
+  }
+
+  addresses.push(...(opts.extraAddresses ?? []));
+
+  const seen = new Set();
+  return addresses.filter((a) => {
+    const key = a.toBase58();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
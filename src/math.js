@@ -0,0 +1,283 @@
+/**
+ * @module math
+ * Exact bigint arithmetic that mirrors the program's on-chain calculations.
+ */
+
+import { TokenDenomination } from "./constants.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Transfer fees
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Token-2022 transfer fee withheld on a transfer of `amount`:
+ * `ceil(amount * feeBps / 10_000)`, capped at `maxFee`.
+ * @param {bigint|number} amount
+ * @param {number} feeBps
+ * @param {bigint|number} maxFee
+ * @returns {bigint}
+ */
+export function calculateTransferFee(amount, feeBps, maxFee) {
+  const a = BigInt(amount);
+  if (a === 0n || feeBps === 0) return 0n;
+  const fee = (a * BigInt(feeBps) + 9_999n) / 10_000n;
+  const cap = BigInt(maxFee);
+  return fee > cap ? cap : fee;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Claims
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Breakdown of a `claimWinnings` payout, in the market's base units.
+ * @typedef {Object} ClaimQuote
+ * @property {bigint} gross - `amount * totalPool / winningPool`, rounded down
+ * @property {bigint} protocolFee - `gross * (feeBps - creatorFeeBps) / 10_000`, rounded down; to
+ *   the treasury
+ * @property {bigint} creatorFee - `gross * creatorFeeBps / 10_000`, rounded down; to the creator
+ * @property {bigint} payout - `gross - protocolFee - creatorFee`; leaves the vault for the claimant
+ * @property {bigint} transferFee - Token-2022 fee withheld from `payout` on the outbound transfer
+ * @property {bigint} netReceived - `payout - transferFee`; what the claimant's account is credited
+ */
+
+const ZERO_QUOTE = Object.freeze({
+  gross: 0n,
+  protocolFee: 0n,
+  creatorFee: 0n,
+  payout: 0n,
+  transferFee: 0n,
+  netReceived: 0n,
+});
+
+/**
+ * Quote what `claimWinnings` pays for a position, with the program's integer
+ * arithmetic and rounding order:
+ *
+ * 1. `gross = amount * totalPool / winningPool` (floor)
+ * 2. each fee is taken from `gross` separately, rounded down: the protocol's
+ *    `feeBps - creatorFeeBps` and the creator's `creatorFeeBps`. Both come
+ *    from the market, fixed when it was created, so a later change to the
+ *    protocol's `defaultFeeBps` doesn't affect them
+ * 3. the rest is transferred to the claimant; on a Token-2022 market with a
+ *    transfer fee, `calculateTransferFee(payout, transferFeeBps, maxTransferFee)`
+ *    is withheld from it
+ *
+ * A position on a losing outcome quotes all zeros. The market's
+ * `winningOutcome` is used as-is, so for an unresolved market this is the
+ * payout if that outcome won. `position.claimed` is not checked.
+ *
+ * @param {import("./accounts.js").MarketAccount} market
+ * @param {import("./accounts.js").UserPositionAccount} position
+ * @returns {ClaimQuote}
+ */
+export function quoteClaim(market, position) {
+  const winningPool = market.outcomePools[market.winningOutcome] ?? 0n;
+  if (position.outcomeIndex !== market.winningOutcome || winningPool === 0n) {
+    return { ...ZERO_QUOTE };
+  }
+
+  const gross = (position.amount * market.totalPool) / winningPool;
+  const protocolFee = (gross * BigInt(market.feeBps - market.creatorFeeBps)) / 10_000n;
+  const creatorFee = (gross * BigInt(market.creatorFeeBps)) / 10_000n;
+  const payout = gross - protocolFee - creatorFee;
+  const transferFee =
+    market.denomination === TokenDenomination.Token2022 && market.hasTransferFee
+      ? calculateTransferFee(payout, market.transferFeeBps, market.maxTransferFee)
+      : 0n;
+
+  return { gross, protocolFee, creatorFee, payout, transferFee, netReceived: payout - transferFee };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Odds
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Fixed-point scale of probabilities, odds and multiples below:
+ * `500_000_000n` is 0.5. Divide by it (as Numbers) only for display.
+ * @type {bigint}
+ */
+export const ODDS_PRECISION = 1_000_000_000n;
+
+/**
+ * Implied probability of each outcome: `pool * ODDS_PRECISION / totalPool`,
+ * rounded down. All zero for an empty market.
+ * @param {import("./accounts.js").MarketAccount} market
+ * @returns {bigint[]}
+ */
+export function impliedProbabilities(market) {
+  const pools = market.outcomePools.slice(0, market.numOutcomes);
+  if (market.totalPool === 0n) return pools.map(() => 0n);
+  return pools.map((pool) => (pool * ODDS_PRECISION) / market.totalPool);
+}
+
+/**
+ * Decimal odds of each outcome after the market fee: what one unit staked
+ * returns if it wins, ignoring the stake's own effect on the pools —
+ * `totalPool * (10_000 - feeBps) / (pool * 10_000)`, scaled by
+ * `ODDS_PRECISION` and rounded down. `null` for an outcome with no stake.
+ * @param {import("./accounts.js").MarketAccount} market
+ * @returns {Array<bigint|null>}
+ */
+export function decimalOdds(market) {
+  const keep = BigInt(10_000 - market.feeBps);
+  return market.outcomePools
+    .slice(0, market.numOutcomes)
+    .map((pool) =>
+      pool === 0n ? null : (market.totalPool * keep * ODDS_PRECISION) / (pool * 10_000n)
+    );
+}
+
+/**
+ * Amount credited to the pool for a bet of `amount`, after any Token-2022
+ * transfer fee withheld on the way into the vault.
+ */
+function netBetAmount(market, amount) {
+  return market.denomination === TokenDenomination.Token2022 && market.hasTransferFee
+    ? amount - calculateTransferFee(amount, market.transferFeeBps, market.maxTransferFee)
+    : amount;
+}
+
+/** The market with `netAmount` added to one outcome's pool. */
+function withBet(market, outcomeIndex, netAmount) {
+  const outcomePools = [...market.outcomePools];
+  outcomePools[outcomeIndex] += netAmount;
+  return { ...market, outcomePools, totalPool: market.totalPool + netAmount };
+}
+
+/**
+ * Effect of one hypothetical bet.
+ * @typedef {Object} BetSimulation
+ * @property {number} outcomeIndex
+ * @property {bigint} amount - Paid by the bettor
+ * @property {bigint} netAmount - Credited to the pool, after any Token-2022 transfer fee
+ * @property {import("./accounts.js").MarketAccount} market - The market after the bet; pass it
+ *   to the next `simulateBet` to chain bets
+ * @property {bigint[]} probabilitiesBefore - See `impliedProbabilities`
+ * @property {bigint[]} probabilitiesAfter
+ * @property {Array<bigint|null>} oddsBefore - See `decimalOdds`
+ * @property {Array<bigint|null>} oddsAfter
+ * @property {ClaimQuote} payout - Claim on this bet alone if its outcome wins and no
+ *   further bets are placed
+ * @property {bigint} multiple - `payout.netReceived * ODDS_PRECISION / amount`, rounded down
+ */
+
+/**
+ * Work out how a bet of `amount` on `outcomeIndex` would move every
+ * outcome's implied probability and odds, and what it would pay back.
+ *
+ * Pure bigint arithmetic on the decoded pools; the claim uses `quoteClaim`,
+ * so fees follow the market's own split. Pools are not checked against
+ * deadlines or minimums — see `checkBetEligibility` for that.
+ *
+ * @param {import("./accounts.js").MarketAccount} market
+ * @param {number} outcomeIndex
+ * @param {bigint|number} amount
+ * @returns {BetSimulation}
+ * @throws {RangeError} if `outcomeIndex` is out of range or `amount` is negative
+ */
+export function simulateBet(market, outcomeIndex, amount) {
+  const stake = BigInt(amount);
+  if (!Number.isInteger(outcomeIndex) || outcomeIndex < 0 || outcomeIndex >= market.numOutcomes) {
+    throw new RangeError(
+      `Outcome ${outcomeIndex} is out of range (market has ${market.numOutcomes})`
+    );
+  }
+  if (stake < 0n) throw new RangeError(`Bet amount ${stake} is negative`);
+
+  const netAmount = netBetAmount(market, stake);
+  const after = withBet(market, outcomeIndex, netAmount);
+  const payout = quoteClaim(
+    { ...after, winningOutcome: outcomeIndex },
+    { outcomeIndex, amount: netAmount }
+  );
+
+  return {
+    outcomeIndex,
+    amount: stake,
+    netAmount,
+    market: after,
+    probabilitiesBefore: impliedProbabilities(market),
+    probabilitiesAfter: impliedProbabilities(after),
+    oddsBefore: decimalOdds(market),
+    oddsAfter: decimalOdds(after),
+    payout,
+    multiple: stake === 0n ? 0n : (payout.netReceived * ODDS_PRECISION) / stake,
+  };
+}
+
+/**
+ * Simulate bets placed in order by the same bettor. Each step sees the pools
+ * left by the previous ones; `payouts` then quotes the bettor's combined
+ * stake on each outcome against the final pools.
+ *
+ * @param {import("./accounts.js").MarketAccount} market
+ * @param {Array<{ outcomeIndex: number, amount: bigint|number }>} bets
+ * @returns {{
+ *   market: import("./accounts.js").MarketAccount,
+ *   steps: BetSimulation[],
+ *   stakes: bigint[],
+ *   payouts: ClaimQuote[],
+ * }} `stakes[i]` is the net amount the bets put on outcome `i`; `payouts[i]`
+ *   is what that stake claims if outcome `i` wins.
+ */
+export function simulateBets(market, bets) {
+  const steps = [];
+  let current = market;
+  for (const bet of bets) {
+    const step = simulateBet(current, bet.outcomeIndex, bet.amount);
+    steps.push(step);
+    current = step.market;
+  }
+
+  const stakes = Array.from({ length: market.numOutcomes }, () => 0n);
+  for (const step of steps) stakes[step.outcomeIndex] += step.netAmount;
+  const payouts = stakes.map((amount, outcomeIndex) =>
+    quoteClaim({ ...current, winningOutcome: outcomeIndex }, { outcomeIndex, amount })
+  );
+
+  return { market: current, steps, stakes, payouts };
+}
+
+/**
+ * One point of a `marginalPayoutCurve`.
+ * @typedef {Object} PayoutCurvePoint
+ * @property {bigint} amount - Bet size
+ * @property {bigint} netReceived - Claimed if the outcome wins
+ * @property {bigint} multiple - `netReceived * ODDS_PRECISION / amount`
+ * @property {bigint} marginal - Extra payout per extra unit staked since the
+ *   previous point (from zero for the first), scaled by `ODDS_PRECISION`
+ */
+
+/**
+ * Payout as a function of bet size on one outcome. Each point is a separate
+ * single bet against the current pools. Because a bet dilutes its own
+ * winnings, `multiple` and `marginal` fall as `amount` grows; `marginal`
+ * shows how much each extra unit is still worth.
+ *
+ * @example
+ * // ten points up to 100 SOL
+ * const amounts = Array.from({ length: 10 }, (_, i) => BigInt(i + 1) * 10_000_000_000n);
+ * marginalPayoutCurve(market, 0, amounts);
+ *
+ * @param {import("./accounts.js").MarketAccount} market
+ * @param {number} outcomeIndex
+ * @param {Array<bigint|number>} amounts - Bet sizes, ascending
+ * @returns {PayoutCurvePoint[]}
+ * @throws {RangeError} if `amounts` is not ascending
+ */
+export function marginalPayoutCurve(market, outcomeIndex, amounts) {
+  let prevAmount = 0n;
+  let prevReceived = 0n;
+  return amounts.map((a) => {
+    const { amount, payout, multiple } = simulateBet(market, outcomeIndex, a);
+    if (amount < prevAmount) throw new RangeError("Bet amounts must be ascending");
+    const step = amount - prevAmount;
+    const marginal =
+      step === 0n ? 0n : ((payout.netReceived - prevReceived) * ODDS_PRECISION) / step;
+    prevAmount = amount;
+    prevReceived = payout.netReceived;
+    return { amount, netReceived: payout.netReceived, multiple, marginal };
+  });
+}
@@ -0,0 +1,313 @@
+/**
+ * @module mock
+ * `MockConnection`: the part of `Connection` that `PrecogMarketsClient`
+ * calls, over an in-memory account map. Sent transactions are recorded
+ * rather than executed; simulation results and Helius priority-fee
+ * responses are scripted. For a stand-in that actually runs the program,
+ * see `PrecogSimulator`.
+ */
+
+import { PublicKey, Keypair, VersionedTransaction } from "@solana/web3.js";
+
+import { bs58Encode, bs58Decode } from "./serialization.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Filters
+// ═══════════════════════════════════════════════════════════════════════
+
+/** The RPC rejects `getProgramAccounts` calls with more filters than this. */
+const MAX_FILTERS = 4;
+
+/** The RPC rejects memcmp filters longer than this (decoded). */
+const MAX_MEMCMP_BYTES = 128;
+
+/**
+ * Whether account data passes a `getProgramAccounts` filter, as the RPC
+ * evaluates it: `dataSize` is an exact length, and a `memcmp` that runs past
+ * the end of the data does not match. `memcmp.bytes` is base58 unless
+ * `encoding` is "base64".
+ *
+ * @param {Buffer} data
+ * @param {import("@solana/web3.js").GetProgramAccountsFilter} filter
+ * @returns {boolean}
+ */
+export function matchesFilter(data, filter) {
+  if ("dataSize" in filter) return data.length === filter.dataSize;
+  const { offset, bytes, encoding } = filter.memcmp;
+  const expected = encoding === "base64" ? Buffer.from(bytes, "base64") : bs58Decode(bytes);
+  if (expected.length > MAX_MEMCMP_BYTES) {
+    throw new Error(`memcmp filter of ${expected.length} bytes exceeds ${MAX_MEMCMP_BYTES}`);
+  }
+  if (offset + expected.length > data.length) return false;
+  return data.subarray(offset, offset + expected.length).equals(expected);
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// MockConnection
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * A sent transaction, as recorded by `MockConnection`.
+ * @typedef {Object} SentTransaction
+ * @property {string} signature
+ * @property {VersionedTransaction} transaction - Deserialized (legacy messages included)
+ * @property {Buffer} raw - Wire bytes
+ * @property {import("@solana/web3.js").SendOptions} options
+ */
+
+/**
+ * Scripted `simulateTransaction` result. Missing fields take the defaults
+ * of a successful simulation.
+ * @typedef {Object} MockSimulation
+ * @property {import("@solana/web3.js").TransactionError|null} [err]
+ * @property {string[]} [logs]
+ * @property {number} [unitsConsumed]
+ */
+
+/**
+ * Scripted Helius response: a fee estimate in microLamports per CU, or a
+ * JSON-RPC error object.
+ * @typedef {number | { error: { code: number, message: string } }} MockPriorityFee
+ */
+
+/** @typedef {import("@solana/web3.js").Transaction | VersionedTransaction} AnyTransaction */
+
+/**
+ * In-memory `Connection` stand-in for client tests.
+ *
+ * Accounts come from `setAccount` and are returned as copies.
+ * `getProgramAccounts` applies owner, `memcmp` and `dataSize` filters the
+ * way the RPC does. `sendRawTransaction` and `sendTransaction` only record
+ * into `sent`. Every signature then confirms without error.
+ *
+ * The client reaches Helius with `fetch`, not through the connection. Pass
+ * `fetch: mock.fetch` in the client options to serve those requests from
+ * `queuePriorityFee`.
+ *
+ * @example
+ * const mock = new MockConnection();
+ * mock.setAccount(market, accountInfoFixture(encodeMarket(marketFixture())));
+ * const client = new PrecogMarketsClient(mock, { fetch: mock.fetch });
+ */
+export class MockConnection {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.rpcEndpoint] - Also the only URL `fetch` answers.
+   * @param {number} [opts.slot] - Reported by every call (default 1).
+   * @param {Map<string, import("@solana/web3.js").AccountInfo<Buffer>>} [opts.accounts] - Backing
+   *   store keyed by base58 address. Shared, not copied.
+   * @param {MockSimulation} [opts.simulation] - Result when no simulation is queued.
+   * @param {MockPriorityFee} [opts.priorityFee] - Response when no fee is queued (default 0).
+   */
+  constructor(opts = {}) {
+    this.commitment = "confirmed";
+    this.rpcEndpoint = opts.rpcEndpoint ?? "http://mock-rpc.invalid";
+    /** @type {number} */ this.slot = opts.slot ?? 1;
+    /** @type {Map<string, import("@solana/web3.js").AccountInfo<Buffer>>} */
+    this.accounts = opts.accounts ?? new Map();
+
+    /** @type {SentTransaction[]} Everything sent, oldest first */
+    this.sent = [];
+    /** @type {AnyTransaction[]} Everything passed to simulateTransaction */
+    this.simulated = [];
+    /** @type {Array<{ transaction: string, priorityLevel: string }>} Helius requests seen by `fetch` */
+    this.priorityFeeRequests = [];
+
+    this._defaultSimulation = opts.simulation ?? {};
+    this._defaultPriorityFee = opts.priorityFee ?? 0;
+    /** @type {Array<MockSimulation | ((tx: AnyTransaction) => MockSimulation)>} */
+    this._simulations = [];
+    /** @type {MockPriorityFee[]} */
+    this._priorityFees = [];
+    /** @type {Map<string, import("@solana/web3.js").TransactionError|null>} */
+    this._statuses = new Map();
+    this._sendCount = 0;
+    this._blockhash = Keypair.generate().publicKey.toBase58();
+
+    /**
+     * `fetch` replacement serving Helius `getPriorityFeeEstimate` at
+     * `rpcEndpoint`. Bound, so it can be passed around on its own.
+     * @type {(url: string, init?: RequestInit) => Promise<Response>}
+     */
+    this.fetch = (url, init) => this._fetch(url, init);
+  }
+
+  // ── scripting ─────────────────────────────────────────────────────
+
+  /**
+   * Create or replace an account.
+   * @param {PublicKey} address
+   * @param {import("@solana/web3.js").AccountInfo<Buffer>} info
+   */
+  setAccount(address, info) {
+    this.accounts.set(address.toBase58(), {
+      data: Buffer.from(info.data),
+      executable: info.executable ?? false,
+      lamports: info.lamports,
+      owner: info.owner,
+      rentEpoch: info.rentEpoch ?? 0,
+    });
+  }
+
+  /** @param {PublicKey} address */
+  deleteAccount(address) {
+    this.accounts.delete(address.toBase58());
+  }
+
+  /**
+   * Script the next `simulateTransaction` result. Queued results are used
+   * once each, in order. A function receives the transaction.
+   * @param {MockSimulation | ((tx: AnyTransaction) => MockSimulation)} result
+   */
+  queueSimulation(result) {
+    this._simulations.push(result);
+  }
+
+  /**
+   * Script the next Helius `getPriorityFeeEstimate` response.
+   * @param {MockPriorityFee} response
+   */
+  queuePriorityFee(response) {
+    this._priorityFees.push(response);
+  }
+
+  // ── accounts ──────────────────────────────────────────────────────
+
+  _context() {
+    return { slot: this.slot };
+  }
+
+  _copy(info) {
+    return info ? { ...info, data: Buffer.from(info.data) } : null;
+  }
+
+  async getSlot() {
+    return this._context().slot;
+  }
+
+  async getAccountInfo(address) {
+    return this._copy(this.accounts.get(address.toBase58()));
+  }
+
+  async getMultipleAccountsInfo(addresses) {
+    return addresses.map((a) => this._copy(this.accounts.get(a.toBase58())));
+  }
+
+  async getProgramAccounts(programId, config) {
+    const { filters = [], dataSlice, withContext } = typeof config === "object" ? config : {};
+    if (filters.length > MAX_FILTERS) {
+      throw new Error(`Too many filters provided; max ${MAX_FILTERS}`);
+    }
+    const value = [];
+    for (const [key, info] of this.accounts) {
+      if (!info.owner.equals(programId)) continue;
+      if (!filters.every((f) => matchesFilter(info.data, f))) continue;
+      const data = dataSlice
+        ? Buffer.from(info.data.subarray(dataSlice.offset, dataSlice.offset + dataSlice.length))
+        : Buffer.from(info.data);
+      value.push({ pubkey: new PublicKey(key), account: { ...info, data } });
+    }
+    return withContext ? { context: this._context(), value } : value;
+  }
+
+  // ── transactions ──────────────────────────────────────────────────
+
+  async getLatestBlockhash() {
+    return { blockhash: this._blockhash, lastValidBlockHeight: this._context().slot + 150 };
+  }
+
+  /**
+   * Sign and send, as `Connection.sendTransaction`; used by web3.js
+   * `sendAndConfirmTransaction`.
+   * @param {AnyTransaction} transaction
+   * @param {import("@solana/web3.js").Signer[]} signers
+   * @param {import("@solana/web3.js").SendOptions} [opts]
+   * @returns {Promise<string>}
+   */
+  async sendTransaction(transaction, signers, opts) {
+    if (transaction instanceof VersionedTransaction) {
+      transaction.sign(signers);
+    } else {
+      transaction.recentBlockhash ??= this._blockhash;
+      transaction.feePayer ??= signers[0].publicKey;
+      transaction.sign(...signers);
+    }
+    return this.sendRawTransaction(transaction.serialize(), opts);
+  }
+
+  /**
+   * Record a serialized transaction in `sent`. Nothing is executed.
+   * @param {Buffer|Uint8Array|number[]} raw
+   * @param {import("@solana/web3.js").SendOptions} [opts]
+   * @returns {Promise<string>} The first signature, or a placeholder when unsigned.
+   */
+  async sendRawTransaction(raw, opts = {}) {
+    const transaction = VersionedTransaction.deserialize(Uint8Array.from(raw));
+    const signature = this._signatureOf(transaction);
+    this.sent.push({ signature, transaction, raw: Buffer.from(raw), options: opts });
+    this._statuses.set(signature, null);
+    return signature;
+  }
+
+  /**
+   * Base58 first signature, or a deterministic placeholder when unsigned.
+   * @param {VersionedTransaction} transaction
+   */
+  _signatureOf(transaction) {
+    this._sendCount++;
+    const [first] = transaction.signatures;
+    if (first?.some((b) => b !== 0)) return bs58Encode(first);
+    const bytes = Buffer.alloc(64);
+    bytes.writeUInt32LE(this._sendCount);
+    return bs58Encode(bytes);
+  }
+
+  async confirmTransaction(strategy) {
+    const signature = typeof strategy === "string" ? strategy : strategy.signature;
+    return { context: this._context(), value: { err: this._statuses.get(signature) ?? null } };
+  }
+
+  /**
+   * Return the next queued simulation result (or the default), recording
+   * the transaction in `simulated`.
+   * @param {AnyTransaction} transaction
+   */
+  async simulateTransaction(transaction) {
+    this.simulated.push(transaction);
+    const next = this._simulations.shift() ?? this._defaultSimulation;
+    const result = typeof next === "function" ? next(transaction) : next;
+    return {
+      context: this._context(),
+      value: {
+        err: result.err ?? null,
+        logs: result.logs ?? [],
+        accounts: null,
+        unitsConsumed: result.unitsConsumed ?? 200_000,
+        returnData: null,
+      },
+    };
+  }
+
+  // ── Helius ────────────────────────────────────────────────────────
+
+  async _fetch(url, init = {}) {
+    if (String(url) !== this.rpcEndpoint) {
+      throw new Error(`MockConnection cannot fetch ${url}`);
+    }
+    const request = JSON.parse(init.body);
+    if (request.method !== "getPriorityFeeEstimate") {
+      throw new Error(`MockConnection does not serve ${request.method} over fetch`);
+    }
+    const [{ transaction, options }] = request.params;
+    this.priorityFeeRequests.push({ transaction, priorityLevel: options?.priorityLevel });
+
+    const next = this._priorityFees.shift() ?? this._defaultPriorityFee;
+    const body =
+      typeof next === "number"
+        ? { jsonrpc: "2.0", id: request.id, result: { priorityFeeEstimate: next } }
+        : { jsonrpc: "2.0", id: request.id, error: next.error };
+    return new Response(JSON.stringify(body), {
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * @module portfolio
+ * A wallet's positions with their state, value and P&L, grouped by
+ * denomination and mint. `buildPortfolio` works on already-fetched
+ * accounts; `PrecogMarketsClient.getPortfolio` fetches them.
+ */
+
+import { DISPUTE_WINDOW_SECONDS, MarketStatus, TokenDenomination } from "./constants.js";
+import { calculateTransferFee, quoteClaim } from "./math.js";
+
+/** @typedef {import("@solana/web3.js").PublicKey} PublicKey */
+
+// ═══════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════
+
+/** Decimals of native SOL amounts (lamports). */
+const SOL_DECIMALS = 9;
+
+/**
+ * Format base units as an exact decimal string, like spl-token's
+ * `uiAmountString`: `toUiAmount(1_500_000_000n, 9)` is "1.5".
+ * @param {bigint} amount - May be negative (P&L)
+ * @param {number} decimals
+ * @returns {string}
+ */
+export function toUiAmount(amount, decimals) {
+  const negative = amount < 0n;
+  const digits = (negative ? -amount : amount).toString().padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+  return `${negative ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`;
+}
+
+/** Token-2022 transfer fee withheld when the vault pays out `amount`. */
+function outboundTransferFee(market, amount) {
+  return market.denomination === TokenDenomination.Token2022 && market.hasTransferFee
+    ? calculateTransferFee(amount, market.transferFeeBps, market.maxTransferFee)
+    : 0n;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Portfolio
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Where a position stands:
+ * - `open` — the market hasn't resolved yet
+ * - `awaitingFinalization` — resolved, but inside the dispute window (or not
+ *   yet cranked); the outcome can still change
+ * - `claimable` — finalized, on the winning outcome, not yet claimed
+ * - `refundable` — the market was voided, not yet refunded
+ * - `claimed` — winnings or refund already paid out
+ * - `lost` — finalized on another outcome
+ * - `unknown` — the market account wasn't found
+ * @typedef {"open"|"awaitingFinalization"|"claimable"|"refundable"|"claimed"|"lost"|"unknown"} PositionState
+ */
+
+/**
+ * One position, valued. Amounts are in the market's base units.
+ * @typedef {Object} PortfolioPosition
+ * @property {PublicKey} position
+ * @property {PublicKey} market
+ * @property {string|null} title - Market title; null when the market is missing
+ * @property {number} outcomeIndex
+ * @property {string|null} outcomeLabel
+ * @property {PositionState} state
+ * @property {bigint} stake - `position.amount`, the amount in the pool (after any inbound
+ *   transfer fee); used as the cost basis
+ * @property {bigint} currentValue - What the position is worth now: the expected claim at
+ *   the implied probability while open, the claim if the current outcome stands while
+ *   awaiting finalization, the amount receivable once claimable or refundable, and 0
+ *   once claimed or lost
+ * @property {import("./math.js").ClaimQuote|null} payoutIfWins - Claim if this outcome
+ *   wins (or has won) on the current pools; null when voided or missing
+ * @property {bigint} realizedPnl - Settled: received minus stake once claimed, `-stake`
+ *   once lost; otherwise 0
+ * @property {bigint} unrealizedPnl - `currentValue - stake` while not settled; otherwise 0
+ * @property {bigint|null} finalizesAt - End of the dispute window (unix seconds) while
+ *   awaiting finalization
+ * @property {bigint|null} secondsUntilFinalization - Countdown to `finalizesAt`, floored at 0
+ * @property {number} denomination
+ * @property {PublicKey|null} tokenMint - null for SOL
+ * @property {number} decimals
+ * @property {{ stake: string, currentValue: string, realizedPnl: string, unrealizedPnl: string }} ui
+ *   - The amounts above normalised by `decimals`
+ */
+
+/**
+ * Totals of a group, in base units.
+ * @typedef {Object} PortfolioTotals
+ * @property {bigint} staked - Stake still at risk or awaiting payout (all but claimed / lost)
+ * @property {bigint} currentValue
+ * @property {bigint} claimable - Sum of `currentValue` over `claimable` positions
+ * @property {bigint} refundable - Sum of `currentValue` over `refundable` positions
+ * @property {bigint} realizedPnl
+ * @property {bigint} unrealizedPnl
+ */
+
+/**
+ * Positions sharing a denomination and mint, so their amounts add up.
+ * @typedef {Object} PortfolioGroup
+ * @property {number} denomination
+ * @property {PublicKey|null} tokenMint - null for SOL
+ * @property {number} decimals
+ * @property {PortfolioPosition[]} positions
+ * @property {PortfolioTotals} totals
+ * @property {Record<keyof PortfolioTotals, string>} ui - `totals` normalised by `decimals`
+ */
+
+/**
+ * @typedef {Object} Portfolio
+ * @property {bigint} now - Clock the states and countdowns were computed with
+ * @property {PortfolioPosition[]} positions
+ * @property {PortfolioGroup[]} groups - SOL first, then by denomination and mint
+ */
+
+/**
+ * Classify and value a wallet's positions.
+ *
+ * Claims are priced with `quoteClaim`, so fees and Token-2022 transfer
+ * fees are exact. Realized P&L on claimed positions is recomputed the same
+ * way rather than read from history.
+ *
+ * @param {Array<{ pubkey: PublicKey, account: import("./accounts.js").UserPositionAccount }>} positions
+ * @param {Map<string, import("./accounts.js").MarketAccount|null>} markets - Keyed by base58 address
+ * @param {Object} [opts]
+ * @param {bigint|number} [opts.now] - Unix timestamp (default: local clock)
+ * @returns {Portfolio}
+ */
+export function buildPortfolio(positions, markets, opts = {}) {
+  const now = BigInt(opts.now ?? Math.floor(Date.now() / 1000));
+  const valued = positions.map(({ pubkey, account }) =>
+    valuePosition(pubkey, account, markets.get(account.market.toBase58()) ?? null, now)
+  );
+
+  /** @type {Map<string, PortfolioGroup>} */
+  const groups = new Map();
+  for (const p of valued) {
+    const key = `${p.denomination}:${p.tokenMint?.toBase58() ?? ""}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        denomination: p.denomination,
+        tokenMint: p.tokenMint,
+        decimals: p.decimals,
+        positions: [],
+        totals: {
+          staked: 0n,
+          currentValue: 0n,
+          claimable: 0n,
+          refundable: 0n,
+          realizedPnl: 0n,
+          unrealizedPnl: 0n,
+        },
+      };
+      groups.set(key, group);
+    }
+    group.positions.push(p);
+    const t = group.totals;
+    if (p.state !== "claimed" && p.state !== "lost") t.staked += p.stake;
+    t.currentValue += p.currentValue;
+    if (p.state === "claimable") t.claimable += p.currentValue;
+    if (p.state === "refundable") t.refundable += p.currentValue;
+    t.realizedPnl += p.realizedPnl;
+    t.unrealizedPnl += p.unrealizedPnl;
+  }
+
+  const sorted = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, g]) => ({
+      ...g,
+      ui: Object.fromEntries(
+        Object.entries(g.totals).map(([k, v]) => [k, toUiAmount(v, g.decimals)])
+      ),
+    }));
+
+  return { now, positions: valued, groups: sorted };
+}
+
+/**
+ * @param {PublicKey} pubkey
+ * @param {import("./accounts.js").UserPositionAccount} position
+ * @param {import("./accounts.js").MarketAccount|null} market
+ * @param {bigint} now
+ * @returns {PortfolioPosition}
+ */
+function valuePosition(pubkey, position, market, now) {
+  const stake = position.amount;
+  const isSol = !market || market.denomination === TokenDenomination.NativeSol;
+  const decimals = isSol ? SOL_DECIMALS : market.tokenDecimals;
+
+  let state = "unknown";
+  let currentValue = 0n;
+  let payoutIfWins = null;
+  let received = null;
+  let finalizesAt = null;
+
+  if (market) {
+    if (market.status !== MarketStatus.Voided) {
+      payoutIfWins = quoteClaim({ ...market, winningOutcome: position.outcomeIndex }, position);
+    }
+    const won = position.outcomeIndex === market.winningOutcome;
+
+    switch (market.status) {
+      case MarketStatus.Open: {
+        state = "open";
+        // Expected claim at the implied probability pool / totalPool
+        const pool = market.outcomePools[position.outcomeIndex];
+        currentValue =
+          market.totalPool === 0n ? 0n : (payoutIfWins.netReceived * pool) / market.totalPool;
+        break;
+      }
+      case MarketStatus.Resolved:
+        state = "awaitingFinalization";
+        currentValue = won ? payoutIfWins.netReceived : 0n;
+        finalizesAt = market.resolvedAt + BigInt(DISPUTE_WINDOW_SECONDS);
+        break;
+      case MarketStatus.Finalized:
+        if (!won) {
+          state = "lost";
+        } else if (position.claimed) {
+          state = "claimed";
+          received = payoutIfWins.netReceived;
+        } else {
+          state = "claimable";
+          currentValue = payoutIfWins.netReceived;
+        }
+        break;
+      case MarketStatus.Voided: {
+        const refund = stake - outboundTransferFee(market, stake);
+        if (position.claimed) {
+          state = "claimed";
+          received = refund;
+        } else {
+          state = "refundable";
+          currentValue = refund;
+        }
+        break;
+      }
+    }
+  }
+
+  const settled = state === "claimed" || state === "lost";
+  const realizedPnl = state === "claimed" ? received - stake : state === "lost" ? -stake : 0n;
+  const unrealizedPnl = settled || state === "unknown" ? 0n : currentValue - stake;
+
+  return {
+    position: pubkey,
+    market: position.market,
+    title: market?.title ?? null,
+    outcomeIndex: position.outcomeIndex,
+    outcomeLabel: market?.outcomeLabels[position.outcomeIndex] ?? null,
+    state,
+    stake,
+    currentValue,
+    payoutIfWins,
+    realizedPnl,
+    unrealizedPnl,
+    finalizesAt,
+    secondsUntilFinalization:
+      finalizesAt === null ? null : finalizesAt > now ? finalizesAt - now : 0n,
+    denomination: market?.denomination ?? TokenDenomination.NativeSol,
+    tokenMint: isSol ? null : market.tokenMint,
+    decimals,
+    ui: {
+      stake: toUiAmount(stake, decimals),
+      currentValue: toUiAmount(currentValue, decimals),
+      realizedPnl: toUiAmount(realizedPnl, decimals),
+      unrealizedPnl: toUiAmount(unrealizedPnl, decimals),
+    },
+  };
+}
@@ -229,3 +229,48 @@ export class BorshReader {
 }
 
 import { PublicKey } from "@solana/web3.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// BASE58
+// ═══════════════════════════════════════════════════════════════════════
+
+const BS58_ALPHA = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+/**
+ * Minimal base58 encoder, for `memcmp` filter bytes.
+ * @param {Buffer|Uint8Array|number[]} buf
+ * @returns {string}
+ */
+export function bs58Encode(buf) {
+  const bytes = [...buf];
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+  // No digits at all for an all-zero input: the leading "1"s cover it.
+  const digits = zeros === bytes.length ? [] : [0];
+  for (let i = zeros; i < bytes.length; i++) {
+    let carry = bytes[i];
+    for (let j = 0; j < digits.length; j++) { carry += digits[j] * 256; digits[j] = carry % 58; carry = (carry / 58) | 0; }
+    while (carry > 0) { digits.push(carry % 58); carry = (carry / 58) | 0; }
+  }
+  return BS58_ALPHA[0].repeat(zeros) + digits.reverse().map((d) => BS58_ALPHA[d]).join("");
+}
+
+/**
+ * Minimal base58 decoder, for inner-instruction data returned by RPC.
+ * @param {string} str
+ * @returns {Buffer}
+ */
+export function bs58Decode(str) {
+  const bytes = [0];
+  for (const ch of str) {
+    let carry = BS58_ALPHA.indexOf(ch);
+    if (carry < 0) throw new Error(`Invalid base58 character: ${ch}`);
+    for (let j = 0; j < bytes.length; j++) { carry += bytes[j] * 58; bytes[j] = carry & 0xff; carry >>= 8; }
+    while (carry > 0) { bytes.push(carry & 0xff); carry >>= 8; }
+  }
+  let zeros = 0;
+  while (zeros < str.length && str[zeros] === "1") zeros++;
+  const body = bytes.reverse();
+  while (body.length > 0 && body[0] === 0) body.shift();
+  return Buffer.from([...new Array(zeros).fill(0), ...body]);
+}
@@ -0,0 +1,98 @@
+/**
+ * @module signer
+ * Signing that works with both in-memory `Keypair`s and wallet adapters.
+ */
+
+import { PublicKey, VersionedTransaction } from "@solana/web3.js";
+
+/**
+ * The signing surface Solana wallet adapters expose.
+ * @typedef {Object} WalletSigner
+ * @property {PublicKey} publicKey
+ * @property {<T extends import("@solana/web3.js").Transaction | VersionedTransaction>(tx: T) => Promise<T>} signTransaction
+ * @property {<T extends import("@solana/web3.js").Transaction | VersionedTransaction>(txs: T[]) => Promise<T[]>} [signAllTransactions]
+ */
+
+/**
+ * Anything the client accepts where a signature is needed.
+ * @typedef {import("@solana/web3.js").Signer | WalletSigner} AnySigner
+ */
+
+/**
+ * True for wallet-adapter style signers (no secret key, async signing).
+ * @param {unknown} signer
+ * @returns {signer is WalletSigner}
+ */
+export function isWalletSigner(signer) {
+  return (
+    !!signer &&
+    typeof signer === "object" &&
+    !(signer instanceof PublicKey) &&
+    typeof signer.signTransaction === "function" &&
+    !signer.secretKey
+  );
+}
+
+/**
+ * Drop duplicate signers (same public key), keeping the first occurrence.
+ * @param {AnySigner[]} signers
+ * @returns {AnySigner[]}
+ */
+export function uniqueSigners(signers) {
+  const seen = new Set();
+  return signers.filter((s) => {
+    const key = s.publicKey.toBase58();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Public keys whose signatures the transaction's message requires.
+ * @param {import("@solana/web3.js").Transaction | VersionedTransaction} tx
+ * @returns {PublicKey[]}
+ */
+function requiredSigners(tx) {
+  const message = tx instanceof VersionedTransaction ? tx.message : tx.compileMessage();
+  const keys = message.staticAccountKeys ?? message.accountKeys;
+  return keys.slice(0, message.header.numRequiredSignatures);
+}
+
+/**
+ * Sign a batch of transactions with a mix of keypairs and wallets.
+ *
+ * Wallets sign first — an adapter may rewrite the transaction, which would
+ * invalidate earlier signatures — then keypairs add theirs. Each wallet is
+ * asked once for the whole batch via `signAllTransactions` when it has one.
+ *
+ * @template {import("@solana/web3.js").Transaction | VersionedTransaction} T
+ * @param {T[]} transactions - Blockhash and fee payer must already be set.
+ * @param {AnySigner[]} signers
+ * @returns {Promise<T[]>} The signed transactions (wallets may return new objects).
+ */
+export async function signTransactions(transactions, signers) {
+  const all = uniqueSigners(signers);
+  const wallets = all.filter(isWalletSigner);
+  const keypairs = all.filter((s) => !isWalletSigner(s));
+
+  let txs = transactions;
+  for (const wallet of wallets) {
+    txs = wallet.signAllTransactions
+      ? await wallet.signAllTransactions(txs)
+      : await Promise.all(txs.map((tx) => wallet.signTransaction(tx)));
+  }
+
+  if (keypairs.length > 0) {
+    for (const tx of txs) {
+      // Only keys the message expects may sign; extra keypairs are skipped.
+      const required = new Set(requiredSigners(tx).map((k) => k.toBase58()));
+      const needed = keypairs.filter((k) => required.has(k.publicKey.toBase58()));
+      if (needed.length === 0) continue;
+      if (tx instanceof VersionedTransaction) tx.sign(needed);
+      else tx.partialSign(...needed);
+    }
+  }
+
+  return txs;
+}
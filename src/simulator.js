@@ -0,0 +1,1053 @@
+/**
+ * @module simulator
+ * In-process model of the Precog program for offline tests: executes the
+ * `TransactionInstruction`s built by instructions.js against an in-memory
+ * account store, failing with the program's `ErrorCode`s. `simulator.connection`
+ * stands in for a `Connection`, so a `PrecogMarketsClient` runs unchanged.
+ *
+ * Native SOL markets only; token-denominated instructions throw.
+ */
+
+import {
+  PublicKey,
+  SystemProgram,
+  SystemInstruction,
+  ComputeBudgetProgram,
+  Transaction,
+  TransactionInstruction,
+  VersionedTransaction,
+  SendTransactionError,
+} from "@solana/web3.js";
+
+import {
+  PROGRAM_ID,
+  MAX_FEE_BPS,
+  MAX_MULTISIG_SIGNERS,
+  DISPUTE_WINDOW_SECONDS,
+  MULTISIG_PROPOSAL_EXPIRY_SECONDS,
+  MarketStatus,
+  TokenDenomination,
+  ErrorName,
+  ACCOUNT_DISCRIMINATORS,
+} from "./constants.js";
+import {
+  findProtocolConfigAddress,
+  findMarketAddress,
+  findVaultAddress,
+  findPositionAddress,
+  findMultisigAddress,
+  findProposalAddress,
+} from "./pda.js";
+import {
+  decodeMarket,
+  decodeUserPosition,
+  decodeProtocolConfig,
+  decodeMultisigAuthority,
+  decodeMultisigProposal,
+  encodeMarket,
+  encodeUserPosition,
+  encodeProtocolConfig,
+  encodeMultisigAuthority,
+  encodeMultisigProposal,
+} from "./accounts.js";
+import { decodeInstruction } from "./decoder.js";
+import { bs58Encode } from "./serialization.js";
+import { validateCreateMarketArgs, checkBetEligibility } from "./validation.js";
+import { parseProgramError, PrecogError } from "./errors.js";
+import { MockConnection } from "./mock.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════
+
+const SYSTEM_PROGRAM_ID = SystemProgram.programId;
+
+/** Nominal compute units reported per instruction by `simulateTransaction`. */
+const UNITS_PER_INSTRUCTION = 20_000;
+
+/** Rent-exempt minimum for an account of `size` bytes, in lamports. */
+function rentExempt(size) {
+  return (128 + size) * 6960;
+}
+
+/** An instruction failed; unwinds to the transaction runner. */
+class InstructionFailure extends Error {
+  /**
+   * @param {number} code
+   * @param {string[]} logs - Lines logged before the failure line
+   */
+  constructor(code, logs) {
+    super(`custom program error: 0x${code.toString(16)}`);
+    this.code = code;
+    this.logs = logs;
+  }
+}
+
+/**
+ * A Precog instruction failed with the named `ErrorCode`.
+ * @param {string} name
+ * @returns {never}
+ */
+function fail(name) {
+  throw new InstructionFailure(ErrorName[name], [`Program log: Error: ${name}`]);
+}
+
+/** Bit `i` of a u16 approval bitmap is set when signer `i` approved. */
+function countBits(bitmap) {
+  let n = 0;
+  for (let b = bitmap; b > 0; b >>= 1) n += b & 1;
+  return n;
+}
+
+/**
+ * Outcome of one simulated transaction.
+ * @typedef {Object} SimulatedTransaction
+ * @property {string} signature
+ * @property {number} slot
+ * @property {bigint} blockTime - Simulator clock when it ran
+ * @property {TransactionInstruction[]} instructions
+ * @property {import("@solana/web3.js").TransactionError|null} err
+ * @property {string[]} logs
+ */
+
+// ═══════════════════════════════════════════════════════════════════════
+// Simulator
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * In-memory Precog program. Transactions are atomic: a failing instruction
+ * rolls back every account change made by the transaction.
+ *
+ * The clock only moves when told to (`warp`, `setTime`), so deadlines and
+ * the dispute window are deterministic. Lamports are tracked: wallets need
+ * an `airdrop` before paying rent or placing bets.
+ */
+export class PrecogSimulator {
+  /**
+   * @param {Object} [opts]
+   * @param {PublicKey} [opts.programId]
+   * @param {bigint|number} [opts.now] - Initial unix time (default: local clock)
+   * @param {number} [opts.lamportsPerSignature] - Transaction fee (default 5000). Not
+   *   charged by `processInstructions`, which has no fee payer.
+   */
+  constructor(opts = {}) {
+    this.programId = opts.programId ?? PROGRAM_ID;
+    /** @type {bigint} */ this.now = BigInt(opts.now ?? Math.floor(Date.now() / 1000));
+    /** @type {number} */ this.slot = 1;
+    this.lamportsPerSignature = opts.lamportsPerSignature ?? 5000;
+    /** @type {SimulatedTransaction[]} Every executed transaction, failed ones included */
+    this.transactions = [];
+    /** @type {Map<string, import("@solana/web3.js").AccountInfo<Buffer>>} */
+    this._accounts = new Map();
+    this._txCount = 0;
+    this.connection = new SimulatedConnection(this);
+  }
+
+  // ── clock & accounts ────────────────────────────────────────────────
+
+  /** Advance the clock by `seconds`. @param {bigint|number} seconds */
+  warp(seconds) {
+    this.now += BigInt(seconds);
+  }
+
+  /** Set the clock to a unix timestamp. @param {bigint|number} unixTime */
+  setTime(unixTime) {
+    this.now = BigInt(unixTime);
+  }
+
+  /**
+   * @param {PublicKey} address
+   * @returns {import("@solana/web3.js").AccountInfo<Buffer>|null} A copy; edits don't affect the store.
+   */
+  getAccount(address) {
+    const info = this._accounts.get(address.toBase58());
+    return info ? { ...info, data: Buffer.from(info.data) } : null;
+  }
+
+  /**
+   * Create or replace an account, e.g. with `accountInfoFixture(encodeMarket(...))`.
+   * @param {PublicKey} address
+   * @param {import("@solana/web3.js").AccountInfo<Buffer>} info
+   */
+  setAccount(address, info) {
+    this._accounts.set(address.toBase58(), {
+      data: Buffer.from(info.data),
+      executable: info.executable ?? false,
+      lamports: info.lamports,
+      owner: info.owner,
+      rentEpoch: info.rentEpoch ?? 0,
+    });
+  }
+
+  /** @param {PublicKey} address @returns {number} */
+  getBalance(address) {
+    return this._accounts.get(address.toBase58())?.lamports ?? 0;
+  }
+
+  /**
+   * Credit lamports to any account, creating a system account if needed.
+   * @param {PublicKey} address
+   * @param {number} lamports
+   */
+  airdrop(address, lamports) {
+    this._setLamports(address, this.getBalance(address) + lamports);
+  }
+
+  // ── execution ───────────────────────────────────────────────────────
+
+  /**
+   * Execute instructions as one atomic transaction with no fee payer.
+   *
+   * @param {TransactionInstruction[]} instructions
+   * @param {Object} [opts]
+   * @param {Array<PublicKey|import("@solana/web3.js").Signer>} [opts.signers] - Keys that
+   *   signed. Default: every key the instructions mark as a signer.
+   * @returns {Promise<SimulatedTransaction>}
+   * @throws {import("./errors.js").PrecogProgramError} On a program error.
+   * @throws {PrecogError} When another program (e.g. a System transfer) fails.
+   */
+  async processInstructions(instructions, opts = {}) {
+    const signed = opts.signers
+      ? opts.signers.map((s) => (s instanceof PublicKey ? s : s.publicKey))
+      : instructions.flatMap((i) => i.keys.filter((k) => k.isSigner).map((k) => k.pubkey));
+    const result = await this._run(instructions, new Set(signed.map((k) => k.toBase58())), {
+      commit: true,
+    });
+    if (result.err) throw this._toError(result);
+    return result;
+  }
+
+  /**
+   * Execute a signed transaction: signatures are checked for presence (not
+   * verified), and the fee payer is charged `lamportsPerSignature` per signature.
+   *
+   * @param {Transaction|VersionedTransaction} transaction
+   * @returns {Promise<SimulatedTransaction>}
+   * @throws {import("./errors.js").PrecogProgramError|PrecogError} As `processInstructions`.
+   */
+  async processTransaction(transaction) {
+    const result = await this._runTransaction(transaction, { commit: true, sigVerify: true });
+    if (result.err) throw this._toError(result);
+    return result;
+  }
+
+  /**
+   * @param {Transaction|VersionedTransaction} transaction
+   * @param {{ commit: boolean, sigVerify: boolean }} opts - Without `sigVerify` every
+   *   required signer counts as signed (simulation semantics).
+   * @returns {Promise<SimulatedTransaction>}
+   */
+  async _runTransaction(transaction, { commit, sigVerify }) {
+    const tx =
+      transaction instanceof VersionedTransaction
+        ? transaction
+        : VersionedTransaction.deserialize(
+            transaction.serialize({ requireAllSignatures: false, verifySignatures: false })
+          );
+    const { message } = tx;
+    if (message.addressTableLookups.length > 0) {
+      throw new PrecogError("PrecogSimulator does not support address lookup tables");
+    }
+
+    const keys = message.staticAccountKeys;
+    const numSigners = message.header.numRequiredSignatures;
+    const signed = new Set();
+    for (let i = 0; i < numSigners; i++) {
+      if (!sigVerify || tx.signatures[i]?.some((b) => b !== 0)) signed.add(keys[i].toBase58());
+    }
+    if (sigVerify && signed.size < numSigners) {
+      throw new PrecogError("Transaction is missing required signatures");
+    }
+
+    const instructions = message.compiledInstructions.map(
+      (ci) =>
+        new TransactionInstruction({
+          programId: keys[ci.programIdIndex],
+          keys: ci.accountKeyIndexes.map((i) => ({
+            pubkey: keys[i],
+            isSigner: message.isAccountSigner(i),
+            isWritable: message.isAccountWritable(i),
+          })),
+          data: Buffer.from(ci.data),
+        })
+    );
+
+    const signature = tx.signatures[0]?.some((b) => b !== 0) ? bs58Encode(tx.signatures[0]) : null;
+    return this._run(instructions, signed, {
+      commit,
+      signature,
+      feePayer: keys[0],
+      fee: commit ? this.lamportsPerSignature * numSigners : 0,
+    });
+  }
+
+  /**
+   * Run instructions atomically, recording the transaction when committed.
+   * @returns {Promise<SimulatedTransaction>}
+   */
+  async _run(instructions, signed, { commit, signature = null, feePayer = null, fee = 0 }) {
+    const original = new Map(this._accounts);
+    const logs = [];
+    let err = null;
+
+    if (fee > 0) {
+      const balance = this.getBalance(feePayer);
+      if (balance < fee) {
+        return this._record({ signature, instructions, err: "InsufficientFundsForFee", logs }, commit);
+      }
+      this._setLamports(feePayer, balance - fee);
+    }
+    // A failed transaction still pays its fee.
+    const charged = new Map(this._accounts);
+
+    for (let index = 0; index < instructions.length && !err; index++) {
+      const ix = instructions[index];
+      const pid = ix.programId.toBase58();
+      logs.push(`Program ${pid} invoke [1]`);
+      try {
+        await this._dispatch(ix, signed, logs);
+        logs.push(`Program ${pid} success`);
+      } catch (e) {
+        if (!(e instanceof InstructionFailure)) {
+          this._restore(original);
+          throw e;
+        }
+        logs.push(...e.logs);
+        logs.push(`Program ${pid} failed: ${e.message}`);
+        err = { InstructionError: [index, { Custom: e.code }] };
+      }
+    }
+
+    if (!commit) this._restore(original);
+    else if (err) this._restore(charged);
+    return this._record({ signature, instructions, err, logs }, commit);
+  }
+
+  /** Roll the store back to a snapshot, in place: the connection shares the map. */
+  _restore(snapshot) {
+    this._accounts.clear();
+    for (const [key, info] of snapshot) this._accounts.set(key, info);
+  }
+
+  /** @returns {SimulatedTransaction} */
+  _record({ signature, instructions, err, logs }, commit) {
+    if (!commit) return { signature, slot: this.slot, blockTime: this.now, instructions, err, logs };
+    this._txCount++;
+    if (!signature) {
+      // Deterministic stand-in when the transaction carries no signature
+      const bytes = Buffer.alloc(64);
+      bytes.writeUInt32LE(this._txCount);
+      signature = bs58Encode(bytes);
+    }
+    const record = { signature, slot: this.slot++, blockTime: this.now, instructions, err, logs };
+    this.transactions.push(record);
+    return record;
+  }
+
+  /** Map a failed run onto the error the client would see. */
+  _toError({ err, logs, instructions }) {
+    return (
+      parseProgramError({ err, logs }, { instructions, programId: this.programId }) ??
+      new PrecogError(`Transaction failed: ${JSON.stringify(err)}\n${logs.join("\n")}`)
+    );
+  }
+
+  /** Route one instruction to its program. */
+  async _dispatch(ix, signed, logs) {
+    if (ix.programId.equals(ComputeBudgetProgram.programId)) return;
+    if (ix.programId.equals(SYSTEM_PROGRAM_ID)) {
+      if (SystemInstruction.decodeInstructionType(ix) !== "Transfer") {
+        throw new PrecogError("PrecogSimulator only supports System transfers");
+      }
+      const { fromPubkey, toPubkey, lamports } = SystemInstruction.decodeTransfer(ix);
+      if (!signed.has(fromPubkey.toBase58())) {
+        throw new PrecogError(`Transfer source ${fromPubkey.toBase58()} did not sign`);
+      }
+      this._systemTransfer(fromPubkey, toPubkey, Number(lamports), false);
+      return;
+    }
+    if (!ix.programId.equals(this.programId)) {
+      throw new PrecogError(`PrecogSimulator cannot run program ${ix.programId.toBase58()}`);
+    }
+
+    let decoded;
+    try {
+      decoded = decodeInstruction(ix, this.programId);
+    } catch {
+      fail("InvalidInstructionData");
+    }
+    logs.push(`Program log: Instruction: ${decoded.name}`);
+    if (decoded.accounts.tokenProgram) {
+      throw new PrecogError(`PrecogSimulator does not support token markets (${decoded.name})`);
+    }
+
+    const handler = this[`_ix_${decoded.name}`];
+    if (!handler) throw new PrecogError(`PrecogSimulator does not support ${decoded.name}`);
+    const ctx = {
+      ...decoded,
+      signed: (key) => signed.has(key.toBase58()),
+      requireSigner: (key) => {
+        if (!signed.has(key.toBase58())) fail("MissingSignature");
+      },
+    };
+    await handler.call(this, ctx);
+  }
+
+  // ── account store ───────────────────────────────────────────────────
+
+  _setLamports(address, lamports) {
+    const key = address.toBase58();
+    const info = this._accounts.get(key) ?? {
+      data: Buffer.alloc(0),
+      executable: false,
+      lamports: 0,
+      owner: SYSTEM_PROGRAM_ID,
+      rentEpoch: 0,
+    };
+    this._accounts.set(key, { ...info, lamports });
+  }
+
+  /**
+   * Move lamports as a System transfer would, failing like the System
+   * program when `from` is short. `cpi` is false for a top-level transfer.
+   */
+  _systemTransfer(from, to, lamports, cpi = true) {
+    if (lamports === 0) return;
+    const balance = this.getBalance(from);
+    if (balance < lamports) {
+      const sys = SYSTEM_PROGRAM_ID.toBase58();
+      const lines = [`Transfer: insufficient lamports ${balance}, need ${lamports}`];
+      if (cpi) {
+        lines.unshift(`Program ${sys} invoke [2]`);
+        lines.push(`Program ${sys} failed: custom program error: 0x1`);
+      }
+      throw new InstructionFailure(1, lines);
+    }
+    this._setLamports(from, balance - lamports);
+    this._setLamports(to, this.getBalance(to) + lamports);
+  }
+
+  /**
+   * Decode a program-owned account, or null when absent or of another type.
+   * @param {PublicKey} address
+   * @param {keyof typeof ACCOUNT_DISCRIMINATORS} kind
+   * @param {(data: Buffer) => any} decode
+   */
+  _load(address, kind, decode) {
+    const info = this._accounts.get(address.toBase58());
+    if (!info || !info.owner.equals(this.programId)) return null;
+    if (!info.data.subarray(0, 8).equals(ACCOUNT_DISCRIMINATORS[kind])) return null;
+    try {
+      return decode(info.data);
+    } catch {
+      return null;
+    }
+  }
+
+  /** Overwrite a program-owned account's data, keeping its lamports. */
+  _save(address, data) {
+    const key = address.toBase58();
+    this._accounts.set(key, { ...this._accounts.get(key), data });
+  }
+
+  /** Allocate a program-owned account, with `payer` funding its rent. */
+  _create(address, data, payer) {
+    this._systemTransfer(payer, address, rentExempt(data.length));
+    const key = address.toBase58();
+    this._accounts.set(key, { ...this._accounts.get(key), data, owner: this.programId });
+  }
+
+  _exists(address) {
+    const info = this._accounts.get(address.toBase58());
+    return !!info && info.data.length > 0;
+  }
+
+  _market(address) {
+    const market = this._load(address, "MARKET", decodeMarket);
+    if (!market) fail("AccountNotInitialized");
+    return market;
+  }
+
+  _protocolConfig(address) {
+    const config = this._load(address, "PROTOCOL_CONFIG", decodeProtocolConfig);
+    if (!config) fail("AccountNotInitialized");
+    return config;
+  }
+
+  _multisig(address) {
+    const ms = this._load(address, "MULTISIG_AUTHORITY", decodeMultisigAuthority);
+    if (!ms) fail("AccountNotInitialized");
+    return ms;
+  }
+
+  async _requireVault(market, vault) {
+    const [expected] = await findVaultAddress(market, this.programId);
+    if (!vault.equals(expected)) fail("InvalidVault");
+  }
+
+  // ── market rules shared by direct and multisig paths ────────────────
+
+  _checkAuthority(ctx, market, { multisig = false } = {}) {
+    if (!ctx.accounts.authority.equals(market.authority)) fail("UnauthorizedAuthority");
+    if (market.authorityIsMultisig !== multisig) fail("UnauthorizedAuthority");
+    if (!multisig) ctx.requireSigner(ctx.accounts.authority);
+  }
+
+  _resolve(market, winningOutcome) {
+    if (market.status === MarketStatus.Resolved || market.status === MarketStatus.Finalized) {
+      fail("MarketAlreadyResolved");
+    }
+    if (market.status !== MarketStatus.Open) fail("MarketNotOpen");
+    if (this.now < market.resolutionDeadline) fail("DeadlineNotReached");
+    if (winningOutcome >= market.numOutcomes) fail("InvalidOutcomeIndex");
+    if (market.outcomePools[winningOutcome] === 0n) fail("WinningPoolEmpty");
+    if (market.totalPositions < 2n) fail("InsufficientDistinctPositions");
+    return { ...market, status: MarketStatus.Resolved, winningOutcome, resolvedAt: this.now };
+  }
+
+  _void(market) {
+    if (market.status === MarketStatus.Finalized) fail("MarketAlreadyResolved");
+    if (market.status === MarketStatus.Voided) fail("MarketNotOpen");
+    if (
+      market.status === MarketStatus.Resolved &&
+      this.now >= market.resolvedAt + BigInt(DISPUTE_WINDOW_SECONDS)
+    ) {
+      fail("DisputePeriodExpired");
+    }
+    return { ...market, status: MarketStatus.Voided };
+  }
+
+  // ── instructions ────────────────────────────────────────────────────
+
+  async _ix_initializeProtocol({ accounts, args, requireSigner }) {
+    requireSigner(accounts.admin);
+    const [expected, bump] = await findProtocolConfigAddress(this.programId);
+    if (!accounts.protocolConfig.equals(expected)) fail("InvalidPDA");
+    if (this._exists(expected)) fail("AccountAlreadyInitialized");
+    if (args.defaultFeeBps > MAX_FEE_BPS) fail("FeeTooHigh");
+
+    const data = encodeProtocolConfig({
+      bump,
+      admin: accounts.admin,
+      defaultFeeBps: args.defaultFeeBps,
+      treasury: accounts.treasury,
+      paused: false,
+      totalMarketsCreated: 0n,
+      totalVolume: 0n,
+    });
+    this._create(expected, data, accounts.admin);
+  }
+
+  async _ix_updateProtocolConfig({ accounts, args, requireSigner }) {
+    const config = this._protocolConfig(accounts.protocolConfig);
+    requireSigner(accounts.admin);
+    if (!accounts.admin.equals(config.admin)) fail("UnauthorizedAdmin");
+    if (args.newDefaultFeeBps !== null && args.newDefaultFeeBps > MAX_FEE_BPS) fail("FeeTooHigh");
+
+    this._save(
+      accounts.protocolConfig,
+      encodeProtocolConfig({
+        ...config,
+        defaultFeeBps: args.newDefaultFeeBps ?? config.defaultFeeBps,
+        treasury: args.newTreasury ?? config.treasury,
+        paused: args.paused ?? config.paused,
+      })
+    );
+  }
+
+  async _ix_createMarket(ctx) {
+    const { accounts, args } = ctx;
+    ctx.requireSigner(accounts.payer);
+    if (args.denomination !== TokenDenomination.NativeSol) {
+      throw new PrecogError("PrecogSimulator does not support token markets (createMarket)");
+    }
+    const config = this._protocolConfig(accounts.protocolConfig);
+
+    const [violation] = validateCreateMarketArgs(args, { protocolConfig: config, now: this.now });
+    if (violation) fail(violation.name);
+
+    if (args.authorityIsMultisig) {
+      if (!this._load(accounts.authority, "MULTISIG_AUTHORITY", decodeMultisigAuthority)) {
+        fail("UnauthorizedAuthority");
+      }
+    } else {
+      ctx.requireSigner(accounts.authority);
+    }
+
+    const [expected, bump] = await findMarketAddress(accounts.authority, args.marketId, this.programId);
+    if (!accounts.market.equals(expected)) fail("InvalidPDA");
+    await this._requireVault(accounts.market, accounts.vault);
+    if (this._exists(accounts.market)) fail("AccountAlreadyInitialized");
+
+    const feeBps = args.feeBpsOverride ?? config.defaultFeeBps;
+    const numOutcomes = args.outcomeLabels.length;
+    this._create(
+      accounts.market,
+      encodeMarket({
+        bump,
+        marketId: args.marketId,
+        authority: accounts.authority,
+        authorityIsMultisig: args.authorityIsMultisig,
+        status: MarketStatus.Open,
+        resolutionDeadline: args.resolutionDeadline,
+        resolvedAt: 0n,
+        winningOutcome: 0,
+        feeBps,
+        feesCollected: 0n,
+        numOutcomes,
+        outcomePools: Array.from({ length: numOutcomes }, () => 0n),
+        totalPool: 0n,
+        totalPositions: 0n,
+        denomination: args.denomination,
+        tokenMint: PublicKey.default,
+        tokenDecimals: 9,
+        hasTransferFee: false,
+        transferFeeBps: 0,
+        maxTransferFee: 0n,
+        creator: accounts.payer,
+        creatorFeeBps: feeBps - config.defaultFeeBps,
+        title: args.title,
+        description: args.description,
+        outcomeLabels: args.outcomeLabels,
+      }),
+      accounts.payer
+    );
+    // The SOL vault is a bare system account, funded to stay rent-exempt.
+    this._systemTransfer(accounts.payer, accounts.vault, rentExempt(0));
+    this._save(
+      accounts.protocolConfig,
+      encodeProtocolConfig({ ...config, totalMarketsCreated: config.totalMarketsCreated + 1n })
+    );
+  }
+
+  async _ix_placeBet({ accounts, args, requireSigner }) {
+    requireSigner(accounts.bettor);
+    const market = this._market(accounts.market);
+    this._protocolConfig(accounts.protocolConfig);
+
+    const eligibility = checkBetEligibility({
+      market,
+      outcomeIndex: args.outcomeIndex,
+      amount: args.amount,
+      now: this.now,
+    });
+    if (!eligibility.eligible) fail(eligibility.reason);
+    await this._requireVault(accounts.market, accounts.vault);
+
+    const [expected, bump] = await findPositionAddress(
+      accounts.market,
+      accounts.bettor,
+      args.outcomeIndex,
+      this.programId
+    );
+    if (!accounts.position.equals(expected)) fail("InvalidPDA");
+
+    let position = this._load(expected, "USER_POSITION", decodeUserPosition);
+    const isNew = !position;
+    if (isNew) {
+      position = {
+        bump,
+        market: accounts.market,
+        owner: accounts.bettor,
+        outcomeIndex: args.outcomeIndex,
+        amount: 0n,
+        claimed: false,
+        lastDepositAt: this.now,
+      };
+      this._create(expected, encodeUserPosition(position), accounts.bettor);
+    }
+    this._systemTransfer(accounts.bettor, accounts.vault, Number(args.amount));
+
+    this._save(
+      expected,
+      encodeUserPosition({ ...position, amount: position.amount + args.amount, lastDepositAt: this.now })
+    );
+    const outcomePools = [...market.outcomePools];
+    outcomePools[args.outcomeIndex] += args.amount;
+    this._save(
+      accounts.market,
+      encodeMarket({
+        ...market,
+        outcomePools,
+        totalPool: market.totalPool + args.amount,
+        totalPositions: market.totalPositions + (isNew ? 1n : 0n),
+      })
+    );
+  }
+
+  async _ix_resolveMarket(ctx) {
+    const market = this._market(ctx.accounts.market);
+    this._checkAuthority(ctx, market);
+    this._save(ctx.accounts.market, encodeMarket(this._resolve(market, ctx.args.winningOutcome)));
+  }
+
+  async _ix_disputeResolve(ctx) {
+    const market = this._market(ctx.accounts.market);
+    this._checkAuthority(ctx, market);
+    const { winningOutcome } = ctx.args;
+    if (market.status !== MarketStatus.Resolved) fail("MarketNotResolved");
+    if (this.now >= market.resolvedAt + BigInt(DISPUTE_WINDOW_SECONDS)) fail("DisputePeriodExpired");
+    if (winningOutcome >= market.numOutcomes) fail("InvalidOutcomeIndex");
+    if (winningOutcome === market.winningOutcome) fail("OutcomeUnchanged");
+    if (market.outcomePools[winningOutcome] === 0n) fail("WinningPoolEmpty");
+
+    // A new outcome restarts the full dispute window.
+    this._save(ctx.accounts.market, encodeMarket({ ...market, winningOutcome, resolvedAt: this.now }));
+  }
+
+  async _ix_finalizeMarket({ accounts }) {
+    const market = this._market(accounts.market);
+    if (market.status !== MarketStatus.Resolved) fail("MarketNotResolved");
+    if (this.now < market.resolvedAt + BigInt(DISPUTE_WINDOW_SECONDS)) fail("DisputePeriodNotExpired");
+    this._save(accounts.market, encodeMarket({ ...market, status: MarketStatus.Finalized }));
+  }
+
+  async _ix_voidMarket(ctx) {
+    const market = this._market(ctx.accounts.market);
+    this._checkAuthority(ctx, market);
+    this._save(ctx.accounts.market, encodeMarket(this._void(market)));
+  }
+
+  /** Shared position checks for claimWinnings / claimRefund. */
+  async _claimablePosition({ accounts, requireSigner }) {
+    requireSigner(accounts.claimant);
+    await this._requireVault(accounts.market, accounts.vault);
+    const position = this._load(accounts.position, "USER_POSITION", decodeUserPosition);
+    if (!position) fail("AccountNotInitialized");
+    if (!position.market.equals(accounts.market)) fail("InvalidPDA");
+    if (!position.owner.equals(accounts.claimant)) fail("UnauthorizedPositionOwner");
+    if (position.claimed) fail("AlreadyClaimedWinnings");
+    return position;
+  }
+
+  async _ix_claimWinnings(ctx) {
+    const { accounts } = ctx;
+    const market = this._market(accounts.market);
+    if (market.status === MarketStatus.Resolved) fail("MarketInDispute");
+    if (market.status !== MarketStatus.Finalized) fail("MarketNotResolved");
+    const position = await this._claimablePosition(ctx);
+    if (position.outcomeIndex !== market.winningOutcome) fail("NoWinningPosition");
+
+    const config = this._protocolConfig(accounts.protocolConfig);
+    if (!accounts.treasury.equals(config.treasury)) fail("InvalidPDA");
+    if (!accounts.creator.equals(market.creator)) fail("InvalidPDA");
+
+    const winningPool = market.outcomePools[market.winningOutcome];
+    if (winningPool === 0n) fail("DivisionByZero");
+    const gross = (position.amount * market.totalPool) / winningPool;
+    const protocolFee = (gross * BigInt(market.feeBps - market.creatorFeeBps)) / 10_000n;
+    const creatorFee = (gross * BigInt(market.creatorFeeBps)) / 10_000n;
+    const net = gross - protocolFee - creatorFee;
+
+    this._systemTransfer(accounts.vault, accounts.claimant, Number(net));
+    this._systemTransfer(accounts.vault, accounts.treasury, Number(protocolFee));
+    this._systemTransfer(accounts.vault, accounts.creator, Number(creatorFee));
+    this._save(accounts.position, encodeUserPosition({ ...position, claimed: true }));
+    this._save(
+      accounts.market,
+      encodeMarket({ ...market, feesCollected: market.feesCollected + protocolFee + creatorFee })
+    );
+  }
+
+  async _ix_claimRefund(ctx) {
+    const market = this._market(ctx.accounts.market);
+    if (market.status !== MarketStatus.Voided) fail("RefundNotAvailable");
+    const position = await this._claimablePosition(ctx);
+
+    this._systemTransfer(ctx.accounts.vault, ctx.accounts.claimant, Number(position.amount));
+    this._save(ctx.accounts.position, encodeUserPosition({ ...position, claimed: true }));
+  }
+
+  // ── multisig ────────────────────────────────────────────────────────
+
+  async _ix_createMultisig({ accounts, args, requireSigner }) {
+    requireSigner(accounts.creator);
+    const [expected, bump] = await findMultisigAddress(accounts.creator, args.nonce, this.programId);
+    if (!accounts.multisig.equals(expected)) fail("InvalidPDA");
+    if (this._exists(expected)) fail("AccountAlreadyInitialized");
+    const { signers, threshold } = args;
+    if (signers.length > MAX_MULTISIG_SIGNERS) fail("TooManyMultisigSigners");
+    if (new Set(signers.map((s) => s.toBase58())).size !== signers.length) {
+      fail("DuplicateMultisigSigner");
+    }
+    if (threshold === 0 || threshold > signers.length) fail("InvalidMultisigThreshold");
+
+    this._create(
+      expected,
+      encodeMultisigAuthority({ bump, nonce: args.nonce, threshold, signers, proposalCount: 0n }),
+      accounts.creator
+    );
+  }
+
+  /** Index of `key` among the multisig's signers; fails when not a member. */
+  _signerIndex(multisig, key) {
+    const index = multisig.signers.findIndex((s) => s.equals(key));
+    if (index < 0) fail("SignerNotMultisigMember");
+    return index;
+  }
+
+  async _ix_createProposal({ accounts, args, requireSigner }) {
+    requireSigner(accounts.proposer);
+    const multisig = this._multisig(accounts.multisig);
+    const index = this._signerIndex(multisig, accounts.proposer);
+
+    const [expected, bump] = await findProposalAddress(
+      accounts.multisig,
+      multisig.proposalCount,
+      this.programId
+    );
+    if (!accounts.proposal.equals(expected)) fail("InvalidPDA");
+    if (this._exists(expected)) fail("AccountAlreadyInitialized");
+
+    this._create(
+      expected,
+      encodeMultisigProposal({
+        bump,
+        multisig: accounts.multisig,
+        market: accounts.market,
+        proposalId: multisig.proposalCount,
+        action: { name: args.action.type, fields: args.action.fields },
+        proposer: accounts.proposer,
+        // The proposer's approval is implied.
+        approvals: 1 << index,
+        approvalCount: 1,
+        executed: false,
+        createdAt: this.now,
+      }),
+      accounts.proposer
+    );
+    this._save(
+      accounts.multisig,
+      encodeMultisigAuthority({ ...multisig, proposalCount: multisig.proposalCount + 1n })
+    );
+  }
+
+  /** Load a proposal of `multisigAddress` that can still be approved or executed. */
+  _openProposal(address, multisigAddress) {
+    const proposal = this._load(address, "MULTISIG_PROPOSAL", decodeMultisigProposal);
+    if (!proposal) fail("AccountNotInitialized");
+    if (!proposal.multisig.equals(multisigAddress)) fail("InvalidPDA");
+    if (proposal.executed) fail("ProposalAlreadyExecuted");
+    if (this.now > proposal.createdAt + BigInt(MULTISIG_PROPOSAL_EXPIRY_SECONDS)) {
+      fail("ProposalExpired");
+    }
+    return proposal;
+  }
+
+  async _ix_approveProposal({ accounts, requireSigner }) {
+    requireSigner(accounts.signer);
+    const multisig = this._multisig(accounts.multisig);
+    const proposal = this._openProposal(accounts.proposal, accounts.multisig);
+    const bit = 1 << this._signerIndex(multisig, accounts.signer);
+    if (proposal.approvals & bit) fail("AlreadyApprovedProposal");
+
+    this._save(
+      accounts.proposal,
+      encodeMultisigProposal({
+        ...proposal,
+        approvals: proposal.approvals | bit,
+        approvalCount: proposal.approvalCount + 1,
+      })
+    );
+  }
+
+  async _ix_executeProposal({ accounts }) {
+    const multisig = this._multisig(accounts.multisig);
+    const proposal = this._openProposal(accounts.proposal, accounts.multisig);
+    // Approvals are bits by signer index; a bit past the signer list means
+    // the set changed under the proposal.
+    if (proposal.approvals >> multisig.signers.length !== 0) fail("SignerSetChanged");
+    if (countBits(proposal.approvals) < multisig.threshold) fail("InsufficientMultisigSignatures");
+
+    const { name, fields } = proposal.action;
+    if (["AddSigner", "RemoveSigner", "ChangeThreshold"].includes(name)) {
+      const updated = this._applySignerAction(multisig, name, fields);
+      this._save(accounts.multisig, encodeMultisigAuthority(updated));
+    } else {
+      if (!proposal.market.equals(accounts.market)) fail("InvalidPDA");
+      const market = this._market(accounts.market);
+      if (!market.authorityIsMultisig || !market.authority.equals(accounts.multisig)) {
+        fail("UnauthorizedAuthority");
+      }
+      const protocolConfig = accounts.protocolConfig
+        ? this._load(accounts.protocolConfig, "PROTOCOL_CONFIG", decodeProtocolConfig)
+        : null;
+      const updated = this._applyMarketAction(market, name, fields, protocolConfig);
+      this._save(accounts.market, encodeMarket(updated));
+    }
+
+    this._save(accounts.proposal, encodeMultisigProposal({ ...proposal, executed: true }));
+  }
+
+  _applySignerAction(multisig, name, fields) {
+    const { signers, threshold } = multisig;
+    switch (name) {
+      case "AddSigner":
+        if (signers.length >= MAX_MULTISIG_SIGNERS) fail("MultisigSignersFull");
+        if (signers.some((s) => s.equals(fields.newSigner))) fail("DuplicateMultisigSigner");
+        return { ...multisig, signers: [...signers, fields.newSigner] };
+      case "RemoveSigner": {
+        const index = signers.findIndex((s) => s.equals(fields.signer));
+        if (index < 0) fail("SignerNotFound");
+        if (signers.length - 1 < threshold) fail("CannotRemoveSigner");
+        return { ...multisig, signers: signers.filter((_, i) => i !== index) };
+      }
+      default: // ChangeThreshold
+        if (fields.newThreshold === 0 || fields.newThreshold > signers.length) {
+          fail("InvalidMultisigThreshold");
+        }
+        return { ...multisig, threshold: fields.newThreshold };
+    }
+  }
+
+  /**
+   * @param {import("./accounts.js").MarketAccount} market
+   * @param {import("./accounts.js").ProtocolConfigAccount|null} protocolConfig - When
+   *   passed to executeProposal, `UpdateFeeBps` is checked against its default fee.
+   */
+  _applyMarketAction(market, name, fields, protocolConfig) {
+    switch (name) {
+      case "ResolveMarket":
+        return this._resolve(market, fields.winningOutcome);
+      case "VoidMarket":
+        return this._void(market);
+      case "UpdateDeadline":
+        if (market.status !== MarketStatus.Open) fail("MarketNotOpenForUpdate");
+        if (fields.newDeadline <= this.now) fail("NewDeadlineInPast");
+        return { ...market, resolutionDeadline: fields.newDeadline };
+      case "UpdateFeeBps": {
+        if (market.status !== MarketStatus.Open) fail("MarketNotOpenForUpdate");
+        if (fields.newFeeBps > MAX_FEE_BPS) fail("FeeTooHigh");
+        const protocolBps = protocolConfig?.defaultFeeBps ?? market.feeBps - market.creatorFeeBps;
+        if (fields.newFeeBps < protocolBps) fail("FeeBelowProtocolMinimum");
+        return { ...market, feeBps: fields.newFeeBps, creatorFeeBps: fields.newFeeBps - protocolBps };
+      }
+      default:
+        return fail("InvalidInstructionData");
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Connection
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * `MockConnection` over a `PrecogSimulator`'s accounts, with sends and
+ * simulations executed by the simulator. Get it from `simulator.connection`.
+ * Helius responses are scripted as on `MockConnection`.
+ */
+export class SimulatedConnection extends MockConnection {
+  /** @param {PrecogSimulator} simulator */
+  constructor(simulator) {
+    super({ rpcEndpoint: "http://simulator.invalid", accounts: simulator._accounts });
+    this.simulator = simulator;
+  }
+
+  _context() {
+    return { slot: this.simulator.slot };
+  }
+
+  async getAccountInfoAndContext(address) {
+    return { context: this._context(), value: await this.getAccountInfo(address) };
+  }
+
+  async getBalance(address) {
+    return this.simulator.getBalance(address);
+  }
+
+  async getBlockHeight() {
+    return this.simulator.slot;
+  }
+
+  async getMinimumBalanceForRentExemption(size) {
+    return rentExempt(size);
+  }
+
+  async requestAirdrop(address, lamports) {
+    this.simulator.airdrop(address, lamports);
+    const { signature } = this.simulator._record(
+      { signature: null, instructions: [], err: null, logs: [] },
+      true
+    );
+    this._statuses.set(signature, null);
+    return signature;
+  }
+
+  /**
+   * Execute a serialized transaction. Without `skipPreflight`, a failure
+   * throws `SendTransactionError` with program logs and nothing is recorded,
+   * as with a real node's preflight; with it, the failure is recorded and
+   * reported by `confirmTransaction`.
+   * @param {Buffer|Uint8Array|number[]} raw
+   * @param {import("@solana/web3.js").SendOptions} [opts]
+   * @returns {Promise<string>}
+   */
+  async sendRawTransaction(raw, opts = {}) {
+    const tx = VersionedTransaction.deserialize(Uint8Array.from(raw));
+    if (!opts.skipPreflight) {
+      const preflight = await this.simulator._runTransaction(tx, { commit: false, sigVerify: true });
+      if (preflight.err) {
+        const [index, { Custom: code } = {}] = preflight.err.InstructionError ?? [];
+        throw new SendTransactionError({
+          action: "send",
+          signature: "",
+          transactionMessage:
+            code === undefined
+              ? `Transaction simulation failed: ${JSON.stringify(preflight.err)}`
+              : "Transaction simulation failed: " +
+                `Error processing Instruction ${index}: custom program error: 0x${code.toString(16)}`,
+          logs: preflight.logs,
+        });
+      }
+    }
+    const { signature, err } = await this.simulator._runTransaction(tx, {
+      commit: true,
+      sigVerify: true,
+    });
+    this.sent.push({ signature, transaction: tx, raw: Buffer.from(raw), options: opts });
+    this._statuses.set(signature, err);
+    return signature;
+  }
+
+  async getSignatureStatuses(signatures) {
+    return {
+      context: this._context(),
+      value: signatures.map((s) =>
+        this._statuses.has(s)
+          ? {
+              slot: this.simulator.slot,
+              confirmations: null,
+              err: this._statuses.get(s),
+              confirmationStatus: "finalized",
+            }
+          : null
+      ),
+    };
+  }
+
+  /**
+   * Dry-run a transaction without committing. Signatures are not required
+   * (`sigVerify: false` semantics); `unitsConsumed` is a nominal figure.
+   * Queued `queueSimulation` results take precedence.
+   * @param {Transaction|VersionedTransaction} transaction
+   */
+  async simulateTransaction(transaction) {
+    if (this._simulations.length > 0) return super.simulateTransaction(transaction);
+    this.simulated.push(transaction);
+    const result = await this.simulator._runTransaction(transaction, {
+      commit: false,
+      sigVerify: false,
+    });
+    return {
+      context: this._context(),
+      value: {
+        err: result.err,
+        logs: result.logs,
+        accounts: null,
+        unitsConsumed: result.instructions.length * UNITS_PER_INSTRUCTION,
+        returnData: null,
+      },
+    };
+  }
+}
@@ -0,0 +1,343 @@
+/**
+ * @module subscriptions
+ * Websocket subscriptions that decode Market / UserPosition updates and
+ * report what changed, de-duplicated by slot and resynced periodically to
+ * cover updates missed while the socket was reconnecting.
+ */
+
+import { decodeMarket, decodeUserPosition } from "./accounts.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Diffs
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * One field-level change between two decoded Market snapshots.
+ * @typedef {(
+ *   | { type: "pool", outcomeIndex: number, previous: bigint, current: bigint, delta: bigint }
+ *   | { type: "totalPool", previous: bigint, current: bigint, delta: bigint }
+ *   | { type: "status", previous: number, current: number, previousName: string, currentName: string }
+ *   | { type: "winningOutcome", previous: number, current: number }
+ *   | { type: "resolutionDeadline", previous: bigint, current: bigint }
+ *   | { type: "feeBps", previous: number, current: number }
+ * )} MarketChange
+ */
+
+/**
+ * One field-level change between two decoded UserPosition snapshots.
+ * @typedef {(
+ *   | { type: "amount", previous: bigint, current: bigint, delta: bigint }
+ *   | { type: "claimed", previous: boolean, current: boolean }
+ * )} PositionChange
+ */
+
+/**
+ * What changed between two Market snapshots: per-outcome pool moves, status
+ * transitions (Open → Resolved → Finalized / Voided), winning outcome changes
+ * (e.g. from `disputeResolve`), deadline and fee updates.
+ * @param {import("./accounts.js").MarketAccount|null} prev - null for the first snapshot
+ * @param {import("./accounts.js").MarketAccount} next
+ * @returns {MarketChange[]} Empty when `prev` is null or nothing tracked changed.
+ */
+export function diffMarket(prev, next) {
+  if (!prev) return [];
+  const changes = [];
+
+  for (let i = 0; i < next.numOutcomes; i++) {
+    const previous = prev.outcomePools[i] ?? 0n;
+    const current = next.outcomePools[i];
+    if (previous !== current) {
+      changes.push({ type: "pool", outcomeIndex: i, previous, current, delta: current - previous });
+    }
+  }
+  if (prev.totalPool !== next.totalPool) {
+    changes.push({
+      type: "totalPool",
+      previous: prev.totalPool,
+      current: next.totalPool,
+      delta: next.totalPool - prev.totalPool,
+    });
+  }
+  if (prev.status !== next.status) {
+    changes.push({
+      type: "status",
+      previous: prev.status,
+      current: next.status,
+      previousName: prev.statusName,
+      currentName: next.statusName,
+    });
+  }
+  if (prev.winningOutcome !== next.winningOutcome) {
+    changes.push({ type: "winningOutcome", previous: prev.winningOutcome, current: next.winningOutcome });
+  }
+  if (prev.resolutionDeadline !== next.resolutionDeadline) {
+    changes.push({
+      type: "resolutionDeadline",
+      previous: prev.resolutionDeadline,
+      current: next.resolutionDeadline,
+    });
+  }
+  if (prev.feeBps !== next.feeBps) {
+    changes.push({ type: "feeBps", previous: prev.feeBps, current: next.feeBps });
+  }
+
+  return changes;
+}
+
+/**
+ * What changed between two UserPosition snapshots.
+ * @param {import("./accounts.js").UserPositionAccount|null} prev
+ * @param {import("./accounts.js").UserPositionAccount} next
+ * @returns {PositionChange[]}
+ */
+export function diffUserPosition(prev, next) {
+  if (!prev) return [];
+  const changes = [];
+  if (prev.amount !== next.amount) {
+    changes.push({
+      type: "amount",
+      previous: prev.amount,
+      current: next.amount,
+      delta: next.amount - prev.amount,
+    });
+  }
+  if (prev.claimed !== next.claimed) {
+    changes.push({ type: "claimed", previous: prev.claimed, current: next.claimed });
+  }
+  return changes;
+}
+
+/** Decoder + differ for Market accounts. */
+export const MARKET_CODEC = { decode: decodeMarket, diff: diffMarket };
+
+/** Decoder + differ for UserPosition accounts. */
+export const USER_POSITION_CODEC = { decode: decodeUserPosition, diff: diffUserPosition };
+
+// ═══════════════════════════════════════════════════════════════════════
+// Subscriptions
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Delivered to subscription callbacks.
+ * @template A, C
+ * @typedef {Object} AccountUpdate
+ * @property {import("@solana/web3.js").PublicKey} address
+ * @property {number} slot - Context slot of the update
+ * @property {A|null} account - Decoded current state; null when the account was closed (for
+ *   program subscriptions: or no longer matches the subscription's filters)
+ * @property {A|null} previous - Decoded state before this update; null the first time
+ * @property {C[]} changes - Empty for the first snapshot and for closures
+ */
+
+/**
+ * @typedef {Object} SubscriptionOptions
+ * @property {import("@solana/web3.js").Commitment} [commitment] - Default: the connection's.
+ * @property {number} [resyncIntervalMs] - Refetch on this interval and emit anything the socket
+ *   missed (e.g. during a reconnect). 0 disables.
+ * @property {boolean} [emitInitial] - Emit the snapshot fetched at subscribe time.
+ * @property {(err: unknown) => void} [onError] - Fetch / decode failures during resync.
+ */
+
+/**
+ * Handle returned by every subscribe call.
+ * @typedef {Object} Subscription
+ * @property {() => Promise<void>} unsubscribe - Stop the socket subscription and resync timer.
+ * @property {() => Promise<void>} resync - Refetch now and emit anything missed.
+ */
+
+/**
+ * Tracks the last seen slot and data per account so the same state is never
+ * emitted twice, and a stale update (older slot) never overwrites a newer one.
+ * A closed account leaves a tombstone, so a stale notification can't bring
+ * it back.
+ * @template A, C
+ * @param {{ decode: (data: Buffer) => A, diff: (prev: A|null, next: A) => C[] }} codec
+ * @param {(update: AccountUpdate<A, C>) => void} callback
+ * @param {(err: unknown) => void} onError
+ */
+function createTracker(codec, callback, onError) {
+  /** @type {Map<string, { address: import("@solana/web3.js").PublicKey, slot: number,
+   *   data: Buffer|null, account: A|null }>} */
+  const seen = new Map();
+
+  return {
+    /**
+     * Addresses currently tracked as open.
+     * @returns {import("@solana/web3.js").PublicKey[]}
+     */
+    open() {
+      return [...seen.values()].filter((entry) => entry.account).map((entry) => entry.address);
+    },
+
+    /**
+     * @param {import("@solana/web3.js").PublicKey} address
+     * @param {Buffer|null} data - null when the account doesn't exist (closed)
+     * @param {number} slot
+     * @param {boolean} emit
+     */
+    update(address, data, slot, emit = true) {
+      const key = address.toBase58();
+      const last = seen.get(key);
+      if (last && slot < last.slot) return;
+      if (!data) {
+        if (!last?.account) return;
+        seen.set(key, { address, slot, data: null, account: null });
+        if (emit) callback({ address, slot, account: null, previous: last.account, changes: [] });
+        return;
+      }
+      if (last?.data?.equals(data)) {
+        last.slot = slot;
+        return;
+      }
+
+      let account;
+      try {
+        account = codec.decode(data);
+      } catch (err) {
+        onError(err);
+        return;
+      }
+      seen.set(key, { address, slot, data: Buffer.from(data), account });
+      if (!emit) return;
+      const previous = last?.account ?? null;
+      callback({ address, slot, account, previous, changes: codec.diff(previous, account) });
+    },
+  };
+}
+
+/**
+ * Subscribe to one account, decoding each update with `codec`.
+ *
+ * @template A, C
+ * @param {import("@solana/web3.js").Connection} connection
+ * @param {import("@solana/web3.js").PublicKey} address
+ * @param {{ decode: (data: Buffer) => A, diff: (prev: A|null, next: A) => C[] }} codec
+ * @param {(update: AccountUpdate<A, C>) => void} callback
+ * @param {SubscriptionOptions} [opts] - `resyncIntervalMs` defaults to 30s, `emitInitial` to true.
+ * @returns {Promise<Subscription>}
+ */
+export async function subscribeAccount(connection, address, codec, callback, opts = {}) {
+  const commitment = opts.commitment ?? connection.commitment;
+  const onError = opts.onError ?? (() => {});
+  const tracker = createTracker(codec, callback, onError);
+
+  const resync = async (emit = true) => {
+    try {
+      const { context, value } = await connection.getAccountInfoAndContext(address, commitment);
+      tracker.update(address, value?.data ?? null, context.slot, emit);
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  // Subscribe first so nothing between the fetch and the subscription is lost.
+  // A closed account is reported with no lamports and no data.
+  const id = connection.onAccountChange(
+    address,
+    (info, context) => tracker.update(address, info.lamports ? info.data : null, context.slot),
+    commitment
+  );
+  await resync(opts.emitInitial ?? true);
+
+  return withResyncTimer(opts.resyncIntervalMs ?? 30_000, resync, () =>
+    connection.removeAccountChangeListener(id)
+  );
+}
+
+/**
+ * Subscribe to every program account matching `filters`, decoding each
+ * update with `codec`.
+ *
+ * @template A, C
+ * @param {import("@solana/web3.js").Connection} connection
+ * @param {import("@solana/web3.js").PublicKey} programId
+ * @param {import("@solana/web3.js").GetProgramAccountsFilter[]} filters
+ * @param {{ decode: (data: Buffer) => A, diff: (prev: A|null, next: A) => C[] }} codec
+ * @param {(update: AccountUpdate<A, C>) => void} callback
+ * @param {SubscriptionOptions & {
+ *   seed?: boolean,
+ *   match?: (account: A) => boolean,
+ * }} [opts] - `resyncIntervalMs` defaults to 30s. Each resync is one `getProgramAccounts`;
+ *   accounts it no longer returns are reported closed. Resync needs the current accounts to
+ *   compare with, so they are loaded up front unless resync is disabled; with
+ *   `resyncIntervalMs: 0`, `seed` loads them anyway so the first update per account already
+ *   has a diff. `match` runs client-side after the diff: an account is reported while either
+ *   its previous or its current state matches, so the update that leaves `match` is emitted.
+ * @returns {Promise<Subscription>}
+ */
+export async function subscribeProgramAccounts(
+  connection,
+  programId,
+  filters,
+  codec,
+  callback,
+  opts = {}
+) {
+  const commitment = opts.commitment ?? connection.commitment;
+  const onError = opts.onError ?? (() => {});
+  const match = opts.match ?? (() => true);
+  const filtered = (update) => {
+    const { account, previous } = update;
+    if ((account && match(account)) || (previous && match(previous))) callback(update);
+  };
+  const tracker = createTracker(codec, filtered, onError);
+
+  const resync = async (emit = true) => {
+    try {
+      const { context, value } = await connection.getProgramAccounts(programId, {
+        commitment,
+        filters,
+        withContext: true,
+      });
+      const returned = new Set();
+      for (const { pubkey, account } of value) {
+        returned.add(pubkey.toBase58());
+        tracker.update(pubkey, account.data, context.slot, emit);
+      }
+      // Closed accounts usually get no program notification; they just stop being returned.
+      for (const address of tracker.open()) {
+        if (!returned.has(address.toBase58())) tracker.update(address, null, context.slot, emit);
+      }
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  const id = connection.onProgramAccountChange(
+    programId,
+    ({ accountId, accountInfo }, context) =>
+      tracker.update(accountId, accountInfo.lamports ? accountInfo.data : null, context.slot),
+    commitment,
+    filters
+  );
+  const resyncIntervalMs = opts.resyncIntervalMs ?? 30_000;
+  if (opts.seed || resyncIntervalMs > 0) await resync(opts.emitInitial ?? false);
+
+  return withResyncTimer(resyncIntervalMs, resync, () =>
+    connection.removeProgramAccountChangeListener(id)
+  );
+}
+
+/**
+ * Wrap a socket subscription with an optional resync interval.
+ * @param {number} intervalMs
+ * @param {() => Promise<void>} resync
+ * @param {() => Promise<void>} remove
+ * @returns {Subscription}
+ */
+function withResyncTimer(intervalMs, resync, remove) {
+  const timer = intervalMs > 0 ? setInterval(() => void resync(), intervalMs) : null;
+  // Don't keep a Node process alive just for the resync timer.
+  timer?.unref?.();
+
+  let active = true;
+  return {
+    async unsubscribe() {
+      if (!active) return;
+      active = false;
+      if (timer) clearInterval(timer);
+      await remove();
+    },
+    resync: () => resync(),
+  };
+}
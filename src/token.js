@@ -0,0 +1,194 @@
+/**
+ * @module token
+ * SPL Token / Token-2022 helpers that don't require `@solana/spl-token`.
+ */
+
+import { PublicKey, TransactionInstruction } from "@solana/web3.js";
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  SYSTEM_PROGRAM_ID,
+  TokenDenomination,
+} from "./constants.js";
+import { BorshReader } from "./serialization.js";
+
+// ── Token program ────────────────────────────────────────────────────
+
+/**
+ * Token program that owns a market's mint, from its `denomination`.
+ * @param {number} denomination - TokenDenomination value
+ * @returns {PublicKey|null} null for NativeSol markets
+ */
+export function tokenProgramForDenomination(denomination) {
+  switch (denomination) {
+    case TokenDenomination.SplToken:
+      return TOKEN_PROGRAM_ID;
+    case TokenDenomination.Token2022:
+      return TOKEN_2022_PROGRAM_ID;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Inverse of `tokenProgramForDenomination`.
+ * @param {PublicKey} tokenProgram
+ * @returns {number|null} TokenDenomination value, or null for other programs
+ */
+export function denominationForTokenProgram(tokenProgram) {
+  if (tokenProgram.equals(TOKEN_PROGRAM_ID)) return TokenDenomination.SplToken;
+  if (tokenProgram.equals(TOKEN_2022_PROGRAM_ID)) return TokenDenomination.Token2022;
+  return null;
+}
+
+// ── Associated Token Account ─────────────────────────────────────────
+
+/**
+ * Derive an associated token account address.
+ * Seeds: [owner, tokenProgram, mint] under the ATA program. Works for
+ * off-curve owners such as the market's vault authority PDA.
+ * @param {PublicKey} owner
+ * @param {PublicKey} mint
+ * @param {PublicKey} [tokenProgram] - TOKEN_PROGRAM_ID or TOKEN_2022_PROGRAM_ID
+ * @returns {Promise<[PublicKey, number]>}
+ */
+export function findAssociatedTokenAddress(owner, mint, tokenProgram = TOKEN_PROGRAM_ID) {
+  return PublicKey.findProgramAddress(
+    [owner.toBuffer(), tokenProgram.toBuffer(), mint.toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+}
+
+/**
+ * Build the Associated Token program's `CreateIdempotent` instruction:
+ * creates the ATA if missing, succeeds without changes if it already exists.
+ * @param {Object} accounts
+ * @param {PublicKey} accounts.payer - Pays rent; must sign.
+ * @param {PublicKey} accounts.associatedToken - From `findAssociatedTokenAddress(owner, mint, tokenProgram)`.
+ * @param {PublicKey} accounts.owner
+ * @param {PublicKey} accounts.mint
+ * @param {PublicKey} [accounts.tokenProgram] - TOKEN_PROGRAM_ID (default) or TOKEN_2022_PROGRAM_ID
+ * @returns {TransactionInstruction}
+ */
+export function createAssociatedTokenAccountIdempotent(accounts) {
+  return new TransactionInstruction({
+    programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+    keys: [
+      { pubkey: accounts.payer, isSigner: true, isWritable: true },
+      { pubkey: accounts.associatedToken, isSigner: false, isWritable: true },
+      { pubkey: accounts.owner, isSigner: false, isWritable: false },
+      { pubkey: accounts.mint, isSigner: false, isWritable: false },
+      { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: accounts.tokenProgram ?? TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+    ],
+    // AssociatedTokenAccountInstruction::CreateIdempotent
+    data: Buffer.from([1]),
+  });
+}
+
+// ── Mint accounts ────────────────────────────────────────────────────
+
+/** Size of the base SPL mint layout; Token-2022 extensions follow it. */
+export const MINT_SIZE = 82;
+
+/** Token-2022 mint/account padding: the account-type byte sits at this offset. */
+const ACCOUNT_TYPE_OFFSET = 165;
+
+/** Token-2022 `ExtensionType` values (u16 TLV tags) */
+export const MintExtensionType = /** @type {const} */ ({
+  Uninitialized: 0,
+  TransferFeeConfig: 1,
+  TransferFeeAmount: 2,
+  MintCloseAuthority: 3,
+  ConfidentialTransferMint: 4,
+  ConfidentialTransferAccount: 5,
+  DefaultAccountState: 6,
+  ImmutableOwner: 7,
+  MemoTransfer: 8,
+  NonTransferable: 9,
+  InterestBearingConfig: 10,
+  CpiGuard: 11,
+  PermanentDelegate: 12,
+  NonTransferableAccount: 13,
+  TransferHook: 14,
+  TransferHookAccount: 15,
+  ConfidentialTransferFeeConfig: 16,
+  ConfidentialTransferFeeAmount: 17,
+  MetadataPointer: 18,
+  TokenMetadata: 19,
+  GroupPointer: 20,
+  TokenGroup: 21,
+  GroupMemberPointer: 22,
+  TokenGroupMember: 23,
+  ConfidentialMintBurn: 24,
+  ScaledUiAmountConfig: 25,
+  Pausable: 26,
+  PausableAccount: 27,
+});
+
+const EXTENSION_NAMES = Object.fromEntries(
+  Object.entries(MintExtensionType).map(([k, v]) => [v, k])
+);
+
+/**
+ * @typedef {Object} MintExtension
+ * @property {number} type - MintExtensionType value
+ * @property {string} name
+ * @property {Buffer} data - Raw extension value
+ */
+
+/**
+ * @typedef {Object} MintAccount
+ * @property {PublicKey|null} mintAuthority
+ * @property {bigint} supply
+ * @property {number} decimals
+ * @property {boolean} isInitialized
+ * @property {PublicKey|null} freezeAuthority
+ * @property {MintExtension[]} extensions - Empty for SPL Token mints
+ */
+
+/**
+ * Decode an SPL Token or Token-2022 mint, including Token-2022 TLV extensions.
+ * @param {Buffer|Uint8Array} data
+ * @returns {MintAccount}
+ */
+export function decodeMint(data) {
+  const buf = Buffer.from(data);
+  if (buf.length < MINT_SIZE) {
+    throw new Error(`Mint data too short: ${buf.length} < ${MINT_SIZE}`);
+  }
+
+  const r = new BorshReader(buf);
+  const hasMintAuthority = r.readU32() !== 0;
+  const mintAuthority = r.readPubkey();
+  const supply = r.readU64();
+  const decimals = r.readU8();
+  const isInitialized = r.readBool();
+  const hasFreezeAuthority = r.readU32() !== 0;
+  const freezeAuthority = r.readPubkey();
+
+  const extensions = [];
+  // TLV entries: u16 type, u16 length, value — after the account-type byte.
+  let offset = ACCOUNT_TYPE_OFFSET + 1;
+  while (offset + 4 <= buf.length) {
+    const type = buf.readUInt16LE(offset);
+    const length = buf.readUInt16LE(offset + 2);
+    if (type === MintExtensionType.Uninitialized) break;
+    extensions.push({
+      type,
+      name: EXTENSION_NAMES[type] ?? `Unknown(${type})`,
+      data: buf.subarray(offset + 4, offset + 4 + length),
+    });
+    offset += 4 + length;
+  }
+
+  return {
+    mintAuthority: hasMintAuthority ? mintAuthority : null,
+    supply,
+    decimals,
+    isInitialized,
+    freezeAuthority: hasFreezeAuthority ? freezeAuthority : null,
+    extensions,
+  };
+}
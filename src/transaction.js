@@ -0,0 +1,126 @@
+/**
+ * @module transaction
+ * Helpers for assembling unsigned legacy and versioned transactions.
+ */
+
+import {
+  PublicKey,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+  PACKET_DATA_SIZE,
+} from "@solana/web3.js";
+
+/**
+ * Accept either a bare `PublicKey` or anything carrying one
+ * (`Keypair`, `Signer`, wallet adapter) and return the key.
+ * @param {PublicKey | { publicKey: PublicKey }} signerOrKey
+ * @returns {PublicKey}
+ */
+export function toPublicKey(signerOrKey) {
+  return signerOrKey instanceof PublicKey ? signerOrKey : signerOrKey.publicKey;
+}
+
+/**
+ * @typedef {Object} BuildTransactionOptions
+ * @property {PublicKey} feePayer
+ * @property {"legacy"|0} [version] - `0` produces a `VersionedTransaction` (v0 message).
+ *   Defaults to `0` when lookup tables are given, `"legacy"` otherwise.
+ * @property {import("@solana/web3.js").AddressLookupTableAccount[]} [lookupTables]
+ *   Tables used to compress the v0 message's account keys.
+ * @property {import("@solana/web3.js").Commitment} [commitment] - For the blockhash fetch.
+ */
+
+/**
+ * Resolve the effective transaction version for a set of options.
+ * @param {{ version?: "legacy"|0, lookupTables?: unknown[] }} [opts]
+ * @returns {"legacy"|0}
+ */
+export function resolveVersion(opts) {
+  if (opts?.version !== undefined) return opts.version;
+  return opts?.lookupTables?.length ? 0 : "legacy";
+}
+
+/**
+ * Compile instructions into an unsigned transaction for a known blockhash.
+ * @param {import("@solana/web3.js").TransactionInstruction[]} instructions
+ * @param {BuildTransactionOptions & { blockhash: string, lastValidBlockHeight?: number }} opts
+ * @returns {Transaction | VersionedTransaction}
+ */
+export function compileTransaction(instructions, opts) {
+  if (resolveVersion(opts) === 0) {
+    const message = new TransactionMessage({
+      payerKey: opts.feePayer,
+      recentBlockhash: opts.blockhash,
+      instructions,
+    }).compileToV0Message(opts.lookupTables ?? []);
+    return new VersionedTransaction(message);
+  }
+
+  if (opts.lookupTables?.length) {
+    throw new Error("Address lookup tables require a versioned (v0) transaction");
+  }
+  const tx = new Transaction().add(...instructions);
+  tx.feePayer = opts.feePayer;
+  tx.recentBlockhash = opts.blockhash;
+  if (opts.lastValidBlockHeight !== undefined) tx.lastValidBlockHeight = opts.lastValidBlockHeight;
+  return tx;
+}
+
+/**
+ * Compile instructions into an unsigned transaction with a fresh blockhash
+ * and the fee payer set.
+ * @param {import("@solana/web3.js").Connection} connection
+ * @param {import("@solana/web3.js").TransactionInstruction[]} instructions
+ * @param {BuildTransactionOptions} opts
+ * @returns {Promise<{
+ *   transaction: Transaction | VersionedTransaction,
+ *   blockhash: string,
+ *   lastValidBlockHeight: number,
+ * }>}
+ */
+export async function buildTransaction(connection, instructions, opts) {
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(
+    opts.commitment
+  );
+  const transaction = compileTransaction(instructions, { ...opts, blockhash, lastValidBlockHeight });
+  return { transaction, blockhash, lastValidBlockHeight };
+}
+
+/**
+ * Serialized size in bytes of a transaction once fully signed, whether or
+ * not the signatures are present yet. Returns `Infinity` when the message
+ * itself can't be serialized (it already overflows the packet buffer).
+ * @param {Transaction | VersionedTransaction} transaction - Blockhash and fee payer must be set.
+ * @returns {number}
+ */
+export function getTransactionSize(transaction) {
+  let message;
+  try {
+    message =
+      transaction instanceof VersionedTransaction
+        ? transaction.message.serialize()
+        : transaction.serializeMessage();
+  } catch {
+    return Infinity;
+  }
+  const numSignatures =
+    transaction instanceof VersionedTransaction
+      ? transaction.message.header.numRequiredSignatures
+      : transaction.compileMessage().header.numRequiredSignatures;
+  return shortVecLength(numSignatures) + numSignatures * 64 + message.length;
+}
+
+/**
+ * Whether a transaction fits in a single packet.
+ * @param {Transaction | VersionedTransaction} transaction
+ * @returns {boolean}
+ */
+export function fitsInPacket(transaction) {
+  return getTransactionSize(transaction) <= PACKET_DATA_SIZE;
+}
+
+/** Bytes taken by a compact-u16 length prefix. */
+function shortVecLength(n) {
+  return n < 0x80 ? 1 : n < 0x4000 ? 2 : 3;
+}
@@ -0,0 +1,318 @@
+/**
+ * @module validation
+ * Client-side pre-flight checks that mirror the program's on-chain limits,
+ * so bad arguments fail before paying for a simulation.
+ */
+
+import {
+  MAX_OUTCOMES,
+  MAX_TITLE_LEN,
+  MAX_DESCRIPTION_LEN,
+  MAX_OUTCOME_LABEL_LEN,
+  MAX_FEE_BPS,
+  MIN_BET_LAMPORTS,
+  MIN_BET_TOKEN,
+  MarketStatus,
+  TokenDenomination,
+  ErrorName,
+} from "./constants.js";
+import { calculateTransferFee } from "./math.js";
+import { MintExtensionType, denominationForTokenProgram } from "./token.js";
+
+// ═══════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * A single rejected argument.
+ * @typedef {Object} ValidationViolation
+ * @property {string} name - `ErrorCode` name the program would fail with
+ * @property {number|null} code - Matching `ErrorCode` number; null when the program has no dedicated code
+ * @property {string} field - Offending argument, e.g. "title" or "outcomeLabels[2]"
+ * @property {string} message
+ */
+
+/** @returns {ValidationViolation} */
+function violation(name, field, message) {
+  return { name, code: ErrorName[name] ?? null, field, message };
+}
+
+/** Length of a string in UTF-8 bytes, as the program counts it. */
+function utf8Length(s) {
+  return Buffer.byteLength(s ?? "", "utf-8");
+}
+
+/** Current unix time in seconds. */
+function nowSeconds() {
+  return BigInt(Math.floor(Date.now() / 1000));
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// createMarket
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Check `createMarket` arguments against the program's limits.
+ * Returns every violation at once; an empty array means the args are valid.
+ *
+ * @param {Object} args
+ * @param {string} args.title
+ * @param {string} args.description
+ * @param {string[]} args.outcomeLabels
+ * @param {bigint|number} args.resolutionDeadline - Unix timestamp
+ * @param {number|null} [args.feeBpsOverride]
+ * @param {Object} [opts]
+ * @param {import("./accounts.js").ProtocolConfigAccount|null} [opts.protocolConfig]
+ *   When given, `feeBpsOverride` is also checked against `defaultFeeBps`.
+ * @param {bigint|number} [opts.now] - Unix timestamp (default: local clock)
+ * @returns {ValidationViolation[]}
+ */
+export function validateCreateMarketArgs(args, opts = {}) {
+  const violations = [];
+  const now = BigInt(opts.now ?? nowSeconds());
+
+  const titleLen = utf8Length(args.title);
+  if (titleLen > MAX_TITLE_LEN) {
+    violations.push(
+      violation("MarketTitleTooLong", "title", `Title is ${titleLen} bytes; max ${MAX_TITLE_LEN}`)
+    );
+  }
+
+  const descLen = utf8Length(args.description);
+  if (descLen > MAX_DESCRIPTION_LEN) {
+    violations.push(
+      violation(
+        "MarketDescriptionTooLong",
+        "description",
+        `Description is ${descLen} bytes; max ${MAX_DESCRIPTION_LEN}`
+      )
+    );
+  }
+
+  const labels = args.outcomeLabels ?? [];
+  if (labels.length < 2 || labels.length > MAX_OUTCOMES) {
+    violations.push(
+      violation(
+        "InvalidOutcomeCount",
+        "outcomeLabels",
+        `Got ${labels.length} outcomes; expected 2–${MAX_OUTCOMES}`
+      )
+    );
+  }
+  labels.forEach((label, i) => {
+    const len = utf8Length(label);
+    if (len > MAX_OUTCOME_LABEL_LEN) {
+      violations.push(
+        violation(
+          "OutcomeLabelTooLong",
+          `outcomeLabels[${i}]`,
+          `Label is ${len} bytes; max ${MAX_OUTCOME_LABEL_LEN}`
+        )
+      );
+    }
+  });
+
+  if (BigInt(args.resolutionDeadline) <= now) {
+    violations.push(
+      violation(
+        "DeadlineInPast",
+        "resolutionDeadline",
+        `Deadline ${args.resolutionDeadline} is not after ${now}`
+      )
+    );
+  }
+
+  const fee = args.feeBpsOverride;
+  if (fee !== null && fee !== undefined) {
+    if (fee > MAX_FEE_BPS) {
+      violations.push(
+        violation("FeeTooHigh", "feeBpsOverride", `Fee ${fee} bps exceeds max ${MAX_FEE_BPS}`)
+      );
+    }
+    const minFee = opts.protocolConfig?.defaultFeeBps;
+    if (minFee !== undefined && fee < minFee) {
+      violations.push(
+        violation(
+          "FeeBelowProtocolMinimum",
+          "feeBpsOverride",
+          `Fee ${fee} bps is below the protocol default ${minFee}`
+        )
+      );
+    }
+  }
+
+  return violations;
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// placeBet
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Outcome of `checkBetEligibility`.
+ * @typedef {Object} BetEligibility
+ * @property {boolean} eligible
+ * @property {string|null} reason - `ErrorCode` name (or "ProtocolPaused"); null when eligible
+ * @property {number|null} code - Matching `ErrorCode` number, if any
+ * @property {string|null} field - Argument or account that caused the rejection
+ * @property {string|null} message
+ * @property {bigint} minimum - Minimum bet for this market's denomination
+ * @property {bigint} netAmount - Amount credited to the pool after any Token-2022 transfer fee
+ */
+
+/**
+ * Check whether a bet would be accepted, without touching RPC.
+ *
+ * Mirrors the program's `placeBet` checks in order: protocol paused, market
+ * not Open, deadline passed, outcome index out of range, zero or
+ * below-minimum amount, and — for Token-2022 mints with a transfer fee —
+ * a net amount below the minimum once the fee is withheld.
+ *
+ * @param {Object} params
+ * @param {import("./accounts.js").MarketAccount} params.market
+ * @param {import("./accounts.js").ProtocolConfigAccount|null} [params.protocolConfig]
+ * @param {number} params.outcomeIndex
+ * @param {bigint|number} params.amount
+ * @param {bigint|number} [params.now] - Unix timestamp (default: local clock)
+ * @returns {BetEligibility}
+ */
+export function checkBetEligibility(params) {
+  const { market, protocolConfig, outcomeIndex } = params;
+  const amount = BigInt(params.amount);
+  const now = BigInt(params.now ?? nowSeconds());
+
+  const minimum =
+    market.denomination === TokenDenomination.NativeSol ? MIN_BET_LAMPORTS : MIN_BET_TOKEN;
+  const fee =
+    market.denomination === TokenDenomination.Token2022 && market.hasTransferFee
+      ? calculateTransferFee(amount, market.transferFeeBps, market.maxTransferFee)
+      : 0n;
+  const netAmount = amount - fee;
+
+  const reject = (name, field, message) => ({
+    eligible: false,
+    reason: name,
+    code: ErrorName[name] ?? null,
+    field,
+    message,
+    minimum,
+    netAmount,
+  });
+
+  if (protocolConfig?.paused) {
+    return reject("ProtocolPaused", "protocolConfig", "Protocol is paused");
+  }
+  if (market.status !== MarketStatus.Open) {
+    return reject("MarketNotOpen", "market", `Market is ${market.statusName}`);
+  }
+  if (now >= BigInt(market.resolutionDeadline)) {
+    return reject(
+      "DeadlinePassed",
+      "market",
+      `Resolution deadline ${market.resolutionDeadline} has passed`
+    );
+  }
+  if (!Number.isInteger(outcomeIndex) || outcomeIndex < 0 || outcomeIndex >= market.numOutcomes) {
+    return reject(
+      "InvalidOutcomeIndex",
+      "outcomeIndex",
+      `Outcome ${outcomeIndex} is out of range (market has ${market.numOutcomes})`
+    );
+  }
+  if (amount === 0n) {
+    return reject("ZeroBetAmount", "amount", "Bet amount is zero");
+  }
+  if (amount < minimum) {
+    return reject("BetBelowMinimum", "amount", `Bet ${amount} is below the minimum ${minimum}`);
+  }
+  if (netAmount < minimum) {
+    return reject(
+      "InsufficientPostFeeAmount",
+      "amount",
+      `Bet nets ${netAmount} after a ${fee} transfer fee; minimum is ${minimum}`
+    );
+  }
+
+  return {
+    eligible: true,
+    reason: null,
+    code: null,
+    field: null,
+    message: null,
+    minimum,
+    netAmount,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// Token mints
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Token-2022 mint extensions the program is known to refuse, with the
+ * `ErrorCode` name it fails with. Only these are rejected client-side; any
+ * other extension the program refuses still fails in simulation
+ * (`ProgramErrors.UnsupportedTokenExtension`).
+ * @type {Readonly<Record<number, string>>}
+ */
+export const REFUSED_MINT_EXTENSIONS = Object.freeze({
+  [MintExtensionType.TransferHook]: "TransferHookNotAllowed",
+});
+
+/**
+ * Check a mint before creating a token market on it: it must exist, be
+ * owned by the SPL Token or Token-2022 program (matching `tokenProgram` and
+ * `denomination` when those are given), and carry no refused extensions.
+ *
+ * @param {Object} params
+ * @param {import("./token.js").MintAccount|null} params.mint - Decoded mint; null if missing or undecodable
+ * @param {import("@solana/web3.js").PublicKey|null} params.owner - Program owning the mint account
+ * @param {import("@solana/web3.js").PublicKey} [params.tokenProgram] - Caller-supplied token program
+ * @param {number} [params.denomination] - Caller-supplied TokenDenomination
+ * @returns {ValidationViolation[]}
+ */
+export function validateTokenMint(params) {
+  const { mint, owner } = params;
+  if (!mint || !owner) {
+    return [violation("InvalidMint", "tokenMint", "Mint account not found or not a mint")];
+  }
+
+  const ownerDenomination = denominationForTokenProgram(owner);
+  if (ownerDenomination === null) {
+    return [
+      violation("InvalidMint", "tokenMint", `Mint is owned by ${owner.toBase58()}, not a token program`),
+    ];
+  }
+
+  const violations = [];
+  if (!mint.isInitialized) {
+    violations.push(violation("InvalidMint", "tokenMint", "Mint is not initialized"));
+  }
+  if (params.tokenProgram && !params.tokenProgram.equals(owner)) {
+    violations.push(
+      violation(
+        "InvalidTokenProgram",
+        "tokenProgram",
+        `Mint is owned by ${owner.toBase58()}, not ${params.tokenProgram.toBase58()}`
+      )
+    );
+  }
+  if (params.denomination !== undefined && params.denomination !== ownerDenomination) {
+    violations.push(
+      violation(
+        "DenominationMismatch",
+        "denomination",
+        `Denomination ${params.denomination} does not match the mint's token program (${ownerDenomination})`
+      )
+    );
+  }
+
+  for (const ext of mint.extensions) {
+    const refusal = REFUSED_MINT_EXTENSIONS[ext.type];
+    if (refusal) {
+      violations.push(violation(refusal, "tokenMint", `Mint has the ${ext.name} extension`));
+    }
+  }
+
+  return violations;
+}
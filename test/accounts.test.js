@@ -0,0 +1,239 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair, PublicKey } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import {
+  MARKET_LAYOUTS,
+  MARKET_OFFSETS,
+  MARKET_SUMMARY_LENGTH,
+  decodeMarketSummary,
+  findAccountLayout,
+  encodeMarket,
+  encodeUserPosition,
+  encodeProtocolConfig,
+  encodeMultisigAuthority,
+  encodeMultisigProposal,
+  decodeMarket,
+  decodeUserPosition,
+  decodeProtocolConfig,
+  decodeMultisigAuthority,
+  decodeMultisigProposal,
+} from "../src/accounts.js";
+import {
+  MAX_MULTISIG_SIGNERS,
+  MarketStatus,
+  PROGRAM_ID,
+  TokenDenomination,
+} from "../src/constants.js";
+import {
+  accountInfoFixture,
+  marketFixture,
+  userPositionFixture,
+  protocolConfigFixture,
+  multisigAuthorityFixture,
+  multisigProposalFixture,
+} from "../src/fixtures.js";
+import { MockConnection } from "../src/mock.js";
+
+const key = () => Keypair.generate().publicKey;
+
+/** decode(encode(account)) is the account, and encode(decode(data)) is the data. */
+function assertRoundTrip(account, encode, decode) {
+  const data = encode(account);
+  assert.deepEqual(decode(data), account);
+  assert.ok(encode(decode(data)).equals(data));
+}
+
+test("Market round-trips in both layouts", () => {
+  const v2 = marketFixture({
+    marketId: 42n,
+    authority: key(),
+    status: MarketStatus.Resolved,
+    resolvedAt: 1_700_000_000n,
+    winningOutcome: 2,
+    feeBps: 250,
+    outcomeLabels: ["Red", "Green", "Blue"],
+    outcomePools: [1n, 2n, 2n ** 63n],
+    totalPositions: 3n,
+    denomination: TokenDenomination.Token2022,
+    tokenMint: key(),
+    tokenDecimals: 6,
+    hasTransferFee: true,
+    transferFeeBps: 30,
+    maxTransferFee: 5_000n,
+    creator: key(),
+    creatorFeeBps: 150,
+    title: "Which colour? ✓",
+    description: "UTF-8 survives the fixed-size buffers",
+  });
+  assert.equal(encodeMarket(v2).length, 1558);
+  assert.equal(v2.layoutVersion, 2);
+  assertRoundTrip(v2, encodeMarket, decodeMarket);
+
+  const v1 = marketFixture({ layoutVersion: 1, title: "" });
+  assert.equal(encodeMarket(v1).length, 1524);
+  assert.equal(v1.layoutVersion, 1);
+  assert.ok(v1.creator.equals(PublicKey.default));
+  assert.equal(v1.creatorFeeBps, 0);
+  assertRoundTrip(v1, encodeMarket, decodeMarket);
+});
+
+test("findAccountLayout picks the layout by discriminator and size", () => {
+  const [v1, v2] = MARKET_LAYOUTS;
+  assert.deepEqual(
+    MARKET_LAYOUTS.map((l) => [l.version, l.size]),
+    [
+      [1, 1524],
+      [2, 1558],
+    ]
+  );
+  const position = encodeUserPosition(userPositionFixture());
+  assert.equal(findAccountLayout(position).account, "UserPosition");
+
+  // Empty titles were what the old titleLen heuristic misread.
+  const market = marketFixture({ title: "" });
+  assert.equal(findAccountLayout(encodeMarket(market)), v2);
+  assert.equal(findAccountLayout(encodeMarket({ ...market, layoutVersion: 1 })), v1);
+  assert.equal(decodeMarket(encodeMarket(market)).layoutVersion, 2);
+
+  // A reallocated account with trailing space gets the newest layout that fits.
+  const padded = Buffer.concat([encodeMarket(market), Buffer.alloc(16)]);
+  assert.equal(findAccountLayout(padded), v2);
+  assert.equal(decodeMarket(padded).title, "");
+
+  assert.equal(findAccountLayout(encodeMarket(market).subarray(0, v1.size - 1)), null);
+  assert.equal(findAccountLayout(Buffer.alloc(v2.size)), null);
+  assert.throws(() => decodeMarket(position), /Not a known Market layout/);
+});
+
+test("layout offsets line up with the encoded fields", () => {
+  const [v1, v2] = MARKET_LAYOUTS;
+  const authority = key();
+  const market = marketFixture({ authority, creator: key(), title: "Offsets" });
+  const data = encodeMarket(market);
+  assert.equal(MARKET_OFFSETS, v2.offsets);
+  const pubkeyAt = (offset) => data.subarray(offset, offset + 32);
+  assert.ok(pubkeyAt(v2.offsets.authority).equals(authority.toBuffer()));
+  assert.ok(pubkeyAt(v2.offsets.creator).equals(market.creator.toBuffer()));
+  // v2 inserts creator (32) and creatorFeeBps (2) before the title.
+  assert.equal(v1.offsets.creator, undefined);
+  assert.equal(v2.offsets.title - v1.offsets.title, 34);
+  assert.equal(v1.offsets.status, v2.offsets.status);
+
+  // A slice through the title decodes as a summary, in either layout.
+  assert.equal(MARKET_SUMMARY_LENGTH, v2.offsets.description);
+  assert.equal(decodeMarketSummary(data.subarray(0, MARKET_SUMMARY_LENGTH)).title, "Offsets");
+  const legacy = encodeMarket({ ...market, layoutVersion: 1 });
+  const summary = decodeMarketSummary(legacy.subarray(0, v1.offsets.description), 1);
+  assert.equal(summary.title, "Offsets");
+  assert.equal("description" in summary, false);
+});
+
+test("market queries take their memcmp offsets and slices from the registry", async () => {
+  const mock = new MockConnection();
+  const client = new PrecogMarketsClient(mock);
+  const calls = [];
+  mock.getProgramAccounts = async (programId, config) => {
+    calls.push(config);
+    return [];
+  };
+  const creator = key();
+
+  await client.getAllMarkets({ creator });
+  // creator only exists in v2: one query, pinned to its size.
+  assert.equal(calls.length, 1);
+  const [v1, v2] = MARKET_LAYOUTS;
+  assert.deepEqual(
+    calls[0].filters.map((f) => f.dataSize ?? f.memcmp.offset),
+    [v2.size, 0, v2.offsets.creator]
+  );
+
+  calls.length = 0;
+  await client.getMarketSummaries({ status: MarketStatus.Open });
+  assert.deepEqual(
+    calls.map((c) => [c.filters[0].dataSize, c.filters[2].memcmp.offset, c.dataSlice.length]),
+    [
+      [v1.size, v1.offsets.status, v1.offsets.description],
+      [v2.size, v2.offsets.status, v2.offsets.description],
+    ]
+  );
+});
+
+test("UserPosition and ProtocolConfig round-trip", () => {
+  assertRoundTrip(
+    userPositionFixture({
+      market: key(),
+      owner: key(),
+      outcomeIndex: 3,
+      amount: 123_456_789n,
+      claimed: true,
+      lastDepositAt: -1n,
+    }),
+    encodeUserPosition,
+    decodeUserPosition
+  );
+  assertRoundTrip(
+    protocolConfigFixture({
+      admin: key(),
+      treasury: key(),
+      defaultFeeBps: 99,
+      paused: true,
+      totalMarketsCreated: 7n,
+      totalVolume: 10n ** 18n,
+    }),
+    encodeProtocolConfig,
+    decodeProtocolConfig
+  );
+});
+
+test("MultisigAuthority round-trips up to the signer limit", () => {
+  const signers = Array.from({ length: MAX_MULTISIG_SIGNERS }, key);
+  assertRoundTrip(
+    multisigAuthorityFixture({ nonce: 9n, threshold: 6, signers, proposalCount: 4n }),
+    encodeMultisigAuthority,
+    decodeMultisigAuthority
+  );
+  assert.throws(() => multisigAuthorityFixture({ signers: [...signers, key()] }), RangeError);
+});
+
+test("MultisigProposal round-trips every action", () => {
+  const actions = [
+    { name: "ResolveMarket", fields: { winningOutcome: 4 } },
+    { name: "VoidMarket" },
+    { name: "UpdateDeadline", fields: { newDeadline: 1_800_000_000n } },
+    { name: "UpdateFeeBps", fields: { newFeeBps: 321 } },
+    { name: "AddSigner", fields: { newSigner: key() } },
+    { name: "RemoveSigner", fields: { signer: key() } },
+    { name: "ChangeThreshold", fields: { newThreshold: 2 } },
+  ];
+  for (const action of actions) {
+    const proposal = multisigProposalFixture({
+      multisig: key(),
+      market: key(),
+      proposalId: 11n,
+      action,
+      proposer: key(),
+      approvals: 0b101,
+      approvalCount: 2,
+      createdAt: 1_700_000_123n,
+    });
+    assert.equal(proposal.action.name, action.name);
+    assertRoundTrip(proposal, encodeMultisigProposal, decodeMultisigProposal);
+  }
+  assert.throws(
+    () => multisigProposalFixture({ action: { name: "Nope" } }),
+    /Unknown ProposalAction/
+  );
+});
+
+test("accountInfoFixture wraps data as a rent-exempt program account", () => {
+  const data = encodeMarket(marketFixture());
+  const info = accountInfoFixture(data);
+  assert.ok(info.owner.equals(PROGRAM_ID));
+  assert.equal(info.lamports, (128 + data.length) * 6960);
+  assert.equal(info.data, data);
+  const owner = key();
+  assert.ok(accountInfoFixture(data, { owner, lamports: 1 }).owner.equals(owner));
+});
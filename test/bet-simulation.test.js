@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { DISPUTE_WINDOW_SECONDS } from "../src/constants.js";
+import { marketFixture } from "../src/fixtures.js";
+import {
+  ODDS_PRECISION,
+  impliedProbabilities,
+  marginalPayoutCurve,
+  simulateBet,
+  simulateBets,
+} from "../src/math.js";
+import { PrecogSimulator } from "../src/simulator.js";
+
+const SOL = 1_000_000_000;
+
+test("simulateBet projects the payout the claim pays, after a protocol fee change", async () => {
+  const sim = new PrecogSimulator({ lamportsPerSignature: 0 });
+  const client = new PrecogMarketsClient(sim.connection);
+  const admin = Keypair.generate();
+  const treasury = Keypair.generate().publicKey;
+  const [early, bettor] = [Keypair.generate(), Keypair.generate()];
+  for (const kp of [admin, early, bettor]) sim.airdrop(kp.publicKey, 100 * SOL);
+  sim.airdrop(treasury, SOL);
+
+  await client.initializeProtocol(admin, treasury, 100);
+  const { market } = await client.createSolMarket({
+    payer: admin,
+    title: "Projection",
+    description: "",
+    outcomeLabels: ["Yes", "No"],
+    resolutionDeadline: sim.now + 3600n,
+    feeBpsOverride: 250,
+  });
+  await client.placeSolBet({ bettor: early, market, outcomeIndex: 0, amount: 3_000_000_001n });
+  await client.placeSolBet({ bettor: early, market, outcomeIndex: 1, amount: 1_999_999_999n });
+  await client.updateProtocolConfig(admin, { newDefaultFeeBps: 500 });
+
+  const amount = 1_234_567_891n;
+  const projected = simulateBet(await client.fetchMarket(market), 1, amount);
+  await client.placeSolBet({ bettor, market, outcomeIndex: 1, amount });
+  assert.deepEqual(await client.fetchMarket(market), {
+    ...projected.market,
+    totalPositions: projected.market.totalPositions + 1n,
+  });
+
+  sim.warp(3600);
+  await client.resolveMarket(admin, market, 1);
+  sim.warp(DISPUTE_WINDOW_SECONDS);
+  await client.finalizeMarket(admin, market);
+
+  const [position] = await client.findPosition(market, bettor.publicKey, 1);
+  const before = BigInt(sim.getBalance(bettor.publicKey));
+  await client.claimSolWinnings({
+    claimant: bettor,
+    market,
+    position,
+    treasury,
+    creator: admin.publicKey,
+  });
+  assert.equal(BigInt(sim.getBalance(bettor.publicKey)) - before, projected.payout.netReceived);
+  assert.equal(projected.multiple, (projected.payout.netReceived * ODDS_PRECISION) / amount);
+});
+
+test("simulateBets chains single bets and marginalPayoutCurve falls with size", () => {
+  const market = marketFixture({ outcomePools: [6n * BigInt(SOL), 4n * BigInt(SOL)], feeBps: 200 });
+  const bets = [
+    { outcomeIndex: 1, amount: 1_000_000_000n },
+    { outcomeIndex: 0, amount: 2_000_000_000n },
+  ];
+  const { steps, stakes, market: after } = simulateBets(market, bets);
+  const first = simulateBet(market, 1, bets[0].amount);
+  assert.deepEqual(steps[0], first);
+  assert.deepEqual(steps[1], simulateBet(first.market, 0, bets[1].amount));
+  assert.deepEqual(stakes, [2_000_000_000n, 1_000_000_000n]);
+  assert.deepEqual(impliedProbabilities(after), steps[1].probabilitiesAfter);
+
+  const curve = marginalPayoutCurve(market, 1, [1n, 2n, 3n].map((n) => n * BigInt(SOL)));
+  assert.equal(curve[0].netReceived, first.payout.netReceived);
+  for (let i = 1; i < curve.length; i++) {
+    assert.ok(curve[i].multiple < curve[i - 1].multiple);
+    assert.ok(curve[i].marginal < curve[i - 1].marginal);
+  }
+  assert.throws(() => marginalPayoutCurve(market, 1, [2n, 1n]), RangeError);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair, Transaction, VersionedTransaction } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { PrecogSimulator } from "../src/simulator.js";
+
+const SOL = 1_000_000_000;
+
+/** A simulator with a protocol and a funded admin. */
+async function setup() {
+  const sim = new PrecogSimulator();
+  const client = new PrecogMarketsClient(sim.connection, { fetch: sim.connection.fetch });
+  const admin = Keypair.generate();
+  sim.airdrop(admin.publicKey, 100 * SOL);
+  await client.initializeProtocol(admin, Keypair.generate().publicKey, 100);
+  return { sim, client, admin };
+}
+
+/** `createSolMarket` params for a market closing in a minute. */
+const marketParams = (sim, payer) => ({
+  payer,
+  marketId: 7n,
+  title: "Build mode",
+  description: "",
+  outcomeLabels: ["Yes", "No"],
+  resolutionDeadline: sim.now + 60n,
+});
+
+test("client.build returns an unsigned transaction and the derived addresses", async () => {
+  const { sim, client, admin } = await setup();
+  const sent = sim.connection.sent.length;
+
+  const built = await client.build.createSolMarket(marketParams(sim, admin.publicKey));
+  const [market] = await client.findMarket(admin.publicKey, 7n);
+  const [vault] = await client.findVault(market);
+  assert.ok(built.market.equals(market));
+  assert.ok(built.vault.equals(vault));
+  assert.equal(built.marketId, 7n);
+  assert.ok(built.feePayer.equals(admin.publicKey));
+  assert.equal(typeof built.blockhash, "string");
+  assert.equal(typeof built.lastValidBlockHeight, "number");
+  assert.equal(built.instructions.length, 1);
+  assert.ok(built.transaction instanceof Transaction);
+  assert.equal(built.transaction.recentBlockhash, built.blockhash);
+  assert.ok(built.transaction.signatures.every((s) => s.signature === null));
+  assert.equal(sim.connection.sent.length, sent);
+  assert.equal(await client.fetchMarket(market), null);
+
+  // The caller signs and sends it themselves.
+  built.transaction.sign(admin);
+  await sim.connection.sendRawTransaction(built.transaction.serialize());
+  assert.equal((await client.fetchMarket(market)).title, "Build mode");
+});
+
+test("mode: \"build\" honours a feePayer override and v0 messages", async () => {
+  const { sim, client, admin } = await setup();
+  const feePayer = Keypair.generate().publicKey;
+  const built = await client.createSolMarket({
+    ...marketParams(sim, admin.publicKey),
+    opts: { mode: "build", feePayer, version: 0 },
+  });
+  assert.equal("signature" in built, false);
+  assert.ok(built.feePayer.equals(feePayer));
+  assert.ok(built.transaction instanceof VersionedTransaction);
+  assert.ok(built.transaction.message.staticAccountKeys[0].equals(feePayer));
+  // Both the fee payer and the authority still have to sign.
+  assert.equal(built.transaction.message.header.numRequiredSignatures, 2);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { MarketStatus } from "../src/constants.js";
+import { encodeMarket, encodeProtocolConfig, encodeUserPosition } from "../src/accounts.js";
+import {
+  accountInfoFixture,
+  marketFixture,
+  protocolConfigFixture,
+  userPositionFixture,
+} from "../src/fixtures.js";
+import { MockConnection } from "../src/mock.js";
+
+/** `count` finalized SOL markets, each with a winning position held by `owner`. */
+async function setup(count) {
+  const mock = new MockConnection();
+  const client = new PrecogMarketsClient(mock, { fetch: mock.fetch });
+  const owner = Keypair.generate();
+  const [protocolConfig] = await client.findProtocolConfig();
+  const config = encodeProtocolConfig(protocolConfigFixture());
+  mock.setAccount(protocolConfig, accountInfoFixture(config));
+  for (let i = 0; i < count; i++) {
+    const market = Keypair.generate().publicKey;
+    const account = marketFixture({
+      status: MarketStatus.Finalized,
+      winningOutcome: 0,
+      outcomePools: [1n, 1n],
+    });
+    mock.setAccount(market, accountInfoFixture(encodeMarket(account)));
+    const position = userPositionFixture({ market, owner: owner.publicKey, amount: 1n });
+    mock.setAccount(Keypair.generate().publicKey, accountInfoFixture(encodeUserPosition(position)));
+  }
+  return { mock, client, owner };
+}
+
+test("claimAll packs sent batches for the owner as fee payer", async () => {
+  const { mock, client, owner } = await setup(30);
+  const batchSizes = async (opts) => {
+    const { report, transactions } = await client.claimAll(owner, opts);
+    assert.ok(report.every((entry) => entry.status === "claimed"));
+    return transactions.map((t) => t.positions.length);
+  };
+
+  const sizes = await batchSizes();
+  assert.ok(sizes.length > 1);
+  // `feePayer` is a build option; sending still charges the owner.
+  const feePayer = Keypair.generate().publicKey;
+  assert.deepEqual(await batchSizes({ feePayer }), sizes);
+  for (const { transaction } of mock.sent) {
+    assert.ok(transaction.message.staticAccountKeys[0].equals(owner.publicKey));
+  }
+
+  // In build mode it pays, and the batches are packed for it.
+  const built = await client.claimAll(owner.publicKey, { mode: "build", feePayer });
+  assert.ok(built.transactions.every((t) => t.feePayer.equals(feePayer)));
+});
@@ -0,0 +1,169 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { DISPUTE_WINDOW_SECONDS, TokenDenomination } from "../src/constants.js";
+import { marketFixture, userPositionFixture } from "../src/fixtures.js";
+import { quoteClaim } from "../src/math.js";
+import { PrecogSimulator } from "../src/simulator.js";
+
+const SOL = 1_000_000_000;
+
+/**
+ * A finalized SOL market with a creator fee, bet on with amounts that don't
+ * divide evenly. Signatures are free so balance deltas are the claim alone.
+ * `newDefaultFeeBps` changes the protocol fee after the market is created.
+ */
+async function finalizedMarket({ newDefaultFeeBps } = {}) {
+  const sim = new PrecogSimulator({ lamportsPerSignature: 0 });
+  const client = new PrecogMarketsClient(sim.connection);
+  const admin = Keypair.generate();
+  const treasury = Keypair.generate().publicKey;
+  const bettors = [Keypair.generate(), Keypair.generate(), Keypair.generate()];
+  for (const kp of [admin, ...bettors]) sim.airdrop(kp.publicKey, 100 * SOL);
+  sim.airdrop(treasury, SOL);
+
+  await client.initializeProtocol(admin, treasury, 100);
+  const { market } = await client.createSolMarket({
+    payer: admin,
+    title: "Rounding",
+    description: "",
+    outcomeLabels: ["Yes", "No"],
+    resolutionDeadline: sim.now + 3600n,
+    feeBpsOverride: 275,
+  });
+  if (newDefaultFeeBps !== undefined) {
+    await client.updateProtocolConfig(admin, { newDefaultFeeBps });
+  }
+  const bets = [
+    [bettors[0], 0, 1_000_000_007n],
+    [bettors[1], 0, 333_333_333n],
+    [bettors[2], 1, 2_000_000_011n],
+  ];
+  for (const [bettor, outcomeIndex, amount] of bets) {
+    await client.placeSolBet({ bettor, market, outcomeIndex, amount });
+  }
+
+  sim.warp(3600);
+  await client.resolveMarket(admin, market, 0);
+  sim.warp(DISPUTE_WINDOW_SECONDS);
+  await client.finalizeMarket(admin, market);
+  return { sim, client, market, treasury, bettors };
+}
+
+test("quoteClaim matches simulated claim balances, creator fee included", async () => {
+  const { sim, client, market, treasury, bettors } = await finalizedMarket();
+  const marketAccount = await client.fetchMarket(market);
+  assert.equal(marketAccount.creatorFeeBps, 175);
+
+  for (const bettor of bettors.slice(0, 2)) {
+    const [position] = await client.findPosition(market, bettor.publicKey, 0);
+    const before = await client.fetchMarket(market);
+    const quote = quoteClaim(before, await client.fetchUserPosition(position));
+    // Neither fee divides the gross evenly, so both round down
+    assert.notEqual((quote.gross * 100n) % 10_000n, 0n);
+    assert.notEqual((quote.gross * 175n) % 10_000n, 0n);
+    assert.ok(quote.creatorFee > 0n);
+
+    const balances = () =>
+      [bettor.publicKey, treasury, before.creator].map((k) => BigInt(sim.getBalance(k)));
+    const [claimant0, treasury0, creator0] = balances();
+    await client.claimSolWinnings({
+      claimant: bettor,
+      market,
+      position,
+      treasury,
+      creator: before.creator,
+    });
+    const [claimant1, treasury1, creator1] = balances();
+
+    assert.equal(claimant1 - claimant0, quote.netReceived);
+    assert.equal(treasury1 - treasury0, quote.protocolFee);
+    assert.equal(creator1 - creator0, quote.creatorFee);
+    const after = await client.fetchMarket(market);
+    assert.equal(after.feesCollected - before.feesCollected, quote.protocolFee + quote.creatorFee);
+  }
+});
+
+test("quoteClaim keeps the market's fee split after the protocol fee changes", async () => {
+  const { sim, client, market, treasury, bettors } = await finalizedMarket({
+    newDefaultFeeBps: 40,
+  });
+  assert.equal((await client.fetchProtocolConfig()).defaultFeeBps, 40);
+  const [position] = await client.findPosition(market, bettors[0].publicKey, 0);
+  const quote = await client.quoteClaim({ market, position });
+  const before = await client.fetchMarket(market);
+  // 100 bps to the protocol, as when the market was created
+  assert.equal(quote.protocolFee, (quote.gross * 100n) / 10_000n);
+
+  const balances = () => [bettors[0].publicKey, treasury].map((k) => BigInt(sim.getBalance(k)));
+  const [claimant0, treasury0] = balances();
+  await client.claimSolWinnings({
+    claimant: bettors[0],
+    market,
+    position,
+    treasury,
+    creator: before.creator,
+  });
+  const [claimant1, treasury1] = balances();
+  assert.equal(claimant1 - claimant0, quote.netReceived);
+  assert.equal(treasury1 - treasury0, quote.protocolFee);
+});
+
+test("quoteClaim quotes zeros for a losing position", () => {
+  const market = marketFixture({ outcomePools: [10n, 20n], winningOutcome: 0 });
+  const quote = quoteClaim(market, userPositionFixture({ outcomeIndex: 1, amount: 20n }));
+  assert.deepEqual(Object.values(quote), [0n, 0n, 0n, 0n, 0n, 0n]);
+});
+
+test("quoteClaim rounds each step down in the program's order", () => {
+  const market = marketFixture({
+    outcomePools: [3n, 7n],
+    winningOutcome: 0,
+    feeBps: 333,
+    creatorFeeBps: 133,
+  });
+  const quote = quoteClaim(market, userPositionFixture({ amount: 2n }));
+  // gross = 2 * 10 / 3 = 6; fees: 6 * 200 / 10000 = 0 and 6 * 133 / 10000 = 0
+  assert.deepEqual(quote, {
+    gross: 6n,
+    protocolFee: 0n,
+    creatorFee: 0n,
+    payout: 6n,
+    transferFee: 0n,
+    netReceived: 6n,
+  });
+
+  const big = quoteClaim(
+    { ...market, outcomePools: [3_000_000n, 7_000_001n], totalPool: 10_000_001n },
+    userPositionFixture({ amount: 1_000_001n })
+  );
+  // gross = floor(1_000_001 * 10_000_001 / 3_000_000) = 3_333_337
+  assert.equal(big.gross, 3_333_337n);
+  assert.equal(big.protocolFee, 66_666n);
+  assert.equal(big.creatorFee, 44_333n);
+  assert.equal(big.payout, 3_333_337n - 66_666n - 44_333n);
+});
+
+test("quoteClaim withholds the Token-2022 transfer fee, capped", () => {
+  const market = marketFixture({
+    outcomePools: [1_000n, 1_000n],
+    winningOutcome: 0,
+    feeBps: 0,
+    denomination: TokenDenomination.Token2022,
+    hasTransferFee: true,
+    transferFeeBps: 50,
+    maxTransferFee: 5n,
+  });
+  const small = quoteClaim(market, userPositionFixture({ amount: 100n }));
+  // payout 200: ceil(200 * 50 / 10000) = 1
+  assert.equal(small.transferFee, 1n);
+  assert.equal(small.netReceived, 199n);
+
+  const capped = quoteClaim(market, userPositionFixture({ amount: 1_000n }));
+  // payout 2000: ceil(10) capped at 5
+  assert.equal(capped.transferFee, 5n);
+  assert.equal(capped.netReceived, 1_995n);
+});
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+} from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { TOKEN_2022_PROGRAM_ID } from "../src/constants.js";
+import { decodeInstruction, decodeTransaction } from "../src/decoder.js";
+import * as ix from "../src/instructions.js";
+import { MockConnection } from "../src/mock.js";
+
+/** `count` fresh public keys. */
+const keys = (count) => Array.from({ length: count }, () => Keypair.generate().publicKey);
+
+/** A fetched-transaction response for `instructions`, as `getTransactions` returns it. */
+function response(payer, instructions, { slot = 1, err = null } = {}) {
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: PublicKey.default.toBase58(),
+    instructions,
+  }).compileToV0Message();
+  return {
+    slot,
+    blockTime: 1_700_000_000 + slot,
+    transaction: { message, signatures: [] },
+    meta: { err, innerInstructions: [], loadedAddresses: { writable: [], readonly: [] } },
+  };
+}
+
+test("decodeInstruction inverts the builders, args and account roles included", () => {
+  const [market, vault, position, bettor, protocolConfig, authority, payer] = keys(7);
+  const bet = ix.placeBet(
+    { market, vault, position, bettor, protocolConfig },
+    { outcomeIndex: 2, amount: 5_000_000n }
+  );
+  const decoded = decodeInstruction(bet);
+  assert.equal(decoded.name, "placeBet");
+  assert.deepEqual(decoded.args, { outcomeIndex: 2, amount: 5_000_000n });
+  assert.ok(decoded.accounts.bettor.equals(bettor));
+  assert.equal(decoded.accounts.tokenVault, undefined);
+  assert.deepEqual(decoded.remainingAccounts, []);
+
+  const args = {
+    marketId: 4n,
+    title: "Ünïcode title",
+    description: "Longer text",
+    outcomeLabels: ["A", "B", "C"],
+    resolutionDeadline: 1_800_000_000n,
+    feeBpsOverride: 250,
+    denomination: 0,
+    authorityIsMultisig: false,
+  };
+  const created = decodeInstruction(
+    ix.createMarket({ market, vault, authority, payer, protocolConfig }, args)
+  );
+  assert.equal(created.name, "createMarket");
+  assert.deepEqual(created.args, args);
+
+  const [proposal, multisig] = keys(2);
+  const action = { type: "UpdateFeeBps", fields: { newFeeBps: 300 } };
+  const proposed = decodeInstruction(
+    ix.createProposal({ proposal, multisig, market, proposer: payer }, { action })
+  );
+  assert.deepEqual(proposed.args, { action });
+
+  const transfer = SystemProgram.transfer({ fromPubkey: payer, toPubkey: vault, lamports: 1 });
+  assert.equal(decodeInstruction(transfer), null);
+});
+
+test("decodeInstruction labels token-market accounts", () => {
+  const roles = ["market", "vault", "position", "bettor", "protocolConfig"];
+  const tokenRoles = ["bettorTokenAccount", "tokenVault", "tokenMint"];
+  const accounts = Object.fromEntries([...roles, ...tokenRoles].map((role) => [role, keys(1)[0]]));
+  accounts.tokenProgram = TOKEN_2022_PROGRAM_ID;
+  const decoded = decodeInstruction(ix.placeBet(accounts, { outcomeIndex: 0, amount: 1n }));
+  assert.deepEqual(decoded.accounts, { ...accounts, systemProgram: SystemProgram.programId });
+});
+
+test("decodeTransaction skips other programs and keeps instruction indexes", () => {
+  const [market, authority] = keys(2);
+  const decoded = decodeTransaction(
+    response(authority, [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 200_000 }),
+      ix.resolveMarket({ market, authority }, { winningOutcome: 1 }),
+    ])
+  );
+  assert.equal(decoded.length, 1);
+  assert.equal(decoded[0].name, "resolveMarket");
+  assert.equal(decoded[0].instructionIndex, 1);
+  assert.equal(decoded[0].innerIndex, null);
+  assert.ok(decoded[0].accounts.market.equals(market));
+});
+
+test("getMarketHistory yields the market's own events, oldest first", async () => {
+  const [market, other, authority] = keys(3);
+  const resolve = ix.resolveMarket({ market, authority }, { winningOutcome: 0 });
+  const finalize = ix.finalizeMarket({ market });
+  const err = { InstructionError: [0, { Custom: 11 }] };
+  const txs = new Map([
+    ["resolve", response(authority, [resolve], { slot: 30 })],
+    ["failed", response(authority, [finalize], { slot: 20, err })],
+    ["unrelated", response(authority, [ix.finalizeMarket({ market: other })], { slot: 15 })],
+    ["finalize", response(authority, [finalize], { slot: 40 })],
+  ]);
+  // Newest first, as the RPC lists them.
+  const listed = ["finalize", "resolve", "failed", "unrelated"].map((signature) => ({
+    signature,
+    slot: txs.get(signature).slot,
+    err: txs.get(signature).meta.err,
+  }));
+
+  const connection = new MockConnection();
+  connection.getSignaturesForAddress = async (address, { before, limit }) => {
+    const start = before ? listed.findIndex((s) => s.signature === before) + 1 : 0;
+    return listed.slice(start, start + limit);
+  };
+  connection.getTransactions = async (signatures) => signatures.map((s) => txs.get(s));
+  const client = new PrecogMarketsClient(connection);
+
+  const events = [];
+  for await (const event of client.getMarketHistory(market, { batchSize: 1 })) events.push(event);
+  assert.deepEqual(
+    events.map((e) => [e.signature, e.name, e.slot]),
+    [
+      ["resolve", "resolveMarket", 30],
+      ["finalize", "finalizeMarket", 40],
+    ]
+  );
+  assert.equal(events[0].blockTime, 1_700_000_030);
+
+  const withFailed = [];
+  for await (const event of client.getMarketHistory(market, { includeFailed: true, limit: 3 })) {
+    withFailed.push(event.signature);
+  }
+  assert.deepEqual(withFailed, ["failed", "resolve", "finalize"]);
+});
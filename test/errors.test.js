@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair, SystemProgram } from "@solana/web3.js";
+
+import { PROGRAM_ID, TOKEN_PROGRAM_ID } from "../src/constants.js";
+import {
+  PrecogError,
+  PrecogProgramError,
+  ProgramErrors,
+  parseProgramError,
+  programErrorFromCode,
+} from "../src/errors.js";
+import * as ix from "../src/instructions.js";
+
+const payer = Keypair.generate().publicKey;
+const market = Keypair.generate().publicKey;
+
+/** A system transfer followed by a Precog finalizeMarket. */
+const instructions = [
+  SystemProgram.transfer({ fromPubkey: payer, toPubkey: market, lamports: 1 }),
+  ix.finalizeMarket({ market }),
+];
+
+test("parseProgramError types a raw InstructionError and names the instruction", () => {
+  const err = parseProgramError({ InstructionError: [1, { Custom: 15 }] }, { instructions });
+  assert.ok(err instanceof ProgramErrors.BetBelowMinimum);
+  assert.ok(err instanceof PrecogProgramError && err instanceof PrecogError);
+  assert.equal(err.name, "BetBelowMinimum");
+  assert.equal(err.code, 15);
+  assert.equal(err.instructionIndex, 1);
+  assert.equal(err.instructionName, "finalizeMarket");
+  assert.equal(err.message, "BetBelowMinimum (code 15) in instruction 1 (finalizeMarket)");
+});
+
+test("parseProgramError reads a send error's message and keeps its logs", () => {
+  const logs = [
+    `Program ${PROGRAM_ID.toBase58()} invoke [1]`,
+    `Program ${PROGRAM_ID.toBase58()} failed: custom program error: 0x6`,
+  ];
+  const cause = Object.assign(
+    new Error("Simulation failed. Error processing Instruction 0: custom program error: 0x6"),
+    { logs }
+  );
+  const err = parseProgramError(cause);
+  assert.ok(err instanceof ProgramErrors.MarketNotOpen);
+  assert.equal(err.instructionIndex, 0);
+  assert.equal(err.instructionName, null);
+  assert.deepEqual(err.logs, logs);
+  assert.equal(err.cause, cause);
+});
+
+test("parseProgramError finds the failing top-level instruction in the logs", () => {
+  const id = PROGRAM_ID.toBase58();
+  const logs = [
+    `Program ${SystemProgram.programId.toBase58()} invoke [1]`,
+    `Program ${SystemProgram.programId.toBase58()} success`,
+    `Program ${id} invoke [1]`,
+    `Program ${SystemProgram.programId.toBase58()} invoke [2]`,
+    `Program ${SystemProgram.programId.toBase58()} success`,
+    `Program ${id} failed: custom program error: 0x9`,
+  ];
+  const err = parseProgramError({ err: null, logs }, { instructions });
+  assert.ok(err instanceof ProgramErrors.WinningPoolEmpty);
+  assert.equal(err.instructionIndex, 1);
+  assert.equal(err.instructionName, "finalizeMarket");
+});
+
+test("parseProgramError ignores errors raised by other programs", () => {
+  const logs = [
+    `Program ${PROGRAM_ID.toBase58()} invoke [1]`,
+    `Program ${TOKEN_PROGRAM_ID.toBase58()} invoke [2]`,
+    `Program ${TOKEN_PROGRAM_ID.toBase58()} failed: custom program error: 0x1`,
+  ];
+  assert.equal(parseProgramError(logs), null);
+  // Without logs, the instruction's program decides.
+  const status = { InstructionError: [0, { Custom: 1 }] };
+  assert.equal(parseProgramError(status, { instructions }), null);
+  assert.equal(parseProgramError(new Error("fetch failed")), null);
+});
+
+test("programErrorFromCode falls back to the base class for unknown codes", () => {
+  const err = programErrorFromCode(999);
+  assert.equal(Object.getPrototypeOf(err), PrecogProgramError.prototype);
+  assert.equal(err.name, "Unknown(999)");
+  assert.equal(ProgramErrors.MarketNotOpen.code, 6);
+});
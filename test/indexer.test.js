@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { Keypair } from "@solana/web3.js";
+
+import { encodeMarket } from "../src/accounts.js";
+import { accountInfoFixture, marketFixture } from "../src/fixtures.js";
+import { JsonFileStore, PrecogIndexer } from "../src/indexer.js";
+import { MockConnection } from "../src/mock.js";
+
+test("JsonFileStore reports a failed scheduled flush and retries it", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "precog-index-"));
+  try {
+    const errors = [];
+    const path = join(dir, "missing", "index.json");
+    const store = new JsonFileStore(path, { debounceMs: 1, onError: (err) => errors.push(err) });
+    const record = { kind: "market", address: "m", slot: 1, data: Buffer.from([1, 2, 3]) };
+    await store.put(record);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, "ENOENT");
+    await assert.rejects(store.flush(), { code: "ENOENT" });
+
+    await mkdir(join(dir, "missing"));
+    await store.flush();
+    assert.deepEqual(await new JsonFileStore(path).load(), [record]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("PrecogIndexer resyncs by default and drops closed markets", async (t) => {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const connection = new MockConnection();
+  connection.onProgramAccountChange = () => 1;
+  connection.removeProgramAccountChangeListener = async () => {};
+  const market = Keypair.generate().publicKey;
+  connection.setAccount(market, accountInfoFixture(encodeMarket(marketFixture())));
+
+  const indexer = new PrecogIndexer(connection);
+  await indexer.start();
+  assert.notEqual(indexer.getMarket(market), null);
+
+  // Closed with no notification: only the periodic scan notices.
+  connection.deleteAccount(market);
+  connection.slot++;
+  t.mock.timers.tick(60_000);
+  await new Promise((resolve) => setImmediate(resolve));
+  await indexer.stop();
+  assert.equal(indexer.getMarket(market), null);
+});
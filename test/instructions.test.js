@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair } from "@solana/web3.js";
+
+import { executeProposal } from "../src/instructions.js";
+
+test("executeProposal only sends the protocol config for UpdateFeeBps", () => {
+  const [proposal, multisig, market, protocolConfig] = Array.from(
+    { length: 4 },
+    () => Keypair.generate().publicKey
+  );
+  const keys = (action) =>
+    executeProposal({ proposal, multisig, market, action, protocolConfig }).keys.map((k) => [
+      k.pubkey.toBase58(),
+      k.isSigner,
+      k.isWritable,
+    ]);
+  const base = [proposal, multisig, market].map((k) => [k.toBase58(), false, true]);
+
+  assert.deepEqual(keys("UpdateFeeBps"), [...base, [protocolConfig.toBase58(), false, false]]);
+  for (const action of ["ResolveMarket", "UpdateDeadline", "ChangeThreshold", undefined]) {
+    assert.deepEqual(keys(action), base);
+  }
+  // Without a protocol config, UpdateFeeBps keeps the three-account form too.
+  const bare = executeProposal({ proposal, multisig, market, action: "UpdateFeeBps" });
+  assert.equal(bare.keys.length, 3);
+});
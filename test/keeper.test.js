@@ -0,0 +1,163 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair, SystemProgram } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { DISPUTE_WINDOW_SECONDS, MULTISIG_PROPOSAL_EXPIRY_SECONDS } from "../src/constants.js";
+import { ProgramErrors } from "../src/errors.js";
+import { MarketKeeper, ProposalKeeper } from "../src/keeper.js";
+import { PrecogSimulator } from "../src/simulator.js";
+
+const SOL = 1_000_000_000;
+
+/** A simulator with a protocol and a funded admin, crank and bettor. */
+async function setup() {
+  const sim = new PrecogSimulator();
+  const client = new PrecogMarketsClient(sim.connection, { fetch: sim.connection.fetch });
+  const admin = Keypair.generate();
+  const crank = Keypair.generate();
+  const bettors = [Keypair.generate(), Keypair.generate()];
+  for (const kp of [admin, crank, ...bettors]) sim.airdrop(kp.publicKey, 100 * SOL);
+  await client.initializeProtocol(admin, Keypair.generate().publicKey, 100);
+  return { sim, client, admin, crank, bettors };
+}
+
+/** Collect a keeper's `retry` events. */
+function retries(keeper) {
+  const events = [];
+  keeper.on("retry", (e) => events.push(e));
+  return events;
+}
+
+test("MarketKeeper keeps the fee level when the program rejects on-chain", async () => {
+  const { sim, client, admin, crank, bettors } = await setup();
+  const { market } = await client.createSolMarket({
+    payer: admin,
+    title: "Keeper",
+    description: "",
+    outcomeLabels: ["Yes", "No"],
+    resolutionDeadline: sim.now + 60n,
+  });
+  for (const [i, bettor] of bettors.entries()) {
+    await client.placeSolBet({ bettor, market, outcomeIndex: i, amount: BigInt(SOL) });
+  }
+  sim.warp(60);
+  await client.resolveMarket(admin, market, 0);
+
+  // The keeper's clock runs past the dispute window; the cluster's doesn't.
+  let clock = sim.now + BigInt(DISPUTE_WINDOW_SECONDS);
+  const keeper = new MarketKeeper(client, { payer: crank, now: () => clock });
+  const failed = retries(keeper);
+  await keeper.scan();
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    // Preflight passes (as it can when the RPC's clock differs); the send fails on-chain
+    sim.connection.queueSimulation({});
+    await keeper.tick();
+    assert.equal(failed.length, attempt);
+    const { error, priorityLevel, retryAt } = failed.at(-1);
+    assert.ok(error instanceof ProgramErrors.DisputePeriodNotExpired);
+    assert.equal(error.instructionName, "finalizeMarket");
+    assert.equal(priorityLevel, "Medium");
+    assert.equal(retryAt, clock + 5n * 2n ** BigInt(attempt - 1));
+    clock = retryAt;
+  }
+
+  sim.warp(DISPUTE_WINDOW_SECONDS);
+  const finalized = [];
+  keeper.on("finalized", (e) => finalized.push(e));
+  await keeper.tick();
+  assert.equal(finalized.length, 1);
+  assert.equal(finalized[0].priorityLevel, "Medium");
+  assert.equal((await client.fetchMarket(market)).statusName, "Finalized");
+});
+
+test("MarketKeeper isolates a market the program keeps rejecting from its batch", async () => {
+  const { sim, client, admin, crank, bettors } = await setup();
+  const markets = [];
+  for (let i = 0; i < 3; i++) {
+    const { market } = await client.createSolMarket({
+      payer: admin,
+      title: `Keeper ${i}`,
+      description: "",
+      outcomeLabels: ["Yes", "No"],
+      resolutionDeadline: sim.now + 60n,
+    });
+    for (const [j, bettor] of bettors.entries()) {
+      await client.placeSolBet({ bettor, market, outcomeIndex: j, amount: BigInt(SOL) });
+    }
+    markets.push(market);
+  }
+  sim.warp(60);
+  await client.resolveMarket(admin, markets[0], 0);
+  await client.resolveMarket(admin, markets[1], 0);
+  sim.warp(DISPUTE_WINDOW_SECONDS);
+  // Still in its dispute window on the cluster, whose clock never moves again.
+  const [stuck] = markets.slice(2);
+  await client.resolveMarket(admin, stuck, 0);
+
+  let clock = sim.now + BigInt(DISPUTE_WINDOW_SECONDS);
+  const keeper = new MarketKeeper(client, { payer: crank, now: () => clock });
+  const failed = retries(keeper);
+  const finalized = [];
+  keeper.on("finalized", (e) => finalized.push(...e.markets));
+  await keeper.scan();
+
+  await keeper.tick();
+  assert.deepEqual(finalized.map(String).sort(), markets.slice(0, 2).map(String).sort());
+  assert.deepEqual(failed.map((e) => e.addresses.map(String)), [[stuck.toBase58()]]);
+
+  const delays = [];
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const { error, retryAt } = failed.at(-1);
+    assert.ok(error instanceof ProgramErrors.DisputePeriodNotExpired);
+    delays.push(retryAt - clock);
+    clock = retryAt;
+    await keeper.tick();
+  }
+  // The rejected batch counts as the first attempt.
+  assert.deepEqual(delays, [10n, 20n, 40n]);
+  assert.equal(finalized.length, 2);
+  assert.equal((await client.fetchMarket(stuck)).statusName, "Resolved");
+});
+
+test("ProposalKeeper backs off on on-chain program errors", async () => {
+  const { sim, client, admin, crank, bettors } = await setup();
+  const [alice] = bettors;
+  const { multisig } = await client.createMultisig(admin, 0n, 2, [
+    admin.publicKey,
+    alice.publicKey,
+  ]);
+  const { proposal } = await client.createProposal({
+    proposer: admin,
+    multisig,
+    market: SystemProgram.programId,
+    action: { type: "ChangeThreshold", fields: { newThreshold: 1 } },
+  });
+  await client.approveProposal(alice, proposal, multisig);
+
+  // The cluster is past the proposal's expiry; the keeper's clock lags behind it.
+  sim.warp(MULTISIG_PROPOSAL_EXPIRY_SECONDS + 1);
+  let clock = sim.now - 86_400n;
+  const keeper = new ProposalKeeper(client, {
+    payer: crank,
+    multisigs: [multisig],
+    now: () => clock,
+  });
+  const failed = retries(keeper);
+  await keeper.scan();
+
+  const delays = [];
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    sim.connection.queueSimulation({});
+    await keeper.tick();
+    const { error, priorityLevel, retryAt } = failed.at(-1);
+    assert.ok(error instanceof ProgramErrors.ProposalExpired);
+    assert.equal(priorityLevel, "Medium");
+    delays.push(retryAt - clock);
+    clock = retryAt;
+  }
+  assert.deepEqual(delays, [5n, 10n, 20n]);
+  assert.equal(keeper.metrics.failedTransactions, 3);
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DISPUTE_WINDOW_SECONDS, MarketStatus } from "../src/constants.js";
+import { marketFixture } from "../src/fixtures.js";
+import { MarketPhase, getMarketPhase, isActionAvailable } from "../src/lifecycle.js";
+
+const deadline = 1_700_000_000n;
+// One fixture throughout: its deadline would otherwise follow the wall clock.
+const base = marketFixture({ resolutionDeadline: deadline });
+/** A two-sided market with the stakes `resolveMarket` needs. */
+const betted = { ...base, outcomePools: [5n, 3n], totalPool: 8n, totalPositions: 2n };
+
+/** `[instruction, by, proposalAction]` for each valid action. */
+const actions = (info) => info.actions.map((a) => [a.instruction, a.by, a.proposalAction]);
+
+test("an Open market counts down to its deadline, then awaits resolution", () => {
+  const open = getMarketPhase(betted, deadline - 60n);
+  assert.equal(open.phase, MarketPhase.Open);
+  assert.equal(open.governance, "authority");
+  assert.equal(open.nextPhase, MarketPhase.AwaitingResolution);
+  assert.equal(open.transitionAt, deadline);
+  assert.equal(open.secondsUntilTransition, 60n);
+  assert.deepEqual(actions(open), [
+    ["voidMarket", "authority", null],
+    ["placeBet", "anyone", null],
+  ]);
+
+  const due = getMarketPhase(betted, deadline);
+  assert.equal(due.phase, MarketPhase.AwaitingResolution);
+  assert.equal(due.nextPhase, null);
+  assert.equal(due.secondsUntilTransition, null);
+  assert.deepEqual(actions(due), [
+    ["resolveMarket", "authority", null],
+    ["voidMarket", "authority", null],
+  ]);
+  // Without two positions the only way out is to void.
+  assert.equal(isActionAvailable(getMarketPhase(base, deadline), "resolveMarket"), false);
+  assert.equal(isActionAvailable(getMarketPhase(base, deadline), "voidMarket"), true);
+});
+
+test("a Resolved market is disputable until the window closes, then finalizable", () => {
+  const resolvedAt = deadline + 100n;
+  const market = { ...betted, status: MarketStatus.Resolved, resolvedAt };
+  const finalizesAt = resolvedAt + BigInt(DISPUTE_WINDOW_SECONDS);
+
+  const dispute = getMarketPhase(market, finalizesAt - 1n);
+  assert.equal(dispute.phase, MarketPhase.InDispute);
+  assert.equal(dispute.nextPhase, MarketPhase.Finalizable);
+  assert.equal(dispute.transitionAt, finalizesAt);
+  assert.equal(dispute.secondsUntilTransition, 1n);
+  assert.deepEqual(actions(dispute), [
+    ["disputeResolve", "authority", null],
+    ["voidMarket", "authority", null],
+  ]);
+
+  const finalizable = getMarketPhase(market, finalizesAt);
+  assert.equal(finalizable.phase, MarketPhase.Finalizable);
+  assert.deepEqual(actions(finalizable), [["finalizeMarket", "anyone", null]]);
+});
+
+test("multisig markets act through proposals", () => {
+  const market = { ...betted, authorityIsMultisig: true };
+  const open = getMarketPhase(market, deadline - 1n);
+  assert.equal(open.governance, "multisig");
+  assert.deepEqual(actions(open), [
+    ["createProposal", "multisig", "VoidMarket"],
+    ["createProposal", "multisig", "UpdateDeadline"],
+    ["createProposal", "multisig", "UpdateFeeBps"],
+    ["placeBet", "anyone", null],
+  ]);
+  assert.equal(isActionAvailable(open, "UpdateDeadline"), true);
+  assert.equal(isActionAvailable(open, "resolveMarket"), false);
+
+  const due = getMarketPhase(market, deadline);
+  assert.equal(isActionAvailable(due, "ResolveMarket"), true);
+
+  // disputeResolve has no proposal form.
+  const resolved = { ...market, status: MarketStatus.Resolved, resolvedAt: deadline };
+  assert.deepEqual(actions(getMarketPhase(resolved, deadline)), [
+    ["createProposal", "multisig", "VoidMarket"],
+  ]);
+});
+
+test("settled markets leave only claims", () => {
+  const finalized = getMarketPhase({ ...base, status: MarketStatus.Finalized }, deadline);
+  assert.equal(finalized.phase, MarketPhase.Finalized);
+  assert.deepEqual(actions(finalized), [["claimWinnings", "positionOwners", null]]);
+  const voided = getMarketPhase({ ...base, status: MarketStatus.Voided }, deadline);
+  assert.equal(voided.phase, MarketPhase.Voided);
+  assert.deepEqual(actions(voided), [["claimRefund", "positionOwners", null]]);
+  assert.throws(() => getMarketPhase({ ...base, status: 9 }, deadline), RangeError);
+});
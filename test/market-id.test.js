@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { encodeMarket } from "../src/accounts.js";
+import { accountInfoFixture, marketFixture } from "../src/fixtures.js";
+import { MockConnection } from "../src/mock.js";
+import { PrecogSimulator } from "../src/simulator.js";
+
+const SOL = 1_000_000_000;
+
+test("nextMarketId skips past every layout's ids and markets the scan missed", async () => {
+  const mock = new MockConnection();
+  const client = new PrecogMarketsClient(mock);
+  const authority = Keypair.generate().publicKey;
+  const store = (market) =>
+    mock.setAccount(Keypair.generate().publicKey, accountInfoFixture(encodeMarket(market)));
+  store(marketFixture({ authority, marketId: 3n }));
+  store(marketFixture({ authority, marketId: 5n, layoutVersion: 1 }));
+  store(marketFixture({ authority: Keypair.generate().publicKey, marketId: 9n }));
+
+  assert.equal(await client.nextMarketId(authority), 6n);
+  assert.equal(await client.nextMarketId(authority, { after: 10n }), 11n);
+  assert.equal(await client.nextMarketId(Keypair.generate().publicKey), 0n);
+
+  // Already at the address, but not yet in the RPC's program account scan.
+  const [taken] = await client.findMarket(authority, 6n);
+  mock.setAccount(taken, accountInfoFixture(Buffer.alloc(0)));
+  assert.equal(await client.nextMarketId(authority), 7n);
+});
+
+test("createSolMarket retries with the next id when a concurrent creator takes it", async () => {
+  const sim = new PrecogSimulator();
+  const client = new PrecogMarketsClient(sim.connection, { fetch: sim.connection.fetch });
+  const admin = Keypair.generate();
+  sim.airdrop(admin.publicKey, 100 * SOL);
+  await client.initializeProtocol(admin, Keypair.generate().publicKey, 100);
+  const params = {
+    payer: admin,
+    title: "Allocated",
+    description: "",
+    outcomeLabels: ["Yes", "No"],
+    resolutionDeadline: sim.now + 60n,
+  };
+  const first = await client.createSolMarket(params);
+  assert.equal(first.marketId, 0n);
+
+  // A stale RPC: the scan and the first probe both miss market 0.
+  const [raced] = await client.findMarket(admin.publicKey, 0n);
+  const getAccountInfo = sim.connection.getAccountInfo.bind(sim.connection);
+  let stale = true;
+  sim.connection.getProgramAccounts = async () => [];
+  sim.connection.getAccountInfo = async (address, ...rest) => {
+    if (stale && address.equals(raced)) {
+      stale = false;
+      return null;
+    }
+    return getAccountInfo(address, ...rest);
+  };
+  const second = await client.createSolMarket(params);
+  assert.equal(second.marketId, 1n);
+  assert.equal(stale, false);
+});
@@ -0,0 +1,139 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { MarketStatus, TokenDenomination } from "../src/constants.js";
+import { encodeMarket } from "../src/accounts.js";
+import { accountInfoFixture, marketFixture } from "../src/fixtures.js";
+import { MockConnection } from "../src/mock.js";
+
+const authority = Keypair.generate().publicKey;
+const otherAuthority = Keypair.generate().publicKey;
+const mint = Keypair.generate().publicKey;
+
+/** Five markets covering every field filter; `legacy` uses the v1 layout. */
+function setup() {
+  const mock = new MockConnection();
+  const markets = {
+    open: marketFixture({ authority }),
+    resolved: marketFixture({ authority, status: MarketStatus.Resolved }),
+    token: marketFixture({
+      authority,
+      denomination: TokenDenomination.SplToken,
+      tokenMint: mint,
+    }),
+    multisig: marketFixture({ authority: otherAuthority, authorityIsMultisig: true }),
+    legacy: marketFixture({ authority, layoutVersion: 1 }),
+  };
+  const addresses = {};
+  for (const [name, market] of Object.entries(markets)) {
+    addresses[name] = Keypair.generate().publicKey;
+    mock.setAccount(addresses[name], accountInfoFixture(encodeMarket(market)));
+  }
+  const client = new PrecogMarketsClient(mock);
+  /** Names of the markets in a result, sorted. */
+  const names = (results) =>
+    results
+      .map(({ pubkey }) => Object.keys(addresses).find((n) => addresses[n].equals(pubkey)))
+      .sort();
+  return { mock, client, names };
+}
+
+/** Records every filter list `getProgramAccounts` receives. */
+function recordFilters(mock) {
+  const seen = [];
+  const gpa = mock.getProgramAccounts.bind(mock);
+  mock.getProgramAccounts = (programId, config) => {
+    seen.push(config.filters);
+    return gpa(programId, config);
+  };
+  return seen;
+}
+
+test("zero-valued field filters match", async () => {
+  const { client, names } = setup();
+  assert.deepEqual(names(await client.getAllMarkets({ status: MarketStatus.Open })), [
+    "legacy",
+    "multisig",
+    "open",
+    "token",
+  ]);
+  assert.deepEqual(
+    names(await client.getAllMarkets({ denomination: TokenDenomination.NativeSol })),
+    ["legacy", "multisig", "open", "resolved"]
+  );
+  assert.deepEqual(names(await client.getAllMarkets({ authorityIsMultisig: false })), [
+    "legacy",
+    "open",
+    "resolved",
+    "token",
+  ]);
+});
+
+test("creator, status and denomination stay under the filter limit", async () => {
+  const { mock, client, names } = setup();
+  const seen = recordFilters(mock);
+  const results = await client.getAllMarkets({
+    creator: authority,
+    status: MarketStatus.Open,
+    denomination: TokenDenomination.NativeSol,
+  });
+  // creator only exists in v2, so the legacy market can't match
+  assert.deepEqual(names(results), ["open"]);
+  assert.ok(seen.length > 0 && seen.every((filters) => filters.length <= 4));
+});
+
+test("four field filters stay under the limit and all apply", async () => {
+  const { mock, client, names } = setup();
+  const seen = recordFilters(mock);
+  const results = await client.getAllMarkets({
+    authority,
+    status: MarketStatus.Open,
+    denomination: TokenDenomination.NativeSol,
+    authorityIsMultisig: false,
+  });
+  assert.deepEqual(names(results), ["legacy", "open"]);
+  assert.ok(seen.every((filters) => filters.length <= 4));
+});
+
+test("every field filter at once", async () => {
+  const { client, names } = setup();
+  const results = await client.getAllMarkets({
+    authority,
+    creator: authority,
+    tokenMint: mint,
+    status: MarketStatus.Open,
+    denomination: TokenDenomination.SplToken,
+    authorityIsMultisig: false,
+  });
+  assert.deepEqual(names(results), ["token"]);
+});
+
+test("getMarketSummaries applies field filters past the dataSize pin", async () => {
+  const { mock, client, names } = setup();
+  const seen = recordFilters(mock);
+  const results = await client.getMarketSummaries({
+    authority,
+    status: MarketStatus.Open,
+    denomination: TokenDenomination.NativeSol,
+    authorityIsMultisig: false,
+  });
+  assert.deepEqual(names(results), ["legacy", "open"]);
+  assert.ok(seen.length === 2 && seen.every((filters) => filters.length <= 4));
+  for (const { account } of results) {
+    assert.equal(account.title, "Test market");
+    assert.equal("description" in account, false);
+  }
+});
+
+test("getMarketSummaries with creator, status and denomination", async () => {
+  const { client, names } = setup();
+  const results = await client.getMarketSummaries({
+    creator: authority,
+    status: MarketStatus.Open,
+    denomination: TokenDenomination.NativeSol,
+  });
+  assert.deepEqual(names(results), ["open"]);
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ComputeBudgetProgram, Keypair, SystemProgram } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { ProgramErrors } from "../src/errors.js";
+import * as ix from "../src/instructions.js";
+import { accountInfoFixture } from "../src/fixtures.js";
+import { MockConnection, matchesFilter } from "../src/mock.js";
+import { bs58Encode } from "../src/serialization.js";
+
+const key = () => Keypair.generate().publicKey;
+const memcmp = (offset, bytes) => ({ memcmp: { offset, bytes: bs58Encode(bytes) } });
+
+test("matchesFilter evaluates filters like the RPC", () => {
+  const data = Buffer.from([1, 2, 3, 4]);
+  assert.equal(matchesFilter(data, { dataSize: 4 }), true);
+  assert.equal(matchesFilter(data, { dataSize: 5 }), false);
+  assert.equal(matchesFilter(data, memcmp(1, [2, 3])), true);
+  assert.equal(matchesFilter(data, memcmp(1, [2, 4])), false);
+  // Running past the end of the data never matches
+  assert.equal(matchesFilter(data, memcmp(3, [4, 0])), false);
+  assert.equal(
+    matchesFilter(data, {
+      memcmp: { offset: 2, bytes: Buffer.from([3, 4]).toString("base64"), encoding: "base64" },
+    }),
+    true
+  );
+  assert.throws(
+    () => matchesFilter(Buffer.alloc(200), memcmp(0, Buffer.alloc(129, 1))),
+    /exceeds 128/
+  );
+});
+
+test("getProgramAccounts enforces owner, filters and the filter limit", async () => {
+  const mock = new MockConnection({ slot: 7 });
+  const programId = key();
+  const a = key();
+  const b = key();
+  mock.setAccount(a, accountInfoFixture(Buffer.from([9, 1, 1]), { owner: programId }));
+  mock.setAccount(b, accountInfoFixture(Buffer.from([9, 2]), { owner: programId }));
+  mock.setAccount(key(), accountInfoFixture(Buffer.from([9, 1, 1]), { owner: key() }));
+
+  const all = await mock.getProgramAccounts(programId);
+  assert.equal(all.length, 2);
+  const [only] = await mock.getProgramAccounts(programId, {
+    filters: [{ dataSize: 3 }, memcmp(0, [9])],
+  });
+  assert.ok(only.pubkey.equals(a));
+
+  const sliced = await mock.getProgramAccounts(programId, {
+    filters: [memcmp(1, [1])],
+    dataSlice: { offset: 1, length: 1 },
+    withContext: true,
+  });
+  assert.equal(sliced.context.slot, 7);
+  assert.deepEqual([...sliced.value[0].account.data], [1]);
+
+  // Results are copies
+  only.account.data[0] = 0;
+  assert.equal(mock.accounts.get(a.toBase58()).data[0], 9);
+
+  const five = [{ dataSize: 3 }, ...[0, 1, 2, 0].map((o) => memcmp(o, [9]))];
+  await assert.rejects(mock.getProgramAccounts(programId, { filters: five }), /max 4/);
+});
+
+test("scripted simulations drive compute-unit estimates and program errors", async () => {
+  const mock = new MockConnection();
+  const client = new PrecogMarketsClient(mock, { fetch: mock.fetch });
+  const payer = key();
+  const transfer = SystemProgram.transfer({ fromPubkey: payer, toPubkey: key(), lamports: 1 });
+
+  mock.queueSimulation({ unitsConsumed: 1_000 });
+  const { estimatedUnits } = await client.estimateComputeUnits([transfer], payer);
+  assert.equal(estimatedUnits, 1_100);
+
+  const finalize = ix.finalizeMarket({ market: key() });
+  const code = ProgramErrors.MarketNotResolved.code;
+  mock.queueSimulation({ err: { InstructionError: [0, { Custom: code }] } });
+  await assert.rejects(client.estimateComputeUnits([finalize], payer), (err) => {
+    assert.ok(err instanceof ProgramErrors.MarketNotResolved);
+    assert.equal(err.instructionName, "finalizeMarket");
+    return true;
+  });
+  assert.equal(mock.simulated.length, 2);
+
+  // Queue drained: back to the default successful simulation
+  const { estimatedUnits: fallback } = await client.estimateComputeUnits([transfer], payer);
+  assert.equal(fallback, Math.ceil(200_000 * 1.1));
+});
+
+test("serves scripted Helius priority fees and records the requests", async () => {
+  const mock = new MockConnection();
+  const client = new PrecogMarketsClient(mock, { fetch: mock.fetch });
+  const payer = Keypair.generate();
+  const transfer = SystemProgram.transfer({
+    fromPubkey: payer.publicKey,
+    toPubkey: key(),
+    lamports: 1,
+  });
+
+  mock.queuePriorityFee(1_234.2);
+  const { priorityFee } = await client.estimatePriorityFee([transfer], payer.publicKey, {
+    priorityLevel: "High",
+  });
+  assert.equal(priorityFee, 1_235);
+  assert.equal(mock.priorityFeeRequests[0].priorityLevel, "High");
+
+  mock.queuePriorityFee({ error: { code: -32_000, message: "busy" } });
+  await assert.rejects(client.estimatePriorityFee([transfer], payer.publicKey), /busy/);
+
+  mock.queuePriorityFee(50);
+  const { signature } = await client.sendSmartTransaction([transfer], [payer]);
+  const [sent] = mock.sent;
+  assert.equal(sent.signature, signature);
+  assert.equal(sent.options.skipPreflight, true);
+  const programs = sent.transaction.message.compiledInstructions.map(
+    (i) => sent.transaction.message.staticAccountKeys[i.programIdIndex]
+  );
+  assert.ok(programs[0].equals(ComputeBudgetProgram.programId));
+  assert.ok(programs[2].equals(SystemProgram.programId));
+  assert.deepEqual(await mock.confirmTransaction(signature), {
+    context: { slot: 1 },
+    value: { err: null },
+  });
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { DISPUTE_WINDOW_SECONDS } from "../src/constants.js";
+import { toUiAmount } from "../src/portfolio.js";
+import { PrecogSimulator } from "../src/simulator.js";
+
+const SOL = 1_000_000_000;
+
+/** A portfolio's positions ordered by outcome. */
+const byOutcome = ({ positions }) =>
+  [...positions].sort((a, b) => a.outcomeIndex - b.outcomeIndex);
+
+test("getPortfolio values a claimable position at what the claim pays", async () => {
+  const sim = new PrecogSimulator({ lamportsPerSignature: 0 });
+  const client = new PrecogMarketsClient(sim.connection);
+  const admin = Keypair.generate();
+  const treasury = Keypair.generate().publicKey;
+  const [bettor, other] = [Keypair.generate(), Keypair.generate()];
+  for (const kp of [admin, bettor, other]) sim.airdrop(kp.publicKey, 100 * SOL);
+  sim.airdrop(treasury, SOL);
+
+  await client.initializeProtocol(admin, treasury, 100);
+  const { market } = await client.createSolMarket({
+    payer: admin,
+    title: "Portfolio",
+    description: "",
+    outcomeLabels: ["Yes", "No"],
+    resolutionDeadline: sim.now + 3600n,
+    feeBpsOverride: 300,
+  });
+  await client.placeSolBet({ bettor, market, outcomeIndex: 0, amount: 1_500_000_003n });
+  await client.placeSolBet({ bettor, market, outcomeIndex: 1, amount: 500_000_000n });
+  await client.placeSolBet({ bettor: other, market, outcomeIndex: 1, amount: 2_700_000_001n });
+  // Existing markets keep their fee split
+  await client.updateProtocolConfig(admin, { newDefaultFeeBps: 20 });
+
+  sim.warp(3600);
+  await client.resolveMarket(admin, market, 0);
+  const waiting = await client.getPortfolio(bettor.publicKey, { now: sim.now });
+  assert.deepEqual(
+    byOutcome(waiting).map((p) => [p.outcomeLabel, p.state, p.secondsUntilFinalization]),
+    [
+      ["Yes", "awaitingFinalization", BigInt(DISPUTE_WINDOW_SECONDS)],
+      ["No", "awaitingFinalization", BigInt(DISPUTE_WINDOW_SECONDS)],
+    ]
+  );
+
+  sim.warp(DISPUTE_WINDOW_SECONDS);
+  await client.finalizeMarket(admin, market);
+  const portfolio = await client.getPortfolio(bettor.publicKey, { now: sim.now });
+  const [won, lost] = byOutcome(portfolio);
+  assert.equal(won.state, "claimable");
+  assert.equal(lost.state, "lost");
+  assert.equal(lost.realizedPnl, -500_000_000n);
+  const [group] = portfolio.groups;
+  assert.equal(group.totals.claimable, won.currentValue);
+  assert.equal(group.ui.claimable, toUiAmount(won.currentValue, 9));
+
+  const before = BigInt(sim.getBalance(bettor.publicKey));
+  await client.claimSolWinnings({
+    claimant: bettor,
+    market,
+    position: won.position,
+    treasury,
+    creator: admin.publicKey,
+  });
+  assert.equal(BigInt(sim.getBalance(bettor.publicKey)) - before, won.currentValue);
+
+  const after = await client.getPortfolio(bettor.publicKey, { now: sim.now });
+  const [claimed] = byOutcome(after);
+  assert.equal(claimed.state, "claimed");
+  assert.equal(claimed.realizedPnl, won.currentValue - won.stake);
+});
+
+test("toUiAmount formats exact decimal strings", () => {
+  assert.equal(toUiAmount(1_500_000_000n, 9), "1.5");
+  assert.equal(toUiAmount(-25n, 2), "-0.25");
+  assert.equal(toUiAmount(7n, 0), "7");
+  assert.equal(toUiAmount(0n, 6), "0");
+});
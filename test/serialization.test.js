@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bs58Encode, bs58Decode } from "../src/serialization.js";
+
+test("bs58Encode maps each leading zero byte to one '1'", () => {
+  // A zero-valued one-byte memcmp (Open status, SOL, false) must encode as "1".
+  assert.equal(bs58Encode([0]), "1");
+  assert.equal(bs58Encode([0, 0, 0]), "111");
+  assert.equal(bs58Encode(Buffer.alloc(32)), "1".repeat(32));
+  assert.equal(bs58Encode([]), "");
+});
+
+test("bs58Encode matches known vectors", () => {
+  assert.equal(bs58Encode([1]), "2");
+  assert.equal(bs58Encode([0, 1]), "12");
+  assert.equal(bs58Encode(Buffer.from("hello world")), "StV1DL6CwTryKyV");
+});
+
+test("bs58Decode inverts bs58Encode, zeros included", () => {
+  for (const bytes of [[0], [0, 0], [0, 0, 7], [255, 0, 1], [...Buffer.alloc(32)]]) {
+    assert.deepEqual([...bs58Decode(bs58Encode(bytes))], bytes);
+  }
+});
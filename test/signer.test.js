@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair, PublicKey, SystemProgram, Transaction } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { PrecogSimulator } from "../src/simulator.js";
+import { isWalletSigner, signTransactions } from "../src/signer.js";
+
+const SOL = 1_000_000_000;
+
+/**
+ * A wallet adapter backed by a keypair. `calls` records each request as
+ * "one" or "all:<count>".
+ */
+function wallet(keypair, { batch = true } = {}) {
+  const calls = [];
+  const signer = {
+    publicKey: keypair.publicKey,
+    calls,
+    async signTransaction(tx) {
+      calls.push("one");
+      tx.partialSign(keypair);
+      return tx;
+    },
+  };
+  if (batch) {
+    signer.signAllTransactions = async (txs) => {
+      calls.push(`all:${txs.length}`);
+      for (const tx of txs) tx.partialSign(keypair);
+      return txs;
+    };
+  }
+  return signer;
+}
+
+/** A transfer from `from` with `feePayer` paying, ready to sign. */
+function transfer(feePayer, from) {
+  const tx = new Transaction().add(
+    SystemProgram.transfer({ fromPubkey: from, toPubkey: PublicKey.default, lamports: 1 })
+  );
+  tx.feePayer = feePayer;
+  tx.recentBlockhash = Keypair.generate().publicKey.toBase58();
+  return tx;
+}
+
+test("isWalletSigner tells wallets from keypairs and keys", () => {
+  const keypair = Keypair.generate();
+  assert.equal(isWalletSigner(wallet(keypair)), true);
+  assert.equal(isWalletSigner(keypair), false);
+  assert.equal(isWalletSigner(keypair.publicKey), false);
+  assert.equal(isWalletSigner(null), false);
+});
+
+test("signTransactions mixes a wallet and keypairs, asking the wallet once", async () => {
+  const payer = wallet(Keypair.generate());
+  const owner = Keypair.generate();
+  const stranger = Keypair.generate();
+  const txs = [1, 2].map(() => transfer(payer.publicKey, owner.publicKey));
+
+  const signed = await signTransactions(txs, [payer, owner, owner, stranger]);
+  assert.deepEqual(payer.calls, ["all:2"]);
+  for (const tx of signed) {
+    assert.equal(tx.verifySignatures(), true);
+    // Keys the message doesn't ask for are skipped.
+    assert.equal(tx.signatures.length, 2);
+  }
+});
+
+test("signTransactions falls back to signTransaction per transaction", async () => {
+  const payer = wallet(Keypair.generate(), { batch: false });
+  const txs = [1, 2].map(() => transfer(payer.publicKey, payer.publicKey));
+  const signed = await signTransactions(txs, [payer]);
+  assert.deepEqual(payer.calls, ["one", "one"]);
+  assert.ok(signed.every((tx) => tx.verifySignatures()));
+});
+
+test("createSolMarket signs with a wallet payer and a keypair authority", async () => {
+  const sim = new PrecogSimulator();
+  const client = new PrecogMarketsClient(sim.connection, { fetch: sim.connection.fetch });
+  const admin = Keypair.generate();
+  const payerKeypair = Keypair.generate();
+  const authority = Keypair.generate();
+  for (const kp of [admin, payerKeypair]) sim.airdrop(kp.publicKey, 100 * SOL);
+  await client.initializeProtocol(admin, Keypair.generate().publicKey, 100);
+
+  const payer = wallet(payerKeypair);
+  const before = sim.getBalance(payerKeypair.publicKey);
+  const { market } = await client.createSolMarket({
+    payer,
+    authority,
+    marketId: 0n,
+    title: "Wallet",
+    description: "",
+    outcomeLabels: ["Yes", "No"],
+    resolutionDeadline: sim.now + 60n,
+  });
+
+  assert.equal(payer.calls.length, 1);
+  const account = await client.fetchMarket(market);
+  assert.ok(account.authority.equals(authority.publicKey));
+  assert.ok(sim.getBalance(payerKeypair.publicKey) < before);
+  assert.equal(sim.getBalance(authority.publicKey), 0);
+});
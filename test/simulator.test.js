@@ -0,0 +1,194 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair, SystemProgram } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import {
+  DISPUTE_WINDOW_SECONDS,
+  MULTISIG_PROPOSAL_EXPIRY_SECONDS,
+  MarketStatus,
+} from "../src/constants.js";
+import { PrecogProgramError, ProgramErrors } from "../src/errors.js";
+import * as ix from "../src/instructions.js";
+import { PrecogSimulator } from "../src/simulator.js";
+
+const SOL = 1_000_000_000;
+
+/** A protocol, one funded admin and two funded bettors on a fresh simulator. */
+async function setup() {
+  const sim = new PrecogSimulator();
+  const client = new PrecogMarketsClient(sim.connection);
+  const admin = Keypair.generate();
+  const treasury = Keypair.generate().publicKey;
+  const alice = Keypair.generate();
+  const bob = Keypair.generate();
+  for (const kp of [admin, alice, bob]) sim.airdrop(kp.publicKey, 100 * SOL);
+  await client.initializeProtocol(admin, treasury, 100);
+  return { sim, client, admin, treasury, alice, bob };
+}
+
+/** An Open two-outcome market with a bet on each side, deadline in an hour. */
+async function bettedMarket(ctx) {
+  const { sim, client, admin, alice, bob } = ctx;
+  const { market } = await client.createSolMarket({
+    payer: admin,
+    title: "Sim",
+    description: "",
+    outcomeLabels: ["Yes", "No"],
+    resolutionDeadline: sim.now + 3600n,
+  });
+  await client.placeSolBet({ bettor: alice, market, outcomeIndex: 0, amount: 2n * BigInt(SOL) });
+  await client.placeSolBet({ bettor: bob, market, outcomeIndex: 1, amount: BigInt(SOL) });
+  return market;
+}
+
+/** Await `promise` and check it fails with the program error `name`. */
+async function rejectsWith(promise, name) {
+  await assert.rejects(promise, (err) => {
+    assert.ok(err instanceof PrecogProgramError, `expected a program error, got ${err}`);
+    assert.ok(err instanceof ProgramErrors[name]);
+    assert.equal(err.name, name);
+    return true;
+  });
+}
+
+test("runs the SOL lifecycle and enforces its timing", async () => {
+  const ctx = await setup();
+  const { sim, client, admin, treasury, alice, bob } = ctx;
+  const market = await bettedMarket(ctx);
+  const vault = (await client.findVault(market))[0];
+  assert.ok(sim.getBalance(vault) >= 3 * SOL);
+
+  await rejectsWith(client.resolveMarket(admin, market, 0), "DeadlineNotReached");
+  sim.warp(3600);
+  await rejectsWith(client.resolveMarket(alice, market, 0), "UnauthorizedAuthority");
+  await client.resolveMarket(admin, market, 0);
+  await rejectsWith(
+    client.placeSolBet({ bettor: bob, market, outcomeIndex: 1, amount: 1n, skipValidation: true }),
+    "MarketNotOpen"
+  );
+  await rejectsWith(client.finalizeMarket(admin, market), "DisputePeriodNotExpired");
+
+  sim.warp(DISPUTE_WINDOW_SECONDS);
+  await rejectsWith(client.disputeResolve(admin, market, 1), "DisputePeriodExpired");
+  await client.finalizeMarket(admin, market);
+  assert.equal((await client.fetchMarket(market)).status, MarketStatus.Finalized);
+
+  const [position] = await client.findPosition(market, alice.publicKey, 0);
+  const { creator } = await client.fetchMarket(market);
+  const claim = { claimant: alice, market, position, treasury, creator };
+  await client.claimSolWinnings(claim);
+  assert.equal((await client.fetchUserPosition(position)).claimed, true);
+  await rejectsWith(client.claimSolWinnings(claim), "AlreadyClaimedWinnings");
+
+  const [losing] = await client.findPosition(market, bob.publicKey, 1);
+  await rejectsWith(
+    client.claimSolWinnings({ ...claim, claimant: bob, position: losing }),
+    "NoWinningPosition"
+  );
+  await rejectsWith(
+    client.claimSolRefund({ claimant: bob, market, position: losing }),
+    "RefundNotAvailable"
+  );
+});
+
+test("refunds every stake of a voided market", async () => {
+  const ctx = await setup();
+  const { sim, client, admin, bob } = ctx;
+  const market = await bettedMarket(ctx);
+  await client.voidMarket(admin, market);
+
+  const [position] = await client.findPosition(market, bob.publicKey, 1);
+  const before = sim.getBalance(bob.publicKey);
+  await client.claimSolRefund({ claimant: bob, market, position });
+  assert.equal(sim.getBalance(bob.publicKey) - before, SOL - sim.lamportsPerSignature);
+});
+
+test("rolls back every account a failing transaction touched", async () => {
+  const ctx = await setup();
+  const { sim, client, admin, alice } = ctx;
+  const market = await bettedMarket(ctx);
+  const [vault] = await client.findVault(market);
+  const [position] = await client.findPosition(market, alice.publicKey, 0);
+  const [protocolConfig] = await client.findProtocolConfig();
+  const marketBefore = sim.getAccount(market);
+  const vaultBefore = sim.getBalance(vault);
+
+  const bet = ix.placeBet(
+    { market, vault, position, bettor: alice.publicKey, protocolConfig },
+    { outcomeIndex: 0, amount: 5n * BigInt(SOL) },
+    sim.programId
+  );
+  const resolve = ix.resolveMarket(
+    { market, authority: admin.publicKey },
+    { winningOutcome: 0 },
+    sim.programId
+  );
+  await rejectsWith(
+    sim.processInstructions([bet, resolve], { signers: [alice, admin] }),
+    "DeadlineNotReached"
+  );
+  assert.ok(sim.getAccount(market).data.equals(marketBefore.data));
+  assert.equal(sim.getBalance(vault), vaultBefore);
+});
+
+test("records skipPreflight failures and still charges the fee", async () => {
+  const ctx = await setup();
+  const { sim, client, admin } = ctx;
+  const market = await bettedMarket(ctx);
+  const before = sim.getBalance(admin.publicKey);
+
+  const tx = await client.build.resolveMarket(admin.publicKey, market, 0);
+  tx.transaction.sign(admin);
+  const signature = await sim.connection.sendRawTransaction(tx.transaction.serialize(), {
+    skipPreflight: true,
+  });
+  const {
+    value: [status],
+  } = await sim.connection.getSignatureStatuses([signature]);
+  assert.deepEqual(status.err, {
+    InstructionError: [0, { Custom: ProgramErrors.DeadlineNotReached.code }],
+  });
+  assert.equal(before - sim.getBalance(admin.publicKey), sim.lamportsPerSignature);
+  assert.notEqual(sim.transactions.at(-1).err, null);
+});
+
+test("executes signer-set proposals at threshold, and not after expiry", async () => {
+  const { sim, client, admin, alice, bob } = await setup();
+  const { multisig } = await client.createMultisig(admin, 0n, 2, [
+    admin.publicKey,
+    alice.publicKey,
+    bob.publicKey,
+  ]);
+  const propose = (newThreshold) =>
+    client.createProposal({
+      proposer: admin,
+      multisig,
+      market: SystemProgram.programId,
+      action: { type: "ChangeThreshold", fields: { newThreshold } },
+    });
+
+  const { proposal } = await propose(3);
+  await rejectsWith(
+    client.executeProposal(admin, proposal, multisig, SystemProgram.programId),
+    "InsufficientMultisigSignatures"
+  );
+  await rejectsWith(client.approveProposal(admin, proposal, multisig), "AlreadyApprovedProposal");
+  await client.approveProposal(alice, proposal, multisig);
+  await client.executeProposal(admin, proposal, multisig, SystemProgram.programId);
+  assert.equal((await client.fetchMultisigAuthority(multisig)).threshold, 3);
+  await rejectsWith(
+    client.executeProposal(admin, proposal, multisig, SystemProgram.programId),
+    "ProposalAlreadyExecuted"
+  );
+
+  const { proposal: late } = await propose(1);
+  await client.approveProposal(alice, late, multisig);
+  await client.approveProposal(bob, late, multisig);
+  sim.warp(MULTISIG_PROPOSAL_EXPIRY_SECONDS + 1);
+  await rejectsWith(
+    client.executeProposal(admin, late, multisig, SystemProgram.programId),
+    "ProposalExpired"
+  );
+});
@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { MarketStatus } from "../src/constants.js";
+import { encodeMarket } from "../src/accounts.js";
+import { accountInfoFixture, marketFixture } from "../src/fixtures.js";
+import { MockConnection } from "../src/mock.js";
+
+const authority = Keypair.generate().publicKey;
+
+/**
+ * A MockConnection with the websocket calls the subscriptions use.
+ * `notify(address)` pushes the stored account (or a closed one) to every
+ * listener at the current slot.
+ */
+function setup() {
+  const mock = new MockConnection();
+  const listeners = new Map();
+  let nextId = 0;
+  const listen = (cb) => {
+    listeners.set(++nextId, cb);
+    return nextId;
+  };
+  const remove = async (id) => void listeners.delete(id);
+  mock.onAccountChange = (address, cb) =>
+    listen((accountId, info, ctx) => accountId.equals(address) && cb(info, ctx));
+  mock.onProgramAccountChange = (programId, cb) =>
+    listen((accountId, accountInfo, ctx) => cb({ accountId, accountInfo }, ctx));
+  mock.removeAccountChangeListener = remove;
+  mock.removeProgramAccountChangeListener = remove;
+  mock.getAccountInfoAndContext = async (address) => ({
+    context: { slot: mock.slot },
+    value: await mock.getAccountInfo(address),
+  });
+
+  const notify = (address, slot = mock.slot) => {
+    const info = mock.accounts.get(address.toBase58()) ?? { lamports: 0, data: Buffer.alloc(0) };
+    for (const cb of listeners.values()) cb(address, info, { slot });
+  };
+  // One fixture throughout: its deadline follows the wall clock.
+  const base = marketFixture({ authority });
+  /** Store a market at the next slot. */
+  const setMarket = (address, overrides) => {
+    mock.slot++;
+    const data = encodeMarket({ ...base, ...overrides });
+    mock.setAccount(address, accountInfoFixture(data));
+  };
+  const client = new PrecogMarketsClient(mock);
+  return { mock, client, notify, setMarket };
+}
+
+test("subscribeMarkets emits the update that leaves a status filter", async () => {
+  const { mock, client, notify, setMarket } = setup();
+  const market = Keypair.generate().publicKey;
+  setMarket(market, { status: MarketStatus.Open });
+
+  const filters = [];
+  const gpa = mock.getProgramAccounts.bind(mock);
+  mock.getProgramAccounts = (programId, config) => {
+    filters.push(config.filters);
+    return gpa(programId, config);
+  };
+
+  const updates = [];
+  const sub = await client.subscribeMarkets({ authority, status: MarketStatus.Open }, (u) =>
+    updates.push(u)
+  );
+  // Loaded up front for resync, without emitting; `status` isn't sent to the RPC.
+  assert.equal(updates.length, 0);
+  assert.equal(filters.length, 1);
+  assert.equal(filters[0].length, 2);
+
+  setMarket(market, { status: MarketStatus.Resolved });
+  notify(market);
+  setMarket(market, { status: MarketStatus.Finalized });
+  notify(market);
+  await sub.unsubscribe();
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].previous.status, MarketStatus.Open);
+  assert.equal(updates[0].account.status, MarketStatus.Resolved);
+  assert.deepEqual(
+    updates[0].changes.map((c) => c.type === "status" && `${c.previousName}→${c.currentName}`),
+    ["Open→Resolved"]
+  );
+});
+
+test("subscribeMarkets reports markets a resync no longer returns as closed", async () => {
+  const { mock, client, setMarket } = setup();
+  const market = Keypair.generate().publicKey;
+  setMarket(market, {});
+
+  const updates = [];
+  const sub = await client.subscribeMarkets({ authority }, (u) => updates.push(u));
+  mock.deleteAccount(market);
+  mock.slot++;
+  await sub.resync();
+  await sub.resync();
+  await sub.unsubscribe();
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].account, null);
+  assert.equal(updates[0].previous.authority.toBase58(), authority.toBase58());
+  assert.deepEqual(updates[0].changes, []);
+});
+
+test("subscribeMarket reports a closure once and ignores stale updates after it", async () => {
+  const { mock, client, notify, setMarket } = setup();
+  const market = Keypair.generate().publicKey;
+  setMarket(market, {});
+
+  const updates = [];
+  const sub = await client.subscribeMarket(market, (u) => updates.push(u), {
+    resyncIntervalMs: 0,
+  });
+  const before = mock.accounts.get(market.toBase58());
+  mock.deleteAccount(market);
+  mock.slot++;
+  notify(market);
+  notify(market);
+  // A notification from before the closure, delivered late.
+  mock.setAccount(market, before);
+  notify(market, mock.slot - 1);
+  await sub.unsubscribe();
+
+  assert.deepEqual(
+    updates.map((u) => u.account?.statusName ?? null),
+    ["Open", null]
+  );
+  assert.equal(updates[1].previous.statusName, "Open");
+});
+
+test("subscribeMarkets with resync disabled loads nothing unless seeded", async () => {
+  const { mock, client, notify, setMarket } = setup();
+  const market = Keypair.generate().publicKey;
+  setMarket(market, {});
+
+  for (const seed of [false, true]) {
+    const updates = [];
+    const sub = await client.subscribeMarkets({ authority }, (u) => updates.push(u), {
+      resyncIntervalMs: 0,
+      seed,
+    });
+    setMarket(market, { totalPool: BigInt(mock.slot) });
+    notify(market);
+    await sub.unsubscribe();
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].previous !== null, seed);
+  }
+});
@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import { encodeMarket, encodeProtocolConfig } from "../src/accounts.js";
+import {
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  MarketStatus,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TokenDenomination,
+} from "../src/constants.js";
+import { accountInfoFixture, marketFixture, protocolConfigFixture } from "../src/fixtures.js";
+import { MockConnection } from "../src/mock.js";
+import {
+  denominationForTokenProgram,
+  findAssociatedTokenAddress,
+  tokenProgramForDenomination,
+} from "../src/token.js";
+
+/**
+ * A Finalized Token-2022 market on a MockConnection, with a protocol
+ * config whose treasury already has a token account.
+ */
+async function setup() {
+  const mock = new MockConnection();
+  const client = new PrecogMarketsClient(mock);
+  const creator = Keypair.generate().publicKey;
+  const treasury = Keypair.generate().publicKey;
+  const tokenMint = Keypair.generate().publicKey;
+  const market = Keypair.generate().publicKey;
+
+  const [protocolConfig] = await client.findProtocolConfig();
+  mock.setAccount(
+    protocolConfig,
+    accountInfoFixture(encodeProtocolConfig(protocolConfigFixture({ treasury })))
+  );
+  const data = encodeMarket(
+    marketFixture({
+      authority: creator,
+      status: MarketStatus.Finalized,
+      denomination: TokenDenomination.Token2022,
+      tokenMint,
+    })
+  );
+  mock.setAccount(market, accountInfoFixture(data));
+
+  /** The owner's Token-2022 associated token account for the mint. */
+  const ata = async (owner) =>
+    (await findAssociatedTokenAddress(owner, tokenMint, TOKEN_2022_PROGRAM_ID))[0];
+  mock.setAccount(await ata(treasury), accountInfoFixture(Buffer.alloc(165)));
+  return { client, creator, treasury, tokenMint, market, ata };
+}
+
+test("token programs map to denominations and back", () => {
+  assert.ok(tokenProgramForDenomination(TokenDenomination.SplToken).equals(TOKEN_PROGRAM_ID));
+  assert.ok(tokenProgramForDenomination(TokenDenomination.Token2022).equals(TOKEN_2022_PROGRAM_ID));
+  assert.equal(tokenProgramForDenomination(TokenDenomination.NativeSol), null);
+  assert.equal(denominationForTokenProgram(TOKEN_2022_PROGRAM_ID), TokenDenomination.Token2022);
+  assert.equal(denominationForTokenProgram(ASSOCIATED_TOKEN_PROGRAM_ID), null);
+});
+
+test("associated token addresses depend on the token program", async () => {
+  const owner = Keypair.generate().publicKey;
+  const mint = Keypair.generate().publicKey;
+  const [spl] = await findAssociatedTokenAddress(owner, mint);
+  const [t22] = await findAssociatedTokenAddress(owner, mint, TOKEN_2022_PROGRAM_ID);
+  assert.ok(spl.equals((await findAssociatedTokenAddress(owner, mint, TOKEN_PROGRAM_ID))[0]));
+  assert.ok(!spl.equals(t22));
+});
+
+test("claimTokenWinnings derives token accounts and creates only the missing ones", async () => {
+  const { client, creator, treasury, tokenMint, market, ata } = await setup();
+  const claimant = Keypair.generate().publicKey;
+  const position = Keypair.generate().publicKey;
+
+  const { instructions } = await client.build.claimTokenWinnings({ claimant, market, position });
+  const [vaultAuthority] = await client.findVaultAuthority(market);
+  const claim = instructions.at(-1);
+
+  // The treasury's account exists; the claimant's and creator's are created.
+  const created = instructions
+    .slice(0, -1)
+    .map((i) => [i.programId, i.keys[1].pubkey, i.keys[5].pubkey].map(String));
+  assert.deepEqual(created, [
+    [ASSOCIATED_TOKEN_PROGRAM_ID, await ata(claimant), TOKEN_2022_PROGRAM_ID].map(String),
+    [ASSOCIATED_TOKEN_PROGRAM_ID, await ata(creator), TOKEN_2022_PROGRAM_ID].map(String),
+  ]);
+  const keys = claim.keys.map((k) => k.pubkey.toBase58());
+  for (const expected of [
+    await ata(claimant),
+    await ata(treasury),
+    await ata(creator),
+    await ata(vaultAuthority),
+    tokenMint,
+    TOKEN_2022_PROGRAM_ID,
+  ]) {
+    assert.ok(keys.includes(expected.toBase58()), expected.toBase58());
+  }
+
+  const bare = await client.build.claimTokenWinnings({
+    claimant,
+    market,
+    position,
+    createTokenAccounts: false,
+  });
+  assert.equal(bare.instructions.length, 1);
+});
+
+test("placeTokenBet derives the bettor's account without creating it", async () => {
+  const { client, tokenMint, market, ata } = await setup();
+  const bettor = Keypair.generate().publicKey;
+
+  const { instructions } = await client.build.placeTokenBet({
+    bettor,
+    market,
+    outcomeIndex: 0,
+    amount: 10n,
+    skipValidation: true,
+  });
+  assert.equal(instructions.length, 1);
+  const keys = instructions[0].keys.map((k) => k.pubkey.toBase58());
+  const [vaultAuthority] = await client.findVaultAuthority(market);
+  for (const expected of [await ata(bettor), await ata(vaultAuthority), tokenMint]) {
+    assert.ok(keys.includes(expected.toBase58()), expected.toBase58());
+  }
+});
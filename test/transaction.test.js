@@ -0,0 +1,156 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  AddressLookupTableAccount,
+  Keypair,
+  Transaction,
+  VersionedTransaction,
+} from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import {
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  PROGRAM_ID,
+  SYSTEM_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+} from "../src/constants.js";
+import * as ix from "../src/instructions.js";
+import { getMarketLookupTableAddresses } from "../src/lookup.js";
+import {
+  findProtocolConfigAddress,
+  findVaultAddress,
+  findVaultAuthorityAddress,
+} from "../src/pda.js";
+import { PrecogSimulator } from "../src/simulator.js";
+import { findAssociatedTokenAddress } from "../src/token.js";
+import { compileTransaction, getTransactionSize, resolveVersion } from "../src/transaction.js";
+
+const SOL = 1_000_000_000;
+const blockhash = Keypair.generate().publicKey.toBase58();
+
+/** An active lookup table holding `addresses`. */
+function lookupTable(addresses) {
+  return new AddressLookupTableAccount({
+    key: Keypair.generate().publicKey,
+    state: {
+      deactivationSlot: 2n ** 64n - 1n,
+      lastExtendedSlot: 0,
+      lastExtendedSlotStartIndex: 0,
+      authority: undefined,
+      addresses,
+    },
+  });
+}
+
+/** Claim instructions for `count` SOL positions, all on one market. */
+async function claims(count, owner) {
+  const market = Keypair.generate().publicKey;
+  const [vault] = await findVaultAddress(market);
+  const [protocolConfig] = await findProtocolConfigAddress();
+  const treasury = Keypair.generate().publicKey;
+  const creator = Keypair.generate().publicKey;
+  const instructions = Array.from({ length: count }, () =>
+    ix.claimWinnings({
+      market,
+      vault,
+      position: Keypair.generate().publicKey,
+      claimant: owner,
+      protocolConfig,
+      treasury,
+      creator,
+    })
+  );
+  return { instructions, shared: [market, vault, protocolConfig, treasury, creator] };
+}
+
+test("resolveVersion defaults to v0 only when lookup tables are given", () => {
+  assert.equal(resolveVersion(), "legacy");
+  assert.equal(resolveVersion({ lookupTables: [] }), "legacy");
+  assert.equal(resolveVersion({ lookupTables: [lookupTable([])] }), 0);
+  assert.equal(resolveVersion({ version: "legacy", lookupTables: [lookupTable([])] }), "legacy");
+  assert.equal(resolveVersion({ version: 0 }), 0);
+});
+
+test("compileTransaction packs shared accounts through a lookup table", async () => {
+  const feePayer = Keypair.generate().publicKey;
+  const { instructions, shared } = await claims(4, feePayer);
+  const table = lookupTable([PROGRAM_ID, SYSTEM_PROGRAM_ID, ...shared]);
+
+  const legacy = compileTransaction(instructions, { feePayer, blockhash });
+  const v0 = compileTransaction(instructions, { feePayer, blockhash, lookupTables: [table] });
+  assert.ok(legacy instanceof Transaction);
+  assert.ok(v0 instanceof VersionedTransaction);
+  assert.equal(v0.message.addressTableLookups.length, 1);
+  assert.ok(v0.message.addressTableLookups[0].accountKey.equals(table.key));
+  assert.ok(getTransactionSize(v0) < getTransactionSize(legacy));
+
+  const forced = { feePayer, blockhash, version: "legacy", lookupTables: [table] };
+  assert.throws(
+    () => compileTransaction(instructions, forced),
+    /require a versioned \(v0\) transaction/
+  );
+});
+
+test("getMarketLookupTableAddresses lists the market's accounts once each", async () => {
+  const market = Keypair.generate().publicKey;
+  const tokenMint = Keypair.generate().publicKey;
+  const [protocolConfig] = await findProtocolConfigAddress();
+  const [vault] = await findVaultAddress(market);
+  const [vaultAuthority] = await findVaultAuthorityAddress(market);
+  const [tokenVault] = await findAssociatedTokenAddress(
+    vaultAuthority,
+    tokenMint,
+    TOKEN_2022_PROGRAM_ID
+  );
+  const treasury = Keypair.generate().publicKey;
+
+  const addresses = await getMarketLookupTableAddresses(market, {
+    tokenMint,
+    tokenProgram: TOKEN_2022_PROGRAM_ID,
+    extraAddresses: [treasury, PROGRAM_ID],
+  });
+  assert.deepEqual(
+    addresses.map(String),
+    [
+      PROGRAM_ID,
+      SYSTEM_PROGRAM_ID,
+      TOKEN_PROGRAM_ID,
+      TOKEN_2022_PROGRAM_ID,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+      protocolConfig,
+      market,
+      vault,
+      vaultAuthority,
+      tokenMint,
+      tokenVault,
+      treasury,
+    ].map(String)
+  );
+});
+
+test("the client builds and sends v0 transactions by default when configured", async () => {
+  const sim = new PrecogSimulator();
+  const admin = Keypair.generate();
+  sim.airdrop(admin.publicKey, 100 * SOL);
+  const [protocolConfig] = await findProtocolConfigAddress();
+  const treasury = Keypair.generate().publicKey;
+
+  const withTables = new PrecogMarketsClient(sim.connection, {
+    lookupTables: [lookupTable([PROGRAM_ID, SYSTEM_PROGRAM_ID, protocolConfig])],
+  });
+  const built = await withTables.build.initializeProtocol(admin.publicKey, treasury, 100);
+  assert.ok(built.transaction instanceof VersionedTransaction);
+  assert.equal(built.transaction.message.addressTableLookups.length, 1);
+  // Per-call options override the client's.
+  const legacy = await withTables.build.initializeProtocol(admin.publicKey, treasury, 100, {
+    version: "legacy",
+  });
+  assert.ok(legacy.transaction instanceof Transaction);
+
+  const client = new PrecogMarketsClient(sim.connection, { version: 0 });
+  await client.initializeProtocol(admin, treasury, 100);
+  assert.ok(sim.connection.sent.at(-1).transaction instanceof VersionedTransaction);
+  assert.equal((await client.fetchProtocolConfig()).defaultFeeBps, 100);
+});
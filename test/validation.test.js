@@ -0,0 +1,220 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Keypair } from "@solana/web3.js";
+
+import { PrecogMarketsClient } from "../src/client.js";
+import {
+  MAX_OUTCOME_LABEL_LEN,
+  MAX_TITLE_LEN,
+  MIN_BET_LAMPORTS,
+  MarketStatus,
+  TOKEN_2022_PROGRAM_ID,
+  TokenDenomination,
+} from "../src/constants.js";
+import { PrecogValidationError } from "../src/errors.js";
+import { marketFixture, protocolConfigFixture } from "../src/fixtures.js";
+import { PrecogSimulator } from "../src/simulator.js";
+import { MintExtensionType } from "../src/token.js";
+import {
+  checkBetEligibility,
+  validateCreateMarketArgs,
+  validateTokenMint,
+} from "../src/validation.js";
+
+const now = 1_700_000_000n;
+
+/** Valid `createMarket` args, a day before the deadline. */
+const marketArgs = {
+  title: "Will it rain?",
+  description: "",
+  outcomeLabels: ["Yes", "No"],
+  resolutionDeadline: now + 86_400n,
+};
+
+/** An initialized Token-2022 mint carrying the given extension types. */
+function mintWith(...types) {
+  return {
+    mintAuthority: null,
+    supply: 0n,
+    decimals: 6,
+    isInitialized: true,
+    freezeAuthority: null,
+    extensions: types.map((type) => ({ type, name: "", data: Buffer.alloc(0) })),
+  };
+}
+
+test("validateTokenMint accepts extensions the program isn't known to refuse", () => {
+  const mint = mintWith(
+    MintExtensionType.TransferFeeConfig,
+    MintExtensionType.MetadataPointer,
+    MintExtensionType.TokenMetadata,
+    MintExtensionType.MintCloseAuthority,
+    MintExtensionType.InterestBearingConfig
+  );
+  assert.deepEqual(validateTokenMint({ mint, owner: TOKEN_2022_PROGRAM_ID }), []);
+});
+
+test("validateTokenMint rejects a transfer hook", () => {
+  const mint = mintWith(MintExtensionType.MetadataPointer, MintExtensionType.TransferHook);
+  const violations = validateTokenMint({ mint, owner: TOKEN_2022_PROGRAM_ID });
+  assert.deepEqual(
+    violations.map(({ name, field }) => [name, field]),
+    [["TransferHookNotAllowed", "tokenMint"]]
+  );
+  assert.equal(violations[0].code, 44);
+});
+
+test("validateCreateMarketArgs accepts valid args", () => {
+  assert.deepEqual(validateCreateMarketArgs(marketArgs, { now }), []);
+  assert.deepEqual(validateCreateMarketArgs({ ...marketArgs, feeBpsOverride: null }, { now }), []);
+});
+
+test("validateCreateMarketArgs reports every violation at once", () => {
+  const violations = validateCreateMarketArgs(
+    {
+      ...marketArgs,
+      title: "t".repeat(MAX_TITLE_LEN + 1),
+      outcomeLabels: ["Yes", "n".repeat(MAX_OUTCOME_LABEL_LEN + 1)],
+      resolutionDeadline: now,
+      feeBpsOverride: 501,
+    },
+    { now }
+  );
+  assert.deepEqual(
+    violations.map(({ name, field }) => [name, field]),
+    [
+      ["MarketTitleTooLong", "title"],
+      ["OutcomeLabelTooLong", "outcomeLabels[1]"],
+      ["DeadlineInPast", "resolutionDeadline"],
+      ["FeeTooHigh", "feeBpsOverride"],
+    ]
+  );
+  assert.equal(violations[0].code, 1);
+});
+
+test("validateCreateMarketArgs counts UTF-8 bytes, not characters", () => {
+  // Four bytes each: a quarter of the limit in characters is exactly at it.
+  const title = "🌧".repeat(MAX_TITLE_LEN / 4);
+  assert.deepEqual(validateCreateMarketArgs({ ...marketArgs, title }, { now }), []);
+  const over = validateCreateMarketArgs({ ...marketArgs, title: `${title}!` }, { now });
+  assert.deepEqual(over.map((v) => v.name), ["MarketTitleTooLong"]);
+  const labels = validateCreateMarketArgs(
+    { ...marketArgs, outcomeLabels: ["é".repeat(MAX_OUTCOME_LABEL_LEN / 2 + 1), "No", "Maybe"] },
+    { now }
+  );
+  assert.deepEqual(labels.map((v) => v.field), ["outcomeLabels[0]"]);
+  const one = validateCreateMarketArgs({ ...marketArgs, outcomeLabels: ["Yes"] }, { now });
+  assert.deepEqual(one.map((v) => v.name), ["InvalidOutcomeCount"]);
+});
+
+test("validateCreateMarketArgs checks the fee override against the protocol default", () => {
+  const protocolConfig = protocolConfigFixture({ defaultFeeBps: 200 });
+  const args = { ...marketArgs, feeBpsOverride: 150 };
+  assert.deepEqual(validateCreateMarketArgs(args, { now }), []);
+  assert.deepEqual(
+    validateCreateMarketArgs(args, { now, protocolConfig }).map((v) => v.name),
+    ["FeeBelowProtocolMinimum"]
+  );
+});
+
+test("createSolMarket rejects invalid args before sending", async () => {
+  const sim = new PrecogSimulator();
+  const client = new PrecogMarketsClient(sim.connection, { fetch: sim.connection.fetch });
+  const admin = Keypair.generate();
+  sim.airdrop(admin.publicKey, 10_000_000_000);
+  await client.initializeProtocol(admin, Keypair.generate().publicKey, 100);
+  const sent = sim.connection.sent.length;
+
+  await assert.rejects(
+    client.createSolMarket({
+      ...marketArgs,
+      payer: admin,
+      resolutionDeadline: sim.now + 60n,
+      feeBpsOverride: 50,
+    }),
+    (err) =>
+      err instanceof PrecogValidationError &&
+      err.violations.length === 1 &&
+      err.violations[0].name === "FeeBelowProtocolMinimum"
+  );
+  assert.equal(sim.connection.sent.length, sent);
+});
+
+test("checkBetEligibility reports the first check a bet fails, in program order", () => {
+  const market = marketFixture({ resolutionDeadline: now + 60n });
+  const bet = { market, outcomeIndex: 0, amount: MIN_BET_LAMPORTS, now };
+  const reason = (overrides) => checkBetEligibility({ ...bet, ...overrides }).reason;
+
+  assert.equal(reason({}), null);
+  assert.equal(checkBetEligibility(bet).eligible, true);
+  assert.equal(
+    reason({
+      protocolConfig: protocolConfigFixture({ paused: true }),
+      market: { ...market, status: MarketStatus.Resolved },
+    }),
+    "ProtocolPaused"
+  );
+  assert.equal(reason({ market: { ...market, status: MarketStatus.Resolved } }), "MarketNotOpen");
+  assert.equal(reason({ now: now + 60n, outcomeIndex: 2 }), "DeadlinePassed");
+  assert.equal(reason({ outcomeIndex: 2, amount: 0n }), "InvalidOutcomeIndex");
+  assert.equal(reason({ amount: 0n }), "ZeroBetAmount");
+
+  const below = checkBetEligibility({ ...bet, amount: MIN_BET_LAMPORTS - 1n });
+  assert.equal(below.reason, "BetBelowMinimum");
+  assert.equal(below.field, "amount");
+  assert.equal(below.minimum, MIN_BET_LAMPORTS);
+});
+
+test("checkBetEligibility checks Token-2022 bets net of the transfer fee", () => {
+  const market = marketFixture({
+    resolutionDeadline: now + 60n,
+    denomination: TokenDenomination.Token2022,
+    hasTransferFee: true,
+    transferFeeBps: 5_000,
+    maxTransferFee: 10n,
+  });
+  const bet = { market, outcomeIndex: 1, now };
+
+  // Half of 1 rounds up to a 1-unit fee, leaving nothing.
+  const tiny = checkBetEligibility({ ...bet, amount: 1n });
+  assert.equal(tiny.reason, "InsufficientPostFeeAmount");
+  assert.equal(tiny.netAmount, 0n);
+  // The fee is capped at maxTransferFee.
+  const large = checkBetEligibility({ ...bet, amount: 1_000n });
+  assert.equal(large.eligible, true);
+  assert.equal(large.netAmount, 990n);
+});
+
+test("placeSolBet rejects an ineligible bet before sending", async () => {
+  const sim = new PrecogSimulator();
+  const client = new PrecogMarketsClient(sim.connection, { fetch: sim.connection.fetch });
+  const admin = Keypair.generate();
+  sim.airdrop(admin.publicKey, 10_000_000_000);
+  await client.initializeProtocol(admin, Keypair.generate().publicKey, 100);
+  const { market } = await client.createSolMarket({
+    ...marketArgs,
+    payer: admin,
+    resolutionDeadline: sim.now + 60n,
+  });
+
+  assert.deepEqual(
+    await client.checkBetEligibility({ market, outcomeIndex: 5, amount: MIN_BET_LAMPORTS }),
+    {
+      eligible: false,
+      reason: "InvalidOutcomeIndex",
+      code: 16,
+      field: "outcomeIndex",
+      message: "Outcome 5 is out of range (market has 2)",
+      minimum: MIN_BET_LAMPORTS,
+      netAmount: MIN_BET_LAMPORTS,
+    }
+  );
+
+  const sent = sim.connection.sent.length;
+  await assert.rejects(
+    client.placeSolBet({ bettor: admin, market, outcomeIndex: 0, amount: 1n }),
+    (err) => err instanceof PrecogValidationError && err.violations[0].name === "BetBelowMinimum"
+  );
+  assert.equal(sim.connection.sent.length, sent);
+});